@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Payment Webhook Test Script
+ * 
+ * Sends a signed provider-style webhook to a running server, signed the
+ * same way the provider signs it, so the payment flow can be exercised
+ * locally without the real gateway.
+ * 
+ * Usage:
+ *   node scripts/sendTestWebhook.js <reference> <amount> [event] [url]
+ * 
+ * Example:
+ *   node scripts/sendTestWebhook.js MTK-LZ3K9Q1A-8F2KD93JQA 5500
+ *   node scripts/sendTestWebhook.js MTK-LZ3K9Q1A-8F2KD93JQA 5500 charge.failed
+ * 
+ * amount is in naira (converted to kobo like the provider sends it).
+ * Sending the same command twice delivers the same event id, which
+ * should be acknowledged as a duplicate.
+ * 
+ * Make sure these environment variables are set:
+ *   - PAYMENT_WEBHOOK_SECRET (must match the server)
+ *   - PORT (optional, used for the default URL)
+ */
+
+import dotenv from 'dotenv';
+import { signPayload } from '../src/services/paymentWebhook.service.js';
+import { PAYMENT_WEBHOOK } from '../src/constants/payment.constants.js';
+
+// Load environment variables
+dotenv.config();
+
+const [reference, amount, event = 'charge.success', url = `http://localhost:${process.env.PORT || 3000}/api/webhooks/payments`] = process.argv.slice(2);
+
+if (!reference || !amount || isNaN(Number(amount))) {
+  console.error('❌ Error: reference and amount are required');
+  console.log('\nUsage: node scripts/sendTestWebhook.js <reference> <amount> [event] [url]');
+  console.log('Example: node scripts/sendTestWebhook.js MTK-LZ3K9Q1A-8F2KD93JQA 5500\n');
+  process.exit(1);
+}
+
+if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+  console.error('❌ Error: PAYMENT_WEBHOOK_SECRET not set in environment variables');
+  process.exit(1);
+}
+
+// Deterministic transaction id per reference so repeats exercise deduplication
+const transactionId = parseInt(reference.replace(/[^0-9A-Z]/gi, '').slice(-8), 36) || 1;
+
+const payload = JSON.stringify({
+  event,
+  data: {
+    id: transactionId,
+    reference,
+    amount: Math.round(Number(amount) * 100),
+    currency: 'NGN',
+    status: event === 'charge.success' ? 'success' : 'failed',
+    paid_at: new Date().toISOString(),
+    channel: 'card'
+  }
+});
+
+console.log(`🧪 Sending ${event} for ${reference} to ${url}\n`);
+
+try {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      [PAYMENT_WEBHOOK.SIGNATURE_HEADER]: signPayload(payload)
+    },
+    body: payload
+  });
+
+  console.log(`Status: ${res.status}`);
+  console.log(await res.text());
+  process.exit(res.ok ? 0 : 1);
+} catch (error) {
+  console.error('❌ Request failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,490 @@
+import { describe, it, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import speakeasy from 'speakeasy';
+import { hashSecret, verifySecret } from '../utils/secretHash.js';
+import { createQuery, passThroughRateLimiters, authenticateAs } from './helpers.js';
+
+const mockSupabaseAdmin = {
+  from: jest.fn(),
+  rpc: jest.fn(),
+  auth: {
+    signInWithPassword: jest.fn(),
+    admin: {
+      signOut: jest.fn(),
+      updateUserById: jest.fn(),
+    },
+  },
+};
+
+const mockSendEmailChangeOTP = jest.fn();
+const mockSendEmailChangedAlert = jest.fn();
+const mockSendAccountDeletionScheduled = jest.fn();
+const mockInvalidateProfileCache = jest.fn();
+
+// Throwaway client the current password is checked on
+const mockPasswordCheck = {
+  auth: { signInWithPassword: jest.fn() },
+};
+
+jest.unstable_mockModule('../config/supabase.js', () => ({
+  getSupabaseAdmin: jest.fn(() => mockSupabaseAdmin),
+  getSupabase: jest.fn(),
+  getSupabaseUser: jest.fn(),
+  getSupabaseEphemeral: jest.fn(() => mockPasswordCheck),
+}));
+
+jest.unstable_mockModule('../services/email/email.service.js', () => ({
+  sendEmail: jest.fn(),
+  send2FACode: jest.fn(),
+  sendEmailChangeOTP: mockSendEmailChangeOTP,
+  sendEmailChangedAlert: mockSendEmailChangedAlert,
+  sendAccountDeletionScheduled: mockSendAccountDeletionScheduled,
+  sendAccountLockedAlert: jest.fn(),
+  sendNewLoginAlert: jest.fn(),
+  sendPasswordResetOTP: jest.fn(),
+}));
+
+jest.unstable_mockModule('../middleware/authenticate.js', () => ({
+  authenticate: authenticateAs({
+    'user-token': { id: 'user-123', email: 'old@example.com', profile: { id: 'user-123', user_id: 'AbC123' } },
+  }, { sessionId: 'session-1' }),
+  invalidateProfileCache: mockInvalidateProfileCache,
+}));
+
+// The settings routes share authLimiter, which this file would exhaust
+jest.unstable_mockModule('../middleware/rateLimiter.js', () => passThroughRateLimiters);
+
+const settingsRoutes = (await import('../routes/settings.routes.js')).default;
+const authRoutes = (await import('../routes/auth.routes.js')).default;
+const { isDeletionCancellable, cancelAccountDeletion } = await import('../services/account.service.js');
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/settings', settingsRoutes);
+  app.use('/api', authRoutes);
+  return app;
+};
+
+const SECRET = speakeasy.generateSecret({ length: 20 }).base32;
+
+describe('Account Settings', () => {
+  let app;
+  let tables;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+
+    // Each table holds a queue of query results, consumed in call order
+    tables = {
+      profiles: [],
+      user_sessions: [],
+      email_change_requests: [],
+      notifications: [],
+      account_lockouts: [],
+      login_failures: [],
+    };
+    mockSupabaseAdmin.from.mockImplementation(table => tables[table].shift() || createQuery());
+    mockSupabaseAdmin.rpc.mockResolvedValue({
+      data: [{ failed_attempts: 1, locked: false, lock_expires_at: null, lockout_number: null }],
+      error: null,
+    });
+    mockPasswordCheck.auth.signInWithPassword.mockResolvedValue({
+      data: { session: { access_token: 'check-token' } },
+      error: null,
+    });
+    mockSupabaseAdmin.auth.admin.signOut.mockResolvedValue({ error: null });
+    mockSupabaseAdmin.auth.admin.updateUserById.mockResolvedValue({ data: {}, error: null });
+    mockSendEmailChangeOTP.mockResolvedValue({ success: true });
+    mockSendEmailChangedAlert.mockResolvedValue({ success: true });
+    mockSendAccountDeletionScheduled.mockResolvedValue({ success: true });
+  });
+
+  describe('PUT /api/settings/password', () => {
+    const changePassword = (body = {}) => request(app)
+      .put('/api/settings/password')
+      .set('Authorization', 'Bearer user-token')
+      .send({ current_password: 'OldPass123!', password: 'NewPass123!', password_confirmation: 'NewPass123!', ...body });
+
+    it('should change the password and sign out the other devices', async () => {
+      tables.profiles = [createQuery({ data: { two_factor_enabled: false }, error: null })];
+      const revokeQuery = createQuery({ data: [{ id: 'session-2' }], error: null });
+      tables.user_sessions = [revokeQuery];
+
+      const response = await changePassword();
+
+      expect(response.status).toBe(200);
+      expect(mockPasswordCheck.auth.signInWithPassword).toHaveBeenCalledWith({ email: 'old@example.com', password: 'OldPass123!' });
+      // Signing in on the shared admin client would make it act as this user
+      expect(mockSupabaseAdmin.auth.signInWithPassword).not.toHaveBeenCalled();
+      // The session created by the password check is thrown away
+      expect(mockSupabaseAdmin.auth.admin.signOut).toHaveBeenCalledWith('check-token', 'local');
+      expect(mockSupabaseAdmin.auth.admin.updateUserById).toHaveBeenCalledWith('user-123', { password: 'NewPass123!' });
+      expect(revokeQuery.update).toHaveBeenCalledWith({ revoked_at: expect.any(String), revoked_reason: 'password_change' });
+      expect(revokeQuery.neq).toHaveBeenCalledWith('id', 'session-1');
+      expect(mockSupabaseAdmin.auth.admin.signOut).toHaveBeenCalledWith('user-token', 'others');
+    });
+
+    it('should reject a wrong current password', async () => {
+      mockPasswordCheck.auth.signInWithPassword.mockResolvedValue({ data: {}, error: { message: 'Invalid login credentials' } });
+
+      const response = await changePassword();
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Current password is incorrect');
+      expect(mockSupabaseAdmin.auth.admin.updateUserById).not.toHaveBeenCalled();
+    });
+
+    it('should count a wrong current password towards the account lockout', async () => {
+      mockPasswordCheck.auth.signInWithPassword.mockResolvedValue({ data: {}, error: { message: 'Invalid login credentials' } });
+
+      await changePassword();
+
+      expect(mockSupabaseAdmin.rpc).toHaveBeenCalledWith('record_login_failure', expect.objectContaining({
+        p_user_id: 'user-123',
+        p_factor: 'password',
+      }));
+    });
+
+    it('should refuse a locked account without checking the password', async () => {
+      const lockedUntil = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+      tables.account_lockouts = [createQuery({ data: { locked_until: lockedUntil }, error: null })];
+
+      const response = await changePassword();
+
+      expect(response.status).toBe(423);
+      expect(response.headers['retry-after']).toBeDefined();
+      expect(mockPasswordCheck.auth.signInWithPassword).not.toHaveBeenCalled();
+      expect(mockSupabaseAdmin.auth.admin.updateUserById).not.toHaveBeenCalled();
+    });
+
+    it('should reset the password failures once the password is right', async () => {
+      tables.profiles = [createQuery({ data: { two_factor_enabled: false }, error: null })];
+      const clearQuery = createQuery({ data: null, error: null });
+      tables.login_failures = [clearQuery];
+
+      const response = await changePassword();
+
+      expect(response.status).toBe(200);
+      expect(clearQuery.delete).toHaveBeenCalled();
+      expect(clearQuery.eq).toHaveBeenCalledWith('factor', 'password');
+    });
+
+    it('should lock the account after too many wrong 2FA codes', async () => {
+      const lockExpiresAt = new Date(Date.now() + 15 * 60 * 1000).toISOString();
+      tables.profiles = [
+        createQuery({ data: { two_factor_enabled: true, two_factor_type: 'google' }, error: null }),
+        createQuery({ data: { id: 'user-123', two_factor_type: 'google', two_factor_secret: SECRET }, error: null }),
+      ];
+      mockSupabaseAdmin.rpc.mockResolvedValue({
+        data: [{ failed_attempts: 5, locked: true, lock_expires_at: lockExpiresAt, lockout_number: 1 }],
+        error: null,
+      });
+
+      const response = await changePassword({ code: '000000' });
+
+      expect(response.status).toBe(423);
+      expect(mockSupabaseAdmin.rpc).toHaveBeenCalledWith('record_login_failure', expect.objectContaining({
+        p_factor: 'two_factor',
+      }));
+      expect(mockSupabaseAdmin.auth.admin.updateUserById).not.toHaveBeenCalled();
+    });
+
+    it('should require the 2FA code when 2FA is enabled', async () => {
+      tables.profiles = [createQuery({ data: { two_factor_enabled: true, two_factor_type: 'google' }, error: null })];
+
+      const response = await changePassword();
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('2FA code is required');
+      expect(mockSupabaseAdmin.auth.admin.updateUserById).not.toHaveBeenCalled();
+    });
+
+    it('should accept a valid authenticator code', async () => {
+      tables.profiles = [
+        createQuery({ data: { two_factor_enabled: true, two_factor_type: 'google' }, error: null }),
+        createQuery({ data: { id: 'user-123', two_factor_type: 'google', two_factor_secret: SECRET }, error: null }),
+        // Records the code's time step so it can't be replayed
+        createQuery({ data: [{ id: 'user-123' }], error: null }),
+      ];
+
+      const response = await changePassword({ code: speakeasy.totp({ secret: SECRET, encoding: 'base32' }) });
+
+      expect(response.status).toBe(200);
+      expect(mockSupabaseAdmin.auth.admin.updateUserById).toHaveBeenCalled();
+    });
+
+    it('should return 422 when the confirmation does not match', async () => {
+      const response = await changePassword({ password_confirmation: 'Different123!' });
+
+      expect(response.status).toBe(422);
+    });
+  });
+
+  describe('POST /api/settings/email', () => {
+    it('should store a pending change and send the code to the new address', async () => {
+      const upsertQuery = createQuery({ data: null, error: null });
+      tables.email_change_requests = [upsertQuery];
+
+      const response = await request(app)
+        .post('/api/settings/email')
+        .set('Authorization', 'Bearer user-token')
+        .send({ new_email: 'New@Example.com', password: 'Pass123!' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.new_email).toBe('new@example.com');
+      expect(upsertQuery.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: 'user-123',
+        new_email: 'new@example.com',
+        otp: expect.stringMatching(/^scrypt\$/),
+        attempts: 0,
+      }), { onConflict: 'user_id' });
+      expect(mockSendEmailChangeOTP).toHaveBeenCalledWith({ to: 'new@example.com', otp: expect.stringMatching(/^\d{6}$/) });
+
+      // Only the hash of the emailed code is stored
+      const { otp } = mockSendEmailChangeOTP.mock.calls[0][0];
+      const stored = upsertQuery.upsert.mock.calls[0][0].otp;
+      expect(stored).not.toContain(otp);
+      expect(await verifySecret(otp, stored)).toBe(true);
+    });
+
+    it('should return 409 when the new address belongs to another account', async () => {
+      tables.profiles = [createQuery({ data: { id: 'user-999' }, error: null })];
+
+      const response = await request(app)
+        .post('/api/settings/email')
+        .set('Authorization', 'Bearer user-token')
+        .send({ new_email: 'taken@example.com', password: 'Pass123!' });
+
+      expect(response.status).toBe(409);
+      expect(mockSendEmailChangeOTP).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/settings/email/verify', () => {
+    let otpHash;
+
+    beforeAll(async () => {
+      otpHash = await hashSecret('123456');
+    });
+
+    const pendingChange = (overrides = {}) => ({
+      user_id: 'user-123',
+      new_email: 'new@example.com',
+      otp: otpHash,
+      attempts: 0,
+      expires_at: new Date(Date.now() + 60 * 1000).toISOString(),
+      ...overrides,
+    });
+
+    it('should update auth and profile email and alert the old address', async () => {
+      tables.email_change_requests = [createQuery({ data: pendingChange(), error: null })];
+      const profileUpdate = createQuery({ data: null, error: null });
+      tables.profiles = [createQuery({ data: null, error: null }), profileUpdate];
+
+      const response = await request(app)
+        .post('/api/settings/email/verify')
+        .set('Authorization', 'Bearer user-token')
+        .send({ otp: '123456' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.email).toBe('new@example.com');
+      expect(mockSupabaseAdmin.auth.admin.updateUserById).toHaveBeenCalledWith('user-123', { email: 'new@example.com', email_confirm: true });
+      expect(profileUpdate.update).toHaveBeenCalledWith({ email: 'new@example.com' });
+      expect(mockSendEmailChangedAlert).toHaveBeenCalledWith({ to: 'old@example.com', newEmail: 'new@example.com' });
+    });
+
+    it('should count a wrong code against the pending change', async () => {
+      tables.email_change_requests = [createQuery({ data: pendingChange({ attempts: 1 }), error: null })];
+      const attemptQuery = createQuery({ data: null, error: null });
+      tables.email_change_requests.push(attemptQuery);
+
+      const response = await request(app)
+        .post('/api/settings/email/verify')
+        .set('Authorization', 'Bearer user-token')
+        .send({ otp: '654321' });
+
+      expect(response.status).toBe(400);
+      expect(attemptQuery.update).toHaveBeenCalledWith({ attempts: 2 });
+      expect(mockSupabaseAdmin.auth.admin.updateUserById).not.toHaveBeenCalled();
+    });
+
+    it('should cancel the change after too many wrong codes', async () => {
+      tables.email_change_requests = [createQuery({ data: pendingChange({ attempts: 4 }), error: null })];
+      const deleteQuery = createQuery({ data: null, error: null });
+      tables.email_change_requests.push(deleteQuery);
+
+      const response = await request(app)
+        .post('/api/settings/email/verify')
+        .set('Authorization', 'Bearer user-token')
+        .send({ otp: '654321' });
+
+      expect(response.status).toBe(400);
+      expect(deleteQuery.delete).toHaveBeenCalled();
+    });
+
+    it('should reject an expired code', async () => {
+      tables.email_change_requests = [createQuery({ data: pendingChange({ expires_at: new Date(Date.now() - 1000).toISOString() }), error: null })];
+
+      const response = await request(app)
+        .post('/api/settings/email/verify')
+        .set('Authorization', 'Bearer user-token')
+        .send({ otp: '123456' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Verification code has expired');
+    });
+  });
+
+  describe('DELETE /api/settings/account', () => {
+    it('should close the account, schedule the purge and sign out everywhere', async () => {
+      const deleteQuery = createQuery({ data: null, error: null });
+      tables.profiles = [createQuery({ data: { two_factor_enabled: false }, error: null }), deleteQuery];
+      const revokeQuery = createQuery({ data: [{ id: 'session-1' }, { id: 'session-2' }], error: null });
+      tables.user_sessions = [revokeQuery];
+
+      const response = await request(app)
+        .delete('/api/settings/account')
+        .set('Authorization', 'Bearer user-token')
+        .send({ password: 'Pass123!' });
+
+      expect(response.status).toBe(200);
+      const scheduledFor = new Date(response.body.data.deletion_scheduled_for);
+      const days = (scheduledFor - Date.now()) / (24 * 60 * 60 * 1000);
+      expect(days).toBeGreaterThan(29.9);
+      expect(days).toBeLessThanOrEqual(30);
+      expect(deleteQuery.update).toHaveBeenCalledWith({
+        deleted_at: expect.any(String),
+        deletion_scheduled_for: response.body.data.deletion_scheduled_for,
+      });
+      expect(deleteQuery.is).toHaveBeenCalledWith('deleted_at', null);
+      expect(mockInvalidateProfileCache).toHaveBeenCalledWith('user-123');
+      expect(revokeQuery.update).toHaveBeenCalledWith({ revoked_at: expect.any(String), revoked_reason: 'account_deletion' });
+      expect(mockSupabaseAdmin.auth.admin.signOut).toHaveBeenCalledWith('user-token', 'global');
+      expect(mockSendAccountDeletionScheduled).toHaveBeenCalledWith({ to: 'old@example.com', deletionDate: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/) });
+    });
+
+    it('should reject a wrong password', async () => {
+      mockPasswordCheck.auth.signInWithPassword.mockResolvedValue({ data: {}, error: { message: 'Invalid login credentials' } });
+
+      const response = await request(app)
+        .delete('/api/settings/account')
+        .set('Authorization', 'Bearer user-token')
+        .send({ password: 'Wrong123!' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Current password is incorrect');
+      expect(mockSupabaseAdmin.from).not.toHaveBeenCalledWith('user_sessions');
+    });
+
+    it('should return 422 without a password', async () => {
+      const response = await request(app)
+        .delete('/api/settings/account')
+        .set('Authorization', 'Bearer user-token')
+        .send({});
+
+      expect(response.status).toBe(422);
+    });
+  });
+
+  describe('POST /api/2fa/recovery-codes', () => {
+    const twoFactorOn = () => createQuery({
+      data: { two_factor_enabled: true, two_factor_type: 'google', two_factor_recovery_codes: ['scrypt$a$b'] },
+      error: null,
+    });
+    const regenerate = (body = {}) => request(app)
+      .post('/api/2fa/recovery-codes')
+      .set('Authorization', 'Bearer user-token')
+      .send({ password: 'Pass123!', code: speakeasy.totp({ secret: SECRET, encoding: 'base32' }), ...body });
+
+    it('should replace the codes after re-authentication and return the new set once', async () => {
+      const replaceQuery = createQuery({ data: null, error: null });
+      tables.profiles = [
+        twoFactorOn(),
+        twoFactorOn(),
+        createQuery({ data: { id: 'user-123', two_factor_type: 'google', two_factor_secret: SECRET }, error: null }),
+        createQuery({ data: [{ id: 'user-123' }], error: null }),
+        replaceQuery,
+      ];
+
+      const response = await regenerate();
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.remaining).toBe(8);
+      expect(response.body.data.recovery_codes).toHaveLength(8);
+
+      const stored = replaceQuery.update.mock.calls[0][0].two_factor_recovery_codes;
+      expect(stored).toHaveLength(8);
+      expect(await verifySecret(response.body.data.recovery_codes[0], stored[0])).toBe(true);
+      expect(stored.join()).not.toContain(response.body.data.recovery_codes[0]);
+    });
+
+    it('should refuse when 2FA is not enabled', async () => {
+      tables.profiles = [createQuery({ data: { two_factor_enabled: false }, error: null })];
+
+      const response = await regenerate();
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('2FA is not enabled');
+      expect(mockPasswordCheck.auth.signInWithPassword).not.toHaveBeenCalled();
+    });
+
+    it('should refuse an authenticator code that was already used', async () => {
+      const usedStep = Math.floor(Date.now() / 30000) + 2;
+      tables.profiles = [
+        twoFactorOn(),
+        twoFactorOn(),
+        createQuery({
+          data: { id: 'user-123', two_factor_type: 'google', two_factor_secret: SECRET, two_factor_last_totp_step: usedStep },
+          error: null,
+        }),
+      ];
+
+      const response = await regenerate();
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Invalid 2FA code');
+    });
+
+    it('should require the password and code', async () => {
+      const response = await regenerate({ password: '', code: '' });
+
+      expect(response.status).toBe(422);
+    });
+  });
+
+  describe('Cancelling a deletion', () => {
+    const inDays = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+    it('should only let a scheduled, unpurged deletion be cancelled within the grace period', () => {
+      const deleted = { deleted_at: inDays(-1), deletion_scheduled_for: inDays(29), purged_at: null };
+
+      expect(isDeletionCancellable(deleted)).toBe(true);
+      expect(isDeletionCancellable({ ...deleted, deletion_scheduled_for: inDays(-1) })).toBe(false);
+      expect(isDeletionCancellable({ ...deleted, purged_at: inDays(-1) })).toBe(false);
+      // Deleted some other way, without a grace period
+      expect(isDeletionCancellable({ ...deleted, deletion_scheduled_for: null })).toBe(false);
+    });
+
+    it('should clear the deletion and notify the user', async () => {
+      const restoreQuery = createQuery({ data: [{ id: 'user-123' }], error: null });
+      tables.profiles = [restoreQuery];
+
+      await expect(cancelAccountDeletion('user-123')).resolves.toBe(true);
+
+      expect(restoreQuery.update).toHaveBeenCalledWith({ deleted_at: null, deletion_scheduled_for: null });
+      expect(restoreQuery.is).toHaveBeenCalledWith('purged_at', null);
+      expect(restoreQuery.gt).toHaveBeenCalledWith('deletion_scheduled_for', expect.any(String));
+      expect(mockInvalidateProfileCache).toHaveBeenCalledWith('user-123');
+    });
+
+    it('should report when the grace period has already ended', async () => {
+      tables.profiles = [createQuery({ data: [], error: null })];
+
+      await expect(cancelAccountDeletion('user-123')).resolves.toBe(false);
+      expect(mockInvalidateProfileCache).not.toHaveBeenCalled();
+    });
+  });
+});
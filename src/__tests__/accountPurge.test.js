@@ -0,0 +1,216 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createQuery, authenticateAs, ADMIN_USER, CLIENT_USER } from './helpers.js';
+
+const mockExportBucket = {
+  remove: jest.fn(),
+};
+
+const mockSupabaseAdmin = {
+  from: jest.fn(),
+  storage: {
+    from: jest.fn(() => mockExportBucket),
+  },
+  auth: {
+    admin: {
+      updateUserById: jest.fn(),
+    },
+  },
+};
+
+const mockDeleteFiles = jest.fn();
+
+jest.unstable_mockModule('../config/supabase.js', () => ({
+  getSupabaseAdmin: jest.fn(() => mockSupabaseAdmin),
+  getSupabase: jest.fn(),
+  getSupabaseUser: jest.fn(),
+}));
+
+jest.unstable_mockModule('../services/fileUpload.service.js', () => ({
+  uploadFile: jest.fn(),
+  uploadFiles: jest.fn(),
+  deleteFile: jest.fn(),
+  deleteFiles: mockDeleteFiles,
+  getPathFromUrl: jest.fn(),
+  uploadFileToPath: jest.fn(),
+  downloadFileByPath: jest.fn(),
+}));
+
+jest.unstable_mockModule('../middleware/authenticate.js', () => ({
+  authenticate: authenticateAs({ 'admin-token': ADMIN_USER, 'user-token': CLIENT_USER }),
+  invalidateProfileCache: jest.fn(),
+}));
+
+const adminRoutes = (await import('../routes/admin.routes.js')).default;
+const { runAccountPurge } = await import('../services/accountPurge.service.js');
+const { getCarDocumentUrls } = await import('../utils/fileUploadHelper.js');
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', adminRoutes);
+  return app;
+};
+
+const NOW = new Date('2026-03-10T08:00:00Z');
+const STORAGE = 'https://project.supabase.co/storage/v1/object/public/motoka';
+
+const createTestCar = (overrides = {}) => ({
+  id: 10,
+  document_images: [`${STORAGE}/cars/user-123/front.jpg`, `${STORAGE}/cars/user-123/back.jpg`],
+  cac_document: `${STORAGE}/cars/user-123/cac.pdf`,
+  letterhead: null,
+  means_of_identification: null,
+  ...overrides,
+});
+
+describe('Account Purge', () => {
+  let tables;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    // Each table holds a queue of query results, consumed in call order
+    tables = {
+      profiles: [
+        createQuery({ data: [{ id: 'user-123', image: `${STORAGE}/avatars/user-123.jpg` }], error: null }),
+        createQuery({ data: null, error: null }),
+      ],
+      cars: [createQuery({ data: [createTestCar()], error: null })],
+      data_exports: [createQuery({ data: [{ id: 'export-1', file_path: 'user-123/export-1.zip' }], error: null })],
+      webauthn_credentials: [createQuery({ data: null, error: null })],
+      kycs: [createQuery({ data: null, error: null })],
+      phone_otps: [createQuery({ data: null, error: null })],
+      login_history: [createQuery({ data: null, error: null })],
+      user_sessions: [createQuery({ data: null, error: null })],
+    };
+    mockSupabaseAdmin.from.mockImplementation(table => tables[table].shift() || createQuery());
+    mockSupabaseAdmin.auth.admin.updateUserById.mockResolvedValue({ data: {}, error: null });
+    mockDeleteFiles.mockResolvedValue();
+    mockExportBucket.remove.mockResolvedValue({ data: [], error: null });
+  });
+
+  describe('getCarDocumentUrls', () => {
+    it('should flatten every uploaded file on a car', () => {
+      expect(getCarDocumentUrls(createTestCar())).toEqual([
+        `${STORAGE}/cars/user-123/front.jpg`,
+        `${STORAGE}/cars/user-123/back.jpg`,
+        `${STORAGE}/cars/user-123/cac.pdf`,
+      ]);
+      expect(getCarDocumentUrls(createTestCar({ document_images: null, cac_document: null, letterhead: 'a.pdf', means_of_identification: 'b.pdf' })))
+        .toEqual(['a.pdf', 'b.pdf']);
+    });
+  });
+
+  describe('runAccountPurge', () => {
+    it('should only pick accounts whose grace period has ended', async () => {
+      const dueQuery = tables.profiles[0];
+
+      await runAccountPurge({ now: NOW });
+
+      expect(dueQuery.not).toHaveBeenCalledWith('deleted_at', 'is', null);
+      expect(dueQuery.is).toHaveBeenCalledWith('purged_at', null);
+      expect(dueQuery.lte).toHaveBeenCalledWith('deletion_scheduled_for', NOW.toISOString());
+    });
+
+    it('should soft-delete cars, remove files and anonymise the account', async () => {
+      const carsQuery = tables.cars[0];
+      const anonymiseQuery = tables.profiles[1];
+      const passkeysQuery = tables.webauthn_credentials[0];
+
+      const summary = await runAccountPurge({ now: NOW });
+
+      expect(summary).toEqual({ checked: 1, purged: 1, failed: 0 });
+      expect(carsQuery.update).toHaveBeenCalledWith({ deleted_at: NOW.toISOString() });
+      expect(carsQuery.eq).toHaveBeenCalledWith('user_id', 'user-123');
+      expect(mockDeleteFiles).toHaveBeenCalledWith([
+        `${STORAGE}/cars/user-123/front.jpg`,
+        `${STORAGE}/cars/user-123/back.jpg`,
+        `${STORAGE}/cars/user-123/cac.pdf`,
+        `${STORAGE}/avatars/user-123.jpg`,
+      ]);
+      expect(mockSupabaseAdmin.storage.from).toHaveBeenCalledWith('data-exports');
+      expect(mockExportBucket.remove).toHaveBeenCalledWith(['user-123/export-1.zip']);
+      expect(passkeysQuery.delete).toHaveBeenCalled();
+      expect(passkeysQuery.eq).toHaveBeenCalledWith('user_id', 'user-123');
+      expect(mockSupabaseAdmin.auth.admin.updateUserById).toHaveBeenCalledWith('user-123', expect.objectContaining({
+        email: 'deleted-user-123@deleted.motoka.invalid',
+        ban_duration: expect.any(String),
+      }));
+      expect(anonymiseQuery.update).toHaveBeenCalledWith(expect.objectContaining({
+        first_name: 'Deleted',
+        email: 'deleted-user-123@deleted.motoka.invalid',
+        phone_number: null,
+        nin: null,
+        two_factor_secret: null,
+        purged_at: NOW.toISOString(),
+      }));
+    });
+
+    it('should remove the KYC, pending phone codes, login history and device details', async () => {
+      const kycQuery = tables.kycs[0];
+      const phoneOtpsQuery = tables.phone_otps[0];
+      const loginHistoryQuery = tables.login_history[0];
+      const sessionsQuery = tables.user_sessions[0];
+
+      await runAccountPurge({ now: NOW });
+
+      // nin and bvn are unique, so a kept KYC would block the person on a new account
+      expect(kycQuery.delete).toHaveBeenCalled();
+      expect(kycQuery.eq).toHaveBeenCalledWith('user_id', 'user-123');
+      expect(phoneOtpsQuery.delete).toHaveBeenCalled();
+      expect(phoneOtpsQuery.eq).toHaveBeenCalledWith('user_id', 'user-123');
+      expect(loginHistoryQuery.delete).toHaveBeenCalled();
+      expect(loginHistoryQuery.eq).toHaveBeenCalledWith('user_id', 'user-123');
+      expect(sessionsQuery.update).toHaveBeenCalledWith({ device_name: null, user_agent: null, ip_address: null });
+      expect(sessionsQuery.eq).toHaveBeenCalledWith('user_id', 'user-123');
+    });
+
+    it('should not mark the account purged when removing the KYC fails', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      tables.kycs = [createQuery({ data: null, error: { message: 'connection reset' } })];
+      const anonymiseQuery = tables.profiles[1];
+
+      const summary = await runAccountPurge({ now: NOW });
+
+      expect(summary).toEqual({ checked: 1, purged: 0, failed: 1 });
+      expect(anonymiseQuery.update).not.toHaveBeenCalled();
+      consoleSpy.mockRestore();
+    });
+
+    it('should leave the account unpurged when the auth update fails so the next run retries', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      mockSupabaseAdmin.auth.admin.updateUserById.mockResolvedValue({ data: null, error: { message: 'User not found' } });
+      const anonymiseQuery = tables.profiles[1];
+      const passkeysQuery = tables.webauthn_credentials[0];
+
+      const summary = await runAccountPurge({ now: NOW });
+
+      expect(summary).toEqual({ checked: 1, purged: 0, failed: 1 });
+      expect(anonymiseQuery.update).not.toHaveBeenCalled();
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('POST /api/admin/accounts/purge/run', () => {
+    it('should run the job and return the summary', async () => {
+      tables.profiles = [createQuery({ data: [], error: null })];
+
+      const response = await request(createTestApp())
+        .post('/api/admin/accounts/purge/run')
+        .set('Authorization', 'Bearer admin-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.summary).toEqual({ checked: 0, purged: 0, failed: 0 });
+    });
+
+    it('should reject non-admin users', async () => {
+      const response = await request(createTestApp())
+        .post('/api/admin/accounts/purge/run')
+        .set('Authorization', 'Bearer user-token');
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
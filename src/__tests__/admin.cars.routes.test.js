@@ -0,0 +1,216 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createQuery, authenticateAs, ADMIN_USER, CLIENT_USER } from './helpers.js';
+
+const mockSupabaseAdmin = {
+  from: jest.fn(),
+  rpc: jest.fn(),
+};
+
+jest.unstable_mockModule('../config/supabase.js', () => ({
+  getSupabaseAdmin: jest.fn(() => mockSupabaseAdmin),
+  getSupabase: jest.fn(),
+  getSupabaseUser: jest.fn(),
+}));
+
+jest.unstable_mockModule('../middleware/authenticate.js', () => ({
+  authenticate: authenticateAs({ 'admin-token': ADMIN_USER, 'user-token': CLIENT_USER }),
+  invalidateProfileCache: jest.fn(),
+}));
+
+const adminRoutes = (await import('../routes/admin.routes.js')).default;
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', adminRoutes);
+  return app;
+};
+
+const SLUG = '550e8400-e29b-41d4-a716-446655440000';
+
+const createTestCar = (overrides = {}) => ({
+  id: 1,
+  slug: SLUG,
+  user_id: 'user-123',
+  name_of_owner: 'John Doe',
+  vehicle_make: 'Toyota',
+  vehicle_model: 'Camry',
+  status: 'pending',
+  document_images: ['https://example.com/doc1.jpg'],
+  cac_document: null,
+  letterhead: null,
+  means_of_identification: 'https://example.com/id.pdf',
+  deleted_at: null,
+  ...overrides,
+});
+
+describe('Admin Car Review Endpoints', () => {
+  let app;
+  let tables;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+
+    tables = {
+      cars: createQuery({ data: createTestCar(), error: null }),
+      profiles: createQuery({ data: { id: 'user-123', user_id: 'AbC123', email: 'john@example.com' }, error: null }),
+      car_reviews: createQuery({ data: [], error: null }),
+      notifications: createQuery({ data: null, error: null }),
+    };
+    mockSupabaseAdmin.from.mockImplementation(table => tables[table]);
+    mockSupabaseAdmin.rpc.mockResolvedValue({ data: [createTestCar({ status: 'approved' })], error: null });
+  });
+
+  describe('Authorization', () => {
+    it('should return 403 for non-admin users', async () => {
+      const response = await request(app)
+        .get('/api/admin/cars')
+        .set('Authorization', 'Bearer user-token');
+
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe('Admin access required');
+    });
+  });
+
+  describe('GET /api/admin/cars', () => {
+    it('should filter the queue by status', async () => {
+      tables.cars = createQuery({ data: [createTestCar()], count: 1, error: null });
+
+      const response = await request(app)
+        .get('/api/admin/cars?status=pending')
+        .set('Authorization', 'Bearer admin-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.cars).toHaveLength(1);
+      expect(response.body.data.pagination).toEqual({ total: 1, page: 1, limit: 10, pages: 1 });
+      expect(tables.cars.eq).toHaveBeenCalledWith('status', 'pending');
+      expect(tables.cars.order).toHaveBeenCalledWith('created_at', { ascending: true });
+    });
+
+    it('should return 400 for an unknown status', async () => {
+      const response = await request(app)
+        .get('/api/admin/cars?status=archived')
+        .set('Authorization', 'Bearer admin-token');
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/admin/cars/:slug', () => {
+    it('should return the car with owner, documents and reviews', async () => {
+      const response = await request(app)
+        .get(`/api/admin/cars/${SLUG}`)
+        .set('Authorization', 'Bearer admin-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.car.slug).toBe(SLUG);
+      expect(response.body.data.owner.user_id).toBe('AbC123');
+      expect(response.body.data.documents).toEqual({
+        document_images: ['https://example.com/doc1.jpg'],
+        cac_document: null,
+        letterhead: null,
+        means_of_identification: 'https://example.com/id.pdf',
+      });
+      expect(response.body.data.reviews).toEqual([]);
+    });
+
+    it('should return 404 when the car does not exist', async () => {
+      tables.cars = createQuery({ data: null, error: { code: 'PGRST116' } });
+
+      const response = await request(app)
+        .get(`/api/admin/cars/${SLUG}`)
+        .set('Authorization', 'Bearer admin-token');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should return 400 for an invalid slug', async () => {
+      const response = await request(app)
+        .get('/api/admin/cars/not-a-uuid')
+        .set('Authorization', 'Bearer admin-token');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('PUT /api/admin/cars/:slug/approve', () => {
+    it('should approve a pending car and notify the owner', async () => {
+      const response = await request(app)
+        .put(`/api/admin/cars/${SLUG}/approve`)
+        .set('Authorization', 'Bearer admin-token')
+        .send({ reason: 'Documents verified' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.car.status).toBe('approved');
+      expect(mockSupabaseAdmin.rpc).toHaveBeenCalledWith('review_car', {
+        p_car_id: 1,
+        p_reviewer_id: 'admin-1',
+        p_decision: 'approve',
+        p_from_statuses: ['pending'],
+        p_to_status: 'approved',
+        p_reason: 'Documents verified',
+      });
+      expect(tables.notifications.insert).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: 'AbC123',
+        type: 'car',
+        action: 'approved',
+      }));
+    });
+
+    it('should return 422 when reason is missing', async () => {
+      const response = await request(app)
+        .put(`/api/admin/cars/${SLUG}/approve`)
+        .set('Authorization', 'Bearer admin-token')
+        .send({});
+
+      expect(response.status).toBe(422);
+      expect(mockSupabaseAdmin.rpc).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 when the car is not pending', async () => {
+      tables.cars = createQuery({ data: createTestCar({ status: 'unpaid' }), error: null });
+
+      const response = await request(app)
+        .put(`/api/admin/cars/${SLUG}/approve`)
+        .set('Authorization', 'Bearer admin-token')
+        .send({ reason: 'Looks fine' });
+
+      expect(response.status).toBe(409);
+      expect(mockSupabaseAdmin.rpc).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 when the status changed concurrently', async () => {
+      mockSupabaseAdmin.rpc.mockResolvedValue({ data: [], error: null });
+
+      const response = await request(app)
+        .put(`/api/admin/cars/${SLUG}/approve`)
+        .set('Authorization', 'Bearer admin-token')
+        .send({ reason: 'Documents verified' });
+
+      expect(response.status).toBe(409);
+      expect(tables.notifications.insert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /api/admin/cars/:slug/reject', () => {
+    it('should reject a pending car', async () => {
+      mockSupabaseAdmin.rpc.mockResolvedValue({ data: [createTestCar({ status: 'rejected' })], error: null });
+
+      const response = await request(app)
+        .put(`/api/admin/cars/${SLUG}/reject`)
+        .set('Authorization', 'Bearer admin-token')
+        .send({ reason: 'Chassis number does not match documents' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.car.status).toBe('rejected');
+      expect(mockSupabaseAdmin.rpc).toHaveBeenCalledWith('review_car', expect.objectContaining({
+        p_decision: 'reject',
+        p_to_status: 'rejected',
+      }));
+    });
+  });
+});
@@ -39,6 +39,8 @@ jest.unstable_mockModule('../services/fileUpload.service.js', () => ({
   uploadFiles: mockUploadFiles,
   deleteFile: jest.fn(),
   deleteFiles: mockDeleteFiles,
+  uploadFileToPath: jest.fn(),
+  downloadFileByPath: jest.fn(),
 }));
 
 // Mock car duplicate checker
@@ -0,0 +1,302 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { inflateRawSync } from 'zlib';
+import { createQuery, passThroughRateLimiters, authenticateAs } from './helpers.js';
+
+const mockBucket = {
+  upload: jest.fn(),
+  download: jest.fn(),
+  remove: jest.fn(),
+  createSignedUrl: jest.fn(),
+};
+
+const mockSupabaseAdmin = {
+  from: jest.fn(),
+  storage: {
+    from: jest.fn(() => mockBucket),
+  },
+};
+
+jest.unstable_mockModule('../config/supabase.js', () => ({
+  getSupabaseAdmin: jest.fn(() => mockSupabaseAdmin),
+  getSupabase: jest.fn(),
+  getSupabaseUser: jest.fn(),
+  getSupabaseEphemeral: jest.fn(),
+}));
+
+jest.unstable_mockModule('../services/email/email.service.js', () => ({
+  sendEmail: jest.fn(),
+  send2FACode: jest.fn(),
+  sendEmailChangeOTP: jest.fn(),
+  sendEmailChangedAlert: jest.fn(),
+  sendAccountDeletionScheduled: jest.fn(),
+  sendAccountLockedAlert: jest.fn(),
+}));
+
+jest.unstable_mockModule('../middleware/authenticate.js', () => ({
+  authenticate: authenticateAs({
+    'user-token': { id: 'user-123', email: 'john@example.com', profile: { id: 'user-123', user_id: 'AbC123' } },
+  }),
+  invalidateProfileCache: jest.fn(),
+}));
+
+jest.unstable_mockModule('../middleware/rateLimiter.js', () => passThroughRateLimiters);
+
+const settingsRoutes = (await import('../routes/settings.routes.js')).default;
+const { processDataExport } = await import('../services/dataExport.service.js');
+const { setExportQueue } = await import('../services/exportQueue.js');
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/settings', settingsRoutes);
+  return app;
+};
+
+// Reads the entries of a zip through its central directory
+const readZip = (buffer) => {
+  const entries = {};
+  let offset = buffer.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+  while (offset !== -1 && buffer.readUInt32LE(offset) === 0x02014b50) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+    entries[name] = method === 8 ? inflateRawSync(raw) : raw;
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+const EXPORT_ID = '0b7f4c1e-8d52-4a4e-9f0a-3c2d1e5f6a7b';
+const STORAGE = 'https://project.supabase.co/storage/v1/object/public/car-documents';
+
+const exportRow = (overrides = {}) => ({
+  id: EXPORT_ID,
+  user_id: 'user-123',
+  status: 'pending',
+  file_path: null,
+  file_size: null,
+  error: null,
+  created_at: new Date().toISOString(),
+  completed_at: null,
+  expires_at: null,
+  ...overrides,
+});
+
+describe('Data Export', () => {
+  let app;
+  let tables;
+  let queue;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+
+    // Each table holds a queue of query results, consumed in call order
+    tables = {
+      data_exports: [],
+      profiles: [],
+      kycs: [],
+      cars: [],
+      notifications: [],
+      user_sessions: [],
+      login_history: [],
+      webauthn_credentials: [],
+    };
+    mockSupabaseAdmin.from.mockImplementation(table => tables[table].shift() || createQuery());
+
+    queue = { enqueue: jest.fn() };
+    setExportQueue(queue);
+  });
+
+  describe('POST /api/settings/export', () => {
+    it('should queue an export and return 202', async () => {
+      const insertQuery = createQuery({ data: exportRow(), error: null });
+      tables.data_exports = [createQuery({ data: null, error: { code: 'PGRST116' } }), insertQuery];
+
+      const response = await request(app)
+        .post('/api/settings/export')
+        .set('Authorization', 'Bearer user-token');
+
+      expect(response.status).toBe(202);
+      expect(response.body.data.export).toEqual(expect.objectContaining({ id: EXPORT_ID, status: 'pending' }));
+      expect(insertQuery.insert).toHaveBeenCalledWith({ user_id: 'user-123', status: 'pending' });
+      expect(queue.enqueue).toHaveBeenCalledWith(EXPORT_ID, processDataExport);
+    });
+
+    it('should return 409 while an export is in progress', async () => {
+      tables.data_exports = [createQuery({ data: { id: EXPORT_ID, created_at: new Date().toISOString() }, error: null })];
+
+      const response = await request(app)
+        .post('/api/settings/export')
+        .set('Authorization', 'Bearer user-token');
+
+      expect(response.status).toBe(409);
+      expect(queue.enqueue).not.toHaveBeenCalled();
+    });
+
+    it('should fail a stale export and queue a new one', async () => {
+      const staleQuery = createQuery({ data: null, error: null });
+      tables.data_exports = [
+        createQuery({ data: { id: 'old-export', created_at: new Date(Date.now() - 60 * 60 * 1000).toISOString() }, error: null }),
+        staleQuery,
+        createQuery({ data: exportRow(), error: null }),
+      ];
+
+      const response = await request(app)
+        .post('/api/settings/export')
+        .set('Authorization', 'Bearer user-token');
+
+      expect(response.status).toBe(202);
+      expect(staleQuery.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'failed' }));
+      expect(staleQuery.eq).toHaveBeenCalledWith('id', 'old-export');
+    });
+  });
+
+  describe('GET /api/settings/export/:id', () => {
+    it('should return a signed download link for a completed export', async () => {
+      const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+      const getQuery = createQuery({
+        data: exportRow({ status: 'completed', file_path: `user-123/${EXPORT_ID}.zip`, file_size: 2048, expires_at: expiresAt }),
+        error: null,
+      });
+      tables.data_exports = [getQuery];
+      mockBucket.createSignedUrl.mockResolvedValue({ data: { signedUrl: 'https://signed.example/export.zip' }, error: null });
+
+      const response = await request(app)
+        .get(`/api/settings/export/${EXPORT_ID}`)
+        .set('Authorization', 'Bearer user-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.export).toEqual(expect.objectContaining({
+        status: 'completed',
+        download_url: 'https://signed.example/export.zip',
+        download_url_expires_at: expect.any(String),
+      }));
+      expect(getQuery.eq).toHaveBeenCalledWith('user_id', 'user-123');
+      expect(mockSupabaseAdmin.storage.from).toHaveBeenCalledWith('data-exports');
+      expect(mockBucket.createSignedUrl).toHaveBeenCalledWith(`user-123/${EXPORT_ID}.zip`, 3600, expect.any(Object));
+    });
+
+    it('should not issue a link once the export has expired', async () => {
+      tables.data_exports = [createQuery({
+        data: exportRow({ status: 'completed', file_path: `user-123/${EXPORT_ID}.zip`, expires_at: new Date(Date.now() - 1000).toISOString() }),
+        error: null,
+      })];
+
+      const response = await request(app)
+        .get(`/api/settings/export/${EXPORT_ID}`)
+        .set('Authorization', 'Bearer user-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.export.status).toBe('expired');
+      expect(response.body.data.export.download_url).toBeUndefined();
+      expect(mockBucket.createSignedUrl).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for another user\'s export', async () => {
+      tables.data_exports = [createQuery({ data: null, error: { code: 'PGRST116' } })];
+
+      const response = await request(app)
+        .get(`/api/settings/export/${EXPORT_ID}`)
+        .set('Authorization', 'Bearer user-token');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should return 422 for an invalid id', async () => {
+      const response = await request(app)
+        .get('/api/settings/export/not-a-uuid')
+        .set('Authorization', 'Bearer user-token');
+
+      expect(response.status).toBe(422);
+    });
+  });
+
+  describe('processDataExport', () => {
+    beforeEach(() => {
+      tables.data_exports = [createQuery({ data: { id: EXPORT_ID, user_id: 'user-123' }, error: null })];
+      tables.profiles = [createQuery({
+        data: { id: 'user-123', user_id: 'AbC123', first_name: 'John', email: 'john@example.com', image: null, two_factor_secret: 'SECRET' },
+        error: null,
+      })];
+      tables.kycs = [createQuery({ data: [{ id: 1, nin: '12345678901' }], error: null })];
+      tables.cars = [createQuery({
+        data: [{ id: 10, slug: 'car-slug', document_images: [`${STORAGE}/user-123/car-slug/front.jpg`], cac_document: null, letterhead: null, means_of_identification: null }],
+        error: null,
+      })];
+      tables.notifications = [createQuery({ data: [{ id: 5, message: 'Welcome' }], error: null })];
+      tables.user_sessions = [createQuery({ data: [{ id: 'session-1', device_name: 'Chrome on Windows' }], error: null })];
+      tables.login_history = [createQuery({ data: [{ id: 'login-1', device_fingerprint: 'a1b2c3', alert_reason: 'new_device' }], error: null })];
+      tables.webauthn_credentials = [createQuery({ data: [{ id: 'passkey-1', name: 'Pixel 8' }], error: null })];
+
+      mockBucket.download.mockResolvedValue({ data: new Blob(['jpeg-bytes']), error: null });
+      mockBucket.upload.mockResolvedValue({ data: {}, error: null });
+    });
+
+    it('should zip the user\'s data and documents and mark the export completed', async () => {
+      const completeQuery = createQuery({ data: null, error: null });
+      tables.data_exports.push(completeQuery);
+      const historyQuery = tables.login_history[0];
+
+      await processDataExport(EXPORT_ID);
+
+      expect(mockBucket.download).toHaveBeenCalledWith('user-123/car-slug/front.jpg');
+      expect(mockBucket.upload).toHaveBeenCalledWith(`user-123/${EXPORT_ID}.zip`, expect.any(Buffer), { contentType: 'application/zip', upsert: true });
+
+      const entries = readZip(mockBucket.upload.mock.calls[0][1]);
+      expect(Object.keys(entries).sort()).toEqual(['data.json', 'documents/car-slug/front.jpg']);
+      expect(entries['documents/car-slug/front.jpg'].toString()).toBe('jpeg-bytes');
+
+      const data = JSON.parse(entries['data.json'].toString());
+      expect(data.profile.first_name).toBe('John');
+      // Credentials are not personal data
+      expect(data.profile.two_factor_secret).toBeUndefined();
+      expect(data.kyc).toHaveLength(1);
+      expect(data.cars).toHaveLength(1);
+      expect(data.notifications).toHaveLength(1);
+      expect(data.sessions).toEqual([{ id: 'session-1', device_name: 'Chrome on Windows' }]);
+      expect(data.login_history).toEqual([{ id: 'login-1', device_fingerprint: 'a1b2c3', alert_reason: 'new_device' }]);
+      // The report link's token is a credential
+      expect(historyQuery.select).toHaveBeenCalledWith(expect.not.stringContaining('report_token'));
+      expect(historyQuery.eq).toHaveBeenCalledWith('user_id', 'user-123');
+      expect(data.passkeys).toEqual([{ id: 'passkey-1', name: 'Pixel 8' }]);
+
+      expect(completeQuery.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'completed',
+        file_path: `user-123/${EXPORT_ID}.zip`,
+        expires_at: expect.any(String),
+      }));
+    });
+
+    it('should mark the export failed when the upload fails', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      mockBucket.upload.mockResolvedValue({ data: null, error: { message: 'Bucket not found' } });
+      const failQuery = createQuery({ data: null, error: null });
+      tables.data_exports.push(failQuery);
+
+      await processDataExport(EXPORT_ID);
+
+      expect(failQuery.update).toHaveBeenCalledWith({ status: 'failed', error: 'Export could not be generated. Please request a new one' });
+      consoleSpy.mockRestore();
+    });
+
+    it('should skip a job another worker already claimed', async () => {
+      tables.data_exports = [createQuery({ data: null, error: { code: 'PGRST116' } })];
+
+      await processDataExport(EXPORT_ID);
+
+      expect(mockSupabaseAdmin.from).not.toHaveBeenCalledWith('profiles');
+      expect(mockBucket.upload).not.toHaveBeenCalled();
+    });
+  });
+});
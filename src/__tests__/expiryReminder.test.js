@@ -0,0 +1,183 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createQuery, authenticateAs, ADMIN_USER, CLIENT_USER } from './helpers.js';
+
+const mockSupabaseAdmin = {
+  from: jest.fn(),
+};
+
+const mockSendCarExpiryReminder = jest.fn();
+
+jest.unstable_mockModule('../config/supabase.js', () => ({
+  getSupabaseAdmin: jest.fn(() => mockSupabaseAdmin),
+  getSupabase: jest.fn(),
+  getSupabaseUser: jest.fn(),
+}));
+
+jest.unstable_mockModule('../services/email/email.service.js', () => ({
+  sendEmail: jest.fn(),
+  sendCarExpiryReminder: mockSendCarExpiryReminder,
+  sendAccountLockedAlert: jest.fn(),
+}));
+
+jest.unstable_mockModule('../middleware/authenticate.js', () => ({
+  authenticate: authenticateAs({ 'admin-token': ADMIN_USER, 'user-token': CLIENT_USER }),
+  invalidateProfileCache: jest.fn(),
+}));
+
+const adminRoutes = (await import('../routes/admin.routes.js')).default;
+const { runExpiryReminders, dueThreshold } = await import('../services/expiryReminder.service.js');
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', adminRoutes);
+  return app;
+};
+
+// 09:00 in Lagos on 2026-03-10
+const NOW = new Date('2026-03-10T08:00:00Z');
+
+const createTestCar = (overrides = {}) => ({
+  id: 10,
+  slug: '123e4567-e89b-12d3-a456-426614174000',
+  user_id: 'user-123',
+  vehicle_make: 'Toyota',
+  vehicle_model: 'Corolla',
+  plate_number: 'LAG-123-AB',
+  registration_no: null,
+  expiry_date: '2026-03-15',
+  ...overrides,
+});
+
+describe('Expiry Reminders', () => {
+  let tables;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    // Each table holds a queue of query results, consumed in call order
+    tables = {
+      cars: [createQuery({ data: [createTestCar()], error: null })],
+      car_expiry_reminders: [
+        createQuery({ data: [], error: null }),
+        createQuery({ data: { id: 1 }, error: null }),
+      ],
+      profiles: [
+        createQuery({ data: [{ id: 'user-123', email: 'john@example.com', first_name: 'John' }], error: null }),
+        createQuery({ data: { user_id: 'AbC123' }, error: null }),
+      ],
+      notifications: [createQuery({ data: { id: 1 }, error: null })],
+    };
+    mockSupabaseAdmin.from.mockImplementation(table => tables[table].shift() || createQuery());
+    mockSendCarExpiryReminder.mockResolvedValue({ success: true });
+  });
+
+  describe('dueThreshold', () => {
+    it('should pick the closest threshold crossed', () => {
+      expect(dueThreshold(30)).toBe(30);
+      expect(dueThreshold(8)).toBe(30);
+      expect(dueThreshold(5)).toBe(7);
+      expect(dueThreshold(1)).toBe(1);
+      expect(dueThreshold(0)).toBe(1);
+      expect(dueThreshold(31)).toBeNull();
+      expect(dueThreshold(-1)).toBeNull();
+    });
+  });
+
+  describe('runExpiryReminders', () => {
+    it('should claim, email and notify once for the due threshold', async () => {
+      const carsQuery = tables.cars[0];
+      const claimQuery = tables.car_expiry_reminders[1];
+
+      const summary = await runExpiryReminders({ now: NOW });
+
+      expect(summary).toEqual({ checked: 1, sent: 1, skipped: 0, failed: 0 });
+      expect(carsQuery.gte).toHaveBeenCalledWith('expiry_date', '2026-03-10');
+      expect(carsQuery.lte).toHaveBeenCalledWith('expiry_date', '2026-04-09');
+      expect(claimQuery.insert).toHaveBeenCalledWith({
+        car_id: 10,
+        user_id: 'user-123',
+        expiry_date: '2026-03-15',
+        threshold_days: 7,
+      });
+      expect(mockSendCarExpiryReminder).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'john@example.com',
+        vehicle: 'Toyota Corolla',
+        plateNumber: 'LAG-123-AB',
+        daysLeft: 5,
+      }));
+      expect(mockSupabaseAdmin.from).toHaveBeenCalledWith('notifications');
+    });
+
+    it('should skip reminders already recorded', async () => {
+      tables.car_expiry_reminders = [
+        createQuery({ data: [{ car_id: 10, expiry_date: '2026-03-15', threshold_days: 7 }], error: null }),
+      ];
+
+      const summary = await runExpiryReminders({ now: NOW });
+
+      expect(summary).toEqual({ checked: 1, sent: 0, skipped: 1, failed: 0 });
+      expect(mockSendCarExpiryReminder).not.toHaveBeenCalled();
+    });
+
+    it('should skip a reminder claimed by a concurrent run', async () => {
+      tables.car_expiry_reminders[1] = createQuery({ data: null, error: { code: '23505' } });
+
+      const summary = await runExpiryReminders({ now: NOW });
+
+      expect(summary.skipped).toBe(1);
+      expect(mockSendCarExpiryReminder).not.toHaveBeenCalled();
+    });
+
+    it('should release the claim when the email fails so the next run retries', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      mockSendCarExpiryReminder.mockRejectedValue(new Error('Email send failed'));
+      const releaseQuery = createQuery();
+      tables.car_expiry_reminders.push(releaseQuery);
+
+      const summary = await runExpiryReminders({ now: NOW });
+
+      expect(summary).toEqual({ checked: 1, sent: 0, skipped: 0, failed: 1 });
+      expect(releaseQuery.delete).toHaveBeenCalled();
+      expect(releaseQuery.eq).toHaveBeenCalledWith('id', 1);
+      expect(mockSupabaseAdmin.from).not.toHaveBeenCalledWith('notifications');
+      consoleSpy.mockRestore();
+    });
+
+    it('should only send the reminders not yet recorded across cars', async () => {
+      tables.cars = [createQuery({ data: [createTestCar({ expiry_date: '2026-03-25' }), createTestCar({ id: 11, expiry_date: '2026-04-01' })], error: null })];
+      tables.car_expiry_reminders = [
+        createQuery({ data: [{ car_id: 11, expiry_date: '2026-04-01', threshold_days: 30 }], error: null }),
+        createQuery({ data: { id: 2 }, error: null }),
+      ];
+
+      const summary = await runExpiryReminders({ now: NOW });
+
+      expect(summary).toEqual({ checked: 2, sent: 1, skipped: 1, failed: 0 });
+      expect(mockSendCarExpiryReminder).toHaveBeenCalledWith(expect.objectContaining({ daysLeft: 15 }));
+    });
+  });
+
+  describe('POST /api/admin/reminders/expiry/run', () => {
+    it('should run the job and return the summary', async () => {
+      tables.cars = [createQuery({ data: [], error: null })];
+
+      const response = await request(createTestApp())
+        .post('/api/admin/reminders/expiry/run')
+        .set('Authorization', 'Bearer admin-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.summary).toEqual({ checked: 0, sent: 0, skipped: 0, failed: 0 });
+    });
+
+    it('should reject non-admin users', async () => {
+      const response = await request(createTestApp())
+        .post('/api/admin/reminders/expiry/run')
+        .set('Authorization', 'Bearer user-token');
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
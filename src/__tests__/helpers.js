@@ -0,0 +1,58 @@
+/**
+ * Shared test fixtures: a stand-in for supabase-js queries and for the
+ * rate limiting and authentication middleware
+ */
+import { jest } from '@jest/globals';
+
+// Every filter and modifier the services chain on a query
+const QUERY_METHODS = [
+  'select', 'insert', 'update', 'upsert', 'delete',
+  'eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'is', 'not', 'or',
+  'order', 'range', 'limit'
+];
+
+// Chainable, awaitable query builder that resolves to the given result
+export const createQuery = (result = { data: null, error: null }) => {
+  const query = {};
+  QUERY_METHODS.forEach(method => {
+    query[method] = jest.fn(() => query);
+  });
+  query.single = jest.fn(() => Promise.resolve(result));
+  query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return query;
+};
+
+// For jest.unstable_mockModule('../middleware/rateLimiter.js', ...) in files
+// that would otherwise exhaust the limiters
+const passThrough = (req, res, next) => next();
+export const passThroughRateLimiters = {
+  apiLimiter: passThrough,
+  authLimiter: passThrough,
+  otpLimiter: passThrough,
+  passwordResetLimiter: passThrough,
+  carRegistrationLimiter: passThrough,
+};
+
+export const ADMIN_USER = { id: 'admin-1', profile: { id: 'admin-1', is_admin: true, user_type_id: 1 } };
+export const CLIENT_USER = { id: 'user-123', profile: { id: 'user-123', is_admin: false, user_type_id: 2 } };
+
+/**
+ * Stand-in for the authenticate middleware
+ * Signs in the user listed under the request's bearer token (req.user and
+ * req.token); any other request gets the middleware's 401.
+ *
+ * @param {Object<string, Object>} users - Bearer token -> req.user
+ * @param {Object} [extra] - Other fields to set on the request, e.g. sessionId
+ */
+export const authenticateAs = (users, extra = {}) => (req, res, next) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  const user = users[token];
+
+  if (user) {
+    req.user = { ...user };
+    req.token = token;
+    Object.assign(req, extra);
+    return next();
+  }
+  return res.status(401).json({ success: false, message: 'No token provided' });
+};
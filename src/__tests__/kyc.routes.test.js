@@ -0,0 +1,314 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createQuery, authenticateAs, ADMIN_USER } from './helpers.js';
+
+const notFound = { data: null, error: { code: 'PGRST116', message: 'No rows found' } };
+
+const mockSupabaseAdmin = {
+  from: jest.fn(),
+  rpc: jest.fn(),
+};
+
+jest.unstable_mockModule('../config/supabase.js', () => ({
+  getSupabaseAdmin: jest.fn(() => mockSupabaseAdmin),
+  getSupabase: jest.fn(),
+  getSupabaseUser: jest.fn(),
+}));
+
+jest.unstable_mockModule('../middleware/authenticate.js', () => ({
+  authenticate: authenticateAs({
+    'admin-token': { ...ADMIN_USER, email_confirmed_at: '2024-01-01' },
+    'user-token': {
+      id: 'user-123',
+      email: 'john@example.com',
+      email_confirmed_at: '2024-01-01',
+      profile: { id: 'user-123', user_id: 'AbC123', first_name: 'John', last_name: 'Doe', phone_number: '+2348012345678', nin: null, is_admin: false, user_type_id: 2 }
+    },
+  }),
+  invalidateProfileCache: jest.fn(),
+}));
+
+const kycRoutes = (await import('../routes/kyc.routes.js')).default;
+const adminRoutes = (await import('../routes/admin.routes.js')).default;
+const profileRoutes = (await import('../routes/profile.routes.js')).default;
+const { setIdentityProvider } = await import('../services/identity/identity.service.js');
+const { createFakeProvider } = await import('../services/identity/providers/fake.provider.js');
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/kyc', kycRoutes);
+  app.use('/api/admin', adminRoutes);
+  app.use('/api/settings/profile', profileRoutes);
+  return app;
+};
+
+const createTestKyc = (overrides = {}) => ({
+  id: 1,
+  user_id: 'user-123',
+  nin: '12345678901',
+  bvn: null,
+  first_name: 'John',
+  last_name: 'Doe',
+  email: 'john@example.com',
+  phone: '+2348012345678',
+  date_of_birth: '1990-01-15',
+  status: 'pending',
+  rejection_reason: null,
+  ...overrides,
+});
+
+describe('KYC Endpoints', () => {
+  let app;
+  let tables;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+
+    // Each table holds a queue of query results, consumed in call order
+    tables = {
+      kycs: [],
+      profiles: [createQuery({ data: { user_id: 'AbC123' }, error: null })],
+      notifications: [createQuery({ data: { id: 1 }, error: null })],
+    };
+    mockSupabaseAdmin.from.mockImplementation(table => tables[table].shift() || createQuery());
+    setIdentityProvider(createFakeProvider());
+  });
+
+  describe('POST /api/kyc', () => {
+    it('should submit a KYC using profile defaults and auto-verify a matching identity', async () => {
+      const insertQuery = createQuery({ data: createTestKyc(), error: null });
+      tables.kycs = [createQuery(notFound), insertQuery];
+      mockSupabaseAdmin.rpc.mockResolvedValue({ data: [createTestKyc({ status: 'verified', verification_method: 'auto' })], error: null });
+
+      const response = await request(app)
+        .post('/api/kyc')
+        .set('Authorization', 'Bearer user-token')
+        .send({ nin: '12345678901', bvn: '22345678901', date_of_birth: '1990-01-15' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.message).toBe('KYC verified successfully');
+      expect(response.body.data.kyc.status).toBe('verified');
+      expect(insertQuery.insert).toHaveBeenCalledWith({
+        user_id: 'user-123',
+        nin: '12345678901',
+        bvn: '22345678901',
+        first_name: 'John',
+        last_name: 'Doe',
+        email: 'john@example.com',
+        phone: '+2348012345678',
+        date_of_birth: '1990-01-15',
+        status: 'pending',
+      });
+      expect(mockSupabaseAdmin.rpc).toHaveBeenCalledWith('review_kyc', {
+        p_kyc_id: 1,
+        p_reviewer_id: null,
+        p_status: 'verified',
+        p_reason: null,
+        p_method: 'auto',
+        p_notes: 'Matched by fake provider',
+      });
+    });
+
+    it('should leave a mismatched identity pending for manual review', async () => {
+      const notesQuery = createQuery({ data: [createTestKyc({ date_of_birth: '1991-02-02', verification_notes: 'NIN record mismatch: date_of_birth' })], error: null });
+      tables.kycs = [createQuery(notFound), createQuery({ data: createTestKyc({ date_of_birth: '1991-02-02' }), error: null }), notesQuery];
+
+      const response = await request(app)
+        .post('/api/kyc')
+        .set('Authorization', 'Bearer user-token')
+        .send({ nin: '12345678901', date_of_birth: '1991-02-02' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.message).toBe('KYC submitted for review');
+      expect(response.body.data.kyc.status).toBe('pending');
+      expect(notesQuery.update).toHaveBeenCalledWith({ verification_notes: 'NIN record mismatch: date_of_birth' });
+      expect(notesQuery.eq).toHaveBeenCalledWith('status', 'pending');
+      expect(mockSupabaseAdmin.rpc).not.toHaveBeenCalled();
+    });
+
+    it('should leave the KYC pending when the NIN is unknown or the provider is down', async () => {
+      for (const [nin, notes] of [
+        ['10987654321', 'NIN not found'],
+        ['99999999999', 'Identity provider unavailable: Fake NIN lookup unavailable'],
+      ]) {
+        const notesQuery = createQuery({ data: [], error: null });
+        tables.kycs = [createQuery(notFound), createQuery({ data: createTestKyc({ nin }), error: null }), notesQuery];
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const response = await request(app)
+          .post('/api/kyc')
+          .set('Authorization', 'Bearer user-token')
+          .send({ nin, date_of_birth: '1990-01-15' });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.kyc).toEqual(expect.objectContaining({ status: 'pending', verification_notes: notes }));
+        consoleSpy.mockRestore();
+      }
+      expect(mockSupabaseAdmin.rpc).not.toHaveBeenCalled();
+    });
+
+    it('should send every KYC to manual review when no provider is configured', async () => {
+      setIdentityProvider(null);
+      tables.kycs = [createQuery(notFound), createQuery({ data: createTestKyc(), error: null }), createQuery({ data: [], error: null })];
+
+      const response = await request(app)
+        .post('/api/kyc')
+        .set('Authorization', 'Bearer user-token')
+        .send({ nin: '12345678901', date_of_birth: '1990-01-15' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.kyc.verification_notes).toBe('No identity provider configured');
+      expect(mockSupabaseAdmin.rpc).not.toHaveBeenCalled();
+    });
+
+    it('should return 422 for a NIN or BVN that is not 11 digits', async () => {
+      const response = await request(app)
+        .post('/api/kyc')
+        .set('Authorization', 'Bearer user-token')
+        .send({ nin: '1234', bvn: 'ABCDEFGHIJK', date_of_birth: '1990-01-15' });
+
+      expect(response.status).toBe(422);
+      expect(response.body.errors.map(e => e.field)).toEqual(['nin', 'bvn']);
+    });
+
+    it('should return 409 when a KYC already exists', async () => {
+      tables.kycs = [createQuery({ data: createTestKyc(), error: null })];
+
+      const response = await request(app)
+        .post('/api/kyc')
+        .set('Authorization', 'Bearer user-token')
+        .send({ nin: '12345678901', date_of_birth: '1990-01-15' });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should return 409 when the NIN belongs to another account', async () => {
+      tables.kycs = [
+        createQuery(notFound),
+        createQuery({ data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint "kycs_nin_key"' } }),
+      ];
+
+      const response = await request(app)
+        .post('/api/kyc')
+        .set('Authorization', 'Bearer user-token')
+        .send({ nin: '12345678901', date_of_birth: '1990-01-15' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.message).toBe('NIN or BVN is already registered to another account');
+    });
+  });
+
+  describe('PUT /api/kyc', () => {
+    it('should resubmit a rejected KYC', async () => {
+      const updateQuery = createQuery({ data: [createTestKyc({ nin: '10987654321' })], error: null });
+      tables.kycs = [
+        createQuery({ data: createTestKyc({ status: 'rejected', rejection_reason: 'Blurry' }), error: null }),
+        updateQuery,
+        createQuery({ data: [createTestKyc({ nin: '10987654321', verification_notes: 'NIN not found' })], error: null }),
+      ];
+
+      const response = await request(app)
+        .put('/api/kyc')
+        .set('Authorization', 'Bearer user-token')
+        .send({ nin: '10987654321', date_of_birth: '1990-01-15' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('KYC resubmitted for review');
+      expect(updateQuery.update).toHaveBeenCalledWith(expect.objectContaining({ nin: '10987654321', status: 'pending', rejection_reason: null }));
+      expect(updateQuery.eq).toHaveBeenCalledWith('status', 'rejected');
+    });
+
+    it('should return 409 when the KYC is not rejected', async () => {
+      tables.kycs = [createQuery({ data: createTestKyc(), error: null })];
+
+      const response = await request(app)
+        .put('/api/kyc')
+        .set('Authorization', 'Bearer user-token')
+        .send({ nin: '12345678901', date_of_birth: '1990-01-15' });
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('Admin KYC review', () => {
+    it('should require admin access', async () => {
+      const response = await request(app)
+        .get('/api/admin/kycs')
+        .set('Authorization', 'Bearer user-token');
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should list pending KYCs by default', async () => {
+      const listQuery = createQuery({ data: [createTestKyc()], count: 1, error: null });
+      tables.kycs = [listQuery];
+
+      const response = await request(app)
+        .get('/api/admin/kycs')
+        .set('Authorization', 'Bearer admin-token');
+
+      expect(response.status).toBe(200);
+      expect(listQuery.eq).toHaveBeenCalledWith('status', 'pending');
+      expect(response.body.data.pagination).toEqual({ total: 1, page: 1, limit: 20, pages: 1 });
+    });
+
+    it('should verify a pending KYC through the review_kyc function', async () => {
+      tables.kycs = [createQuery({ data: createTestKyc(), error: null })];
+      mockSupabaseAdmin.rpc.mockResolvedValue({ data: [createTestKyc({ status: 'verified' })], error: null });
+
+      const response = await request(app)
+        .put('/api/admin/kycs/1/verify')
+        .set('Authorization', 'Bearer admin-token')
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.kyc.status).toBe('verified');
+      expect(mockSupabaseAdmin.rpc).toHaveBeenCalledWith('review_kyc', {
+        p_kyc_id: 1,
+        p_reviewer_id: 'admin-1',
+        p_status: 'verified',
+        p_reason: null,
+        p_method: 'manual',
+        p_notes: null,
+      });
+    });
+
+    it('should require a reason to reject', async () => {
+      const response = await request(app)
+        .put('/api/admin/kycs/1/reject')
+        .set('Authorization', 'Bearer admin-token')
+        .send({});
+
+      expect(response.status).toBe(422);
+    });
+
+    it('should return 409 when the KYC is not pending', async () => {
+      tables.kycs = [createQuery({ data: createTestKyc({ status: 'verified' }), error: null })];
+
+      const response = await request(app)
+        .put('/api/admin/kycs/1/reject')
+        .set('Authorization', 'Bearer admin-token')
+        .send({ reason: 'Mismatch' });
+
+      expect(response.status).toBe(409);
+      expect(mockSupabaseAdmin.rpc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /api/settings/profile', () => {
+    it('should refuse to change the NIN once KYC is verified', async () => {
+      tables.kycs = [createQuery({ data: createTestKyc({ status: 'verified' }), error: null })];
+
+      const response = await request(app)
+        .put('/api/settings/profile')
+        .set('Authorization', 'Bearer user-token')
+        .send({ nin: '10987654321' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe('NIN cannot be changed after KYC verification');
+    });
+  });
+});
@@ -0,0 +1,276 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createQuery, passThroughRateLimiters, authenticateAs, ADMIN_USER } from './helpers.js';
+
+const NOT_FOUND = { data: null, error: { code: 'PGRST116' } };
+
+const mockSupabase = {
+  auth: { signInWithPassword: jest.fn() },
+};
+
+const mockSupabaseAdmin = {
+  from: jest.fn(),
+  rpc: jest.fn(),
+  auth: { admin: { getUserById: jest.fn() } },
+};
+
+const mockSendAccountLockedAlert = jest.fn();
+const mockNotifyUser = jest.fn();
+
+jest.unstable_mockModule('../config/supabase.js', () => ({
+  getSupabaseAdmin: jest.fn(() => mockSupabaseAdmin),
+  getSupabase: jest.fn(() => mockSupabase),
+  getSupabaseUser: jest.fn(),
+  getSupabaseEphemeral: jest.fn(),
+}));
+
+jest.unstable_mockModule('../services/email/email.service.js', () => ({
+  sendEmail: jest.fn(),
+  send2FACode: jest.fn(),
+  sendPasswordResetOTP: jest.fn(),
+  sendEmailChangeOTP: jest.fn(),
+  sendEmailChangedAlert: jest.fn(),
+  sendAccountDeletionScheduled: jest.fn(),
+  sendAccountLockedAlert: mockSendAccountLockedAlert,
+  sendNewLoginAlert: jest.fn(),
+  sendCarExpiryReminder: jest.fn(),
+}));
+
+jest.unstable_mockModule('../services/notification.service.js', () => ({
+  notifyUser: mockNotifyUser,
+}));
+
+jest.unstable_mockModule('../middleware/authenticate.js', () => ({
+  authenticate: authenticateAs({ 'admin-token': ADMIN_USER }),
+  invalidateProfileCache: jest.fn(),
+}));
+
+jest.unstable_mockModule('../middleware/checkAdmin.js', () => ({
+  checkAdmin: (req, res, next) => next(),
+}));
+
+// Each test fails several logins; the IP limiter is not under test here
+jest.unstable_mockModule('../middleware/rateLimiter.js', () => passThroughRateLimiters);
+
+const authRoutes = (await import('../routes/auth.routes.js')).default;
+const adminRoutes = (await import('../routes/admin.routes.js')).default;
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  app.use('/api/admin', adminRoutes);
+  return app;
+};
+
+const USER_ID = 'user-123';
+const EMAIL = 'user@example.com';
+const SESSION = { access_token: 'access-abc', refresh_token: 'refresh-abc', expires_in: 3600 };
+
+describe('Account lockout', () => {
+  let app;
+  let tables;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+
+    tables = { profiles: [], account_lockouts: [], login_failures: [], kycs: [] };
+    mockSupabaseAdmin.from.mockImplementation(table => tables[table].shift() || createQuery());
+    mockSupabaseAdmin.rpc.mockResolvedValue({
+      data: [{ failed_attempts: 1, locked: false, lock_expires_at: null, lockout_number: null }],
+      error: null,
+    });
+    mockSupabase.auth.signInWithPassword.mockResolvedValue({
+      data: null,
+      error: { message: 'Invalid login credentials' },
+    });
+  });
+
+  const login = () => request(app)
+    .post('/api/auth/login')
+    .send({ email: EMAIL, password: 'Password123!' });
+
+  describe('POST /api/auth/login', () => {
+    it('should refuse a locked account without checking the password', async () => {
+      const lockedUntil = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+      tables.profiles = [createQuery({ data: { id: USER_ID }, error: null })];
+      tables.account_lockouts = [createQuery({ data: { locked_until: lockedUntil }, error: null })];
+
+      const response = await login();
+
+      expect(response.status).toBe(423);
+      expect(Number(response.headers['retry-after'])).toBeGreaterThan(590);
+      expect(mockSupabase.auth.signInWithPassword).not.toHaveBeenCalled();
+    });
+
+    it('should let the user in once the lock has ended', async () => {
+      tables.profiles = [
+        createQuery({ data: { id: USER_ID }, error: null }),
+        createQuery({ data: { id: USER_ID, email: EMAIL }, error: null }),
+      ];
+      tables.account_lockouts = [
+        createQuery({ data: { locked_until: new Date(Date.now() - 1000).toISOString() }, error: null }),
+      ];
+      mockSupabase.auth.signInWithPassword.mockResolvedValue({
+        data: { user: { id: USER_ID, email: EMAIL }, session: SESSION },
+        error: null,
+      });
+
+      const response = await login();
+
+      expect(response.status).toBe(200);
+      expect(mockSupabaseAdmin.from).toHaveBeenCalledWith('login_failures');
+    });
+
+    it('should count a wrong password against the account', async () => {
+      tables.profiles = [createQuery({ data: { id: USER_ID }, error: null })];
+      tables.account_lockouts = [createQuery(NOT_FOUND)];
+
+      const response = await login();
+
+      expect(response.status).toBe(401);
+      expect(mockSupabaseAdmin.rpc).toHaveBeenCalledWith('record_login_failure', expect.objectContaining({
+        p_user_id: USER_ID,
+        p_factor: 'password',
+        p_max_attempts: 5,
+      }));
+      expect(mockSendAccountLockedAlert).not.toHaveBeenCalled();
+    });
+
+    it('should lock the account and alert the owner on the last allowed failure', async () => {
+      const lockedUntil = new Date(Date.now() + 15 * 60 * 1000).toISOString();
+      tables.profiles = [
+        createQuery({ data: { id: USER_ID }, error: null }),
+        createQuery({ data: { email: EMAIL }, error: null }),
+      ];
+      tables.account_lockouts = [createQuery(NOT_FOUND)];
+      mockSupabaseAdmin.rpc.mockResolvedValue({
+        data: [{ failed_attempts: 5, locked: true, lock_expires_at: lockedUntil, lockout_number: 1 }],
+        error: null,
+      });
+
+      const response = await login();
+
+      expect(response.status).toBe(423);
+      expect(response.headers['retry-after']).toBeDefined();
+      expect(mockSendAccountLockedAlert).toHaveBeenCalledWith(expect.objectContaining({ to: EMAIL, minutes: 15 }));
+      expect(mockNotifyUser).toHaveBeenCalledWith(expect.objectContaining({
+        userId: USER_ID,
+        action: 'account_locked',
+      }));
+    });
+
+    it('should not count failures for an unknown email', async () => {
+      tables.profiles = [createQuery(NOT_FOUND)];
+
+      const response = await login();
+
+      expect(response.status).toBe(401);
+      expect(mockSupabaseAdmin.rpc).not.toHaveBeenCalled();
+    });
+
+    it('should still reject a bad password if the lockout check fails', async () => {
+      tables.profiles = [createQuery({ data: { id: USER_ID }, error: null })];
+      tables.account_lockouts = [createQuery({ data: null, error: { code: '500', message: 'boom' } })];
+      mockSupabaseAdmin.rpc.mockResolvedValue({ data: null, error: { message: 'boom' } });
+
+      const response = await login();
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('POST /api/auth/2fa/verify-login', () => {
+    it('should refuse the second factor while the account is locked', async () => {
+      const { create2FALoginToken } = await import('../services/twoFactor.service.js');
+      const tempToken = await create2FALoginToken(USER_ID, SESSION);
+      tables.account_lockouts = [
+        createQuery({ data: { locked_until: new Date(Date.now() + 60000).toISOString() }, error: null }),
+      ];
+
+      const response = await request(app)
+        .post('/api/auth/2fa/verify-login')
+        .send({ user_id: USER_ID, temp_token: tempToken, code: '123456' });
+
+      expect(response.status).toBe(423);
+    });
+
+    it('should count a wrong 2FA code against the account', async () => {
+      const { create2FALoginToken } = await import('../services/twoFactor.service.js');
+      const tempToken = await create2FALoginToken(USER_ID, SESSION);
+      tables.account_lockouts = [createQuery(NOT_FOUND)];
+      tables.profiles = [createQuery({
+        data: { id: USER_ID, two_factor_enabled: true, two_factor_type: 'google', two_factor_secret: 'JBSWY3DPEHPK3PXP' },
+        error: null,
+      })];
+
+      const response = await request(app)
+        .post('/api/auth/2fa/verify-login')
+        .send({ user_id: USER_ID, temp_token: tempToken, code: '000000' });
+
+      expect(response.status).toBe(400);
+      expect(mockSupabaseAdmin.rpc).toHaveBeenCalledWith('record_login_failure', expect.objectContaining({
+        p_user_id: USER_ID,
+        p_factor: 'two_factor',
+      }));
+    });
+  });
+
+  describe('Admin', () => {
+    it('should show the lockout on the user detail view', async () => {
+      const lockedUntil = new Date(Date.now() + 60000).toISOString();
+      tables.profiles = [createQuery({ data: { id: USER_ID, first_name: 'Ada' }, error: null })];
+      tables.account_lockouts = [createQuery({
+        data: { lockout_count: 2, locked_until: lockedUntil, locked_at: new Date().toISOString(), reason: 'password', ip_address: '1.2.3.4' },
+        error: null,
+      })];
+      tables.login_failures = [createQuery({
+        data: [{ factor: 'two_factor', attempts: 2, last_failed_at: new Date().toISOString(), last_ip_address: '1.2.3.4' }],
+        error: null,
+      })];
+      mockSupabaseAdmin.auth.admin.getUserById.mockResolvedValue({ data: { user: { email: EMAIL } } });
+
+      const response = await request(app)
+        .get(`/api/admin/users/${USER_ID}`)
+        .set('Authorization', 'Bearer admin-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.user.lockout).toMatchObject({
+        locked: true,
+        locked_until: lockedUntil,
+        reason: 'password',
+        lockout_count: 2,
+      });
+      expect(response.body.data.user.lockout.failed_attempts).toHaveLength(1);
+    });
+
+    it('should clear a lockout', async () => {
+      const lockouts = createQuery();
+      const failures = createQuery();
+      tables.profiles = [createQuery({ data: { id: USER_ID }, error: null })];
+      tables.account_lockouts = [lockouts];
+      tables.login_failures = [failures];
+
+      const response = await request(app)
+        .delete(`/api/admin/users/${USER_ID}/lockout`)
+        .set('Authorization', 'Bearer admin-token');
+
+      expect(response.status).toBe(200);
+      expect(lockouts.delete).toHaveBeenCalled();
+      expect(lockouts.eq).toHaveBeenCalledWith('user_id', USER_ID);
+      expect(failures.delete).toHaveBeenCalled();
+    });
+
+    it('should return 404 when clearing the lockout of an unknown user', async () => {
+      tables.profiles = [createQuery(NOT_FOUND)];
+
+      const response = await request(app)
+        .delete(`/api/admin/users/${USER_ID}/lockout`)
+        .set('Authorization', 'Bearer admin-token');
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,221 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { hashSecret } from '../utils/secretHash.js';
+import { createQuery, passThroughRateLimiters } from './helpers.js';
+
+const mockSupabase = {
+  auth: { signInWithPassword: jest.fn() },
+};
+
+const mockSupabaseAdmin = {
+  from: jest.fn(),
+  rpc: jest.fn(),
+  auth: { admin: { signOut: jest.fn() } },
+};
+
+jest.unstable_mockModule('../config/supabase.js', () => ({
+  getSupabaseAdmin: jest.fn(() => mockSupabaseAdmin),
+  getSupabase: jest.fn(() => mockSupabase),
+  getSupabaseUser: jest.fn(),
+  getSupabaseEphemeral: jest.fn(),
+}));
+
+const mockSendNewLoginAlert = jest.fn();
+jest.unstable_mockModule('../services/email/email.service.js', () => ({
+  sendEmail: jest.fn(),
+  send2FACode: jest.fn(),
+  sendPasswordResetOTP: jest.fn(),
+  sendEmailChangeOTP: jest.fn(),
+  sendEmailChangedAlert: jest.fn(),
+  sendAccountDeletionScheduled: jest.fn(),
+  sendAccountLockedAlert: jest.fn(),
+  sendNewLoginAlert: mockSendNewLoginAlert,
+}));
+
+jest.unstable_mockModule('../middleware/rateLimiter.js', () => passThroughRateLimiters);
+
+const authRoutes = (await import('../routes/auth.routes.js')).default;
+const { getDeviceFingerprint } = await import('../services/loginHistory.service.js');
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', authRoutes);
+  return app;
+};
+
+const USER_ID = 'user-123';
+const LOGIN_ID = '6f1c2a9e-3b7d-4c8e-9a1f-2d3e4f5a6b7c';
+const CHROME = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const accessToken = `header.${Buffer.from(JSON.stringify({ session_id: '0e4a1b2c-5d6e-4f70-8a9b-0c1d2e3f4a5b' })).toString('base64url')}.signature`;
+const SESSION = { access_token: accessToken, refresh_token: 'refresh-abc', expires_in: 3600 };
+
+describe('Sign-in alerts', () => {
+  let app;
+  let tables;
+  let profile;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+
+    profile = { id: USER_ID, user_id: 'AbC123', email: 'ada@example.com', two_factor_enabled: false };
+    tables = { login_history: [] };
+    mockSupabaseAdmin.from.mockImplementation(table =>
+      tables[table]?.shift() || createQuery(table === 'profiles' ? { data: profile, error: null } : undefined));
+    mockSupabaseAdmin.rpc.mockResolvedValue({ data: true, error: null });
+    mockSupabase.auth.signInWithPassword.mockResolvedValue({
+      data: { user: { id: USER_ID, email: 'ada@example.com' }, session: SESSION },
+      error: null,
+    });
+  });
+
+  const queriesFor = table => mockSupabaseAdmin.from.mock.calls
+    .map(([name], i) => name === table && mockSupabaseAdmin.from.mock.results[i].value)
+    .filter(Boolean);
+
+  // The latest recorded sign-in and whether this device signed in before,
+  // then the new row
+  const withHistory = ({ lastLoginAt = null, knownDevice = false } = {}) => {
+    const insert = createQuery({
+      data: { id: LOGIN_ID, device_name: 'Chrome on Windows', ip_address: '::ffff:127.0.0.1', alert_reason: null, created_at: new Date().toISOString() },
+      error: null,
+    });
+    insert.insert.mockImplementation(row => {
+      insert.single.mockResolvedValue({ data: { ...row, id: LOGIN_ID }, error: null });
+      return insert;
+    });
+    tables.login_history.push(
+      createQuery({ data: lastLoginAt ? [{ created_at: lastLoginAt }] : [], error: null }),
+      createQuery({ data: knownDevice ? [{ id: 'earlier-login' }] : [], error: null }),
+      insert
+    );
+    return insert;
+  };
+
+  const login = () => request(app)
+    .post('/api/login')
+    .set('User-Agent', CHROME)
+    .send({ email: 'ada@example.com', password: 'Password123!' });
+
+  describe('on login', () => {
+    it('should email a report link for a device the user has not signed in from', async () => {
+      const insert = withHistory({ lastLoginAt: '2026-01-01T00:00:00Z' });
+
+      const response = await login();
+
+      expect(response.status).toBe(200);
+      expect(insert.insert).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: USER_ID,
+        device_name: 'Chrome on Windows',
+        alert_reason: 'new_device',
+      }));
+      const [row] = insert.insert.mock.calls[0];
+      expect(row.report_token).toMatch(/^scrypt\$/);
+
+      expect(mockSendNewLoginAlert).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'ada@example.com',
+        afterPasswordReset: false,
+        deviceName: 'Chrome on Windows',
+      }));
+      const { reportUrl } = mockSendNewLoginAlert.mock.calls[0][0];
+      expect(reportUrl).toContain(`/security/report-login?login_id=${LOGIN_ID}&token=`);
+    });
+
+    it('should not email for a known device', async () => {
+      const insert = withHistory({ lastLoginAt: '2026-01-01T00:00:00Z', knownDevice: true });
+
+      await login();
+
+      expect(insert.insert).toHaveBeenCalledWith(expect.objectContaining({ alert_reason: null }));
+      expect(mockSendNewLoginAlert).not.toHaveBeenCalled();
+    });
+
+    it('should not email for the first recorded sign-in', async () => {
+      withHistory();
+
+      await login();
+
+      expect(mockSendNewLoginAlert).not.toHaveBeenCalled();
+    });
+
+    it('should email for the first sign-in after a password reset', async () => {
+      profile.password_reset_at = new Date(Date.now() - 60 * 1000).toISOString();
+      withHistory({ lastLoginAt: '2026-01-01T00:00:00Z', knownDevice: true });
+
+      await login();
+
+      expect(mockSendNewLoginAlert).toHaveBeenCalledWith(expect.objectContaining({ afterPasswordReset: true }));
+    });
+
+    it('should refuse to sign in until a reported account resets its password', async () => {
+      profile.password_reset_required = true;
+
+      const response = await login();
+
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe('Reset your password to sign in again');
+      expect(response.body.data?.session).toBeUndefined();
+    });
+  });
+
+  describe('device fingerprint', () => {
+    it('should ignore the browser version and the host within a network', () => {
+      const base = getDeviceFingerprint({ userAgent: CHROME, ipAddress: '102.89.4.10' });
+
+      expect(getDeviceFingerprint({ userAgent: CHROME.replace('120.0', '121.0'), ipAddress: '102.89.4.77' })).toBe(base);
+      expect(getDeviceFingerprint({ userAgent: CHROME, ipAddress: '41.58.1.10' })).not.toBe(base);
+      expect(getDeviceFingerprint({ userAgent: CHROME, ipAddress: '2001:db8::1' }))
+        .toBe(getDeviceFingerprint({ userAgent: CHROME, ipAddress: '2001:db8:0:0:ffff::2' }));
+    });
+  });
+
+  describe('"this wasn\'t me"', () => {
+    // Not async: the query is thenable, so awaiting it would unwrap it
+    const reported = (tokenHash, overrides = {}) => createQuery({
+      data: {
+        id: LOGIN_ID,
+        user_id: USER_ID,
+        report_token: tokenHash,
+        report_expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        reported_at: null,
+        ...overrides,
+      },
+      error: null,
+    });
+
+    it('should sign out every device and require a password reset', async () => {
+      tables.login_history.push(reported(await hashSecret('report-token')));
+      tables.user_sessions = [createQuery({ data: [{ id: 'session-1' }, { id: 'session-2' }], error: null })];
+
+      const response = await request(app).post('/api/report-login').send({ login_id: LOGIN_ID, token: 'report-token' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.revoked).toBe(2);
+      const revoke = queriesFor('user_sessions')[0];
+      expect(revoke.update).toHaveBeenCalledWith(expect.objectContaining({ revoked_reason: 'login_reported' }));
+      expect(revoke.eq).toHaveBeenCalledWith('user_id', USER_ID);
+      const flag = queriesFor('profiles').find(query => query.update.mock.calls.length > 0);
+      expect(flag.update).toHaveBeenCalledWith({ password_reset_required: true });
+      const used = queriesFor('login_history')[1];
+      expect(used.update).toHaveBeenCalledWith(expect.objectContaining({ report_token: null }));
+    });
+
+    it('should refuse a wrong or used link', async () => {
+      const tokenHash = await hashSecret('report-token');
+      tables.login_history.push(
+        reported(tokenHash),
+        reported(tokenHash, { reported_at: new Date().toISOString() })
+      );
+
+      const wrong = await request(app).post('/api/report-login').send({ login_id: LOGIN_ID, token: 'guess' });
+      const used = await request(app).post('/api/report-login').send({ login_id: LOGIN_ID, token: 'report-token' });
+
+      expect(wrong.status).toBe(400);
+      expect(used.status).toBe(400);
+      expect(used.body.message).toBe('This link is invalid or has expired');
+      expect(queriesFor('user_sessions')).toHaveLength(0);
+    });
+  });
+});
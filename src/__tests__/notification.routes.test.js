@@ -0,0 +1,315 @@
+import { describe, it, expect, beforeEach, beforeAll, afterAll, jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import http from 'http';
+import { createQuery, authenticateAs } from './helpers.js';
+
+const mockSupabaseAdmin = {
+  from: jest.fn(),
+};
+
+jest.unstable_mockModule('../config/supabase.js', () => ({
+  getSupabaseAdmin: jest.fn(() => mockSupabaseAdmin),
+  getSupabase: jest.fn(),
+  getSupabaseUser: jest.fn(),
+}));
+
+jest.unstable_mockModule('../middleware/authenticate.js', () => ({
+  authenticate: authenticateAs({
+    'valid-token': { id: 'user-123', profile: { id: 'user-123', user_id: 'AbC123' } },
+  }),
+}));
+
+const notificationRoutes = (await import('../routes/notification.routes.js')).default;
+const { notifyUser } = await import('../services/notification.service.js');
+const { getNotificationBus } = await import('../services/notificationBus.js');
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/notifications', notificationRoutes);
+  return app;
+};
+
+const createTestNotification = (overrides = {}) => ({
+  id: 1,
+  type: 'car',
+  action: 'approved',
+  title: 'Car Approved',
+  message: 'Your car registration has been approved.',
+  data: null,
+  is_read: false,
+  created_at: '2024-01-01T00:00:00Z',
+  ...overrides,
+});
+
+// Opens a raw SSE connection and collects the streamed text
+const openStream = (port, headers = {}) => new Promise((resolve, reject) => {
+  const req = http.get({
+    port,
+    path: '/api/notifications/stream',
+    headers: { Authorization: 'Bearer valid-token', ...headers },
+  }, (res) => {
+    let body = '';
+    const waiters = [];
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      body += chunk;
+      waiters.filter(w => body.includes(w.text)).forEach(w => w.resolve(body));
+    });
+    resolve({
+      res,
+      close: () => req.destroy(),
+      waitFor: (text) => new Promise((resolveWait) => {
+        if (body.includes(text)) return resolveWait(body);
+        waiters.push({ text, resolve: resolveWait });
+      }),
+    });
+  });
+  req.on('error', reject);
+});
+
+describe('Notification Endpoints', () => {
+  let app;
+  let tables;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+
+    tables = {
+      notifications: createQuery({ data: [createTestNotification()], count: 1, error: null }),
+      profiles: createQuery({ data: { user_id: 'AbC123' }, error: null }),
+    };
+    mockSupabaseAdmin.from.mockImplementation(table => tables[table]);
+  });
+
+  it('should return 401 without a token', async () => {
+    const response = await request(app).get('/api/notifications');
+
+    expect(response.status).toBe(401);
+  });
+
+  describe('GET /api/notifications', () => {
+    it('should list notifications scoped to the 6-char user_id', async () => {
+      const response = await request(app)
+        .get('/api/notifications')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.notifications).toHaveLength(1);
+      expect(response.body.data.pagination).toEqual({ total: 1, page: 1, limit: 20, pages: 1 });
+      expect(tables.notifications.eq).toHaveBeenCalledWith('user_id', 'AbC123');
+      expect(tables.notifications.range).toHaveBeenCalledWith(0, 19);
+    });
+
+    it('should filter by type and read state', async () => {
+      const response = await request(app)
+        .get('/api/notifications?type=car&is_read=false&page=2&limit=5')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(tables.notifications.eq).toHaveBeenCalledWith('type', 'car');
+      expect(tables.notifications.eq).toHaveBeenCalledWith('is_read', false);
+      expect(tables.notifications.range).toHaveBeenCalledWith(5, 9);
+    });
+
+    it('should return 422 for invalid filters', async () => {
+      const response = await request(app)
+        .get('/api/notifications?is_read=maybe&limit=500')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(422);
+      expect(response.body.errors.map(e => e.field)).toEqual(expect.arrayContaining(['is_read', 'limit']));
+    });
+  });
+
+  describe('GET /api/notifications/unread-count', () => {
+    it('should return the unread count', async () => {
+      tables.notifications = createQuery({ data: null, count: 4, error: null });
+
+      const response = await request(app)
+        .get('/api/notifications/unread-count')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.unread_count).toBe(4);
+      expect(tables.notifications.eq).toHaveBeenCalledWith('is_read', false);
+    });
+  });
+
+  describe('PUT /api/notifications/:id/read', () => {
+    it('should mark a notification as read', async () => {
+      tables.notifications = createQuery({ data: [createTestNotification({ is_read: true })], error: null });
+
+      const response = await request(app)
+        .put('/api/notifications/1/read')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.notification.is_read).toBe(true);
+      expect(tables.notifications.update).toHaveBeenCalledWith({ is_read: true });
+    });
+
+    it('should return 404 for another user\'s notification', async () => {
+      tables.notifications = createQuery({ data: [], error: null });
+
+      const response = await request(app)
+        .put('/api/notifications/99/read')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should return 422 for a non-numeric id', async () => {
+      const response = await request(app)
+        .put('/api/notifications/abc/read')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(422);
+    });
+  });
+
+  describe('PUT /api/notifications/read-all', () => {
+    it('should report how many notifications were updated', async () => {
+      tables.notifications = createQuery({ data: [{ id: 1 }, { id: 2 }], error: null });
+
+      const response = await request(app)
+        .put('/api/notifications/read-all')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.updated).toBe(2);
+    });
+  });
+
+  describe('DELETE /api/notifications/:id', () => {
+    it('should delete a notification', async () => {
+      tables.notifications = createQuery({ data: [{ id: 1 }], error: null });
+
+      const response = await request(app)
+        .delete('/api/notifications/1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(tables.notifications.delete).toHaveBeenCalled();
+    });
+
+    it('should return 404 when nothing was deleted', async () => {
+      tables.notifications = createQuery({ data: [], error: null });
+
+      const response = await request(app)
+        .delete('/api/notifications/1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('notifyUser', () => {
+    it('should map the auth UUID to profiles.user_id and set the required action', async () => {
+      tables.notifications = createQuery({ data: createTestNotification(), error: null });
+
+      const notification = await notifyUser({
+        userId: 'user-123',
+        type: 'car',
+        action: 'approved',
+        title: 'Car Approved',
+        message: 'Your car registration has been approved.',
+      });
+
+      expect(notification.id).toBe(1);
+      expect(tables.profiles.eq).toHaveBeenCalledWith('id', 'user-123');
+      expect(tables.notifications.insert).toHaveBeenCalledWith({
+        user_id: 'AbC123',
+        type: 'car',
+        action: 'approved',
+        title: 'Car Approved',
+        message: 'Your car registration has been approved.',
+        data: null,
+      });
+    });
+
+    it('should return null instead of throwing when the insert fails', async () => {
+      tables.notifications = createQuery({ data: null, error: { message: 'insert failed' } });
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const notification = await notifyUser({ userId: 'user-123', type: 'car', action: 'approved', message: 'x' });
+
+      expect(notification).toBeNull();
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('GET /api/notifications/stream', () => {
+    let server;
+    let port;
+
+    beforeAll((done) => {
+      server = createTestApp().listen(0, () => {
+        port = server.address().port;
+        done();
+      });
+    });
+
+    afterAll((done) => {
+      server.closeAllConnections();
+      server.close(done);
+    });
+
+    it('should push notifications published for the user', async () => {
+      const stream = await openStream(port);
+
+      expect(stream.res.statusCode).toBe(200);
+      expect(stream.res.headers['content-type']).toBe('text/event-stream');
+      await stream.waitFor('event: ready');
+
+      getNotificationBus().publish('AbC123', createTestNotification({ id: 7 }));
+      getNotificationBus().publish('Other1', createTestNotification({ id: 8 }));
+
+      const body = await stream.waitFor('id: 7');
+      expect(body).toContain('event: notification');
+      expect(body).not.toContain('id: 8');
+      stream.close();
+    });
+
+    it('should replay notifications after Last-Event-ID', async () => {
+      tables.notifications = createQuery({
+        data: [createTestNotification({ id: 5 }), createTestNotification({ id: 6 })],
+        error: null,
+      });
+
+      const stream = await openStream(port, { 'Last-Event-ID': '4' });
+      const body = await stream.waitFor('event: ready');
+
+      expect(tables.notifications.gt).toHaveBeenCalledWith('id', 4);
+      expect(body.indexOf('id: 5')).toBeLessThan(body.indexOf('id: 6'));
+      stream.close();
+    });
+
+    it('should reject an invalid Last-Event-ID', async () => {
+      const response = await request(app)
+        .get('/api/notifications/stream')
+        .set('Authorization', 'Bearer valid-token')
+        .set('Last-Event-ID', 'abc');
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should enforce the per-user connection limit', async () => {
+      const streams = [];
+      for (let i = 0; i < 5; i++) {
+        const stream = await openStream(port);
+        await stream.waitFor('event: ready');
+        streams.push(stream);
+      }
+
+      const response = await request(app)
+        .get('/api/notifications/stream')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(429);
+      streams.forEach(stream => stream.close());
+    });
+  });
+});
@@ -0,0 +1,273 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createQuery, passThroughRateLimiters, authenticateAs } from './helpers.js';
+
+const mockSupabase = {
+  auth: { signInWithIdToken: jest.fn(), verifyOtp: jest.fn() },
+};
+
+const mockSupabaseAdmin = {
+  from: jest.fn(),
+  rpc: jest.fn(),
+  auth: {
+    signInWithPassword: jest.fn(),
+    admin: { getUserById: jest.fn(), signOut: jest.fn() },
+  },
+};
+
+// Throwaway client the current password is checked on
+const mockPasswordCheck = {
+  auth: { signInWithPassword: jest.fn() },
+};
+
+jest.unstable_mockModule('../config/supabase.js', () => ({
+  getSupabaseAdmin: jest.fn(() => mockSupabaseAdmin),
+  getSupabase: jest.fn(() => mockSupabase),
+  getSupabaseUser: jest.fn(),
+  getSupabaseEphemeral: jest.fn(() => mockPasswordCheck),
+}));
+
+jest.unstable_mockModule('../middleware/authenticate.js', () => ({
+  authenticate: authenticateAs({
+    'user-token': { id: 'user-123', email: 'jane@example.com', email_confirmed_at: '2024-01-01' },
+  }),
+  invalidateProfileCache: jest.fn(),
+}));
+
+jest.unstable_mockModule('../middleware/rateLimiter.js', () => passThroughRateLimiters);
+
+const authRoutes = (await import('../routes/auth.routes.js')).default;
+const settingsRoutes = (await import('../routes/settings.routes.js')).default;
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/settings', settingsRoutes);
+  app.use('/api', authRoutes);
+  return app;
+};
+
+const USER_ID = 'user-123';
+const AUTH = { Authorization: 'Bearer user-token' };
+const SESSION = { access_token: 'access-abc', refresh_token: 'refresh-abc', expires_in: 3600 };
+const USER = { id: USER_ID, email: 'jane@example.com', email_confirmed_at: '2024-01-01' };
+
+// An unsigned ID token naming the given provider subject - only Supabase
+// checks signatures, and it is mocked here
+const idTokenFor = sub =>
+  `header.${Buffer.from(JSON.stringify({ sub })).toString('base64url')}.signature`;
+
+const identity = (provider, subject = `${provider}-sub`) => ({
+  identity_id: `${provider}-identity`,
+  id: subject,
+  provider,
+  identity_data: { email: 'jane@example.com' },
+});
+
+describe('Social sign-in', () => {
+  let app;
+  let profile;
+  let fetchSpy;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+
+    profile = { id: USER_ID, user_id: 'AbC123', first_name: 'Jane', last_name: 'Doe', two_factor_enabled: false, two_factor_type: null };
+    mockSupabaseAdmin.from.mockImplementation(table =>
+      createQuery(table === 'profiles' ? { data: profile, error: null } : undefined));
+    mockSupabaseAdmin.rpc.mockResolvedValue({ data: null, error: null });
+    mockSupabaseAdmin.auth.admin.signOut.mockResolvedValue({ error: null });
+    mockPasswordCheck.auth.signInWithPassword.mockResolvedValue({
+      data: { session: { access_token: 'check-token' } },
+      error: null,
+    });
+    mockSupabase.auth.signInWithIdToken.mockResolvedValue({ data: { user: USER, session: SESSION }, error: null });
+    fetchSpy = jest.spyOn(global, 'fetch');
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+  });
+
+  const withIdentities = (...identities) => {
+    mockSupabaseAdmin.auth.admin.getUserById.mockResolvedValue({
+      data: { user: { ...USER, identities } },
+      error: null,
+    });
+  };
+
+  const queriesFor = table => mockSupabaseAdmin.from.mock.calls
+    .map(([name], i) => name === table && mockSupabaseAdmin.from.mock.results[i].value)
+    .filter(Boolean);
+
+  describe('login', () => {
+    it('should exchange a Google ID token for a session', async () => {
+      const response = await request(app)
+        .post('/api/oauth/google')
+        .send({ id_token: idTokenFor('google-sub'), nonce: 'raw-nonce' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.session).toEqual(SESSION);
+      expect(response.body.data.user.first_name).toBe('Jane');
+      expect(mockSupabase.auth.signInWithIdToken).toHaveBeenCalledWith(expect.objectContaining({
+        provider: 'google',
+        token: idTokenFor('google-sub'),
+        nonce: 'raw-nonce',
+      }));
+    });
+
+    it('should hold the session back for users with 2FA', async () => {
+      profile.two_factor_enabled = true;
+      profile.two_factor_type = 'google';
+
+      const response = await request(app).post('/api/oauth/apple').send({ id_token: idTokenFor('apple-sub') });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.requires_2fa).toBe(true);
+      expect(response.body.data.session).toBeUndefined();
+    });
+
+    it('should refuse a token the provider did not issue', async () => {
+      mockSupabase.auth.signInWithIdToken.mockResolvedValue({
+        data: { user: null, session: null },
+        error: { message: 'Bad ID token' },
+      });
+
+      const response = await request(app).post('/api/oauth/google').send({ id_token: 'forged' });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should refuse unsupported providers', async () => {
+      const response = await request(app).post('/api/oauth/github').send({ id_token: 'token' });
+
+      expect(response.status).toBe(422);
+      expect(mockSupabase.auth.signInWithIdToken).not.toHaveBeenCalled();
+    });
+
+    it('should fill in the name Apple sends on first sign-in', async () => {
+      profile.first_name = 'jane';
+      profile.last_name = '';
+
+      await request(app)
+        .post('/api/oauth/apple')
+        .send({ id_token: idTokenFor('apple-sub'), first_name: 'Jane', last_name: 'Doe' });
+
+      const update = queriesFor('profiles').find(query => query.update.mock.calls.length > 0);
+      expect(update.update).toHaveBeenCalledWith({ first_name: 'Jane', last_name: 'Doe' });
+    });
+
+    it('should keep a name the user already has', async () => {
+      await request(app)
+        .post('/api/oauth/apple')
+        .send({ id_token: idTokenFor('apple-sub'), first_name: 'Someone', last_name: 'Else' });
+
+      expect(queriesFor('profiles').some(query => query.update.mock.calls.length > 0)).toBe(false);
+    });
+  });
+
+  describe('linking', () => {
+    it('should link a provider after checking the password', async () => {
+      mockSupabaseAdmin.auth.admin.getUserById
+        .mockResolvedValueOnce({ data: { user: { ...USER, identities: [identity('email')] } }, error: null })
+        .mockResolvedValueOnce({ data: { user: { ...USER, identities: [identity('email'), identity('google')] } }, error: null });
+      fetchSpy.mockResolvedValue({ ok: true, status: 200, json: async () => ({ access_token: 'link-session' }) });
+
+      const response = await request(app)
+        .post('/api/settings/sign-in-methods/google')
+        .set(AUTH)
+        .send({ id_token: idTokenFor('google-sub'), password: 'SecurePass123!' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.method.provider).toBe('google');
+      expect(mockPasswordCheck.auth.signInWithPassword).toHaveBeenCalledWith({ email: 'jane@example.com', password: 'SecurePass123!' });
+      const [url, init] = fetchSpy.mock.calls[0];
+      expect(url).toContain('/auth/v1/token?grant_type=id_token');
+      expect(init.headers.Authorization).toBe('Bearer user-token');
+      expect(JSON.parse(init.body)).toEqual(expect.objectContaining({ provider: 'google', link_identity: true }));
+      // The session issued by linking is not kept
+      expect(mockSupabaseAdmin.auth.admin.signOut).toHaveBeenCalledWith('link-session', 'local');
+    });
+
+    it('should not link without the current password', async () => {
+      withIdentities(identity('email'));
+      mockPasswordCheck.auth.signInWithPassword.mockResolvedValue({
+        data: { session: null },
+        error: { message: 'Invalid login credentials' },
+      });
+
+      const response = await request(app)
+        .post('/api/settings/sign-in-methods/google')
+        .set(AUTH)
+        .send({ id_token: idTokenFor('google-sub'), password: 'wrong-password' });
+
+      expect(response.status).toBe(400);
+      expect(fetchSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('unlinking', () => {
+    it('should re-authenticate with a linked provider and keep the only sign-in method', async () => {
+      withIdentities(identity('apple', 'apple-sub'));
+
+      const response = await request(app)
+        .delete('/api/settings/sign-in-methods/apple')
+        .set(AUTH)
+        .send({ reauth: { provider: 'apple', id_token: idTokenFor('apple-sub') } });
+
+      expect(response.status).toBe(409);
+      expect(mockSupabase.auth.signInWithIdToken).toHaveBeenCalled();
+      expect(mockPasswordCheck.auth.signInWithPassword).not.toHaveBeenCalled();
+      expect(fetchSpy).not.toHaveBeenCalled();
+    });
+
+    it('should not accept a provider token for someone else\'s account', async () => {
+      withIdentities(identity('email'), identity('apple', 'apple-sub'));
+
+      const response = await request(app)
+        .delete('/api/settings/sign-in-methods/apple')
+        .set(AUTH)
+        .send({ reauth: { provider: 'apple', id_token: idTokenFor('another-apple-sub') } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('This sign-in does not belong to your account');
+      // Never exchanged, so it can't sign anyone up or in
+      expect(mockSupabase.auth.signInWithIdToken).not.toHaveBeenCalled();
+      expect(fetchSpy).not.toHaveBeenCalled();
+    });
+
+    it('should unlink a provider when another method remains', async () => {
+      withIdentities(identity('email'), identity('apple'));
+      fetchSpy.mockResolvedValue({ ok: true, status: 204, json: async () => ({}) });
+
+      const response = await request(app)
+        .delete('/api/settings/sign-in-methods/apple')
+        .set(AUTH)
+        .send({ password: 'SecurePass123!' });
+
+      expect(response.status).toBe(200);
+      const [url, init] = fetchSpy.mock.calls[0];
+      expect(url).toContain('/auth/v1/user/identities/apple-identity');
+      expect(init.method).toBe('DELETE');
+      const alert = queriesFor('notifications')[0];
+      expect(alert.insert).toHaveBeenCalledWith(expect.objectContaining({ action: 'sign_in_method_unlinked' }));
+    });
+  });
+
+  describe('POST /api/verify-email', () => {
+    it('should verify the code and sign the user in with their profile', async () => {
+      mockSupabase.auth.verifyOtp.mockResolvedValue({ data: { user: USER, session: SESSION }, error: null });
+
+      const response = await request(app)
+        .post('/api/verify-email')
+        .send({ email: 'jane@example.com', otp: '123456' });
+
+      expect(response.status).toBe(200);
+      expect(mockSupabase.auth.verifyOtp).toHaveBeenCalledWith({ email: 'jane@example.com', token: '123456', type: 'email' });
+      expect(response.body.data.user).toEqual(expect.objectContaining({ id: USER_ID, email_verified: true, first_name: 'Jane' }));
+      expect(response.body.data.session).toEqual(SESSION);
+    });
+  });
+});
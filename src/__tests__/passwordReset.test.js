@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createQuery, passThroughRateLimiters } from './helpers.js';
+
+const mockSupabaseAdmin = {
+  from: jest.fn(),
+  auth: { admin: { updateUserById: jest.fn() } },
+};
+
+const mockSendPasswordResetOTP = jest.fn();
+
+jest.unstable_mockModule('../config/supabase.js', () => ({
+  getSupabaseAdmin: jest.fn(() => mockSupabaseAdmin),
+  getSupabase: jest.fn(),
+  getSupabaseUser: jest.fn(),
+  getSupabaseEphemeral: jest.fn(),
+}));
+
+jest.unstable_mockModule('../services/email/email.service.js', () => ({
+  sendEmail: jest.fn(),
+  send2FACode: jest.fn(),
+  sendPasswordResetOTP: mockSendPasswordResetOTP,
+  sendEmailChangeOTP: jest.fn(),
+  sendEmailChangedAlert: jest.fn(),
+  sendAccountDeletionScheduled: jest.fn(),
+  sendAccountLockedAlert: jest.fn(),
+  sendNewLoginAlert: jest.fn(),
+}));
+
+jest.unstable_mockModule('../middleware/rateLimiter.js', () => passThroughRateLimiters);
+
+const authRoutes = (await import('../routes/auth.routes.js')).default;
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  return app;
+};
+
+const EMAIL = 'user@example.com';
+
+describe('Password reset', () => {
+  let app;
+  let tables;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+
+    tables = { password_reset_tokens: [], profiles: [] };
+    mockSupabaseAdmin.from.mockImplementation(table => tables[table].shift() || createQuery());
+    mockSupabaseAdmin.auth.admin.updateUserById.mockResolvedValue({ error: null });
+  });
+
+  const expiresAt = () => new Date(Date.now() + 60 * 1000).toISOString();
+
+  // Requests a code and returns it with the row that was stored for it
+  const requestCode = async () => {
+    const upsert = createQuery();
+    tables.password_reset_tokens = [upsert];
+
+    await request(app).post('/api/auth/send-otp').send({ email: EMAIL });
+
+    return { otp: mockSendPasswordResetOTP.mock.calls[0][0].otp, row: upsert.upsert.mock.calls[0][0] };
+  };
+
+  it('should email the code but store only its hash', async () => {
+    const { otp, row } = await requestCode();
+
+    expect(otp).toMatch(/^\d{6}$/);
+    expect(row.otp).toMatch(/^scrypt\$/);
+    expect(row.otp).not.toContain(otp);
+    expect(row.token).toBeNull();
+  });
+
+  it('should exchange a valid code for a reset token and spend the code', async () => {
+    const { otp, row } = await requestCode();
+    const update = createQuery();
+    tables.password_reset_tokens = [createQuery({ data: { ...row, expires_at: expiresAt() }, error: null }), update];
+
+    const response = await request(app).post('/api/auth/verify-otp').send({ email: EMAIL, otp });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.reset_token).toHaveLength(64);
+    expect(update.update).toHaveBeenCalledWith({ otp: null, token: expect.stringMatching(/^scrypt\$/) });
+  });
+
+  it('should reject a wrong code', async () => {
+    const { row } = await requestCode();
+    tables.password_reset_tokens = [createQuery({ data: { ...row, expires_at: expiresAt() }, error: null })];
+
+    const response = await request(app).post('/api/auth/verify-otp').send({ email: EMAIL, otp: '000000' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Invalid OTP');
+  });
+
+  it('should reset the password only with the issued token', async () => {
+    const { otp, row } = await requestCode();
+    const update = createQuery();
+    tables.password_reset_tokens = [createQuery({ data: { ...row, expires_at: expiresAt() }, error: null }), update];
+    const { body } = await request(app).post('/api/auth/verify-otp').send({ email: EMAIL, otp });
+    const stored = { email: EMAIL, otp: null, token: update.update.mock.calls[0][0].token, expires_at: expiresAt() };
+
+    tables.password_reset_tokens = [createQuery({ data: stored, error: null })];
+    const wrong = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ email: EMAIL, token: 'x'.repeat(64), password: 'NewPass123!', password_confirmation: 'NewPass123!' });
+
+    tables.password_reset_tokens = [createQuery({ data: stored, error: null })];
+    tables.profiles = [createQuery({ data: { id: 'user-123' }, error: null })];
+    const right = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ email: EMAIL, token: body.data.reset_token, password: 'NewPass123!', password_confirmation: 'NewPass123!' });
+
+    expect(wrong.status).toBe(400);
+    expect(right.status).toBe(200);
+    expect(mockSupabaseAdmin.auth.admin.updateUserById).toHaveBeenCalledTimes(1);
+    expect(mockSupabaseAdmin.auth.admin.updateUserById).toHaveBeenCalledWith('user-123', { password: 'NewPass123!' });
+  });
+});
@@ -0,0 +1,338 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createQuery, authenticateAs, ADMIN_USER, CLIENT_USER } from './helpers.js';
+
+const mockStorageBucket = {
+  upload: jest.fn(),
+  download: jest.fn(),
+};
+
+const mockSupabaseAdmin = {
+  from: jest.fn(),
+  rpc: jest.fn(),
+  storage: { from: jest.fn(() => mockStorageBucket) },
+};
+
+const mockSupabaseUser = {
+  from: jest.fn(),
+};
+
+jest.unstable_mockModule('../config/supabase.js', () => ({
+  getSupabaseAdmin: jest.fn(() => mockSupabaseAdmin),
+  getSupabase: jest.fn(),
+  getSupabaseUser: jest.fn(() => mockSupabaseUser),
+}));
+
+jest.unstable_mockModule('../middleware/authenticate.js', () => ({
+  authenticate: authenticateAs({
+    'admin-token': { ...ADMIN_USER, email_confirmed_at: '2024-01-01' },
+    'user-token': { ...CLIENT_USER, email_confirmed_at: '2024-01-01' },
+  }),
+  invalidateProfileCache: jest.fn(),
+}));
+
+const carRoutes = (await import('../routes/car.routes.js')).default;
+const adminRoutes = (await import('../routes/admin.routes.js')).default;
+const { calculateFees } = await import('../services/payment.service.js');
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', carRoutes);
+  app.use('/api/admin', adminRoutes);
+  return app;
+};
+
+const SLUG = '123e4567-e89b-12d3-a456-426614174000';
+
+const createTestCar = (overrides = {}) => ({
+  id: 10,
+  slug: SLUG,
+  user_id: 'user-123',
+  car_type: 'private',
+  registration_status: 'unregistered',
+  type: 'Customized',
+  status: 'unpaid',
+  ...overrides,
+});
+
+const fee = (id, item_code, amount, scope = {}) => ({
+  id,
+  item_code,
+  description: item_code,
+  amount,
+  currency: 'NGN',
+  car_type: null,
+  registration_status: null,
+  plate_type: null,
+  is_active: true,
+  ...scope,
+});
+
+const schedule = [
+  fee(1, 'processing_fee', 2500),
+  fee(2, 'vehicle_license', 3000.1, { car_type: 'private' }),
+  fee(3, 'vehicle_license', 5000, { car_type: 'commercial' }),
+  fee(4, 'plate_number', 18750, { registration_status: 'unregistered', plate_type: 'Normal' }),
+  fee(5, 'plate_number', 200000.2, { registration_status: 'unregistered', plate_type: 'Customized' }),
+  fee(6, 'plate_number', 100000, { registration_status: 'unregistered' }),
+];
+
+describe('Payment Endpoints', () => {
+  let app;
+  let tables;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+
+    // Each table holds a queue of query results, consumed in call order
+    tables = {
+      cars: [createQuery({ data: createTestCar(), error: null })],
+      fee_schedules: [createQuery({ data: schedule, error: null })],
+      payments: [],
+    };
+    const nextQuery = table => tables[table].shift() || createQuery();
+    mockSupabaseAdmin.from.mockImplementation(nextQuery);
+    mockSupabaseUser.from.mockImplementation(nextQuery);
+    mockStorageBucket.upload.mockResolvedValue({ data: {}, error: null });
+  });
+
+  describe('calculateFees', () => {
+    it('should pick the most specific matching fee per item and total in kobo', () => {
+      const fees = calculateFees(createTestCar(), schedule);
+
+      expect(fees.items.map(item => [item.item_code, item.amount])).toEqual([
+        ['processing_fee', 2500],
+        ['vehicle_license', 3000.1],
+        ['plate_number', 200000.2],
+      ]);
+      expect(fees.amount).toBe(205500.3);
+      expect(fees.currency).toBe('NGN');
+    });
+
+    it('should skip fees scoped to other cars', () => {
+      const fees = calculateFees(createTestCar({ registration_status: 'registered', car_type: 'commercial' }), schedule);
+
+      expect(fees.items.map(item => item.fee_id)).toEqual([1, 3]);
+    });
+
+    it('should take the currency from the fees that apply', () => {
+      const usdSchedule = [fee(1, 'processing_fee', 20, { currency: 'USD' }), fee(7, 'import_duty', 100, { currency: 'NGN', car_type: 'commercial' })];
+
+      expect(calculateFees(createTestCar(), usdSchedule).currency).toBe('USD');
+    });
+
+    it('should refuse fees in more than one currency', () => {
+      const mixed = [...schedule, fee(7, 'import_duty', 100, { currency: 'USD' })];
+
+      expect(() => calculateFees(createTestCar(), mixed)).toThrow('The fees for this car are in more than one currency');
+    });
+  });
+
+  describe('POST /api/cars/:slug/payments', () => {
+    it('should create an itemised payment intent for an unpaid car', async () => {
+      const insertQuery = createQuery({ data: { id: 1, reference: 'MTK-REF', amount: 205500.3, status: 'pending' }, error: null });
+      const feeQuery = tables.fee_schedules[0];
+      tables.payments = [createQuery({ data: [], error: null }), insertQuery];
+
+      const response = await request(app)
+        .post(`/api/cars/${SLUG}/payments`)
+        .set('Authorization', 'Bearer user-token');
+
+      expect(response.status).toBe(201);
+      expect(feeQuery.eq).toHaveBeenCalledWith('purpose', 'registration');
+      expect(insertQuery.insert).toHaveBeenCalledWith(expect.objectContaining({
+        car_id: 10,
+        user_id: 'user-123',
+        purpose: 'registration',
+        amount: 205500.3,
+        currency: 'NGN',
+        status: 'pending',
+        reference: expect.stringMatching(/^MTK-/),
+        items: expect.arrayContaining([expect.objectContaining({ item_code: 'plate_number', amount: 200000.2 })]),
+      }));
+    });
+
+    it('should return the open intent instead of creating another', async () => {
+      tables.payments = [createQuery({ data: [{ id: 7, reference: 'MTK-OPEN', status: 'pending' }], error: null })];
+
+      const response = await request(app)
+        .post(`/api/cars/${SLUG}/payments`)
+        .set('Authorization', 'Bearer user-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.payment.reference).toBe('MTK-OPEN');
+      expect(mockSupabaseAdmin.from).not.toHaveBeenCalledWith('fee_schedules');
+    });
+
+    it('should return 409 when the car is already paid', async () => {
+      tables.cars = [createQuery({ data: createTestCar({ status: 'pending' }), error: null })];
+
+      const response = await request(app)
+        .post(`/api/cars/${SLUG}/payments`)
+        .set('Authorization', 'Bearer user-token');
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should return 422 when no fees apply', async () => {
+      tables.payments = [createQuery({ data: [], error: null })];
+      tables.fee_schedules = [createQuery({ data: [], error: null })];
+
+      const response = await request(app)
+        .post(`/api/cars/${SLUG}/payments`)
+        .set('Authorization', 'Bearer user-token');
+
+      expect(response.status).toBe(422);
+    });
+  });
+
+  describe('GET /api/cars/:slug/payments/:id/receipt', () => {
+    const payment = (overrides = {}) => ({
+      id: 1,
+      reference: 'MTK-REF',
+      car_id: 10,
+      user_id: 'user-123',
+      items: [{ item_code: 'processing_fee', description: 'Processing fee', amount: 2500 }],
+      amount: 2500,
+      currency: 'NGN',
+      status: 'successful',
+      paid_at: '2024-01-01T10:00:00Z',
+      receipt_path: null,
+      ...overrides,
+    });
+
+    const withCarDetails = () => createQuery({
+      data: createTestCar({ name_of_owner: 'John Doe', vehicle_make: 'Toyota', vehicle_model: 'Corolla', vehicle_year: 2018 }),
+      error: null,
+    });
+
+    it('should render a receipt PDF and store it for a successful payment', async () => {
+      tables.cars = [withCarDetails()];
+      const saveQuery = createQuery();
+      tables.payments = [createQuery({ data: payment(), error: null }), saveQuery];
+
+      const response = await request(app)
+        .get(`/api/cars/${SLUG}/payments/1/receipt`)
+        .set('Authorization', 'Bearer user-token')
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('application/pdf');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="receipt-MTK-REF.pdf"');
+      expect(response.body.subarray(0, 5).toString()).toBe('%PDF-');
+
+      const path = `user-123/${SLUG}/receipts/MTK-REF.pdf`;
+      expect(mockStorageBucket.upload).toHaveBeenCalledWith(path, expect.any(Buffer), expect.objectContaining({ contentType: 'application/pdf' }));
+      expect(saveQuery.update).toHaveBeenCalledWith({ receipt_path: path });
+    });
+
+    it('should serve the stored receipt without rendering again', async () => {
+      const stored = Buffer.from('%PDF-stored');
+      mockStorageBucket.download.mockResolvedValue({ data: new Blob([stored]), error: null });
+      tables.payments = [createQuery({ data: payment({ receipt_path: 'user-123/receipt.pdf' }), error: null })];
+
+      const response = await request(app)
+        .get(`/api/cars/${SLUG}/payments/1/receipt`)
+        .set('Authorization', 'Bearer user-token');
+
+      expect(response.status).toBe(200);
+      expect(mockStorageBucket.download).toHaveBeenCalledWith('user-123/receipt.pdf');
+      expect(mockStorageBucket.upload).not.toHaveBeenCalled();
+    });
+
+    it('should return an invoice for a pending payment without storing it', async () => {
+      tables.cars = [withCarDetails()];
+      tables.payments = [createQuery({ data: payment({ status: 'pending', paid_at: null }), error: null })];
+
+      const response = await request(app)
+        .get(`/api/cars/${SLUG}/payments/1/receipt`)
+        .set('Authorization', 'Bearer user-token');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-disposition']).toBe('attachment; filename="invoice-MTK-REF.pdf"');
+      expect(mockStorageBucket.upload).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 for a failed payment', async () => {
+      tables.payments = [createQuery({ data: payment({ status: 'failed' }), error: null })];
+
+      const response = await request(app)
+        .get(`/api/cars/${SLUG}/payments/1/receipt`)
+        .set('Authorization', 'Bearer user-token');
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should return 404 for a payment on another car', async () => {
+      tables.payments = [createQuery({ data: null, error: { code: 'PGRST116' } })];
+
+      const response = await request(app)
+        .get(`/api/cars/${SLUG}/payments/99/receipt`)
+        .set('Authorization', 'Bearer user-token');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('PUT /api/admin/payments/:reference/confirm', () => {
+    it('should confirm the payment through confirm_car_payment', async () => {
+      mockSupabaseAdmin.rpc.mockResolvedValue({ data: [{ reference: 'MTK-REF', status: 'successful' }], error: null });
+
+      const response = await request(app)
+        .put('/api/admin/payments/MTK-REF/confirm')
+        .set('Authorization', 'Bearer admin-token')
+        .send({ provider_reference: 'BANK-123' });
+
+      expect(response.status).toBe(200);
+      expect(mockSupabaseAdmin.rpc).toHaveBeenCalledWith('confirm_car_payment', {
+        p_reference: 'MTK-REF',
+        p_provider: 'manual',
+        p_provider_reference: 'BANK-123',
+      });
+    });
+
+    it('should return 409 for a cancelled payment', async () => {
+      mockSupabaseAdmin.rpc.mockResolvedValue({ data: [], error: null });
+      tables.payments = [createQuery({ data: { id: 1 }, error: null })];
+
+      const response = await request(app)
+        .put('/api/admin/payments/MTK-REF/confirm')
+        .set('Authorization', 'Bearer admin-token');
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('PUT /api/admin/fees/:id', () => {
+    it('should validate the fee scope', async () => {
+      const response = await request(app)
+        .put('/api/admin/fees/1')
+        .set('Authorization', 'Bearer admin-token')
+        .send({ plate_type: 'Gold', amount: -5 });
+
+      expect(response.status).toBe(422);
+      expect(response.body.errors.map(e => e.field)).toEqual(expect.arrayContaining(['plate_type', 'amount']));
+    });
+
+    it('should update the price', async () => {
+      const updateQuery = createQuery({ data: [fee(5, 'plate_number', 250000)], error: null });
+      tables.fee_schedules = [updateQuery];
+
+      const response = await request(app)
+        .put('/api/admin/fees/5')
+        .set('Authorization', 'Bearer admin-token')
+        .send({ amount: '250000' });
+
+      expect(response.status).toBe(200);
+      expect(updateQuery.update).toHaveBeenCalledWith({ amount: 250000 });
+    });
+  });
+});
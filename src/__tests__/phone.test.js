@@ -0,0 +1,262 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createQuery, passThroughRateLimiters, authenticateAs } from './helpers.js';
+
+const mockSupabase = {
+  auth: { verifyOtp: jest.fn() },
+};
+
+const mockSupabaseAdmin = {
+  from: jest.fn(),
+  rpc: jest.fn(),
+  auth: { admin: { getUserById: jest.fn(), generateLink: jest.fn() } },
+};
+
+jest.unstable_mockModule('../config/supabase.js', () => ({
+  getSupabaseAdmin: jest.fn(() => mockSupabaseAdmin),
+  getSupabase: jest.fn(() => mockSupabase),
+  getSupabaseUser: jest.fn(),
+  getSupabaseEphemeral: jest.fn(),
+}));
+
+jest.unstable_mockModule('../middleware/authenticate.js', () => ({
+  authenticate: authenticateAs({
+    'user-token': { id: 'user-123', email: 'ada@example.com', profile: { user_id: 'AbC123', phone_number: '+2348011111111' } },
+  }),
+  invalidateProfileCache: jest.fn(),
+}));
+
+jest.unstable_mockModule('../middleware/rateLimiter.js', () => passThroughRateLimiters);
+
+const authRoutes = (await import('../routes/auth.routes.js')).default;
+const profileRoutes = (await import('../routes/profile.routes.js')).default;
+const { setSmsProvider } = await import('../services/sms/sms.service.js');
+const { createLocalProvider } = await import('../services/sms/providers/local.provider.js');
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/settings/profile', profileRoutes);
+  app.use('/api', authRoutes);
+  return app;
+};
+
+const USER_ID = 'user-123';
+const AUTH = { Authorization: 'Bearer user-token' };
+const PHONE = '+2348012345678';
+const SESSION = { access_token: 'access-abc', refresh_token: 'refresh-abc', expires_in: 3600 };
+
+describe('Phone numbers', () => {
+  let app;
+  let tables;
+  let profile;
+  let sms;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+
+    profile = { id: USER_ID, user_id: 'AbC123', phone_number: PHONE, phone_verified: true, two_factor_enabled: false };
+    tables = { profiles: [], phone_otps: [] };
+    mockSupabaseAdmin.from.mockImplementation(table =>
+      tables[table]?.shift() || createQuery(table === 'profiles' ? { data: profile, error: null } : undefined));
+    mockSupabaseAdmin.rpc.mockResolvedValue({ data: null, error: null });
+    mockSupabaseAdmin.auth.admin.getUserById.mockResolvedValue({
+      data: { user: { id: USER_ID, email: 'ada@example.com' } },
+      error: null,
+    });
+    mockSupabaseAdmin.auth.admin.generateLink.mockResolvedValue({
+      data: { properties: { hashed_token: 'hashed-magic-token' } },
+      error: null,
+    });
+    mockSupabase.auth.verifyOtp.mockResolvedValue({
+      data: { user: { id: USER_ID, email: 'ada@example.com', email_confirmed_at: '2024-01-01' }, session: SESSION },
+      error: null,
+    });
+
+    sms = { name: 'test', send: jest.fn(async () => ({ id: 'sms-1' })) };
+    setSmsProvider(sms);
+  });
+
+  afterEach(() => {
+    setSmsProvider(undefined);
+  });
+
+  const queriesFor = table => mockSupabaseAdmin.from.mock.calls
+    .map(([name], i) => name === table && mockSupabaseAdmin.from.mock.results[i].value)
+    .filter(Boolean);
+
+  // The stored (hashed) code row and the code texted to the user
+  const lastIssuedCode = () => {
+    const upsert = queriesFor('phone_otps').find(query => query.upsert.mock.calls.length > 0);
+    const [row] = upsert.upsert.mock.calls[0];
+    const [{ message }] = sms.send.mock.calls.at(-1);
+    return { row, otp: message.match(/\d{6}/)[0] };
+  };
+
+  describe('SMS login', () => {
+    it('should text a code to a verified number given in local format', async () => {
+      const response = await request(app).post('/api/send-phone-otp').send({ phone_number: '0801 234 5678' });
+
+      expect(response.status).toBe(200);
+      const lookup = queriesFor('profiles')[0];
+      expect(lookup.eq).toHaveBeenCalledWith('phone_number', PHONE);
+      expect(lookup.eq).toHaveBeenCalledWith('phone_verified', true);
+      expect(sms.send).toHaveBeenCalledWith(expect.objectContaining({ to: PHONE }));
+
+      const { row, otp } = lastIssuedCode();
+      expect(row).toEqual(expect.objectContaining({ user_id: USER_ID, purpose: 'login', phone_number: PHONE }));
+      expect(row.otp).not.toContain(otp);
+    });
+
+    it('should answer the same for numbers that are not verified on an account', async () => {
+      tables.profiles.push(createQuery({ data: null, error: null }));
+
+      const response = await request(app).post('/api/send-phone-otp').send({ phone_number: '08099999999' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('If this number is verified on an account, a code has been sent by SMS');
+      expect(sms.send).not.toHaveBeenCalled();
+    });
+
+    it('should not text a number again within a minute', async () => {
+      tables.phone_otps.push(createQuery({ data: { created_at: new Date().toISOString() }, error: null }));
+
+      const response = await request(app).post('/api/send-phone-otp').send({ phone_number: PHONE });
+
+      expect(response.status).toBe(200);
+      expect(sms.send).not.toHaveBeenCalled();
+    });
+
+    it('should answer the same when the code cannot be sent', async () => {
+      setSmsProvider(null);
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await request(app).post('/api/send-phone-otp').send({ phone_number: PHONE });
+
+      consoleSpy.mockRestore();
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('If this number is verified on an account, a code has been sent by SMS');
+    });
+
+    it('should log in with the texted code', async () => {
+      await request(app).post('/api/send-phone-otp').send({ phone_number: PHONE });
+      const { row, otp } = lastIssuedCode();
+      const codeDelete = createQuery();
+      tables.phone_otps.push(createQuery({ data: row, error: null }), codeDelete);
+
+      const response = await request(app).post('/api/verify-phone-otp').send({ phone_number: PHONE, otp });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.session).toEqual(SESSION);
+      expect(codeDelete.delete).toHaveBeenCalled();
+      expect(mockSupabase.auth.verifyOtp).toHaveBeenCalledWith({ token_hash: 'hashed-magic-token', type: 'magiclink' });
+    });
+
+    it('should count a wrong code towards the lockout', async () => {
+      await request(app).post('/api/send-phone-otp').send({ phone_number: PHONE });
+      const { row, otp } = lastIssuedCode();
+      const wrong = otp === '111111' ? '222222' : '111111';
+      const attemptUpdate = createQuery();
+      tables.phone_otps.push(createQuery({ data: row, error: null }), attemptUpdate);
+
+      const response = await request(app).post('/api/verify-phone-otp').send({ phone_number: PHONE, otp: wrong });
+
+      expect(response.status).toBe(400);
+      expect(attemptUpdate.update).toHaveBeenCalledWith({ attempts: 1 });
+      expect(mockSupabaseAdmin.rpc).toHaveBeenCalledWith('record_login_failure', expect.objectContaining({
+        p_user_id: USER_ID,
+        p_factor: 'phone_otp',
+      }));
+      expect(mockSupabase.auth.verifyOtp).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verifying the profile number', () => {
+    beforeEach(() => {
+      profile.phone_number = '08012345678';
+      profile.phone_verified = false;
+    });
+
+    it('should mark the number verified with the texted code', async () => {
+      const sent = await request(app).post('/api/settings/profile/phone/send-code').set(AUTH);
+      const { row, otp } = lastIssuedCode();
+      tables.phone_otps.push(createQuery({ data: row, error: null }));
+
+      const response = await request(app).post('/api/settings/profile/phone/verify').set(AUTH).send({ otp });
+
+      expect(sent.status).toBe(200);
+      expect(row).toEqual(expect.objectContaining({ purpose: 'verify', phone_number: PHONE }));
+      expect(response.status).toBe(200);
+      expect(response.body.data.phone_verified).toBe(true);
+      const update = queriesFor('profiles').find(query => query.update.mock.calls.length > 0);
+      expect(update.update).toHaveBeenCalledWith(expect.objectContaining({ phone_number: PHONE, phone_verified: true }));
+    });
+
+    it('should not accept a code sent to a previous number', async () => {
+      tables.phone_otps.push(createQuery({
+        data: { user_id: USER_ID, purpose: 'verify', phone_number: '+2348099999999', otp: 'scrypt$00$00', attempts: 0 },
+        error: null,
+      }));
+
+      const response = await request(app).post('/api/settings/profile/phone/verify').set(AUTH).send({ otp: '123456' });
+
+      expect(response.status).toBe(400);
+      expect(queriesFor('profiles').some(query => query.update.mock.calls.length > 0)).toBe(false);
+    });
+
+    it('should reset the verified flag when the number changes', async () => {
+      profile.phone_verified = true;
+      tables.profiles.push(createQuery({ data: null, error: null }));
+
+      const response = await request(app).put('/api/settings/profile').set(AUTH).send({ phone_number: '08022222222' });
+
+      expect(response.status).toBe(200);
+      const update = queriesFor('profiles').find(query => query.update.mock.calls.length > 0);
+      expect(update.update).toHaveBeenCalledWith(expect.objectContaining({
+        phone_number: '+2348022222222',
+        phone_verified: false,
+        phone_verified_at: null,
+      }));
+    });
+  });
+
+  describe('local SMS driver', () => {
+    it('should append messages to the configured file', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'sms-'));
+      const file = join(dir, 'sms.log');
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      try {
+        const driver = createLocalProvider(file);
+        await driver.send({ to: PHONE, message: 'first' });
+        await driver.send({ to: PHONE, message: 'second' });
+
+        const lines = readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        expect(lines.map(line => line.message)).toEqual(['first', 'second']);
+        expect(lines[0].to).toBe(PHONE);
+        expect(consoleSpy.mock.calls.flat().join(' ')).not.toMatch(/first|second/);
+      } finally {
+        consoleSpy.mockRestore();
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should not print codes to the console outside development', async () => {
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      try {
+        await createLocalProvider(undefined).send({ to: PHONE, message: '975310 is your Motoka verification code' });
+
+        expect(consoleSpy).toHaveBeenCalled();
+        expect(consoleSpy.mock.calls.flat().join(' ')).not.toContain('975310');
+      } finally {
+        consoleSpy.mockRestore();
+      }
+    });
+  });
+});
@@ -0,0 +1,267 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createQuery, authenticateAs, ADMIN_USER, CLIENT_USER } from './helpers.js';
+
+const mockSupabaseAdmin = {
+  from: jest.fn(),
+  rpc: jest.fn(),
+};
+
+const mockSupabaseUser = {
+  from: jest.fn(),
+};
+
+jest.unstable_mockModule('../config/supabase.js', () => ({
+  getSupabaseAdmin: jest.fn(() => mockSupabaseAdmin),
+  getSupabase: jest.fn(),
+  getSupabaseUser: jest.fn(() => mockSupabaseUser),
+}));
+
+jest.unstable_mockModule('../middleware/authenticate.js', () => ({
+  authenticate: authenticateAs({
+    'admin-token': { ...ADMIN_USER, email_confirmed_at: '2024-01-01' },
+    'user-token': { ...CLIENT_USER, email_confirmed_at: '2024-01-01' },
+  }),
+  invalidateProfileCache: jest.fn(),
+}));
+
+const carRoutes = (await import('../routes/car.routes.js')).default;
+const adminRoutes = (await import('../routes/admin.routes.js')).default;
+const { computeRenewalPeriod } = await import('../services/renewal.service.js');
+const { toLocalDateString, addDays, addMonths } = await import('../utils/dateHelpers.js');
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', carRoutes);
+  app.use('/api/admin', adminRoutes);
+  return app;
+};
+
+const SLUG = '123e4567-e89b-12d3-a456-426614174000';
+const TODAY = toLocalDateString();
+const EXPIRY = addDays(TODAY, 10);
+
+const createTestCar = (overrides = {}) => ({
+  id: 10,
+  slug: SLUG,
+  user_id: 'user-123',
+  car_type: 'private',
+  registration_status: 'registered',
+  status: 'approved',
+  type: 'Normal',
+  date_issued: addMonths(EXPIRY, -12),
+  expiry_date: EXPIRY,
+  ...overrides,
+});
+
+const createTestRenewal = (overrides = {}) => ({
+  id: 5,
+  car_id: 10,
+  user_id: 'user-123',
+  status: 'pending',
+  previous_date_issued: addMonths(EXPIRY, -12),
+  previous_expiry_date: EXPIRY,
+  new_date_issued: EXPIRY,
+  new_expiry_date: addMonths(EXPIRY, 12),
+  period_months: 12,
+  amount: 5500,
+  currency: 'NGN',
+  ...overrides,
+});
+
+const schedule = [
+  { id: 1, item_code: 'processing_fee', description: 'Processing fee', amount: 2500, currency: 'NGN', purpose: 'renewal', car_type: null, registration_status: null, plate_type: null },
+  { id: 2, item_code: 'vehicle_license', description: 'Vehicle license', amount: 3000, currency: 'NGN', purpose: 'renewal', car_type: 'private', registration_status: null, plate_type: null },
+  { id: 3, item_code: 'plate_number', description: 'Plate number', amount: 18750, currency: 'NGN', purpose: 'registration', car_type: null, registration_status: 'unregistered', plate_type: null },
+  { id: 4, item_code: 'road_worthiness', description: 'Road worthiness certificate', amount: 6000, currency: 'NGN', purpose: 'registration', car_type: null, registration_status: null, plate_type: null },
+];
+
+// Returns only the rows for the purpose the query filters on
+const scheduleQuery = rows => {
+  const query = createQuery();
+  let purpose;
+  query.eq.mockImplementation((column, value) => {
+    if (column === 'purpose') purpose = value;
+    return query;
+  });
+  query.then = (resolve, reject) => Promise.resolve({ data: rows.filter(row => row.purpose === purpose), error: null }).then(resolve, reject);
+  return query;
+};
+
+describe('Car Renewals', () => {
+  let app;
+  let tables;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+
+    // Each table holds a queue of query results, consumed in call order
+    tables = {
+      cars: [createQuery({ data: createTestCar(), error: null })],
+      fee_schedules: [scheduleQuery(schedule)],
+      car_renewals: [],
+      profiles: [createQuery({ data: { user_id: 'AbC123' }, error: null })],
+      notifications: [createQuery({ data: { id: 1 }, error: null })],
+    };
+    const nextQuery = table => tables[table].shift() || createQuery();
+    mockSupabaseAdmin.from.mockImplementation(nextQuery);
+    mockSupabaseUser.from.mockImplementation(nextQuery);
+  });
+
+  describe('computeRenewalPeriod', () => {
+    it('should continue from the current expiry date when renewing early', () => {
+      expect(computeRenewalPeriod({ expiry_date: '2026-05-01' }, '2026-04-20')).toEqual({
+        date_issued: '2026-05-01',
+        expiry_date: '2027-05-01',
+        period_months: 12,
+      });
+    });
+
+    it('should start from today when the license has lapsed', () => {
+      expect(computeRenewalPeriod({ expiry_date: '2026-01-01' }, '2026-02-10').date_issued).toBe('2026-02-10');
+    });
+
+    it('should clamp to the end of a shorter month', () => {
+      expect(computeRenewalPeriod({ expiry_date: '2028-02-29' }, '2028-02-01').expiry_date).toBe('2029-02-28');
+    });
+  });
+
+  describe('POST /api/cars/:slug/renewals', () => {
+    it('should create a pending renewal with the new period and renewal fees', async () => {
+      const insertQuery = createQuery({ data: createTestRenewal(), error: null });
+      tables.car_renewals = [insertQuery];
+
+      const response = await request(app)
+        .post(`/api/cars/${SLUG}/renewals`)
+        .set('Authorization', 'Bearer user-token');
+
+      expect(response.status).toBe(201);
+      expect(insertQuery.insert).toHaveBeenCalledWith(expect.objectContaining({
+        car_id: 10,
+        user_id: 'user-123',
+        status: 'pending',
+        previous_expiry_date: EXPIRY,
+        new_date_issued: EXPIRY,
+        new_expiry_date: addMonths(EXPIRY, 12),
+        period_months: 12,
+        amount: 5500,
+        items: [
+          expect.objectContaining({ item_code: 'processing_fee' }),
+          expect.objectContaining({ item_code: 'vehicle_license' }),
+        ],
+      }));
+    });
+
+    it('should not charge registration-only fees on a renewal', async () => {
+      const insertQuery = createQuery({ data: createTestRenewal(), error: null });
+      tables.car_renewals = [insertQuery];
+
+      await request(app)
+        .post(`/api/cars/${SLUG}/renewals`)
+        .set('Authorization', 'Bearer user-token');
+
+      const [renewal] = insertQuery.insert.mock.calls[0];
+      expect(renewal.items.map(item => item.item_code)).not.toContain('road_worthiness');
+      expect(renewal.amount).toBe(5500);
+    });
+
+    it('should return 409 before the renewal window opens', async () => {
+      tables.cars = [createQuery({ data: createTestCar({ expiry_date: addDays(TODAY, 200) }), error: null })];
+
+      const response = await request(app)
+        .post(`/api/cars/${SLUG}/renewals`)
+        .set('Authorization', 'Bearer user-token');
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should return 409 for an unregistered car', async () => {
+      tables.cars = [createQuery({ data: createTestCar({ registration_status: 'unregistered', expiry_date: null }), error: null })];
+
+      const response = await request(app)
+        .post(`/api/cars/${SLUG}/renewals`)
+        .set('Authorization', 'Bearer user-token');
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should apply the car update rules and return their errors', async () => {
+      tables.cars = [createQuery({ data: createTestCar({ type: 'Dealership', company_name: null }), error: null })];
+
+      const response = await request(app)
+        .post(`/api/cars/${SLUG}/renewals`)
+        .set('Authorization', 'Bearer user-token');
+
+      expect(response.status).toBe(422);
+      expect(response.body.errors.map(e => e.field)).toContain('company_name');
+      expect(mockSupabaseAdmin.from).not.toHaveBeenCalledWith('car_renewals');
+    });
+
+    it('should return 409 when a renewal is already pending', async () => {
+      tables.car_renewals = [createQuery({ data: null, error: { code: '23505' } })];
+
+      const response = await request(app)
+        .post(`/api/cars/${SLUG}/renewals`)
+        .set('Authorization', 'Bearer user-token');
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('PUT /api/admin/renewals/:id/approve', () => {
+    it('should extend the expiry date through review_car_renewal and notify the owner', async () => {
+      tables.car_renewals = [createQuery({ data: createTestRenewal(), error: null })];
+      mockSupabaseAdmin.rpc.mockResolvedValue({ data: [createTestRenewal({ status: 'approved' })], error: null });
+
+      const response = await request(app)
+        .put('/api/admin/renewals/5/approve')
+        .set('Authorization', 'Bearer admin-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.renewal.status).toBe('approved');
+      expect(mockSupabaseAdmin.rpc).toHaveBeenCalledWith('review_car_renewal', {
+        p_renewal_id: 5,
+        p_reviewer_id: 'admin-1',
+        p_status: 'approved',
+        p_reason: null,
+      });
+      expect(mockSupabaseAdmin.from).toHaveBeenCalledWith('notifications');
+    });
+
+    it('should return 409 when the car expiry date changed since the request', async () => {
+      tables.car_renewals = [createQuery({ data: createTestRenewal(), error: null })];
+      tables.cars = [createQuery({ data: createTestCar({ expiry_date: addDays(EXPIRY, 30) }), error: null })];
+
+      const response = await request(app)
+        .put('/api/admin/renewals/5/approve')
+        .set('Authorization', 'Bearer admin-token');
+
+      expect(response.status).toBe(409);
+      expect(mockSupabaseAdmin.rpc).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 for a renewal that is no longer pending', async () => {
+      tables.car_renewals = [createQuery({ data: createTestRenewal({ status: 'approved' }), error: null })];
+
+      const response = await request(app)
+        .put('/api/admin/renewals/5/approve')
+        .set('Authorization', 'Bearer admin-token');
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('PUT /api/admin/renewals/:id/reject', () => {
+    it('should require a reason', async () => {
+      const response = await request(app)
+        .put('/api/admin/renewals/5/reject')
+        .set('Authorization', 'Bearer admin-token')
+        .send({});
+
+      expect(response.status).toBe(422);
+    });
+  });
+});
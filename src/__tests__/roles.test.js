@@ -0,0 +1,155 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createQuery, authenticateAs } from './helpers.js';
+
+const mockSupabaseAdmin = {
+  from: jest.fn(),
+};
+
+jest.unstable_mockModule('../config/supabase.js', () => ({
+  getSupabaseAdmin: jest.fn(() => mockSupabaseAdmin),
+  getSupabase: jest.fn(),
+  getSupabaseUser: jest.fn(),
+}));
+
+const mockNotifyUser = jest.fn();
+jest.unstable_mockModule('../services/notification.service.js', () => ({
+  notifyUser: mockNotifyUser,
+}));
+
+// One token per role
+const staff = (id, userTypeId) => ({ id, profile: { id, user_type_id: userTypeId, is_admin: false } });
+const STAFF = {
+  'admin-token': staff('admin-1', 1),
+  'reviewer-token': staff('reviewer-1', 3),
+  'user-token': staff('user-123', 2),
+};
+
+const mockInvalidateProfileCache = jest.fn();
+jest.unstable_mockModule('../middleware/authenticate.js', () => ({
+  authenticate: authenticateAs(STAFF),
+  invalidateProfileCache: mockInvalidateProfileCache,
+}));
+
+const adminRoutes = (await import('../routes/admin.routes.js')).default;
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', adminRoutes);
+  return app;
+};
+
+const as = token => ({ Authorization: `Bearer ${token}` });
+
+describe('Roles and permissions', () => {
+  let app;
+  let tables;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+
+    tables = {
+      profiles: [createQuery({ data: { id: 'user-123', user_type_id: 2 }, error: null })],
+      user_types: [createQuery({ data: { id: 3, user_type_name: 'Reviewer' }, error: null })],
+    };
+    mockSupabaseAdmin.from.mockImplementation(table => tables[table]?.shift() || createQuery());
+  });
+
+  const queriesFor = table => mockSupabaseAdmin.from.mock.calls
+    .map(([name], i) => name === table && mockSupabaseAdmin.from.mock.results[i].value)
+    .filter(Boolean);
+
+  describe('requirePermission', () => {
+    it('should let a role through to the routes it has permission for', async () => {
+      tables.profiles = [createQuery({ data: [], count: 0, error: null })];
+
+      const response = await request(app).get('/api/admin/users').set(as('reviewer-token'));
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should refuse a staff role without the permission', async () => {
+      const response = await request(app).get('/api/admin/fees').set(as('reviewer-token'));
+
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe('You do not have permission to do this');
+    });
+
+    it('should keep clients out of the admin API', async () => {
+      const response = await request(app).get('/api/admin/users').set(as('user-token'));
+
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe('Admin access required');
+    });
+  });
+
+  describe('GET /api/admin/roles', () => {
+    it('should list each role with its permissions', async () => {
+      tables.user_types = [createQuery({
+        data: [{ id: 1, user_type_name: 'Super_admin' }, { id: 3, user_type_name: 'Reviewer' }],
+        error: null,
+      })];
+
+      const response = await request(app).get('/api/admin/roles').set(as('admin-token'));
+
+      expect(response.status).toBe(200);
+      const [superAdmin, reviewer] = response.body.data.roles;
+      expect(superAdmin.permissions).toContain('roles.manage');
+      expect(reviewer).toEqual({
+        id: 3,
+        name: 'Reviewer',
+        permissions: ['users.view', 'cars.review', 'kyc.review', 'renewals.review'],
+      });
+    });
+  });
+
+  describe('PUT /api/admin/users/:userId/role', () => {
+    it('should let a super admin give a user a new role', async () => {
+      const response = await request(app)
+        .put('/api/admin/users/user-123/role')
+        .set(as('admin-token'))
+        .send({ user_type_id: 3 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual(expect.objectContaining({ user_type_id: 3, user_type: 'Reviewer' }));
+      const update = queriesFor('profiles')[1];
+      expect(update.update).toHaveBeenCalledWith({ user_type_id: 3, is_admin: false });
+      expect(update.eq).toHaveBeenCalledWith('id', 'user-123');
+      expect(mockInvalidateProfileCache).toHaveBeenCalledWith('user-123');
+      expect(mockNotifyUser).toHaveBeenCalledWith(expect.objectContaining({ userId: 'user-123', action: 'role_changed' }));
+    });
+
+    it('should only let super admins assign roles', async () => {
+      const response = await request(app)
+        .put('/api/admin/users/user-123/role')
+        .set(as('reviewer-token'))
+        .send({ user_type_id: 1 });
+
+      expect(response.status).toBe(403);
+      expect(mockSupabaseAdmin.from).not.toHaveBeenCalled();
+    });
+
+    it('should not let an admin change their own role', async () => {
+      const response = await request(app)
+        .put('/api/admin/users/admin-1/role')
+        .set(as('admin-token'))
+        .send({ user_type_id: 2 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Cannot change your own role');
+    });
+
+    it('should reject an unknown role', async () => {
+      const response = await request(app)
+        .put('/api/admin/users/user-123/role')
+        .set(as('admin-token'))
+        .send({ user_type_id: 9 });
+
+      expect(response.status).toBe(422);
+      expect(queriesFor('profiles')).toHaveLength(0);
+    });
+  });
+});
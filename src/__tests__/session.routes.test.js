@@ -0,0 +1,323 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createHash } from 'crypto';
+import { createQuery } from './helpers.js';
+
+const mockSupabaseAdmin = {
+  from: jest.fn(),
+  rpc: jest.fn(),
+  auth: {
+    getUser: jest.fn(),
+    admin: { signOut: jest.fn() },
+  },
+};
+
+const mockSupabase = {
+  auth: { refreshSession: jest.fn() },
+};
+
+jest.unstable_mockModule('../config/supabase.js', () => ({
+  getSupabaseAdmin: jest.fn(() => mockSupabaseAdmin),
+  getSupabase: jest.fn(() => mockSupabase),
+  getSupabaseUser: jest.fn(),
+  getSupabaseEphemeral: jest.fn(),
+}));
+
+const sessionRoutes = (await import('../routes/session.routes.js')).default;
+const authRoutes = (await import('../routes/auth.routes.js')).default;
+const { describeDevice } = await import('../services/session.service.js');
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', authRoutes);
+  app.use('/api/sessions', sessionRoutes);
+  return app;
+};
+
+const USER_ID = 'user-123';
+
+// Unsigned JWT carrying the Supabase session_id claim (auth.getUser is mocked)
+const createAccessToken = sessionId => [
+  Buffer.from(JSON.stringify({ alg: 'HS256' })).toString('base64url'),
+  Buffer.from(JSON.stringify({ sub: USER_ID, session_id: sessionId })).toString('base64url'),
+  'signature',
+].join('.');
+
+// A fresh id per test - session checks are cached in memory between requests
+let sessionCounter = 0;
+const nextSessionId = () => `00000000-0000-4000-8000-${String(++sessionCounter).padStart(12, '0')}`;
+
+describe('User Sessions', () => {
+  let app;
+  let tables;
+  let sessionId;
+  let token;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+
+    sessionId = nextSessionId();
+    token = createAccessToken(sessionId);
+
+    // Each table holds a queue of query results, consumed in call order
+    tables = {
+      profiles: [createQuery({ data: { id: USER_ID, user_id: 'AbC123' }, error: null })],
+      user_sessions: [],
+      session_refresh_tokens: [],
+      notifications: [],
+    };
+    mockSupabaseAdmin.from.mockImplementation(table => tables[table].shift() || createQuery());
+    mockSupabaseAdmin.rpc.mockResolvedValue({ data: true, error: null });
+    mockSupabaseAdmin.auth.getUser.mockResolvedValue({ data: { user: { id: USER_ID } }, error: null });
+    mockSupabaseAdmin.auth.admin.signOut.mockResolvedValue({ error: null });
+  });
+
+  describe('describeDevice', () => {
+    it('should name the browser and OS', () => {
+      expect(describeDevice('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36')).toBe('Chrome on Windows');
+      expect(describeDevice('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1')).toBe('Safari on iOS');
+    });
+  });
+
+  describe('authenticate', () => {
+    it('should record the session on use', async () => {
+      tables.user_sessions = [createQuery({ data: [], error: null })];
+
+      const response = await request(app)
+        .get('/api/sessions')
+        .set('Authorization', `Bearer ${token}`)
+        .set('User-Agent', 'Mozilla/5.0 (X11; Linux x86_64) Firefox/121.0');
+
+      expect(response.status).toBe(200);
+      expect(mockSupabaseAdmin.rpc).toHaveBeenCalledWith('touch_user_session', expect.objectContaining({
+        p_session_id: sessionId,
+        p_user_id: USER_ID,
+        p_user_agent: 'Mozilla/5.0 (X11; Linux x86_64) Firefox/121.0',
+      }));
+    });
+
+    it('should reject a revoked session', async () => {
+      mockSupabaseAdmin.rpc.mockResolvedValue({ data: false, error: null });
+
+      const response = await request(app)
+        .get('/api/sessions')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(401);
+      expect(response.body.message).toBe('Session has been revoked');
+    });
+  });
+
+  describe('GET /api/sessions', () => {
+    it('should list active sessions and flag the current one', async () => {
+      const listQuery = createQuery({
+        data: [
+          { id: sessionId, device_name: 'Chrome on Windows' },
+          { id: nextSessionId(), device_name: 'Safari on iOS' },
+        ],
+        error: null,
+      });
+      tables.user_sessions = [listQuery];
+
+      const response = await request(app)
+        .get('/api/sessions')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.sessions.map(s => s.current)).toEqual([true, false]);
+      expect(listQuery.eq).toHaveBeenCalledWith('user_id', USER_ID);
+      expect(listQuery.is).toHaveBeenCalledWith('revoked_at', null);
+    });
+
+    it('should include ended sessions with include_revoked=true', async () => {
+      const listQuery = createQuery({
+        data: [{ id: nextSessionId(), revoked_reason: 'token_reuse', reuse_ip_address: '203.0.113.9' }],
+        error: null,
+      });
+      tables.user_sessions = [listQuery];
+
+      const response = await request(app)
+        .get('/api/sessions?include_revoked=true')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.sessions[0].reuse_ip_address).toBe('203.0.113.9');
+      expect(listQuery.is).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/sessions/:id', () => {
+    it('should revoke one of the user\'s sessions', async () => {
+      const otherSessionId = nextSessionId();
+      const revokeQuery = createQuery({ data: [{ id: otherSessionId }], error: null });
+      tables.user_sessions = [revokeQuery];
+
+      const response = await request(app)
+        .delete(`/api/sessions/${otherSessionId}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(revokeQuery.update).toHaveBeenCalledWith({ revoked_at: expect.any(String), revoked_reason: 'revoked' });
+      expect(revokeQuery.eq).toHaveBeenCalledWith('id', otherSessionId);
+      expect(revokeQuery.eq).toHaveBeenCalledWith('user_id', USER_ID);
+    });
+
+    it('should return 404 for a session that is not active', async () => {
+      tables.user_sessions = [createQuery({ data: [], error: null })];
+
+      const response = await request(app)
+        .delete(`/api/sessions/${nextSessionId()}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should return 422 for a malformed session id', async () => {
+      const response = await request(app)
+        .delete('/api/sessions/not-a-uuid')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(422);
+    });
+  });
+
+  describe('DELETE /api/sessions', () => {
+    it('should revoke every session and sign out of Supabase globally', async () => {
+      tables.user_sessions = [createQuery({ data: [{ id: sessionId }, { id: nextSessionId() }], error: null })];
+
+      const response = await request(app)
+        .delete('/api/sessions')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.revoked).toBe(2);
+      expect(mockSupabaseAdmin.auth.admin.signOut).toHaveBeenCalledWith(token, 'global');
+    });
+
+    it('should reject the same token afterwards', async () => {
+      tables.user_sessions = [createQuery({ data: [{ id: sessionId }], error: null })];
+      await request(app)
+        .delete('/api/sessions')
+        .set('Authorization', `Bearer ${token}`);
+
+      mockSupabaseAdmin.rpc.mockResolvedValue({ data: false, error: null });
+      const response = await request(app)
+        .get('/api/sessions')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('POST /api/logout', () => {
+    it('should revoke the current session', async () => {
+      const revokeQuery = createQuery({ data: [{ id: sessionId }], error: null });
+      tables.user_sessions = [revokeQuery];
+
+      const response = await request(app)
+        .post('/api/logout')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(revokeQuery.eq).toHaveBeenCalledWith('id', sessionId);
+      expect(mockSupabaseAdmin.auth.admin.signOut).toHaveBeenCalledWith(token, 'local');
+    });
+  });
+
+  describe('POST /api/refresh', () => {
+    const sha256 = value => createHash('sha256').update(value).digest('hex');
+
+    it('should rotate a recorded refresh token within its family', async () => {
+      const claimQuery = createQuery({ data: [{ id: 7, session_id: sessionId, user_id: USER_ID }], error: null });
+      const insertQuery = createQuery({ data: null, error: null });
+      tables.session_refresh_tokens = [claimQuery, insertQuery];
+      mockSupabase.auth.refreshSession.mockResolvedValue({
+        data: { user: { id: USER_ID }, session: { access_token: createAccessToken(sessionId), refresh_token: 'new-refresh' } },
+        error: null,
+      });
+
+      const response = await request(app)
+        .post('/api/refresh')
+        .send({ refresh_token: 'old-refresh' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.session.refresh_token).toBe('new-refresh');
+      expect(claimQuery.eq).toHaveBeenCalledWith('token_hash', sha256('old-refresh'));
+      expect(claimQuery.is).toHaveBeenCalledWith('rotated_at', null);
+      expect(insertQuery.insert).toHaveBeenCalledWith({
+        session_id: sessionId,
+        user_id: USER_ID,
+        token_hash: sha256('new-refresh'),
+        parent_id: 7,
+      });
+    });
+
+    it('should release the token when Supabase fails, so a retry is not a replay', async () => {
+      const claimed = () => createQuery({ data: [{ id: 7, session_id: sessionId, user_id: USER_ID }], error: null });
+      const releaseQuery = createQuery({ data: null, error: null });
+      tables.session_refresh_tokens = [claimed(), releaseQuery, claimed(), createQuery({ data: null, error: null })];
+      mockSupabase.auth.refreshSession
+        .mockResolvedValueOnce({ data: { user: null, session: null }, error: { message: 'Service unavailable', status: 503 } })
+        .mockResolvedValueOnce({
+          data: { user: { id: USER_ID }, session: { access_token: createAccessToken(sessionId), refresh_token: 'new-refresh' } },
+          error: null,
+        });
+
+      const failed = await request(app).post('/api/refresh').send({ refresh_token: 'old-refresh' });
+      const retried = await request(app).post('/api/refresh').send({ refresh_token: 'old-refresh' });
+
+      expect(failed.status).toBe(401);
+      expect(releaseQuery.update).toHaveBeenCalledWith({ rotated_at: null });
+      expect(releaseQuery.eq).toHaveBeenCalledWith('id', 7);
+      expect(retried.status).toBe(200);
+      expect(retried.body.data.session.refresh_token).toBe('new-refresh');
+      expect(mockSupabaseAdmin.rpc).not.toHaveBeenCalledWith('flag_refresh_token_reuse', expect.anything());
+    });
+
+    it('should revoke the family and flag the account when a rotated token is replayed', async () => {
+      tables.session_refresh_tokens = [
+        createQuery({ data: [], error: null }),
+        createQuery({ data: { id: 7, session_id: sessionId }, error: null }),
+      ];
+      tables.notifications = [createQuery({ data: { id: 1 }, error: null })];
+      mockSupabaseAdmin.rpc.mockResolvedValue({
+        data: [{ id: sessionId, user_id: USER_ID, device_name: 'Safari on iOS', revoked_reason: 'token_reuse' }],
+        error: null,
+      });
+
+      const response = await request(app)
+        .post('/api/refresh')
+        .set('User-Agent', 'curl/8.0')
+        .send({ refresh_token: 'old-refresh' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.message).toBe('Refresh token was already used. Please log in again');
+      expect(mockSupabase.auth.refreshSession).not.toHaveBeenCalled();
+      expect(mockSupabaseAdmin.rpc).toHaveBeenCalledWith('flag_refresh_token_reuse', expect.objectContaining({
+        p_session_id: sessionId,
+        p_user_agent: 'curl/8.0',
+      }));
+      expect(mockSupabaseAdmin.from).toHaveBeenCalledWith('notifications');
+    });
+
+    it('should refuse to refresh a revoked session', async () => {
+      const refreshed = createAccessToken(sessionId);
+      mockSupabase.auth.refreshSession.mockResolvedValue({
+        data: { user: { id: USER_ID }, session: { access_token: refreshed, refresh_token: 'new-refresh' } },
+        error: null,
+      });
+      mockSupabaseAdmin.rpc.mockResolvedValue({ data: false, error: null });
+
+      const response = await request(app)
+        .post('/api/refresh')
+        .send({ refresh_token: 'old-refresh' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.data).toBeUndefined();
+      expect(mockSupabaseAdmin.auth.admin.signOut).toHaveBeenCalledWith(refreshed, 'local');
+    });
+  });
+});
@@ -0,0 +1,167 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createQuery, passThroughRateLimiters, authenticateAs } from './helpers.js';
+
+const mockSupabase = {
+  auth: { signInWithPassword: jest.fn() },
+};
+
+const mockSupabaseAdmin = {
+  from: jest.fn(),
+  rpc: jest.fn(),
+  auth: { admin: { getUserById: jest.fn() } },
+};
+
+jest.unstable_mockModule('../config/supabase.js', () => ({
+  getSupabaseAdmin: jest.fn(() => mockSupabaseAdmin),
+  getSupabase: jest.fn(() => mockSupabase),
+  getSupabaseUser: jest.fn(),
+  getSupabaseEphemeral: jest.fn(),
+}));
+
+let mockProfile;
+jest.unstable_mockModule('../middleware/authenticate.js', () => ({
+  authenticate: authenticateAs({
+    // beforeEach replaces mockProfile, so it is read per request
+    'user-token': { id: 'user-123', email: 'ada@example.com', email_confirmed_at: '2024-01-01', get profile() { return mockProfile; } },
+  }),
+  invalidateProfileCache: jest.fn(),
+}));
+
+jest.unstable_mockModule('../middleware/rateLimiter.js', () => passThroughRateLimiters);
+
+const authRoutes = (await import('../routes/auth.routes.js')).default;
+const profileRoutes = (await import('../routes/profile.routes.js')).default;
+const { setSmsProvider } = await import('../services/sms/sms.service.js');
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/settings/profile', profileRoutes);
+  app.use('/api', authRoutes);
+  return app;
+};
+
+const USER_ID = 'user-123';
+const AUTH = { Authorization: 'Bearer user-token' };
+const PHONE = '+2348012345678';
+const SESSION = { access_token: 'access-abc', refresh_token: 'refresh-abc', expires_in: 3600 };
+
+describe('SMS 2FA', () => {
+  let app;
+  let sms;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+
+    mockProfile = {
+      id: USER_ID,
+      user_id: 'AbC123',
+      phone_number: PHONE,
+      phone_verified: true,
+      two_factor_enabled: false,
+      two_factor_type: null,
+    };
+    // Profile updates are applied, so a stored code can be read back, and
+    // resolve to the profile as the one affected row
+    mockSupabaseAdmin.from.mockImplementation(table => {
+      const query = createQuery(table === 'profiles' ? { data: mockProfile, error: null } : undefined);
+      if (table === 'profiles') {
+        query.update.mockImplementation(values => {
+          Object.assign(mockProfile, values);
+          query.then = (resolve, reject) => Promise.resolve({ data: [mockProfile], error: null }).then(resolve, reject);
+          return query;
+        });
+      }
+      return query;
+    });
+    mockSupabaseAdmin.rpc.mockResolvedValue({ data: null, error: null });
+    mockSupabaseAdmin.auth.admin.getUserById.mockResolvedValue({
+      data: { user: { id: USER_ID, email: 'ada@example.com', email_confirmed_at: '2024-01-01' } },
+      error: null,
+    });
+    mockSupabase.auth.signInWithPassword.mockResolvedValue({
+      data: { user: { id: USER_ID, email: 'ada@example.com' }, session: SESSION },
+      error: null,
+    });
+
+    sms = { name: 'test', send: jest.fn(async () => ({ id: 'sms-1' })) };
+    setSmsProvider(sms);
+  });
+
+  afterEach(() => {
+    setSmsProvider(undefined);
+  });
+
+  const lastTextedCode = () => sms.send.mock.calls.at(-1)[0].message.match(/\d{6}/)[0];
+
+  describe('enabling', () => {
+    it('should turn on with the code texted to the verified number', async () => {
+      const sent = await request(app).post('/api/2fa/enable-sms').set(AUTH);
+      const code = lastTextedCode();
+
+      const response = await request(app).post('/api/2fa/verify-sms').set(AUTH).send({ code });
+
+      expect(sent.status).toBe(200);
+      expect(sms.send).toHaveBeenCalledWith(expect.objectContaining({ to: PHONE }));
+      expect(mockProfile.two_factor_email_code).toBeNull();
+      expect(response.status).toBe(200);
+      expect(response.body.data.method).toBe('sms');
+      expect(response.body.data.recovery_codes).toHaveLength(8);
+      expect(mockProfile).toEqual(expect.objectContaining({ two_factor_enabled: true, two_factor_type: 'sms' }));
+    });
+
+    it('should need a verified phone number', async () => {
+      mockProfile.phone_verified = false;
+
+      const response = await request(app).post('/api/2fa/enable-sms').set(AUTH);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Verify your phone number first');
+      expect(sms.send).not.toHaveBeenCalled();
+    });
+
+    it('should not turn on with a wrong code', async () => {
+      await request(app).post('/api/2fa/enable-sms').set(AUTH);
+      const wrong = lastTextedCode() === '111111' ? '222222' : '111111';
+
+      const response = await request(app).post('/api/2fa/verify-sms').set(AUTH).send({ code: wrong });
+
+      expect(response.status).toBe(400);
+      expect(mockProfile.two_factor_enabled).toBe(false);
+    });
+  });
+
+  describe('login', () => {
+    beforeEach(() => {
+      mockProfile.two_factor_enabled = true;
+      mockProfile.two_factor_type = 'sms';
+    });
+
+    it('should text a code and complete the login with it', async () => {
+      const login = await request(app)
+        .post('/api/login')
+        .send({ email: 'ada@example.com', password: 'Password123!' });
+
+      expect(login.body.data).toEqual(expect.objectContaining({ requires_2fa: true, two_factor_method: 'sms' }));
+      expect(login.body.data.session).toBeUndefined();
+      expect(sms.send).toHaveBeenCalledWith(expect.objectContaining({ to: PHONE }));
+
+      const response = await request(app)
+        .post('/api/2fa/verify-login')
+        .send({ user_id: USER_ID, temp_token: login.body.data.temp_token, code: lastTextedCode() });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.session).toEqual(SESSION);
+    });
+
+    it('should keep the phone number while it receives the codes', async () => {
+      const response = await request(app).put('/api/settings/profile').set(AUTH).send({ phone_number: '08022222222' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Turn off SMS 2FA before changing your phone number');
+    });
+  });
+});
@@ -0,0 +1,235 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createHash, randomBytes } from 'crypto';
+import speakeasy from 'speakeasy';
+import { hashSecret } from '../utils/secretHash.js';
+import { createQuery as createBaseQuery, passThroughRateLimiters } from './helpers.js';
+
+// Query that resolves to the given result, and updates resolve to it as
+// the one affected row
+const createQuery = (result = { data: null, error: null }) => {
+  const query = createBaseQuery(result);
+  let awaited = result;
+  query.update = jest.fn(() => {
+    awaited = { ...result, data: [result.data] };
+    return query;
+  });
+  query.then = (resolve, reject) => Promise.resolve(awaited).then(resolve, reject);
+  return query;
+};
+const mockSupabase = {
+  auth: { signInWithPassword: jest.fn() },
+};
+
+const mockSupabaseAdmin = {
+  from: jest.fn(),
+  auth: { admin: { getUserById: jest.fn() } },
+};
+
+jest.unstable_mockModule('../config/supabase.js', () => ({
+  getSupabaseAdmin: jest.fn(() => mockSupabaseAdmin),
+  getSupabase: jest.fn(() => mockSupabase),
+  getSupabaseUser: jest.fn(),
+  getSupabaseEphemeral: jest.fn(),
+}));
+
+// Every test logs in several times; the limiter itself is not under test here
+jest.unstable_mockModule('../middleware/rateLimiter.js', () => passThroughRateLimiters);
+
+const authRoutes = (await import('../routes/auth.routes.js')).default;
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  return app;
+};
+
+const USER_ID = 'user-123';
+const SECRET = speakeasy.generateSecret({ length: 20 }).base32;
+const SESSION = { access_token: 'access-abc', refresh_token: 'refresh-abc', expires_in: 3600 };
+const RECOVERY_CODES = await Promise.all(['RECOVER1', 'RECOVER2'].map(hashSecret));
+
+const createTestProfile = (overrides = {}) => ({
+  id: USER_ID,
+  email: 'user@example.com',
+  two_factor_enabled: true,
+  two_factor_type: 'google',
+  two_factor_secret: SECRET,
+  two_factor_recovery_codes: RECOVERY_CODES,
+  ...overrides,
+});
+
+const validCode = () => speakeasy.totp({ secret: SECRET, encoding: 'base32' });
+
+describe('2FA login', () => {
+  let app;
+  let profile;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+
+    profile = createTestProfile();
+    mockSupabaseAdmin.from.mockImplementation(() => createQuery({ data: profile, error: null }));
+    mockSupabaseAdmin.auth.admin.getUserById.mockResolvedValue({
+      data: { user: { id: USER_ID, email: 'user@example.com', email_confirmed_at: '2024-01-01' } },
+    });
+    mockSupabase.auth.signInWithPassword.mockResolvedValue({
+      data: { user: { id: USER_ID, email: 'user@example.com' }, session: SESSION },
+      error: null,
+    });
+  });
+
+  const login = async () => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'user@example.com', password: 'Password123!' });
+    return response.body.data;
+  };
+
+  const verifyLogin = (tempToken, code) => request(app)
+    .post('/api/auth/2fa/verify-login')
+    .send({ user_id: USER_ID, temp_token: tempToken, code });
+
+  it('should withhold the session until the second factor passes', async () => {
+    const data = await login();
+
+    expect(data.requires_2fa).toBe(true);
+    expect(data.temp_token).toBeDefined();
+    expect(data.session).toBeUndefined();
+  });
+
+  it('should issue the held session after a valid TOTP code', async () => {
+    const { temp_token } = await login();
+
+    const response = await verifyLogin(temp_token, validCode());
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.session).toEqual(SESSION);
+    expect(response.body.data.user.id).toBe(USER_ID);
+  });
+
+  it('should record the time step of an accepted TOTP code', async () => {
+    const { temp_token } = await login();
+
+    await verifyLogin(temp_token, validCode());
+
+    const stepUpdate = mockSupabaseAdmin.from.mock.results
+      .map(({ value }) => value)
+      .find(query => query.update.mock.calls.some(([values]) => 'two_factor_last_totp_step' in values));
+    const step = stepUpdate.update.mock.calls[0][0].two_factor_last_totp_step;
+    expect(Math.abs(step - Math.floor(Date.now() / 30000))).toBeLessThanOrEqual(2);
+    expect(stepUpdate.or).toHaveBeenCalledWith(`two_factor_last_totp_step.is.null,two_factor_last_totp_step.lt.${step}`);
+  });
+
+  it('should refuse a TOTP code from a time step that was already used', async () => {
+    profile.two_factor_last_totp_step = Math.floor(Date.now() / 30000) + 2;
+    const { temp_token } = await login();
+
+    const response = await verifyLogin(temp_token, validCode());
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Invalid 2FA code');
+  });
+
+  it('should only release the session once per temp token', async () => {
+    const { temp_token } = await login();
+
+    await verifyLogin(temp_token, validCode());
+    const response = await verifyLogin(temp_token, validCode());
+
+    expect(response.status).toBe(400);
+    expect(response.body.data).toBeUndefined();
+  });
+
+  it('should allow retrying a wrong code but drop the login after 5 failures', async () => {
+    const { temp_token } = await login();
+
+    const retry = await verifyLogin(temp_token, '000000');
+    expect(retry.status).toBe(400);
+    expect(retry.body.message).toBe('Invalid 2FA code');
+
+    for (let i = 0; i < 4; i++) {
+      await verifyLogin(temp_token, '000000');
+    }
+
+    const response = await verifyLogin(temp_token, validCode());
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Login session expired');
+  });
+
+  it('should reject a temp token issued to another user', async () => {
+    const { temp_token } = await login();
+
+    const response = await request(app)
+      .post('/api/auth/2fa/verify-login')
+      .send({ user_id: 'someone-else', temp_token, code: validCode() });
+
+    expect(response.status).toBe(400);
+    expect(response.body.data).toBeUndefined();
+  });
+
+  it('should issue the held session after a valid recovery code', async () => {
+    const { temp_token } = await login();
+
+    const response = await request(app)
+      .post('/api/auth/2fa/verify-recovery')
+      .send({ user_id: USER_ID, temp_token, code: 'recover1' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.session).toEqual(SESSION);
+    expect(response.body.data.remaining_codes).toBe(1);
+  });
+
+  it('should accept a recovery code only once when two requests race', async () => {
+    const { temp_token } = await login();
+    // The other request removed a code between our read and our write
+    mockSupabaseAdmin.from.mockImplementation(() => {
+      const query = createQuery({ data: profile, error: null });
+      query.update.mockImplementation(() => {
+        query.then = (resolve, reject) => Promise.resolve({ data: [], error: null }).then(resolve, reject);
+        return query;
+      });
+      return query;
+    });
+
+    const response = await request(app)
+      .post('/api/auth/2fa/verify-recovery')
+      .send({ user_id: USER_ID, temp_token, code: 'recover1' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.data).toBeUndefined();
+    const update = mockSupabaseAdmin.from.mock.results
+      .map(result => result.value)
+      .find(query => query.update.mock.calls.length > 0);
+    expect(update.eq).toHaveBeenCalledWith('two_factor_recovery_codes', JSON.stringify(RECOVERY_CODES));
+  });
+
+  it('should accept a recovery code hashed by migration 028', async () => {
+    const salt = randomBytes(16);
+    const digest = createHash('sha256').update(salt).update('RECOVER3').digest('hex');
+    profile.two_factor_recovery_codes = [...RECOVERY_CODES, `sha256$${salt.toString('hex')}$${digest}`];
+    const { temp_token } = await login();
+
+    const response = await request(app)
+      .post('/api/auth/2fa/verify-recovery')
+      .send({ user_id: USER_ID, temp_token, code: 'recover3' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.remaining_codes).toBe(2);
+  });
+
+  it('should reject a recovery code still stored in plain text', async () => {
+    profile.two_factor_recovery_codes = ['RECOVER1'];
+    const { temp_token } = await login();
+
+    const response = await request(app)
+      .post('/api/auth/2fa/verify-recovery')
+      .send({ user_id: USER_ID, temp_token, code: 'RECOVER1' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.data).toBeUndefined();
+  });
+});
@@ -0,0 +1,263 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { randomUUID } from 'crypto';
+import { createQuery, passThroughRateLimiters, authenticateAs } from './helpers.js';
+
+const mockSupabase = {
+  auth: { signInWithPassword: jest.fn(), verifyOtp: jest.fn() },
+};
+
+const mockSupabaseAdmin = {
+  from: jest.fn(),
+  rpc: jest.fn(),
+  auth: { admin: { getUserById: jest.fn(), generateLink: jest.fn() } },
+};
+
+// The WebAuthn cryptography is the library's job; these tests cover what
+// this app does around it (challenges, counters, sessions)
+const mockWebauthn = {
+  generateRegistrationOptions: jest.fn(),
+  verifyRegistrationResponse: jest.fn(),
+  generateAuthenticationOptions: jest.fn(),
+  verifyAuthenticationResponse: jest.fn(),
+};
+
+jest.unstable_mockModule('@simplewebauthn/server', () => mockWebauthn);
+
+jest.unstable_mockModule('../config/supabase.js', () => ({
+  getSupabaseAdmin: jest.fn(() => mockSupabaseAdmin),
+  getSupabase: jest.fn(() => mockSupabase),
+  getSupabaseUser: jest.fn(),
+  getSupabaseEphemeral: jest.fn(),
+}));
+
+jest.unstable_mockModule('../middleware/authenticate.js', () => ({
+  authenticate: authenticateAs({
+    'user-token': { id: 'user-123', email: 'user@example.com', email_confirmed_at: '2024-01-01' },
+  }),
+  invalidateProfileCache: jest.fn(),
+}));
+
+jest.unstable_mockModule('../middleware/rateLimiter.js', () => passThroughRateLimiters);
+
+const authRoutes = (await import('../routes/auth.routes.js')).default;
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  return app;
+};
+
+const USER_ID = 'user-123';
+const AUTH = { Authorization: 'Bearer user-token' };
+const SESSION = { access_token: 'access-abc', refresh_token: 'refresh-abc', expires_in: 3600 };
+
+// A browser credential answering the given challenge
+const credentialFor = (challenge, id = 'cred-1') => ({
+  id,
+  rawId: id,
+  type: 'public-key',
+  response: {
+    clientDataJSON: Buffer.from(JSON.stringify({ type: 'webauthn.get', challenge, origin: 'http://localhost:3001' })).toString('base64url'),
+  },
+});
+
+const storedCredential = (overrides = {}) => ({
+  id: 'passkey-1',
+  user_id: USER_ID,
+  name: 'Pixel 8',
+  credential_id: 'cred-1',
+  public_key: Buffer.from('public-key').toString('base64url'),
+  counter: 5,
+  transports: ['internal'],
+  ...overrides,
+});
+
+describe('Passkeys', () => {
+  let app;
+  let tables;
+  let profile;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+
+    profile = { id: USER_ID, user_id: 'AbC123', two_factor_enabled: false, two_factor_type: null };
+    tables = { webauthn_credentials: [] };
+    mockSupabaseAdmin.from.mockImplementation(table =>
+      tables[table]?.shift() || createQuery(table === 'profiles' ? { data: profile, error: null } : undefined));
+    mockSupabaseAdmin.rpc.mockResolvedValue({ data: null, error: null });
+    mockSupabaseAdmin.auth.admin.getUserById.mockResolvedValue({
+      data: { user: { id: USER_ID, email: 'user@example.com', email_confirmed_at: '2024-01-01' } },
+      error: null,
+    });
+    mockSupabaseAdmin.auth.admin.generateLink.mockResolvedValue({
+      data: { properties: { hashed_token: 'hashed-magic-token' } },
+      error: null,
+    });
+    mockSupabase.auth.verifyOtp.mockResolvedValue({
+      data: { user: { id: USER_ID, email: 'user@example.com', email_confirmed_at: '2024-01-01' }, session: SESSION },
+      error: null,
+    });
+
+    // A fresh challenge per ceremony, as the library would issue
+    const issue = () => ({ challenge: randomUUID() });
+    mockWebauthn.generateRegistrationOptions.mockImplementation(async () => issue());
+    mockWebauthn.generateAuthenticationOptions.mockImplementation(async () => issue());
+  });
+
+  const queriesFor = table => mockSupabaseAdmin.from.mock.calls
+    .map(([name], i) => name === table && mockSupabaseAdmin.from.mock.results[i].value)
+    .filter(Boolean);
+
+  describe('registration', () => {
+    it('should save a named passkey for the challenge it was issued', async () => {
+      const options = await request(app).post('/api/auth/2fa/webauthn/register/options').set(AUTH);
+      mockWebauthn.verifyRegistrationResponse.mockResolvedValue({
+        verified: true,
+        registrationInfo: {
+          credential: { id: 'cred-1', publicKey: new Uint8Array([1, 2, 3]), counter: 0, transports: ['internal', 'hybrid'] },
+          credentialDeviceType: 'multiDevice',
+          credentialBackedUp: true,
+        },
+      });
+      const insert = createQuery({ data: { id: 'passkey-1', name: 'Pixel 8' }, error: null });
+      tables.webauthn_credentials.push(insert);
+
+      const response = await request(app)
+        .post('/api/auth/2fa/webauthn/register/verify')
+        .set(AUTH)
+        .send({ name: 'Pixel 8', response: credentialFor(options.body.data.challenge) });
+
+      expect(response.status).toBe(201);
+      expect(mockWebauthn.verifyRegistrationResponse).toHaveBeenCalledWith(expect.objectContaining({
+        expectedChallenge: options.body.data.challenge,
+        expectedRPID: 'localhost',
+      }));
+      expect(insert.insert).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: USER_ID,
+        credential_id: 'cred-1',
+        public_key: 'AQID',
+        counter: 0,
+        name: 'Pixel 8',
+      }));
+    });
+
+    it('should refuse a response to a challenge that was not issued', async () => {
+      const response = await request(app)
+        .post('/api/auth/2fa/webauthn/register/verify')
+        .set(AUTH)
+        .send({ name: 'Pixel 8', response: credentialFor('made-up') });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Passkey request expired. Please try again');
+      expect(mockWebauthn.verifyRegistrationResponse).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('passwordless login', () => {
+    const loginWithPasskey = async (newCounter, stored = storedCredential()) => {
+      const options = await request(app).post('/api/auth/webauthn/login/options');
+      mockWebauthn.verifyAuthenticationResponse.mockResolvedValue({
+        verified: true,
+        authenticationInfo: { newCounter, userVerified: true },
+      });
+      const counterUpdate = createQuery({ data: [{ id: stored.id }], error: null });
+      tables.webauthn_credentials.push(createQuery({ data: stored, error: null }), counterUpdate);
+
+      const response = await request(app)
+        .post('/api/auth/webauthn/login/verify')
+        .send({ response: credentialFor(options.body.data.challenge) });
+
+      return { response, counterUpdate };
+    };
+
+    it('should sign the passkey owner in and store the new counter', async () => {
+      const { response, counterUpdate } = await loginWithPasskey(6);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.session).toEqual(SESSION);
+      expect(response.body.data.user.id).toBe(USER_ID);
+      expect(mockWebauthn.verifyAuthenticationResponse).toHaveBeenCalledWith(expect.objectContaining({
+        requireUserVerification: true,
+      }));
+      expect(mockSupabase.auth.verifyOtp).toHaveBeenCalledWith({ token_hash: 'hashed-magic-token', type: 'magiclink' });
+      expect(counterUpdate.update).toHaveBeenCalledWith(expect.objectContaining({ counter: 6 }));
+      expect(counterUpdate.lt).toHaveBeenCalledWith('counter', 6);
+    });
+
+    it('should refuse a counter that did not increase and alert the owner', async () => {
+      const { response, counterUpdate } = await loginWithPasskey(5);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toMatch(/signature counter/);
+      expect(counterUpdate.update).not.toHaveBeenCalled();
+      expect(mockSupabase.auth.verifyOtp).not.toHaveBeenCalled();
+      const alert = queriesFor('notifications')[0];
+      expect(alert.insert).toHaveBeenCalledWith(expect.objectContaining({ action: 'passkey_counter_mismatch' }));
+    });
+
+    it('should accept authenticators that never count', async () => {
+      const { response, counterUpdate } = await loginWithPasskey(0, storedCredential({ counter: 0 }));
+
+      expect(response.status).toBe(200);
+      expect(counterUpdate.lt).not.toHaveBeenCalled();
+    });
+
+    it('should not accept the same challenge twice', async () => {
+      const options = await request(app).post('/api/auth/webauthn/login/options');
+      mockWebauthn.verifyAuthenticationResponse.mockResolvedValue({
+        verified: true,
+        authenticationInfo: { newCounter: 6, userVerified: true },
+      });
+      tables.webauthn_credentials.push(
+        createQuery({ data: storedCredential(), error: null }),
+        createQuery({ data: [{ id: 'passkey-1' }], error: null })
+      );
+      const body = { response: credentialFor(options.body.data.challenge) };
+
+      const first = await request(app).post('/api/auth/webauthn/login/verify').send(body);
+      const replay = await request(app).post('/api/auth/webauthn/login/verify').send(body);
+
+      expect(first.status).toBe(200);
+      expect(replay.status).toBe(400);
+    });
+
+    it('should not sign in a suspended user', async () => {
+      profile.is_suspended = true;
+
+      const { response } = await loginWithPasskey(6);
+
+      expect(response.status).toBe(403);
+      expect(mockSupabase.auth.verifyOtp).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('managing passkeys', () => {
+    it('should not remove the last passkey while it is the 2FA method', async () => {
+      const passkeyId = randomUUID();
+      profile.two_factor_enabled = true;
+      profile.two_factor_type = 'webauthn';
+      tables.webauthn_credentials.push(createQuery({ data: [{ id: passkeyId, name: 'Pixel 8' }], error: null }));
+
+      const response = await request(app).delete(`/api/auth/2fa/webauthn/credentials/${passkeyId}`).set(AUTH);
+
+      expect(response.status).toBe(409);
+      expect(queriesFor('webauthn_credentials').some(query => query.delete.mock.calls.length > 0)).toBe(false);
+    });
+
+    it('should only enable passkey 2FA once a passkey is registered', async () => {
+      const none = await request(app).post('/api/auth/2fa/enable-webauthn').set(AUTH);
+
+      tables.webauthn_credentials.push(createQuery({ data: [{ id: 'passkey-1', name: 'Pixel 8' }], error: null }));
+      const enabled = await request(app).post('/api/auth/2fa/enable-webauthn').set(AUTH);
+
+      expect(none.status).toBe(400);
+      expect(enabled.status).toBe(200);
+      expect(enabled.body.data.method).toBe('webauthn');
+      expect(enabled.body.data.recovery_codes).toHaveLength(8);
+    });
+  });
+});
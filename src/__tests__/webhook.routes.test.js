@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeEach, afterAll, jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createQuery } from './helpers.js';
+
+const mockSupabaseAdmin = {
+  from: jest.fn(),
+  rpc: jest.fn(),
+};
+
+jest.unstable_mockModule('../config/supabase.js', () => ({
+  getSupabaseAdmin: jest.fn(() => mockSupabaseAdmin),
+  getSupabase: jest.fn(),
+  getSupabaseUser: jest.fn(),
+}));
+
+const SECRET = 'sk_test_webhook_secret';
+const originalSecret = process.env.PAYMENT_WEBHOOK_SECRET;
+process.env.PAYMENT_WEBHOOK_SECRET = SECRET;
+
+const webhookRoutes = (await import('../routes/webhook.routes.js')).default;
+const { signPayload } = await import('../services/paymentWebhook.service.js');
+
+// Same order as index.js: webhooks before the global JSON parser
+const createTestApp = () => {
+  const app = express();
+  app.use('/api/webhooks', webhookRoutes);
+  app.use(express.json());
+  return app;
+};
+
+const chargeSuccess = (overrides = {}) => JSON.stringify({
+  event: 'charge.success',
+  data: { id: 302961, reference: 'MTK-REF', amount: 550000, currency: 'NGN', status: 'success', ...overrides },
+});
+
+const send = (app, body, signature = signPayload(body, SECRET)) => request(app)
+  .post('/api/webhooks/payments')
+  .set('Content-Type', 'application/json')
+  .set('x-paystack-signature', signature)
+  .send(body);
+
+describe('Payment Webhook', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+    process.env.PAYMENT_WEBHOOK_SECRET = SECRET;
+
+    mockSupabaseAdmin.from.mockImplementation(table => (table === 'profiles'
+      ? createQuery({ data: { user_id: 'AbC123' }, error: null })
+      : createQuery({ data: { id: 1 }, error: null })));
+    mockSupabaseAdmin.rpc.mockResolvedValue({
+      data: [{ result: 'confirmed', payment_id: 1, user_id: 'user-123', car_id: 10 }],
+      error: null,
+    });
+  });
+
+  afterAll(() => {
+    process.env.PAYMENT_WEBHOOK_SECRET = originalSecret;
+  });
+
+  it('should verify the signature over the raw body and apply the event atomically', async () => {
+    const body = chargeSuccess();
+
+    const response = await send(app, body);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.result).toBe('confirmed');
+    expect(mockSupabaseAdmin.rpc).toHaveBeenCalledWith('process_payment_webhook', {
+      p_provider: 'paystack',
+      p_event_id: 'charge.success:302961',
+      p_event_type: 'charge.success',
+      p_reference: 'MTK-REF',
+      p_status: 'successful',
+      p_amount_minor: 550000,
+      p_currency: 'NGN',
+      p_provider_reference: '302961',
+      p_payload: JSON.parse(body),
+    });
+  });
+
+  it('should notify the owner when a payment is confirmed', async () => {
+    await send(app, chargeSuccess());
+
+    expect(mockSupabaseAdmin.from).toHaveBeenCalledWith('notifications');
+  });
+
+  it('should reject an invalid signature without touching the database', async () => {
+    const response = await send(app, chargeSuccess(), signPayload(chargeSuccess(), 'wrong-secret'));
+
+    expect(response.status).toBe(401);
+    expect(mockSupabaseAdmin.rpc).not.toHaveBeenCalled();
+  });
+
+  it('should reject a body altered after signing', async () => {
+    const signature = signPayload(chargeSuccess(), SECRET);
+
+    const response = await send(app, chargeSuccess({ amount: 1 }), signature);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should reject a missing signature', async () => {
+    const response = await request(app)
+      .post('/api/webhooks/payments')
+      .set('Content-Type', 'application/json')
+      .send(chargeSuccess());
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should acknowledge a redelivered event without notifying again', async () => {
+    mockSupabaseAdmin.rpc.mockResolvedValue({ data: [{ result: 'duplicate', payment_id: null, user_id: null, car_id: null }], error: null });
+
+    const response = await send(app, chargeSuccess());
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.result).toBe('duplicate');
+    expect(mockSupabaseAdmin.from).not.toHaveBeenCalled();
+  });
+
+  it('should return 400 for a signed payload missing the reference', async () => {
+    const response = await send(app, JSON.stringify({ event: 'charge.success', data: { id: 1 } }));
+
+    expect(response.status).toBe(400);
+    expect(mockSupabaseAdmin.rpc).not.toHaveBeenCalled();
+  });
+
+  it('should return 400 for a signed payload without a whole amount or a currency', async () => {
+    const responses = await Promise.all([
+      send(app, chargeSuccess({ amount: undefined })),
+      send(app, chargeSuccess({ amount: '5500.00' })),
+      send(app, chargeSuccess({ currency: undefined })),
+    ]);
+
+    responses.forEach(response => expect(response.status).toBe(400));
+    expect(mockSupabaseAdmin.rpc).not.toHaveBeenCalled();
+  });
+
+  it('should return 500 so the provider retries when processing fails', async () => {
+    mockSupabaseAdmin.rpc.mockResolvedValue({ data: null, error: { message: 'connection reset' } });
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const response = await send(app, chargeSuccess());
+
+    expect(response.status).toBe(500);
+    consoleSpy.mockRestore();
+  });
+});
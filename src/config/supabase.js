@@ -41,6 +41,29 @@ export function getSupabaseAdmin() {
   return _supabaseAdmin;
 }
 
+/**
+ * Creates a throwaway anon client for checking a user's password
+ *
+ * signInWithPassword keeps the new session in the client's memory and
+ * later requests on that client are sent as that user, so a password check
+ * must never run on one of the shared clients above.
+ *
+ * @returns {Object} Supabase client instance with no session
+ */
+export function getSupabaseEphemeral() {
+  const { SUPABASE_URL, SUPABASE_ANON_KEY } = process.env;
+  if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
+    throw new Error('Missing SUPABASE_URL or SUPABASE_ANON_KEY');
+  }
+
+  return createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  });
+}
+
 /**
  * Creates a user-scoped Supabase client that respects RLS policies
  * 
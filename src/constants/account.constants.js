@@ -0,0 +1,44 @@
+/**
+ * Account settings module constants
+ */
+
+// Email change confirmation codes
+export const EMAIL_CHANGE = {
+  OTP_TTL_MS: 15 * 60 * 1000,
+  MAX_ATTEMPTS: 5
+};
+
+// Self-service account deletion
+export const ACCOUNT_DELETION = {
+  // Logging in within this many days cancels the deletion
+  GRACE_DAYS: 30
+};
+
+// Background purge of accounts whose grace period has ended
+export const ACCOUNT_PURGE_SCHEDULER = {
+  ENABLED: process.env.ACCOUNT_PURGE_ENABLED === 'true',
+  // Grace periods are measured in days, so a few runs a day is plenty
+  INTERVAL_MS: parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MS, 10) || 6 * 60 * 60 * 1000,
+  BATCH_SIZE: 50
+};
+
+// Error messages
+export const ACCOUNT_ERRORS = {
+  INVALID_PASSWORD: 'Current password is incorrect',
+  SAME_PASSWORD: 'New password must be different from the current password',
+  TWO_FACTOR_REQUIRED: '2FA code is required',
+  INVALID_TWO_FACTOR_CODE: 'Invalid 2FA code',
+  TWO_FACTOR_NOT_ENABLED: '2FA is not enabled',
+  SAME_EMAIL: 'New email is the same as the current email',
+  EMAIL_IN_USE: 'Email already in use',
+  NO_EMAIL_CHANGE: 'No email change pending',
+  EMAIL_CHANGE_EXPIRED: 'Verification code has expired',
+  INVALID_OTP: 'Invalid verification code',
+  FAILED_TO_CHANGE_PASSWORD: 'Failed to change password',
+  FAILED_TO_REQUEST_EMAIL_CHANGE: 'Failed to request email change',
+  FAILED_TO_CHANGE_EMAIL: 'Failed to change email',
+  FAILED_TO_REGENERATE_RECOVERY_CODES: 'Failed to regenerate recovery codes',
+  FAILED_TO_DELETE_ACCOUNT: 'Failed to delete account',
+  FAILED_TO_RETRIEVE_DUE_ACCOUNTS: 'Failed to retrieve accounts due for purge',
+  FAILED_TO_PURGE: 'Failed to purge deleted accounts'
+};
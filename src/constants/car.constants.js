@@ -67,6 +67,8 @@ export const HTTP_STATUS = {
   NOT_FOUND: 404,
   CONFLICT: 409,
   UNPROCESSABLE_ENTITY: 422,
+  LOCKED: 423,
+  TOO_MANY_REQUESTS: 429,
   SERVER_ERROR: 500
 };
 
@@ -89,6 +91,20 @@ export const PLATE_TYPES = {
   DEALERSHIP: 'Dealership'
 };
 
+// Car status enums (mirrors the car_status database enum)
+export const CAR_STATUS = {
+  UNPAID: 'unpaid',
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+// Admin review decisions and the statuses each decision may be applied from
+export const REVIEW_DECISIONS = {
+  approve: { from: [CAR_STATUS.PENDING], to: CAR_STATUS.APPROVED },
+  reject: { from: [CAR_STATUS.PENDING], to: CAR_STATUS.REJECTED }
+};
+
 // Error messages
 export const ERROR_MESSAGES = {
   INVALID_SLUG: 'Invalid slug format',
@@ -104,7 +120,10 @@ export const ERROR_MESSAGES = {
   FAILED_TO_DELETE: 'Failed to delete car',
   FAILED_TO_RETRIEVE: 'Failed to retrieve car',
   FAILED_TO_RETRIEVE_CARS: 'Failed to retrieve cars',
-  FAILED_TO_RETRIEVE_COUNT: 'Failed to retrieve cars count'
+  FAILED_TO_RETRIEVE_COUNT: 'Failed to retrieve cars count',
+  INVALID_STATUS_FILTER: 'Invalid status. Must be one of: unpaid, pending, approved, rejected.',
+  INVALID_STATUS_TRANSITION: 'Car cannot be reviewed in its current status',
+  FAILED_TO_REVIEW: 'Failed to record car review'
 };
 
 // Regex patterns
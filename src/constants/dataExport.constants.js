@@ -0,0 +1,42 @@
+/**
+ * Personal data export module constants
+ */
+
+// Private storage bucket holding the export archives (migration 026)
+export const DATA_EXPORT_BUCKET = 'data-exports';
+
+export const DATA_EXPORT = {
+  // Lifetime of each signed download link
+  LINK_TTL_SECONDS: 60 * 60,
+  // How long a finished export can be downloaded
+  RETENTION_DAYS: 7,
+  // A job still queued or running after this is assumed lost (e.g. restart)
+  STALE_AFTER_MS: 30 * 60 * 1000
+};
+
+// data_exports.status
+export const DATA_EXPORT_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// Profile columns left out of the export (credentials, not personal data)
+export const PROFILE_EXPORT_EXCLUDED_FIELDS = [
+  'two_factor_secret',
+  'two_factor_recovery_codes',
+  'two_factor_email_code',
+  'two_factor_email_expires_at',
+  'two_factor_login_token',
+  'two_factor_login_expires_at'
+];
+
+// Error messages
+export const DATA_EXPORT_ERRORS = {
+  NOT_FOUND: 'Export not found',
+  IN_PROGRESS: 'An export is already in progress',
+  FAILED_TO_REQUEST: 'Failed to request data export',
+  FAILED_TO_RETRIEVE: 'Failed to retrieve data export',
+  FAILED_TO_BUILD: 'Export could not be generated. Please request a new one'
+};
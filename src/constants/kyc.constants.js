@@ -0,0 +1,58 @@
+/**
+ * KYC module constants
+ */
+
+// KYC status values (kycs.status)
+export const KYC_STATUS = {
+  PENDING: 'pending',
+  VERIFIED: 'verified',
+  REJECTED: 'rejected'
+};
+
+// Admin review decisions and the status each one sets
+export const KYC_DECISIONS = {
+  verify: KYC_STATUS.VERIFIED,
+  reject: KYC_STATUS.REJECTED
+};
+
+// How a KYC decision was made (kycs.verification_method)
+export const VERIFICATION_METHODS = {
+  AUTO: 'auto',
+  MANUAL: 'manual'
+};
+
+// Identity provider check results
+// Anything other than VERIFIED leaves the KYC pending for manual review
+export const IDENTITY_OUTCOMES = {
+  VERIFIED: 'verified',
+  MISMATCH: 'mismatch',
+  NOT_FOUND: 'not_found',
+  UNAVAILABLE: 'unavailable'
+};
+
+// Nigerian NIN and BVN are both 11 digits
+export const KYC_PATTERNS = {
+  NIN: /^\d{11}$/,
+  BVN: /^\d{11}$/
+};
+
+// Pagination limits for the admin queue
+export const KYC_PAGINATION = {
+  DEFAULT_PAGE: 1,
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 100
+};
+
+// Error messages
+export const KYC_ERRORS = {
+  NOT_FOUND: 'KYC not found',
+  ALREADY_SUBMITTED: 'KYC has already been submitted',
+  NOT_REJECTED: 'Only a rejected KYC can be resubmitted',
+  NOT_PENDING: 'KYC is not pending review',
+  DUPLICATE_IDENTITY: 'NIN or BVN is already registered to another account',
+  MISSING_PHONE: 'Phone number is required',
+  NIN_LOCKED: 'NIN cannot be changed after KYC verification',
+  FAILED_TO_SUBMIT: 'Failed to submit KYC',
+  FAILED_TO_RETRIEVE: 'Failed to retrieve KYC',
+  FAILED_TO_REVIEW: 'Failed to review KYC'
+};
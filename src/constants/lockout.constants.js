@@ -0,0 +1,28 @@
+/**
+ * Account lockout module constants
+ */
+
+// What was being guessed (login_failures.factor)
+export const LOGIN_FACTORS = {
+  PASSWORD: 'password',
+  LOGIN_OTP: 'login_otp',
+  PHONE_OTP: 'phone_otp',
+  TWO_FACTOR: 'two_factor',
+  RECOVERY_CODE: 'recovery_code'
+};
+
+// Progressive lockout (see record_login_failure in migration 027)
+export const ACCOUNT_LOCKOUT = {
+  // Consecutive failures of one factor before the account is locked
+  MAX_FAILED_ATTEMPTS: 5,
+  // First lock length, doubled for each further lock
+  BASE_LOCK_MINUTES: 15,
+  MAX_LOCK_MINUTES: 24 * 60
+};
+
+// Error messages
+export const LOCKOUT_ERRORS = {
+  ACCOUNT_LOCKED: 'Too many failed attempts. Your account is temporarily locked',
+  FAILED_TO_RETRIEVE: 'Failed to retrieve lockout status',
+  FAILED_TO_CLEAR: 'Failed to clear lockout'
+};
@@ -0,0 +1,40 @@
+/**
+ * Notification module constants
+ */
+
+// Notification types (notifications.type)
+export const NOTIFICATION_TYPES = {
+  ACCOUNT: 'account',
+  CAR: 'car',
+  KYC: 'kyc',
+  LICENSE: 'license',
+  PAYMENT: 'payment',
+  PROFILE: 'profile',
+  SECURITY: 'security'
+};
+
+// Pagination limits for notification listing
+export const NOTIFICATION_PAGINATION = {
+  DEFAULT_PAGE: 1,
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 100
+};
+
+// Server-Sent Events stream settings
+export const NOTIFICATION_STREAM = {
+  HEARTBEAT_MS: parseInt(process.env.SSE_HEARTBEAT_MS, 10) || 25 * 1000, // below common 30-60s proxy idle timeouts
+  RETRY_MS: 5 * 1000, // client reconnect delay sent in the `retry:` field
+  MAX_CONNECTIONS_PER_USER: parseInt(process.env.SSE_MAX_CONNECTIONS_PER_USER, 10) || 5,
+  REPLAY_LIMIT: 100 // max missed notifications replayed on Last-Event-ID resume
+};
+
+// Error messages
+export const NOTIFICATION_ERRORS = {
+  NOT_FOUND: 'Notification not found',
+  FAILED_TO_RETRIEVE: 'Failed to retrieve notifications',
+  FAILED_TO_COUNT: 'Failed to count unread notifications',
+  FAILED_TO_UPDATE: 'Failed to update notification',
+  FAILED_TO_DELETE: 'Failed to delete notification',
+  INVALID_LAST_EVENT_ID: 'Last-Event-ID must be a notification ID',
+  TOO_MANY_STREAMS: 'Too many open notification streams'
+};
@@ -0,0 +1,29 @@
+/**
+ * Social sign-in (OAuth ID token) module constants
+ */
+
+// Providers accepted by /oauth/:provider (Supabase provider names)
+export const OAUTH_PROVIDERS = {
+  GOOGLE: 'google',
+  APPLE: 'apple'
+};
+
+// For messages shown to the user
+export const OAUTH_PROVIDER_NAMES = {
+  google: 'Google',
+  apple: 'Apple'
+};
+
+// Error messages
+export const OAUTH_ERRORS = {
+  INVALID_TOKEN: 'Sign-in with this provider failed. Please try again',
+  ALREADY_LINKED: 'This account is already linked to another user',
+  PROVIDER_ALREADY_LINKED: 'A sign-in method from this provider is already linked',
+  NOT_LINKED: 'This sign-in method is not linked to your account',
+  LAST_SIGN_IN_METHOD: 'You can\'t unlink your only sign-in method',
+  IDENTITY_MISMATCH: 'This sign-in does not belong to your account',
+  FAILED_TO_RETRIEVE: 'Failed to retrieve sign-in methods',
+  FAILED_TO_LINK: 'Failed to link sign-in method',
+  FAILED_TO_UNLINK: 'Failed to unlink sign-in method',
+  FAILED_TO_LOGIN: 'Social sign-in failed'
+};
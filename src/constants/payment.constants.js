@@ -0,0 +1,83 @@
+/**
+ * Payment module constants
+ */
+
+// Payment status values (payments.status)
+export const PAYMENT_STATUS = {
+  PENDING: 'pending',
+  SUCCESSFUL: 'successful',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// What a payment is for (payments.purpose)
+export const PAYMENT_PURPOSES = {
+  REGISTRATION: 'registration'
+};
+
+// What a fee is charged for (fee_schedules.purpose)
+export const FEE_PURPOSES = {
+  REGISTRATION: 'registration',
+  RENEWAL: 'renewal'
+};
+
+export const DEFAULT_CURRENCY = 'NGN';
+
+// Prefix for generated payment references
+export const PAYMENT_REFERENCE_PREFIX = 'MTK';
+
+// PDF documents generated for a payment
+export const PAYMENT_DOCUMENTS = {
+  RECEIPT: { title: 'Receipt' },
+  INVOICE: { title: 'Invoice' }
+};
+
+// Fee schedule filters - a null value matches any car
+export const FEE_SCOPE_FIELDS = ['car_type', 'registration_status', 'plate_type'];
+
+// Payment provider webhook settings (Paystack-style HMAC over the raw body)
+export const PAYMENT_WEBHOOK = {
+  PROVIDER: process.env.PAYMENT_PROVIDER || 'paystack',
+  SIGNATURE_HEADER: 'x-paystack-signature',
+  SIGNATURE_ALGORITHM: 'sha512',
+  BODY_LIMIT: '1mb'
+};
+
+// Provider event types and the payment status each one reports
+export const WEBHOOK_EVENT_STATUS = {
+  'charge.success': PAYMENT_STATUS.SUCCESSFUL,
+  'charge.failed': PAYMENT_STATUS.FAILED
+};
+
+// Outcomes returned by process_payment_webhook (migration 018)
+export const WEBHOOK_RESULTS = {
+  DUPLICATE: 'duplicate',
+  CONFIRMED: 'confirmed',
+  ALREADY_PROCESSED: 'already_processed',
+  FAILED: 'failed',
+  AMOUNT_MISMATCH: 'amount_mismatch',
+  UNKNOWN_REFERENCE: 'unknown_reference',
+  IGNORED: 'ignored'
+};
+
+// Error messages
+export const PAYMENT_ERRORS = {
+  NOT_FOUND: 'Payment not found',
+  FEE_NOT_FOUND: 'Fee not found',
+  ALREADY_PAID: 'Car has already been paid for',
+  NO_FEES_CONFIGURED: 'No fees are configured for this car',
+  MIXED_CURRENCIES: 'The fees for this car are in more than one currency',
+  NOT_CONFIRMABLE: 'Payment cannot be confirmed in its current status',
+  DUPLICATE_FEE: 'A fee with this item code and scope already exists',
+  FAILED_TO_CREATE: 'Failed to create payment',
+  FAILED_TO_RETRIEVE: 'Failed to retrieve payments',
+  FAILED_TO_CONFIRM: 'Failed to confirm payment',
+  FAILED_TO_RETRIEVE_FEES: 'Failed to retrieve fee schedule',
+  FAILED_TO_SAVE_FEE: 'Failed to save fee',
+  NO_RECEIPT: 'No receipt is available for a failed or cancelled payment',
+  FAILED_TO_GENERATE_RECEIPT: 'Failed to generate receipt',
+  WEBHOOK_NOT_CONFIGURED: 'Payment webhook is not configured',
+  INVALID_SIGNATURE: 'Invalid webhook signature',
+  INVALID_PAYLOAD: 'Invalid webhook payload',
+  FAILED_TO_PROCESS_WEBHOOK: 'Failed to process webhook'
+};
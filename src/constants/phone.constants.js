@@ -0,0 +1,34 @@
+/**
+ * Phone number (SMS login and verification) module constants
+ */
+
+// Numbers without a country code are taken to be Nigerian
+export const DEFAULT_COUNTRY_CODE = '234';
+
+// One-time codes sent by SMS
+export const PHONE_OTP = {
+  TTL_MS: 10 * 60 * 1000,
+  MAX_ATTEMPTS: 5,
+  // Each SMS costs money, so a number gets at most one code a minute
+  RESEND_COOLDOWN_MS: 60 * 1000
+};
+
+// What a code is for (phone_otps.purpose)
+export const PHONE_OTP_PURPOSES = {
+  LOGIN: 'login',
+  VERIFY: 'verify'
+};
+
+// Error messages
+export const PHONE_ERRORS = {
+  NO_PHONE_NUMBER: 'Add a phone number to your profile first',
+  ALREADY_VERIFIED: 'Phone number is already verified',
+  PHONE_IN_USE: 'Phone number already in use',
+  RESEND_TOO_SOON: 'Please wait a minute before requesting another code',
+  NO_PENDING_CODE: 'No verification code pending. Please request a new one',
+  CODE_EXPIRED: 'Verification code has expired',
+  INVALID_CODE: 'Invalid or expired code',
+  FAILED_TO_SEND: 'Failed to send SMS code',
+  FAILED_TO_VERIFY: 'Failed to verify phone number',
+  FAILED_TO_LOGIN: 'Phone login failed'
+};
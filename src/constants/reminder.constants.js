@@ -0,0 +1,22 @@
+/**
+ * Expiry reminder module constants
+ */
+
+// Days before cars.expiry_date at which owners are reminded
+export const EXPIRY_REMINDER_THRESHOLDS = [30, 7, 1];
+
+// Background scheduler settings
+export const EXPIRY_REMINDER_SCHEDULER = {
+  ENABLED: process.env.EXPIRY_REMINDERS_ENABLED === 'true',
+  // Runs are idempotent, so checking hourly only bounds how late a reminder can be
+  INTERVAL_MS: parseInt(process.env.EXPIRY_REMINDER_INTERVAL_MS, 10) || 60 * 60 * 1000
+};
+
+// Notification action for notifications.type = 'license'
+export const EXPIRY_REMINDER_ACTION = 'expiring';
+
+// Error messages
+export const REMINDER_ERRORS = {
+  FAILED_TO_RETRIEVE_CARS: 'Failed to retrieve expiring cars',
+  FAILED_TO_RUN: 'Failed to run expiry reminders'
+};
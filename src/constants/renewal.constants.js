@@ -0,0 +1,44 @@
+/**
+ * Car renewal module constants
+ */
+
+// Renewal status values (car_renewals.status)
+export const RENEWAL_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+// Admin review decisions and the status each one sets
+export const RENEWAL_DECISIONS = {
+  approve: RENEWAL_STATUS.APPROVED,
+  reject: RENEWAL_STATUS.REJECTED
+};
+
+// Length of a renewed license period
+export const RENEWAL_PERIOD_MONTHS = 12;
+
+// Renewal opens this many days before expiry_date (and stays open after it lapses)
+export const RENEWAL_WINDOW_DAYS = 60;
+
+// Pagination limits for the admin queue
+export const RENEWAL_PAGINATION = {
+  DEFAULT_PAGE: 1,
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 100
+};
+
+// Error messages
+export const RENEWAL_ERRORS = {
+  NOT_FOUND: 'Renewal not found',
+  NOT_REGISTERED: 'Only registered cars can be renewed',
+  NOT_APPROVED: 'Only approved cars can be renewed',
+  TOO_EARLY: `Renewal opens ${RENEWAL_WINDOW_DAYS} days before the expiry date`,
+  ALREADY_PENDING: 'A renewal is already pending for this car',
+  NOT_PENDING: 'Renewal is not pending review',
+  CAR_CHANGED: "The car's expiry date changed since this renewal was requested",
+  INVALID_CAR: 'Car details must be completed before renewal',
+  FAILED_TO_CREATE: 'Failed to create renewal',
+  FAILED_TO_RETRIEVE: 'Failed to retrieve renewals',
+  FAILED_TO_REVIEW: 'Failed to review renewal'
+};
@@ -0,0 +1,57 @@
+/**
+ * Roles (user_types) and permissions module constants
+ */
+
+// user_types ids
+export const USER_TYPES = {
+  SUPER_ADMIN: 1,
+  CLIENT: 2,
+  REVIEWER: 3,
+  SUPPORT: 4,
+  FINANCE: 5
+};
+
+// What an admin route needs; checked by requirePermission
+export const PERMISSIONS = {
+  USERS_VIEW: 'users.view',
+  USERS_MANAGE: 'users.manage',
+  ROLES_MANAGE: 'roles.manage',
+  CARS_REVIEW: 'cars.review',
+  KYC_REVIEW: 'kyc.review',
+  PAYMENTS_MANAGE: 'payments.manage',
+  RENEWALS_REVIEW: 'renewals.review',
+  JOBS_RUN: 'jobs.run'
+};
+
+// Permissions granted by each role. A role with none (clients) has no
+// access to the admin API at all.
+export const ROLE_PERMISSIONS = {
+  [USER_TYPES.SUPER_ADMIN]: Object.values(PERMISSIONS),
+  [USER_TYPES.CLIENT]: [],
+  [USER_TYPES.REVIEWER]: [
+    PERMISSIONS.USERS_VIEW,
+    PERMISSIONS.CARS_REVIEW,
+    PERMISSIONS.KYC_REVIEW,
+    PERMISSIONS.RENEWALS_REVIEW
+  ],
+  [USER_TYPES.SUPPORT]: [
+    PERMISSIONS.USERS_VIEW,
+    PERMISSIONS.USERS_MANAGE
+  ],
+  [USER_TYPES.FINANCE]: [
+    PERMISSIONS.USERS_VIEW,
+    PERMISSIONS.PAYMENTS_MANAGE
+  ]
+};
+
+// Error messages
+export const ROLE_ERRORS = {
+  AUTH_REQUIRED: 'Authentication required',
+  ADMIN_REQUIRED: 'Admin access required',
+  PERMISSION_DENIED: 'You do not have permission to do this',
+  UNKNOWN_ROLE: 'Unknown role',
+  OWN_ROLE: 'Cannot change your own role',
+  USER_NOT_FOUND: 'User not found',
+  FAILED_TO_RETRIEVE: 'Failed to retrieve roles',
+  FAILED_TO_ASSIGN: 'Failed to assign role'
+};
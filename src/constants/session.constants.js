@@ -0,0 +1,56 @@
+/**
+ * User session module constants
+ */
+
+// How long authenticate trusts a session check before asking the DB again
+// (also how often last_seen_at is bumped for a busy session)
+export const SESSION_CHECK_TTL_MS = 60 * 1000;
+
+// Max length kept for client-supplied device names
+export const DEVICE_NAME_MAX_LENGTH = 100;
+
+// Why a session ended (user_sessions.revoked_reason)
+export const SESSION_REVOKE_REASONS = {
+  LOGOUT: 'logout',
+  REVOKED: 'revoked',
+  LOGOUT_ALL: 'logout_all',
+  TOKEN_REUSE: 'token_reuse',
+  PASSWORD_CHANGE: 'password_change',
+  ACCOUNT_DELETION: 'account_deletion',
+  LOGIN_REPORTED: 'login_reported'
+};
+
+// Sign-in alerts (login_history)
+export const LOGIN_ALERT = {
+  // The first sign-in this soon after a password reset is reported even
+  // from a known device
+  PASSWORD_RESET_WINDOW_MS: 24 * 60 * 60 * 1000,
+  // How long the "this wasn't me" link in the alert email works
+  REPORT_TTL_MS: 7 * 24 * 60 * 60 * 1000,
+  // Frontend page that posts the link's login_id and token to
+  // POST /api/report-login (a GET link would be followed by mail scanners)
+  REPORT_URL: `${process.env.FRONTEND_URL || 'http://localhost:3001'}/security/report-login`,
+  HISTORY_LIMIT: 50
+};
+
+// Why a sign-in was emailed to the owner (login_history.alert_reason)
+export const LOGIN_ALERT_REASONS = {
+  NEW_DEVICE: 'new_device',
+  AFTER_PASSWORD_RESET: 'after_password_reset'
+};
+
+// Error messages
+export const SESSION_ERRORS = {
+  NOT_FOUND: 'Session not found',
+  REVOKED: 'Session has been revoked',
+  INVALID_REFRESH_TOKEN: 'Invalid refresh token',
+  REFRESH_TOKEN_REUSED: 'Refresh token was already used. Please log in again',
+  FAILED_TO_RETRIEVE: 'Failed to retrieve sessions',
+  FAILED_TO_REVOKE: 'Failed to revoke session',
+  FAILED_TO_REFRESH: 'Token refresh failed',
+  FAILED_TO_CREATE: 'Failed to sign in',
+  PASSWORD_RESET_REQUIRED: 'Reset your password to sign in again',
+  INVALID_REPORT_LINK: 'This link is invalid or has expired',
+  FAILED_TO_REPORT: 'Failed to secure your account',
+  FAILED_TO_RETRIEVE_HISTORY: 'Failed to retrieve login history'
+};
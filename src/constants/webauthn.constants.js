@@ -0,0 +1,49 @@
+/**
+ * WebAuthn / passkey module constants
+ */
+
+const parseOrigins = (value) => value.split(',').map(origin => origin.trim()).filter(Boolean);
+
+// Relying party - the site passkeys are bound to
+export const WEBAUTHN_RP = {
+  // Registrable domain of the frontend (e.g. motokaapp.ng), no scheme or port
+  ID: process.env.WEBAUTHN_RP_ID || 'localhost',
+  NAME: process.env.WEBAUTHN_RP_NAME || process.env.TOTP_ISSUER || 'Motoka',
+  // Web origins plus Android app origins ("android:apk-key-hash:<hash>")
+  ORIGINS: parseOrigins(process.env.WEBAUTHN_ORIGINS || process.env.FRONTEND_URL || 'http://localhost:3001')
+};
+
+export const WEBAUTHN = {
+  // How long a ceremony's challenge can be answered
+  CHALLENGE_TTL_MS: 5 * 60 * 1000,
+  // Hint to the browser, same as the challenge lifetime
+  TIMEOUT_MS: 5 * 60 * 1000,
+  MAX_CREDENTIALS_PER_USER: 10,
+  NAME_MAX_LENGTH: 100
+};
+
+// What a challenge was issued for; an answer is only accepted for the same purpose
+export const WEBAUTHN_PURPOSES = {
+  REGISTRATION: 'registration',
+  TWO_FACTOR: 'two_factor',
+  PASSWORDLESS: 'passwordless',
+  REAUTHENTICATION: 'reauthentication'
+};
+
+// Error messages
+export const WEBAUTHN_ERRORS = {
+  CHALLENGE_EXPIRED: 'Passkey request expired. Please try again',
+  VERIFICATION_FAILED: 'Passkey verification failed',
+  UNKNOWN_CREDENTIAL: 'Passkey not recognised',
+  COUNTER_MISMATCH: 'Passkey rejected: its signature counter went backwards, which can mean it was copied',
+  ALREADY_REGISTERED: 'This passkey is already registered',
+  TOO_MANY_CREDENTIALS: `You can register at most ${WEBAUTHN.MAX_CREDENTIALS_PER_USER} passkeys`,
+  NOT_FOUND: 'Passkey not found',
+  LAST_CREDENTIAL: 'You can\'t remove your last passkey while passkey 2FA is on. Disable 2FA or switch method first',
+  NO_CREDENTIALS: 'Register a passkey first',
+  FAILED_TO_START: 'Failed to start passkey request',
+  FAILED_TO_REGISTER: 'Failed to register passkey',
+  FAILED_TO_RETRIEVE: 'Failed to retrieve passkeys',
+  FAILED_TO_DELETE: 'Failed to remove passkey',
+  FAILED_TO_LOGIN: 'Passkey login failed'
+};
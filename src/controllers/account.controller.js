@@ -0,0 +1,157 @@
+import * as response from '../utils/responses.js';
+import { logError } from '../utils/logger.js';
+import * as accountService from '../services/account.service.js';
+import { ACCOUNT_ERRORS } from '../constants/account.constants.js';
+import { OAUTH_ERRORS } from '../constants/oauth.constants.js';
+import { HTTP_STATUS } from '../constants/car.constants.js';
+
+const handleAccountError = (res, error, fallbackMessage) => {
+  if (error instanceof accountService.AccountError && error.statusCode === HTTP_STATUS.LOCKED) {
+    return response.locked(res, error.message, error.retryAfterSeconds);
+  }
+
+  if (error instanceof accountService.AccountError && error.statusCode < HTTP_STATUS.SERVER_ERROR) {
+    return response.error(res, error.message, error.statusCode);
+  }
+
+  logError(fallbackMessage, error);
+  return response.serverError(res, fallbackMessage);
+};
+
+// Users without a password re-authenticate with a fresh ID token from a
+// provider already linked to their account
+const getReauthIdentity = ({ reauth }) =>
+  reauth ? { provider: reauth.provider, idToken: reauth.id_token, nonce: reauth.nonce } : undefined;
+
+export const changePassword = async (req, res) => {
+  try {
+    const { current_password, password, code, passkey } = req.body;
+
+    await accountService.changePassword({
+      user: req.user,
+      sessionId: req.sessionId,
+      accessToken: req.token,
+      currentPassword: current_password,
+      newPassword: password,
+      code,
+      passkey,
+      req
+    });
+
+    return response.success(res, null, 'Password changed successfully');
+  } catch (error) {
+    return handleAccountError(res, error, ACCOUNT_ERRORS.FAILED_TO_CHANGE_PASSWORD);
+  }
+};
+
+export const requestEmailChange = async (req, res) => {
+  try {
+    const { new_email, password } = req.body;
+
+    const result = await accountService.requestEmailChange({
+      user: req.user,
+      password,
+      newEmail: new_email,
+      req
+    });
+
+    return response.success(res, result, 'Verification code sent to your new email');
+  } catch (error) {
+    return handleAccountError(res, error, ACCOUNT_ERRORS.FAILED_TO_REQUEST_EMAIL_CHANGE);
+  }
+};
+
+export const confirmEmailChange = async (req, res) => {
+  try {
+    const result = await accountService.confirmEmailChange({ user: req.user, otp: req.body.otp });
+    return response.success(res, result, 'Email changed successfully');
+  } catch (error) {
+    return handleAccountError(res, error, ACCOUNT_ERRORS.FAILED_TO_CHANGE_EMAIL);
+  }
+};
+
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { password, code, passkey } = req.body;
+
+    const result = await accountService.regenerateRecoveryCodes({
+      user: req.user,
+      password,
+      identity: getReauthIdentity(req.body),
+      code,
+      passkey,
+      req
+    });
+
+    return response.success(res, result, 'Recovery codes regenerated. Store them somewhere safe; they will not be shown again');
+  } catch (error) {
+    return handleAccountError(res, error, ACCOUNT_ERRORS.FAILED_TO_REGENERATE_RECOVERY_CODES);
+  }
+};
+
+export const deleteAccount = async (req, res) => {
+  try {
+    const { password, code, passkey } = req.body;
+
+    const result = await accountService.requestAccountDeletion({
+      user: req.user,
+      accessToken: req.token,
+      password,
+      identity: getReauthIdentity(req.body),
+      code,
+      passkey,
+      req
+    });
+
+    return response.success(res, result, 'Account scheduled for deletion. Log in before the deletion date to cancel');
+  } catch (error) {
+    return handleAccountError(res, error, ACCOUNT_ERRORS.FAILED_TO_DELETE_ACCOUNT);
+  }
+};
+
+export const listSignInMethods = async (req, res) => {
+  try {
+    const methods = await accountService.listSignInMethods(req.user.id);
+    return response.success(res, { methods }, 'Sign-in methods retrieved');
+  } catch (error) {
+    return handleAccountError(res, error, OAUTH_ERRORS.FAILED_TO_RETRIEVE);
+  }
+};
+
+export const linkSignInMethod = async (req, res) => {
+  try {
+    const { id_token, nonce, password, code, passkey } = req.body;
+
+    const method = await accountService.linkSignInMethod({
+      user: req.user,
+      accessToken: req.token,
+      provider: req.params.provider,
+      idToken: id_token,
+      nonce,
+      proof: { password, identity: getReauthIdentity(req.body), code, passkey },
+      req
+    });
+
+    return response.created(res, { method }, 'Sign-in method linked');
+  } catch (error) {
+    return handleAccountError(res, error, OAUTH_ERRORS.FAILED_TO_LINK);
+  }
+};
+
+export const unlinkSignInMethod = async (req, res) => {
+  try {
+    const { password, code, passkey } = req.body;
+
+    await accountService.unlinkSignInMethod({
+      user: req.user,
+      accessToken: req.token,
+      provider: req.params.provider,
+      proof: { password, identity: getReauthIdentity(req.body), code, passkey },
+      req
+    });
+
+    return response.success(res, null, 'Sign-in method unlinked');
+  } catch (error) {
+    return handleAccountError(res, error, OAUTH_ERRORS.FAILED_TO_UNLINK);
+  }
+};
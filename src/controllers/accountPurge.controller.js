@@ -0,0 +1,23 @@
+import * as response from '../utils/responses.js';
+import { logError } from '../utils/logger.js';
+import { triggerAccountPurge, AccountPurgeError } from '../services/accountPurge.service.js';
+import { HTTP_STATUS } from '../constants/car.constants.js';
+import { ACCOUNT_ERRORS } from '../constants/account.constants.js';
+
+/**
+ * Manual trigger for the account purge job
+ * Only accounts whose grace period has ended are touched.
+ */
+export const runAccountPurge = async (req, res) => {
+  try {
+    const summary = await triggerAccountPurge();
+    return response.success(res, { summary }, 'Deleted accounts purged');
+  } catch (error) {
+    if (error instanceof AccountPurgeError && error.statusCode < HTTP_STATUS.SERVER_ERROR) {
+      return response.error(res, error.message, error.statusCode);
+    }
+
+    logError(ACCOUNT_ERRORS.FAILED_TO_PURGE, error);
+    return response.serverError(res, ACCOUNT_ERRORS.FAILED_TO_PURGE);
+  }
+};
@@ -1,5 +1,11 @@
 import { getSupabaseAdmin } from '../config/supabase.js';
 import * as response from '../utils/responses.js';
+import { notifyUser } from '../services/notification.service.js';
+import * as lockoutService from '../services/lockout.service.js';
+import * as roleService from '../services/role.service.js';
+import { NOTIFICATION_TYPES } from '../constants/notification.constants.js';
+import { ROLE_ERRORS } from '../constants/role.constants.js';
+import { HTTP_STATUS } from '../constants/car.constants.js';
 
 export const listUsers = async (req, res) => {
   try {
@@ -10,7 +16,7 @@ export const listUsers = async (req, res) => {
     
     let query = supabaseAdmin
       .from('profiles')
-      .select('*, user_types(name)', { count: 'exact' })
+      .select('*, user_types(user_type_name)', { count: 'exact' })
       .is('deleted_at', null)
       .order('created_at', { ascending: false })
       .range(offset, offset + parseInt(limit) - 1);
@@ -57,7 +63,8 @@ export const listUsers = async (req, res) => {
       last_name: profile.last_name,
       phone_number: profile.phone_number,
       image: profile.image,
-      user_type: profile.user_types?.name || profile.user_type,
+      user_type: profile.user_types?.user_type_name || profile.user_type,
+      user_type_id: profile.user_type_id,
       is_admin: profile.is_admin,
       is_suspended: profile.is_suspended,
       two_factor_enabled: profile.two_factor_enabled,
@@ -86,7 +93,7 @@ export const getUser = async (req, res) => {
     
     const { data: profile, error } = await supabaseAdmin
       .from('profiles')
-      .select('*, user_types(name)')
+      .select('*, user_types(user_type_name)')
       .eq('id', userId)
       .is('deleted_at', null)
       .single();
@@ -103,6 +110,8 @@ export const getUser = async (req, res) => {
       .eq('user_id', userId)
       .single();
     
+    const lockout = await lockoutService.getLockoutStatus(userId);
+    
     return response.success(res, {
       user: {
         id: profile.id,
@@ -116,13 +125,15 @@ export const getUser = async (req, res) => {
         nin: profile.nin,
         address: profile.address,
         gender: profile.gender,
-        user_type: profile.user_types?.name || profile.user_type,
+        user_type: profile.user_types?.user_type_name || profile.user_type,
         user_type_id: profile.user_type_id,
+        permissions: roleService.getPermissions(profile.user_type_id),
         is_admin: profile.is_admin,
         is_suspended: profile.is_suspended,
         two_factor_enabled: profile.two_factor_enabled,
         two_factor_type: profile.two_factor_type,
         kyc_status: kyc?.status || null,
+        lockout,
         created_at: profile.created_at,
         updated_at: profile.updated_at
       }
@@ -145,7 +156,7 @@ export const suspendUser = async (req, res) => {
     
     const { data: profile, error: fetchError } = await supabaseAdmin
       .from('profiles')
-      .select('id, is_suspended, is_admin')
+      .select('id, is_suspended, user_type_id')
       .eq('id', userId)
       .is('deleted_at', null)
       .single();
@@ -154,7 +165,7 @@ export const suspendUser = async (req, res) => {
       return response.notFound(res, 'User not found');
     }
     
-    if (profile.is_admin) {
+    if (roleService.isStaff(profile)) {
       return response.forbidden(res, 'Cannot suspend an admin user');
     }
     
@@ -172,11 +183,12 @@ export const suspendUser = async (req, res) => {
       return response.error(res, 'Failed to suspend user');
     }
     
-    await supabaseAdmin.from('notifications').insert({
-      user_id: userId,
+    await notifyUser({
+      userId,
+      type: NOTIFICATION_TYPES.ACCOUNT,
+      action: 'suspended',
       title: 'Account Suspended',
-      message: reason || 'Your account has been suspended by an administrator.',
-      type: 'account'
+      message: reason || 'Your account has been suspended by an administrator.'
     });
     
     return response.success(res, { user_id: userId, is_suspended: true }, 'User suspended successfully');
@@ -216,11 +228,12 @@ export const activateUser = async (req, res) => {
       return response.error(res, 'Failed to activate user');
     }
     
-    await supabaseAdmin.from('notifications').insert({
-      user_id: userId,
+    await notifyUser({
+      userId,
+      type: NOTIFICATION_TYPES.ACCOUNT,
+      action: 'activated',
       title: 'Account Activated',
-      message: 'Your account has been reactivated. You can now access all features.',
-      type: 'account'
+      message: 'Your account has been reactivated. You can now access all features.'
     });
     
     return response.success(res, { user_id: userId, is_suspended: false }, 'User activated successfully');
@@ -229,3 +242,55 @@ export const activateUser = async (req, res) => {
     return response.serverError(res, 'Failed to activate user');
   }
 };
+
+export const clearUserLockout = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const supabaseAdmin = getSupabaseAdmin();
+    
+    const { data: profile, error: fetchError } = await supabaseAdmin
+      .from('profiles')
+      .select('id')
+      .eq('id', userId)
+      .is('deleted_at', null)
+      .single();
+    
+    if (fetchError || !profile) {
+      return response.notFound(res, 'User not found');
+    }
+    
+    await lockoutService.clearLockout(userId);
+    
+    return response.success(res, { user_id: userId, locked: false }, 'Lockout cleared successfully');
+  } catch (error) {
+    console.error('Clear lockout error:', error);
+    return response.serverError(res, 'Failed to clear lockout');
+  }
+};
+
+const handleRoleError = (res, error, fallbackMessage) => {
+  if (error instanceof roleService.RoleError && error.statusCode < HTTP_STATUS.SERVER_ERROR) {
+    return response.error(res, error.message, error.statusCode);
+  }
+  
+  console.error(`${fallbackMessage}:`, error);
+  return response.serverError(res, fallbackMessage);
+};
+
+export const listRoles = async (req, res) => {
+  try {
+    const roles = await roleService.listRoles();
+    return response.success(res, { roles });
+  } catch (error) {
+    return handleRoleError(res, error, ROLE_ERRORS.FAILED_TO_RETRIEVE);
+  }
+};
+
+export const assignUserRole = async (req, res) => {
+  try {
+    const result = await roleService.assignRole(req.user.id, req.params.userId, req.body.user_type_id);
+    return response.success(res, result, 'Role updated successfully');
+  } catch (error) {
+    return handleRoleError(res, error, ROLE_ERRORS.FAILED_TO_ASSIGN);
+  }
+};
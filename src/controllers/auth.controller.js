@@ -1,6 +1,21 @@
 import { getSupabase, getSupabaseAdmin } from '../config/supabase.js';
 import * as response from '../utils/responses.js';
+import { invalidateProfileCache } from '../middleware/authenticate.js';
 import * as twoFactorService from '../services/twoFactor.service.js';
+import * as sessionService from '../services/session.service.js';
+import * as loginHistoryService from '../services/loginHistory.service.js';
+import * as accountService from '../services/account.service.js';
+import * as lockoutService from '../services/lockout.service.js';
+import * as oauthService from '../services/oauth.service.js';
+import * as phoneService from '../services/phone.service.js';
+import { getPermissions } from '../services/role.service.js';
+import { SESSION_ERRORS } from '../constants/session.constants.js';
+import { LOGIN_FACTORS } from '../constants/lockout.constants.js';
+import { OAUTH_ERRORS } from '../constants/oauth.constants.js';
+import { PHONE_ERRORS } from '../constants/phone.constants.js';
+import { HTTP_STATUS } from '../constants/car.constants.js';
+import { generateOTP, generateToken } from '../utils/idGenerator.js';
+import { hashSecret, verifySecret } from '../utils/secretHash.js';
 import { sendPasswordResetOTP as sendPasswordResetEmail } from '../services/email/email.service.js';
 
 export const register = async (req, res) => {
@@ -38,6 +53,8 @@ export const register = async (req, res) => {
       .eq('id', data.user.id)
       .single();
     
+    await loginHistoryService.recordLogin(data.session, data.user.id, req);
+    
     return response.created(res, {
       user: { id: data.user.id, email: data.user.email, email_verified: !!data.user.email_confirmed_at, ...profile },
       session: data.session
@@ -48,51 +65,91 @@ export const register = async (req, res) => {
   }
 };
 
+/**
+ * Finishes a login once the first factor (password, email or SMS login
+ * code, provider token) has passed: refuses suspended and deleted
+ * accounts, then either starts the 2FA step or records the session and
+ * returns it.
+ */
+const completeLogin = async (req, res, data) => {
+  let { data: profile } = await getSupabaseAdmin()
+    .from('profiles')
+    .select('*')
+    .eq('id', data.user.id)
+    .single();
+  
+  if (profile?.is_suspended) {
+    return response.forbidden(res, 'Your account has been suspended');
+  }
+  
+  if (profile?.deleted_at && !accountService.isDeletionCancellable(profile)) {
+    return response.forbidden(res, 'Your account has been deleted');
+  }
+  
+  // Set when a sign-in was reported with "this wasn't me"
+  if (profile?.password_reset_required) {
+    return response.forbidden(res, SESSION_ERRORS.PASSWORD_RESET_REQUIRED);
+  }
+  
+  if (profile?.two_factor_enabled) {
+    const tempToken = await twoFactorService.create2FALoginToken(data.user.id, data.session);
+    
+    if (profile.two_factor_type === 'email') {
+      await twoFactorService.generateEmail2FACode(data.user.id);
+    } else if (profile.two_factor_type === 'sms') {
+      await twoFactorService.generateSms2FACode(data.user.id);
+    }
+    
+    return response.success(res, {
+      requires_2fa: true,
+      two_factor_method: profile.two_factor_type,
+      temp_token: tempToken,
+      user_id: data.user.id
+    }, '2FA verification required');
+  }
+  
+  // Logging in during the grace period cancels a pending deletion
+  if (profile?.deleted_at) {
+    if (!(await accountService.cancelAccountDeletion(data.user.id))) {
+      return response.forbidden(res, 'Your account has been deleted');
+    }
+    profile = { ...profile, deleted_at: null, deletion_scheduled_for: null };
+  }
+  
+  await lockoutService.resetLoginFailures(data.user.id);
+  await loginHistoryService.recordLogin(data.session, data.user.id, req);
+  
+  return response.success(res, {
+    user: { id: data.user.id, email: data.user.email, email_verified: !!data.user.email_confirmed_at, ...profile },
+    session: data.session
+  }, 'Login successful');
+};
+
 export const login = async (req, res) => {
   try {
     const { email, password } = req.body;
     const supabase = getSupabase();
-    const supabaseAdmin = getSupabaseAdmin();
+    
+    // Checked before the password so a locked account can't be guessed at
+    const accountId = await lockoutService.findUserIdByEmail(email);
+    const lock = await lockoutService.checkLockout(accountId);
+    if (lock) {
+      return response.locked(res, lock.message, lock.retryAfterSeconds);
+    }
     
     const { data, error } = await supabase.auth.signInWithPassword({ email, password });
     
     if (error) {
+      const newLock = await lockoutService.recordLoginFailure(accountId, LOGIN_FACTORS.PASSWORD, req);
+      if (newLock) {
+        return response.locked(res, newLock.message, newLock.retryAfterSeconds);
+      }
       return response.unauthorized(res, 'Invalid email or password');
     }
     
-    const { data: profile } = await supabaseAdmin
-      .from('profiles')
-      .select('*')
-      .eq('id', data.user.id)
-      .single();
+    await lockoutService.clearLoginFailures(data.user.id, LOGIN_FACTORS.PASSWORD);
     
-    if (profile?.is_suspended) {
-      return response.forbidden(res, 'Your account has been suspended');
-    }
-    
-    if (profile?.deleted_at) {
-      return response.forbidden(res, 'Your account has been deleted');
-    }
-    
-    if (profile?.two_factor_enabled) {
-      const tempToken = await twoFactorService.create2FALoginToken(data.user.id);
-      
-      if (profile.two_factor_type === 'email') {
-        await twoFactorService.generateEmail2FACode(data.user.id);
-      }
-      
-      return response.success(res, {
-        requires_2fa: true,
-        two_factor_method: profile.two_factor_type,
-        temp_token: tempToken,
-        user_id: data.user.id
-      }, '2FA verification required');
-    }
-    
-    return response.success(res, {
-      user: { id: data.user.id, email: data.user.email, email_verified: !!data.user.email_confirmed_at, ...profile },
-      session: data.session
-    }, 'Login successful');
+    return completeLogin(req, res, data);
   } catch (error) {
     console.error('Login error:', error);
     return response.serverError(res, 'Login failed');
@@ -101,8 +158,7 @@ export const login = async (req, res) => {
 
 export const logout = async (req, res) => {
   try {
-    const supabase = getSupabase();
-    await supabase.auth.signOut();
+    await sessionService.endSession(req.user.id, req.token);
     return response.success(res, null, 'Logged out successfully');
   } catch (error) {
     console.error('Logout error:', error);
@@ -113,22 +169,20 @@ export const logout = async (req, res) => {
 export const refresh = async (req, res) => {
   try {
     const { refresh_token } = req.body;
-    const supabase = getSupabase();
     
     if (!refresh_token) {
       return response.error(res, 'Refresh token is required');
     }
     
-    const { data, error } = await supabase.auth.refreshSession({ refresh_token });
+    const session = await sessionService.refreshSession(refresh_token, req);
     
-    if (error) {
-      return response.unauthorized(res, 'Invalid refresh token');
-    }
-    
-    return response.success(res, { session: data.session }, 'Token refreshed successfully');
+    return response.success(res, { session }, 'Token refreshed successfully');
   } catch (error) {
+    if (error instanceof sessionService.SessionError && error.statusCode < 500) {
+      return response.error(res, error.message, error.statusCode);
+    }
     console.error('Refresh error:', error);
-    return response.serverError(res, 'Token refresh failed');
+    return response.serverError(res, SESSION_ERRORS.FAILED_TO_REFRESH);
   }
 };
 
@@ -139,12 +193,19 @@ export const sendPasswordResetOTP = async (req, res) => {
     
     // SCALABILITY FIX: Don't reveal if email exists (security best practice)
     // Generate OTP regardless - if user doesn't exist, OTP won't be usable anyway
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
+    const otp = generateOTP();
     const expiresAt = new Date(Date.now() + 15 * 60 * 1000);
     
+    // Only hashes are stored; requesting again replaces any earlier code or reset token
     await supabaseAdmin
       .from('password_reset_tokens')
-      .upsert({ email, otp, expires_at: expiresAt.toISOString(), created_at: new Date().toISOString() }, { onConflict: 'email' });
+      .upsert({
+        email,
+        otp: await hashSecret(otp),
+        token: null,
+        expires_at: expiresAt.toISOString(),
+        created_at: new Date().toISOString()
+      }, { onConflict: 'email' });
     
     // SECURITY: Send OTP via email (Resend), never log OTP value
     try {
@@ -181,15 +242,17 @@ export const verifyPasswordResetOTP = async (req, res) => {
       return response.error(res, 'OTP has expired');
     }
     
-    if (tokenData.otp !== otp) {
+    if (!(await verifySecret(otp, tokenData.otp))) {
       return response.error(res, 'Invalid OTP');
     }
     
-    const resetToken = Array.from({ length: 64 }, () => 
-      'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789'.charAt(Math.floor(Math.random() * 62))
-    ).join('');
+    const resetToken = generateToken(64);
     
-    await supabaseAdmin.from('password_reset_tokens').update({ token: resetToken }).eq('email', email);
+    // The OTP is spent once it has been exchanged for a reset token
+    await supabaseAdmin
+      .from('password_reset_tokens')
+      .update({ otp: null, token: await hashSecret(resetToken) })
+      .eq('email', email);
     
     return response.success(res, { reset_token: resetToken }, 'OTP verified');
   } catch (error) {
@@ -207,10 +270,9 @@ export const resetPassword = async (req, res) => {
       .from('password_reset_tokens')
       .select('*')
       .eq('email', email)
-      .eq('token', token)
       .single();
     
-    if (error || !tokenData) {
+    if (error || !tokenData || !(await verifySecret(token, tokenData.token))) {
       return response.error(res, 'Invalid reset token');
     }
     
@@ -240,6 +302,14 @@ export const resetPassword = async (req, res) => {
     
     await supabaseAdmin.from('password_reset_tokens').delete().eq('email', email);
     
+    // The next sign-in is reported to the owner (see loginHistory.service),
+    // and a reported sign-in no longer blocks the account
+    await supabaseAdmin
+      .from('profiles')
+      .update({ password_reset_at: new Date().toISOString(), password_reset_required: false })
+      .eq('id', profile.id);
+    invalidateProfileCache(profile.id);
+    
     return response.success(res, null, 'Password reset successfully');
   } catch (error) {
     console.error('Reset password error:', error);
@@ -247,6 +317,23 @@ export const resetPassword = async (req, res) => {
   }
 };
 
+// "This wasn't me" link from a sign-in alert email
+export const reportLogin = async (req, res) => {
+  try {
+    const { login_id, token } = req.body;
+    
+    const revoked = await loginHistoryService.reportLogin({ loginId: login_id, token });
+    
+    return response.success(res, { revoked }, 'All devices have been signed out. Reset your password to sign in again');
+  } catch (error) {
+    if (error instanceof loginHistoryService.LoginHistoryError && error.statusCode < HTTP_STATUS.SERVER_ERROR) {
+      return response.error(res, error.message, error.statusCode);
+    }
+    console.error('Report login error:', error);
+    return response.serverError(res, SESSION_ERRORS.FAILED_TO_REPORT);
+  }
+};
+
 export const sendLoginOTP = async (req, res) => {
   try {
     const { email } = req.body;
@@ -272,46 +359,113 @@ export const verifyLoginOTP = async (req, res) => {
   try {
     const { email, otp } = req.body;
     const supabase = getSupabase();
-    const supabaseAdmin = getSupabaseAdmin();
+    
+    const accountId = await lockoutService.findUserIdByEmail(email);
+    const lock = await lockoutService.checkLockout(accountId);
+    if (lock) {
+      return response.locked(res, lock.message, lock.retryAfterSeconds);
+    }
     
     const { data, error } = await supabase.auth.verifyOtp({ email, token: otp, type: 'email' });
     
     if (error) {
+      const newLock = await lockoutService.recordLoginFailure(accountId, LOGIN_FACTORS.LOGIN_OTP, req);
+      if (newLock) {
+        return response.locked(res, newLock.message, newLock.retryAfterSeconds);
+      }
       return response.error(res, 'Invalid or expired OTP');
     }
     
-    const { data: profile } = await supabaseAdmin
-      .from('profiles')
-      .select('*')
-      .eq('id', data.user.id)
-      .single();
+    await lockoutService.clearLoginFailures(data.user.id, LOGIN_FACTORS.LOGIN_OTP);
+    
+    return completeLogin(req, res, data);
+  } catch (error) {
+    console.error('Verify login OTP error:', error);
+    return response.serverError(res, 'OTP verification failed');
+  }
+};
+
+export const sendPhoneOTP = async (req, res) => {
+  try {
+    await phoneService.sendLoginCode(req.body.phone_number);
+    
+    // Same answer whether or not the number belongs to an account
+    return response.success(res, null, 'If this number is verified on an account, a code has been sent by SMS');
+  } catch (error) {
+    console.error('Send phone OTP error:', error);
+    return response.serverError(res, PHONE_ERRORS.FAILED_TO_SEND);
+  }
+};
+
+export const verifyPhoneOTP = async (req, res) => {
+  try {
+    const { phone_number, otp } = req.body;
     
-    if (profile?.is_suspended) {
-      return response.forbidden(res, 'Your account has been suspended');
+    const accountId = await phoneService.findUserIdByPhone(phone_number);
+    const lock = await lockoutService.checkLockout(accountId);
+    if (lock) {
+      return response.locked(res, lock.message, lock.retryAfterSeconds);
     }
     
-    if (profile?.two_factor_enabled) {
-      const tempToken = await twoFactorService.create2FALoginToken(data.user.id);
+    if (!accountId) {
+      return response.error(res, PHONE_ERRORS.INVALID_CODE);
+    }
+    
+    try {
+      await phoneService.verifyLoginCode({ userId: accountId, phoneNumber: phone_number, otp });
+    } catch (error) {
+      if (!(error instanceof phoneService.PhoneError) || error.statusCode >= HTTP_STATUS.SERVER_ERROR) throw error;
       
-      if (profile.two_factor_type === 'email') {
-        await twoFactorService.generateEmail2FACode(data.user.id);
+      const newLock = await lockoutService.recordLoginFailure(accountId, LOGIN_FACTORS.PHONE_OTP, req);
+      if (newLock) {
+        return response.locked(res, newLock.message, newLock.retryAfterSeconds);
       }
-      
-      return response.success(res, {
-        requires_2fa: true,
-        two_factor_method: profile.two_factor_type,
-        temp_token: tempToken,
-        user_id: data.user.id
-      }, '2FA verification required');
+      return response.error(res, PHONE_ERRORS.INVALID_CODE);
     }
     
-    return response.success(res, {
-      user: { id: data.user.id, email: data.user.email, email_verified: !!data.user.email_confirmed_at, ...profile },
-      session: data.session
-    }, 'Login successful');
+    await lockoutService.clearLoginFailures(accountId, LOGIN_FACTORS.PHONE_OTP);
+    
+    const data = await sessionService.createSession(accountId);
+    
+    return completeLogin(req, res, data);
   } catch (error) {
-    console.error('Verify login OTP error:', error);
-    return response.serverError(res, 'OTP verification failed');
+    console.error('Verify phone OTP error:', error);
+    return response.serverError(res, PHONE_ERRORS.FAILED_TO_LOGIN);
+  }
+};
+
+/**
+ * Logs in with a Google or Apple ID token from the provider's native SDK
+ * The first login creates the account; 2FA applies as for any other login.
+ */
+export const oauthLogin = async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const { id_token, nonce, access_token, first_name, last_name } = req.body;
+    
+    let data;
+    try {
+      data = await oauthService.signInWithIdToken({ provider, idToken: id_token, nonce, accessToken: access_token });
+    } catch (error) {
+      if (error instanceof oauthService.OAuthError && error.statusCode < HTTP_STATUS.SERVER_ERROR) {
+        return response.error(res, error.message, error.statusCode);
+      }
+      throw error;
+    }
+    
+    // The provider vouched for the user, but a locked account stays locked
+    const lock = await lockoutService.checkLockout(data.user.id);
+    if (lock) {
+      await getSupabaseAdmin().auth.admin.signOut(data.session.access_token, 'local');
+      return response.locked(res, lock.message, lock.retryAfterSeconds);
+    }
+    
+    await oauthService.applyProviderName(data.user, { firstName: first_name, lastName: last_name });
+    
+    return completeLogin(req, res, data);
+  } catch (error) {
+    console.error('OAuth login error:', error);
+    return response.serverError(res, OAUTH_ERRORS.FAILED_TO_LOGIN);
   }
 };
 
@@ -360,6 +514,8 @@ export const verifyEmail = async (req, res) => {
       .eq('id', data.user.id)
       .single();
     
+    await loginHistoryService.recordLogin(data.session, data.user.id, req);
+    
     return response.success(res, {
       user: { 
         id: data.user.id, 
@@ -378,7 +534,13 @@ export const verifyEmail = async (req, res) => {
 export const me = async (req, res) => {
   try {
     return response.success(res, {
-      user: { id: req.user.id, email: req.user.email, email_verified: !!req.user.email_confirmed_at, ...req.user.profile }
+      user: {
+        id: req.user.id,
+        email: req.user.email,
+        email_verified: !!req.user.email_confirmed_at,
+        ...req.user.profile,
+        permissions: getPermissions(req.user.profile.user_type_id)
+      }
     });
   } catch (error) {
     console.error('Get user error:', error);
@@ -389,47 +551,46 @@ export const me = async (req, res) => {
 export const verify2FALogin = async (req, res) => {
   try {
     const { user_id, temp_token, code } = req.body;
-    const supabaseAdmin = getSupabaseAdmin();
     
     if (!user_id || !temp_token || !code) {
       return response.error(res, 'User ID, temp token, and code are required');
     }
     
-    await twoFactorService.verify2FALoginToken(user_id, temp_token);
+    const pending = await twoFactorService.verify2FALoginToken(user_id, temp_token);
     
-    const { data: profile } = await supabaseAdmin
-      .from('profiles')
-      .select('two_factor_type, two_factor_secret')
-      .eq('id', user_id)
-      .single();
-    
-    if (!profile) {
-      return response.error(res, 'User not found');
+    // A lock that started after the first factor still applies here
+    const lock = await lockoutService.checkLockout(user_id);
+    if (lock) {
+      return response.locked(res, lock.message, lock.retryAfterSeconds);
     }
     
-    let isValid = false;
+    const isValid = await twoFactorService.verifyUser2FACode(user_id, code);
     
-    if (profile.two_factor_type === 'google') {
-      isValid = twoFactorService.verifyGoogleAuthCode(profile.two_factor_secret, code);
-    } else if (profile.two_factor_type === 'email') {
-      try {
-        await twoFactorService.verifyEmail2FACode(user_id, code);
-        isValid = true;
-      } catch {
-        isValid = false;
+    if (!isValid) {
+      await twoFactorService.record2FALoginFailure(temp_token, pending);
+      const newLock = await lockoutService.recordLoginFailure(user_id, LOGIN_FACTORS.TWO_FACTOR, req);
+      if (newLock) {
+        return response.locked(res, newLock.message, newLock.retryAfterSeconds);
       }
+      return response.error(res, 'Invalid 2FA code');
     }
     
-    if (!isValid) {
-      return response.error(res, 'Invalid 2FA code');
+    // Session held since the first factor - only released now
+    const session = await twoFactorService.complete2FALogin(user_id, temp_token);
+    let user = await twoFactorService.getLoginUser(user_id);
+    
+    // Logging in during the grace period cancels a pending deletion
+    if (user.deleted_at) {
+      if (!(await accountService.cancelAccountDeletion(user_id))) {
+        return response.forbidden(res, 'Your account has been deleted');
+      }
+      user = { ...user, deleted_at: null, deletion_scheduled_for: null };
     }
     
-    const { data: { user } } = await supabaseAdmin.auth.admin.getUserById(user_id);
-    const { data: fullProfile } = await supabaseAdmin.from('profiles').select('*').eq('id', user_id).single();
+    await lockoutService.resetLoginFailures(user_id);
+    await loginHistoryService.recordLogin(session, user_id, req);
     
-    return response.success(res, {
-      user: { id: user.id, email: user.email, email_verified: !!user.email_confirmed_at, ...fullProfile }
-    }, '2FA verified successfully');
+    return response.success(res, { user, session }, '2FA verified successfully');
   } catch (error) {
     console.error('2FA verify login error:', error);
     return response.error(res, error.message || '2FA verification failed');
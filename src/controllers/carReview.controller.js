@@ -0,0 +1,76 @@
+import * as response from '../utils/responses.js';
+import { logError } from '../utils/logger.js';
+import { CarError } from '../services/car.service.js';
+import { listCarsForReview, getCarForReview, reviewCar } from '../services/carReview.service.js';
+import { PAGINATION, PATTERNS, ERROR_MESSAGES, HTTP_STATUS, CAR_STATUS } from '../constants/car.constants.js';
+
+const handleReviewError = (res, error) => {
+  if (error instanceof CarError && error.statusCode < HTTP_STATUS.SERVER_ERROR) {
+    return response.error(res, error.message, error.statusCode);
+  }
+
+  logError('Car review operation error', error);
+  return response.serverError(res, error.message || 'An error occurred');
+};
+
+export const listCars = async (req, res) => {
+  try {
+    const { status, page: pageParam, limit: limitParam } = req.query;
+
+    if (status !== undefined && !Object.values(CAR_STATUS).includes(status)) {
+      return response.error(res, ERROR_MESSAGES.INVALID_STATUS_FILTER, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (pageParam !== undefined && !PATTERNS.POSITIVE_INTEGER.test(String(pageParam))) {
+      return response.error(res, ERROR_MESSAGES.INVALID_PAGE, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (limitParam !== undefined && !PATTERNS.POSITIVE_INTEGER.test(String(limitParam))) {
+      return response.error(res, ERROR_MESSAGES.INVALID_LIMIT, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const page = Math.min(PAGINATION.MAX_PAGE, Math.max(PAGINATION.MIN_PAGE, parseInt(pageParam, 10) || PAGINATION.DEFAULT_PAGE));
+    const limit = Math.min(PAGINATION.MAX_LIMIT, Math.max(PAGINATION.MIN_LIMIT, parseInt(limitParam, 10) || PAGINATION.DEFAULT_LIMIT));
+
+    const result = await listCarsForReview({ status, page, limit });
+
+    return response.success(res, result, 'Cars retrieved successfully');
+  } catch (error) {
+    return handleReviewError(res, error);
+  }
+};
+
+export const getCar = async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    if (!PATTERNS.UUID.test(slug)) {
+      return response.error(res, ERROR_MESSAGES.INVALID_SLUG, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const result = await getCarForReview(slug);
+
+    return response.success(res, result, 'Car retrieved successfully');
+  } catch (error) {
+    return handleReviewError(res, error);
+  }
+};
+
+const decide = (decision, successMessage) => async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    if (!PATTERNS.UUID.test(slug)) {
+      return response.error(res, ERROR_MESSAGES.INVALID_SLUG, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const car = await reviewCar(slug, decision, req.user.id, req.body.reason);
+
+    return response.success(res, { car }, successMessage);
+  } catch (error) {
+    return handleReviewError(res, error);
+  }
+};
+
+export const approveCar = decide('approve', 'Car approved successfully');
+export const rejectCar = decide('reject', 'Car rejected successfully');
@@ -0,0 +1,33 @@
+import * as response from '../utils/responses.js';
+import { logError } from '../utils/logger.js';
+import * as dataExportService from '../services/dataExport.service.js';
+import { DATA_EXPORT_ERRORS } from '../constants/dataExport.constants.js';
+import { HTTP_STATUS } from '../constants/car.constants.js';
+
+const handleDataExportError = (res, error, fallbackMessage) => {
+  if (error instanceof dataExportService.DataExportError && error.statusCode < HTTP_STATUS.SERVER_ERROR) {
+    return response.error(res, error.message, error.statusCode);
+  }
+
+  logError(fallbackMessage, error);
+  return response.serverError(res, fallbackMessage);
+};
+
+export const requestDataExport = async (req, res) => {
+  try {
+    const dataExport = await dataExportService.requestDataExport(req.user.id);
+    // 202: the archive is built in the background, poll GET /settings/export/:id
+    return response.success(res, { export: dataExport }, 'Data export started', 202);
+  } catch (error) {
+    return handleDataExportError(res, error, DATA_EXPORT_ERRORS.FAILED_TO_REQUEST);
+  }
+};
+
+export const getDataExport = async (req, res) => {
+  try {
+    const dataExport = await dataExportService.getDataExport(req.user.id, req.params.id);
+    return response.success(res, { export: dataExport });
+  } catch (error) {
+    return handleDataExportError(res, error, DATA_EXPORT_ERRORS.FAILED_TO_RETRIEVE);
+  }
+};
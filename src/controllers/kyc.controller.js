@@ -0,0 +1,90 @@
+import * as response from '../utils/responses.js';
+import { logError } from '../utils/logger.js';
+import * as kycService from '../services/kyc.service.js';
+import { KYC_STATUS, KYC_PAGINATION, KYC_ERRORS } from '../constants/kyc.constants.js';
+import { HTTP_STATUS } from '../constants/car.constants.js';
+
+// Submissions are checked against the identity provider straight away
+const submissionMessage = (kyc, action) => (
+  kyc.status === KYC_STATUS.VERIFIED ? 'KYC verified successfully' : `KYC ${action} for review`
+);
+
+const handleKycError = (res, error, fallbackMessage) => {
+  if (error instanceof kycService.KycError && error.statusCode < HTTP_STATUS.SERVER_ERROR) {
+    return response.error(res, error.message, error.statusCode);
+  }
+
+  logError(fallbackMessage, error);
+  return response.serverError(res, fallbackMessage);
+};
+
+export const getKyc = async (req, res) => {
+  try {
+    const kyc = await kycService.getKycByUserId(req.user.id);
+
+    if (!kyc) {
+      return response.notFound(res, KYC_ERRORS.NOT_FOUND);
+    }
+
+    return response.success(res, { kyc });
+  } catch (error) {
+    return handleKycError(res, error, KYC_ERRORS.FAILED_TO_RETRIEVE);
+  }
+};
+
+export const submitKyc = async (req, res) => {
+  try {
+    const kyc = await kycService.submitKyc(req.user, req.body);
+    return response.created(res, { kyc }, submissionMessage(kyc, 'submitted'));
+  } catch (error) {
+    return handleKycError(res, error, KYC_ERRORS.FAILED_TO_SUBMIT);
+  }
+};
+
+export const resubmitKyc = async (req, res) => {
+  try {
+    const kyc = await kycService.resubmitKyc(req.user, req.body);
+    return response.success(res, { kyc }, submissionMessage(kyc, 'resubmitted'));
+  } catch (error) {
+    return handleKycError(res, error, KYC_ERRORS.FAILED_TO_SUBMIT);
+  }
+};
+
+// ====== ADMIN ======
+
+export const listKycs = async (req, res) => {
+  try {
+    const { status = KYC_STATUS.PENDING, page, limit } = req.query;
+
+    const result = await kycService.listKycs({
+      status,
+      page: parseInt(page, 10) || KYC_PAGINATION.DEFAULT_PAGE,
+      limit: parseInt(limit, 10) || KYC_PAGINATION.DEFAULT_LIMIT
+    });
+
+    return response.success(res, result, 'KYCs retrieved successfully');
+  } catch (error) {
+    return handleKycError(res, error, KYC_ERRORS.FAILED_TO_RETRIEVE);
+  }
+};
+
+export const getKycById = async (req, res) => {
+  try {
+    const kyc = await kycService.getKycById(req.params.id);
+    return response.success(res, { kyc });
+  } catch (error) {
+    return handleKycError(res, error, KYC_ERRORS.FAILED_TO_RETRIEVE);
+  }
+};
+
+const decide = (decision, successMessage) => async (req, res) => {
+  try {
+    const kyc = await kycService.reviewKyc(req.params.id, decision, req.user.id, req.body.reason || null);
+    return response.success(res, { kyc }, successMessage);
+  } catch (error) {
+    return handleKycError(res, error, KYC_ERRORS.FAILED_TO_REVIEW);
+  }
+};
+
+export const verifyKyc = decide('verify', 'KYC verified successfully');
+export const rejectKyc = decide('reject', 'KYC rejected successfully');
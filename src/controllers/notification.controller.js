@@ -0,0 +1,160 @@
+import * as response from '../utils/responses.js';
+import { logError } from '../utils/logger.js';
+import * as notificationService from '../services/notification.service.js';
+import { getNotificationBus } from '../services/notificationBus.js';
+import { NOTIFICATION_PAGINATION, NOTIFICATION_STREAM, NOTIFICATION_ERRORS } from '../constants/notification.constants.js';
+import { HTTP_STATUS } from '../constants/car.constants.js';
+
+/**
+ * Open SSE connections per user on this instance
+ * Key: profiles.user_id, Value: connection count
+ */
+const openStreams = new Map();
+
+const handleNotificationError = (res, error, fallbackMessage) => {
+  if (error instanceof notificationService.NotificationError && error.statusCode < HTTP_STATUS.SERVER_ERROR) {
+    return response.error(res, error.message, error.statusCode);
+  }
+
+  logError(fallbackMessage, error);
+  return response.serverError(res, fallbackMessage);
+};
+
+export const listNotifications = async (req, res) => {
+  try {
+    const { page, limit, type, is_read } = req.query;
+
+    const result = await notificationService.listNotifications(req.user.profile.user_id, {
+      page: parseInt(page, 10) || NOTIFICATION_PAGINATION.DEFAULT_PAGE,
+      limit: parseInt(limit, 10) || NOTIFICATION_PAGINATION.DEFAULT_LIMIT,
+      type,
+      isRead: is_read === undefined ? undefined : is_read === 'true'
+    });
+
+    return response.success(res, result, 'Notifications retrieved');
+  } catch (error) {
+    return handleNotificationError(res, error, 'Failed to retrieve notifications');
+  }
+};
+
+export const getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await notificationService.getUnreadCount(req.user.profile.user_id);
+    return response.success(res, { unread_count: unreadCount });
+  } catch (error) {
+    return handleNotificationError(res, error, 'Failed to count unread notifications');
+  }
+};
+
+export const markAsRead = async (req, res) => {
+  try {
+    const notification = await notificationService.markAsRead(req.user.profile.user_id, req.params.id);
+    return response.success(res, { notification }, 'Notification marked as read');
+  } catch (error) {
+    return handleNotificationError(res, error, 'Failed to update notification');
+  }
+};
+
+export const markAllAsRead = async (req, res) => {
+  try {
+    const updated = await notificationService.markAllAsRead(req.user.profile.user_id);
+    return response.success(res, { updated }, 'All notifications marked as read');
+  } catch (error) {
+    return handleNotificationError(res, error, 'Failed to update notifications');
+  }
+};
+
+export const deleteNotification = async (req, res) => {
+  try {
+    await notificationService.deleteNotification(req.user.profile.user_id, req.params.id);
+    return response.success(res, null, 'Notification deleted');
+  } catch (error) {
+    return handleNotificationError(res, error, 'Failed to delete notification');
+  }
+};
+
+/**
+ * Server-Sent Events stream of new notifications
+ *
+ * - Each event carries the notification id as its SSE id, so a reconnecting
+ *   client (Last-Event-ID header or ?last_event_id=) gets missed events replayed
+ * - A comment line is sent every HEARTBEAT_MS to keep proxies from closing the connection
+ * - Connections are capped per user to bound memory and listener count
+ */
+export const streamNotifications = async (req, res) => {
+  const userCode = req.user.profile.user_id;
+  const lastEventIdParam = req.get('Last-Event-ID') ?? req.query.last_event_id;
+
+  if (lastEventIdParam !== undefined && !/^\d+$/.test(String(lastEventIdParam))) {
+    return response.error(res, NOTIFICATION_ERRORS.INVALID_LAST_EVENT_ID);
+  }
+
+  const openCount = openStreams.get(userCode) || 0;
+  if (openCount >= NOTIFICATION_STREAM.MAX_CONNECTIONS_PER_USER) {
+    return response.error(res, NOTIFICATION_ERRORS.TOO_MANY_STREAMS, 429);
+  }
+  openStreams.set(userCode, openCount + 1);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // disable nginx response buffering
+  });
+  res.write(`retry: ${NOTIFICATION_STREAM.RETRY_MS}\n\n`);
+
+  let lastSentId = lastEventIdParam !== undefined ? parseInt(lastEventIdParam, 10) : 0;
+  let replaying = lastEventIdParam !== undefined;
+  const pending = [];
+
+  const send = (notification) => {
+    // Skip anything already delivered (replay and live events can overlap)
+    if (notification.id <= lastSentId) return;
+    lastSentId = notification.id;
+    res.write(`id: ${notification.id}\nevent: notification\ndata: ${JSON.stringify(notification)}\n\n`);
+  };
+
+  // Subscribe before replaying so nothing created during the replay query is lost
+  const unsubscribe = getNotificationBus().subscribe(userCode, (notification) => {
+    if (replaying) {
+      pending.push(notification);
+    } else {
+      send(notification);
+    }
+  });
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, NOTIFICATION_STREAM.HEARTBEAT_MS);
+
+  let closed = false;
+  const cleanup = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+
+    const remaining = (openStreams.get(userCode) || 1) - 1;
+    if (remaining > 0) {
+      openStreams.set(userCode, remaining);
+    } else {
+      openStreams.delete(userCode);
+    }
+  };
+
+  res.on('close', cleanup);
+
+  if (replaying) {
+    try {
+      const missed = await notificationService.listNotificationsSince(userCode, lastSentId, NOTIFICATION_STREAM.REPLAY_LIMIT);
+      missed.forEach(send);
+    } catch (error) {
+      logError('Notification stream replay error', error);
+    }
+
+    replaying = false;
+    pending.splice(0).forEach(send);
+  }
+
+  res.write('event: ready\ndata: {}\n\n');
+};
@@ -0,0 +1,140 @@
+import { getSupabaseUser } from '../config/supabase.js';
+import * as response from '../utils/responses.js';
+import { logError } from '../utils/logger.js';
+import { CarError } from '../services/car.service.js';
+import * as paymentService from '../services/payment.service.js';
+import { getPaymentDocument } from '../services/receipt.service.js';
+import { PATTERNS, ERROR_MESSAGES, HTTP_STATUS } from '../constants/car.constants.js';
+import { PAYMENT_ERRORS } from '../constants/payment.constants.js';
+
+const handlePaymentError = (res, error, fallbackMessage) => {
+  if ((error instanceof paymentService.PaymentError || error instanceof CarError)
+    && error.statusCode < HTTP_STATUS.SERVER_ERROR) {
+    return response.error(res, error.message, error.statusCode);
+  }
+
+  logError(fallbackMessage, error);
+  return response.serverError(res, fallbackMessage);
+};
+
+export const createPayment = async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    if (!PATTERNS.UUID.test(slug)) {
+      return response.error(res, ERROR_MESSAGES.INVALID_SLUG, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const supabaseUser = getSupabaseUser(req.token);
+    const { payment, created } = await paymentService.createPaymentIntent(supabaseUser, slug, req.user.id);
+
+    return created
+      ? response.created(res, { payment }, 'Payment created successfully')
+      : response.success(res, { payment }, 'Pending payment retrieved');
+  } catch (error) {
+    return handlePaymentError(res, error, PAYMENT_ERRORS.FAILED_TO_CREATE);
+  }
+};
+
+export const listPayments = async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    if (!PATTERNS.UUID.test(slug)) {
+      return response.error(res, ERROR_MESSAGES.INVALID_SLUG, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const supabaseUser = getSupabaseUser(req.token);
+    const payments = await paymentService.listCarPayments(supabaseUser, slug, req.user.id);
+
+    return response.success(res, { payments }, 'Payments retrieved successfully');
+  } catch (error) {
+    return handlePaymentError(res, error, PAYMENT_ERRORS.FAILED_TO_RETRIEVE);
+  }
+};
+
+/**
+ * Streams the receipt (successful payment) or invoice (pending payment) PDF
+ */
+export const downloadReceipt = async (req, res) => {
+  try {
+    const { slug, id } = req.params;
+
+    if (!PATTERNS.UUID.test(slug)) {
+      return response.error(res, ERROR_MESSAGES.INVALID_SLUG, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (!PATTERNS.POSITIVE_INTEGER.test(id)) {
+      return response.error(res, PAYMENT_ERRORS.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    const supabaseUser = getSupabaseUser(req.token);
+    const { buffer, filename } = await getPaymentDocument(supabaseUser, slug, req.user.id, id);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': buffer.length,
+      'Cache-Control': 'private, no-store'
+    });
+    return res.send(buffer);
+  } catch (error) {
+    return handlePaymentError(res, error, PAYMENT_ERRORS.FAILED_TO_GENERATE_RECEIPT);
+  }
+};
+
+// ====== ADMIN ======
+
+export const listFees = async (req, res) => {
+  try {
+    const fees = await paymentService.listFees({ includeInactive: req.query.include_inactive === 'true' });
+    return response.success(res, { fees }, 'Fee schedule retrieved successfully');
+  } catch (error) {
+    return handlePaymentError(res, error, PAYMENT_ERRORS.FAILED_TO_RETRIEVE_FEES);
+  }
+};
+
+const pickFeeFields = (body) => {
+  const fields = ['item_code', 'description', 'amount', 'currency', 'purpose', 'car_type', 'registration_status', 'plate_type', 'is_active'];
+  return Object.fromEntries(fields.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+};
+
+export const createFee = async (req, res) => {
+  try {
+    const fee = await paymentService.createFee(pickFeeFields(req.body));
+    return response.created(res, { fee }, 'Fee created successfully');
+  } catch (error) {
+    return handlePaymentError(res, error, PAYMENT_ERRORS.FAILED_TO_SAVE_FEE);
+  }
+};
+
+export const updateFee = async (req, res) => {
+  try {
+    const updates = pickFeeFields(req.body);
+
+    if (Object.keys(updates).length === 0) {
+      return response.error(res, 'No fields to update');
+    }
+
+    const fee = await paymentService.updateFee(req.params.id, updates);
+    return response.success(res, { fee }, 'Fee updated successfully');
+  } catch (error) {
+    return handlePaymentError(res, error, PAYMENT_ERRORS.FAILED_TO_SAVE_FEE);
+  }
+};
+
+/**
+ * Manual confirmation for payments received outside the payment provider
+ * (e.g. bank transfer reconciled by finance)
+ */
+export const confirmPayment = async (req, res) => {
+  try {
+    const payment = await paymentService.confirmPayment(req.params.reference, {
+      provider: 'manual',
+      providerReference: req.body.provider_reference || null
+    });
+    return response.success(res, { payment }, 'Payment confirmed successfully');
+  } catch (error) {
+    return handlePaymentError(res, error, PAYMENT_ERRORS.FAILED_TO_CONFIRM);
+  }
+};
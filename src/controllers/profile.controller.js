@@ -1,5 +1,11 @@
 import { getSupabaseAdmin } from '../config/supabase.js';
 import * as response from '../utils/responses.js';
+import { isKycVerified } from '../services/kyc.service.js';
+import * as phoneService from '../services/phone.service.js';
+import { invalidateProfileCache } from '../middleware/authenticate.js';
+import { KYC_ERRORS } from '../constants/kyc.constants.js';
+import { PHONE_ERRORS } from '../constants/phone.constants.js';
+import { HTTP_STATUS } from '../constants/car.constants.js';
 
 export const getProfile = async (req, res) => {
   try {
@@ -13,6 +19,7 @@ export const getProfile = async (req, res) => {
         first_name: profile.first_name,
         last_name: profile.last_name,
         phone_number: profile.phone_number,
+        phone_verified: profile.phone_verified,
         image: profile.image,
         nin: profile.nin,
         address: profile.address,
@@ -40,6 +47,16 @@ export const updateProfile = async (req, res) => {
     if (first_name !== undefined) updates.first_name = first_name;
     if (last_name !== undefined) updates.last_name = last_name;
     if (phone_number !== undefined) updates.phone_number = phone_number;
+    
+    // A new number has to be verified again before it can be used to log in
+    if (phone_number !== undefined && phone_number !== req.user.profile.phone_number) {
+      // SMS 2FA codes go to this number; changing it would lock the user out
+      if (req.user.profile.two_factor_enabled && req.user.profile.two_factor_type === 'sms') {
+        return response.error(res, 'Turn off SMS 2FA before changing your phone number');
+      }
+      updates.phone_verified = false;
+      updates.phone_verified_at = null;
+    }
     if (image !== undefined) updates.image = image;
     if (nin !== undefined) updates.nin = nin;
     if (address !== undefined) updates.address = address;
@@ -49,6 +66,11 @@ export const updateProfile = async (req, res) => {
       return response.error(res, 'No fields to update');
     }
     
+    // NIN is locked once it has been verified through KYC
+    if (nin !== undefined && nin !== req.user.profile.nin && await isKycVerified(userId)) {
+      return response.forbidden(res, KYC_ERRORS.NIN_LOCKED);
+    }
+    
     if (phone_number) {
       const { data: existing } = await supabaseAdmin
         .from('profiles')
@@ -74,6 +96,8 @@ export const updateProfile = async (req, res) => {
       return response.error(res, 'Failed to update profile');
     }
     
+    invalidateProfileCache(userId);
+    
     return response.success(res, {
       profile: {
         id: userId,
@@ -82,6 +106,7 @@ export const updateProfile = async (req, res) => {
         first_name: profile.first_name,
         last_name: profile.last_name,
         phone_number: profile.phone_number,
+        phone_verified: profile.phone_verified,
         image: profile.image,
         nin: profile.nin,
         address: profile.address,
@@ -98,3 +123,30 @@ export const updateProfile = async (req, res) => {
     return response.serverError(res, 'Failed to update profile');
   }
 };
+
+const handlePhoneError = (res, error, fallbackMessage) => {
+  if (error instanceof phoneService.PhoneError && error.statusCode < HTTP_STATUS.SERVER_ERROR) {
+    return response.error(res, error.message, error.statusCode);
+  }
+  
+  console.error(`${fallbackMessage}:`, error);
+  return response.serverError(res, fallbackMessage);
+};
+
+export const sendPhoneVerification = async (req, res) => {
+  try {
+    const result = await phoneService.sendVerificationCode(req.user.id);
+    return response.success(res, result, 'Verification code sent by SMS');
+  } catch (error) {
+    return handlePhoneError(res, error, PHONE_ERRORS.FAILED_TO_SEND);
+  }
+};
+
+export const verifyPhone = async (req, res) => {
+  try {
+    const result = await phoneService.confirmVerificationCode(req.user.id, req.body.otp);
+    return response.success(res, result, 'Phone number verified');
+  } catch (error) {
+    return handlePhoneError(res, error, PHONE_ERRORS.FAILED_TO_VERIFY);
+  }
+};
@@ -0,0 +1,23 @@
+import * as response from '../utils/responses.js';
+import { logError } from '../utils/logger.js';
+import { triggerExpiryReminders, ReminderError } from '../services/expiryReminder.service.js';
+import { HTTP_STATUS } from '../constants/car.constants.js';
+import { REMINDER_ERRORS } from '../constants/reminder.constants.js';
+
+/**
+ * Manual trigger for the expiry reminder job
+ * Safe to call at any time - reminders already sent are skipped.
+ */
+export const runExpiryReminders = async (req, res) => {
+  try {
+    const summary = await triggerExpiryReminders();
+    return response.success(res, { summary }, 'Expiry reminders processed');
+  } catch (error) {
+    if (error instanceof ReminderError && error.statusCode < HTTP_STATUS.SERVER_ERROR) {
+      return response.error(res, error.message, error.statusCode);
+    }
+
+    logError(REMINDER_ERRORS.FAILED_TO_RUN, error);
+    return response.serverError(res, REMINDER_ERRORS.FAILED_TO_RUN);
+  }
+};
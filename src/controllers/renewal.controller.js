@@ -0,0 +1,91 @@
+import { getSupabaseUser } from '../config/supabase.js';
+import * as response from '../utils/responses.js';
+import { logError } from '../utils/logger.js';
+import { CarError } from '../services/car.service.js';
+import { PaymentError } from '../services/payment.service.js';
+import * as renewalService from '../services/renewal.service.js';
+import { PATTERNS, ERROR_MESSAGES, HTTP_STATUS } from '../constants/car.constants.js';
+import { RENEWAL_STATUS, RENEWAL_PAGINATION, RENEWAL_ERRORS } from '../constants/renewal.constants.js';
+
+const handleRenewalError = (res, error, fallbackMessage) => {
+  if ((error instanceof renewalService.RenewalError || error instanceof CarError || error instanceof PaymentError)
+    && error.statusCode < HTTP_STATUS.SERVER_ERROR) {
+    return response.error(res, error.message, error.statusCode, error.errors || null);
+  }
+
+  logError(fallbackMessage, error);
+  return response.serverError(res, fallbackMessage);
+};
+
+export const createRenewal = async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    if (!PATTERNS.UUID.test(slug)) {
+      return response.error(res, ERROR_MESSAGES.INVALID_SLUG, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const supabaseUser = getSupabaseUser(req.token);
+    const renewal = await renewalService.createRenewal(supabaseUser, slug, req.user.id);
+
+    return response.created(res, { renewal }, 'Renewal requested successfully');
+  } catch (error) {
+    return handleRenewalError(res, error, RENEWAL_ERRORS.FAILED_TO_CREATE);
+  }
+};
+
+export const listRenewals = async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    if (!PATTERNS.UUID.test(slug)) {
+      return response.error(res, ERROR_MESSAGES.INVALID_SLUG, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const supabaseUser = getSupabaseUser(req.token);
+    const renewals = await renewalService.listCarRenewals(supabaseUser, slug, req.user.id);
+
+    return response.success(res, { renewals }, 'Renewals retrieved successfully');
+  } catch (error) {
+    return handleRenewalError(res, error, RENEWAL_ERRORS.FAILED_TO_RETRIEVE);
+  }
+};
+
+// ====== ADMIN ======
+
+export const listRenewalQueue = async (req, res) => {
+  try {
+    const { status = RENEWAL_STATUS.PENDING, page, limit } = req.query;
+
+    const result = await renewalService.listRenewals({
+      status,
+      page: parseInt(page, 10) || RENEWAL_PAGINATION.DEFAULT_PAGE,
+      limit: parseInt(limit, 10) || RENEWAL_PAGINATION.DEFAULT_LIMIT
+    });
+
+    return response.success(res, result, 'Renewals retrieved successfully');
+  } catch (error) {
+    return handleRenewalError(res, error, RENEWAL_ERRORS.FAILED_TO_RETRIEVE);
+  }
+};
+
+export const getRenewalById = async (req, res) => {
+  try {
+    const renewal = await renewalService.getRenewalById(req.params.id);
+    return response.success(res, { renewal });
+  } catch (error) {
+    return handleRenewalError(res, error, RENEWAL_ERRORS.FAILED_TO_RETRIEVE);
+  }
+};
+
+const decide = (decision, successMessage) => async (req, res) => {
+  try {
+    const renewal = await renewalService.reviewRenewal(req.params.id, decision, req.user.id, req.body.reason || null);
+    return response.success(res, { renewal }, successMessage);
+  } catch (error) {
+    return handleRenewalError(res, error, RENEWAL_ERRORS.FAILED_TO_REVIEW);
+  }
+};
+
+export const approveRenewal = decide('approve', 'Renewal approved successfully');
+export const rejectRenewal = decide('reject', 'Renewal rejected successfully');
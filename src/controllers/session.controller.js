@@ -0,0 +1,53 @@
+import * as response from '../utils/responses.js';
+import { logError } from '../utils/logger.js';
+import * as sessionService from '../services/session.service.js';
+import * as loginHistoryService from '../services/loginHistory.service.js';
+import { SESSION_ERRORS } from '../constants/session.constants.js';
+import { HTTP_STATUS } from '../constants/car.constants.js';
+
+const handleSessionError = (res, error, fallbackMessage) => {
+  if (error instanceof sessionService.SessionError && error.statusCode < HTTP_STATUS.SERVER_ERROR) {
+    return response.error(res, error.message, error.statusCode);
+  }
+
+  logError(fallbackMessage, error);
+  return response.serverError(res, fallbackMessage);
+};
+
+export const listSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id, req.sessionId, {
+      includeRevoked: req.query.include_revoked === 'true'
+    });
+    return response.success(res, { sessions }, 'Sessions retrieved');
+  } catch (error) {
+    return handleSessionError(res, error, SESSION_ERRORS.FAILED_TO_RETRIEVE);
+  }
+};
+
+export const listLoginHistory = async (req, res) => {
+  try {
+    const logins = await loginHistoryService.listLoginHistory(req.user.id);
+    return response.success(res, { logins }, 'Login history retrieved');
+  } catch (error) {
+    return handleSessionError(res, error, SESSION_ERRORS.FAILED_TO_RETRIEVE_HISTORY);
+  }
+};
+
+export const revokeSession = async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.user.id, req.params.id);
+    return response.success(res, null, 'Session revoked');
+  } catch (error) {
+    return handleSessionError(res, error, SESSION_ERRORS.FAILED_TO_REVOKE);
+  }
+};
+
+export const revokeAllSessions = async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllSessions(req.user.id, req.token);
+    return response.success(res, { revoked }, 'Logged out of all devices');
+  } catch (error) {
+    return handleSessionError(res, error, SESSION_ERRORS.FAILED_TO_REVOKE);
+  }
+};
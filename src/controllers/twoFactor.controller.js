@@ -1,6 +1,12 @@
 import * as response from '../utils/responses.js';
 import * as twoFactorService from '../services/twoFactor.service.js';
-import { getSupabaseAdmin } from '../config/supabase.js';
+import * as loginHistoryService from '../services/loginHistory.service.js';
+import * as accountService from '../services/account.service.js';
+import * as lockoutService from '../services/lockout.service.js';
+import * as webauthnService from '../services/webauthn.service.js';
+import { getSupabaseEphemeral } from '../config/supabase.js';
+import { LOGIN_FACTORS } from '../constants/lockout.constants.js';
+import { WEBAUTHN_ERRORS } from '../constants/webauthn.constants.js';
 
 export const enableGoogleAuth = async (req, res) => {
   try {
@@ -52,6 +58,73 @@ export const enableEmailAuth = async (req, res) => {
   }
 };
 
+// Texts a code to the verified phone number; SMS 2FA is on once the code
+// comes back to verify-sms
+export const enableSmsAuth = async (req, res) => {
+  try {
+    const status = await twoFactorService.get2FAStatus(req.user.id);
+    if (status.enabled) {
+      return response.error(res, '2FA is already enabled');
+    }
+    
+    if (!req.user.profile?.phone_verified) {
+      return response.error(res, 'Verify your phone number first');
+    }
+    
+    await twoFactorService.generateSms2FACode(req.user.id);
+    
+    return response.success(res, null, 'Enter the code sent to your phone to enable SMS 2FA');
+  } catch (error) {
+    console.error('Enable SMS Auth error:', error);
+    return response.serverError(res, 'Failed to enable SMS 2FA');
+  }
+};
+
+export const verifySmsAuth = async (req, res) => {
+  try {
+    const status = await twoFactorService.get2FAStatus(req.user.id);
+    if (status.enabled) {
+      return response.error(res, '2FA is already enabled');
+    }
+    
+    const recoveryCodes = await twoFactorService.confirmSms2FA(req.user.id, req.body.code);
+    
+    return response.success(res, {
+      enabled: true,
+      method: 'sms',
+      recovery_codes: recoveryCodes
+    }, 'SMS 2FA enabled');
+  } catch (error) {
+    console.error('Verify SMS Auth error:', error);
+    return response.error(res, error.message || 'Verification failed');
+  }
+};
+
+export const enableWebauthnAuth = async (req, res) => {
+  try {
+    const status = await twoFactorService.get2FAStatus(req.user.id);
+    if (status.enabled) {
+      return response.error(res, '2FA is already enabled');
+    }
+    
+    const passkeys = await webauthnService.listCredentials(req.user.id);
+    if (passkeys.length === 0) {
+      return response.error(res, WEBAUTHN_ERRORS.NO_CREDENTIALS);
+    }
+    
+    const recoveryCodes = await twoFactorService.enableWebauthn2FA(req.user.id);
+    
+    return response.success(res, {
+      enabled: true,
+      method: 'webauthn',
+      recovery_codes: recoveryCodes
+    }, 'Passkey 2FA enabled');
+  } catch (error) {
+    console.error('Enable passkey auth error:', error);
+    return response.serverError(res, 'Failed to enable passkey 2FA');
+  }
+};
+
 export const verifyEmailAuth = async (req, res) => {
   try {
     await twoFactorService.verifyEmail2FACode(req.user.id, req.body.code);
@@ -65,13 +138,13 @@ export const verifyEmailAuth = async (req, res) => {
 export const disable2FA = async (req, res) => {
   try {
     const { password } = req.body;
-    const supabaseAdmin = getSupabaseAdmin();
     
     if (!password) {
       return response.error(res, 'Password is required');
     }
     
-    const { error } = await supabaseAdmin.auth.signInWithPassword({ email: req.user.email, password });
+    // Never on the admin client: the session would replace its service role key
+    const { error } = await getSupabaseEphemeral().auth.signInWithPassword({ email: req.user.email, password });
     
     if (error) {
       return response.error(res, 'Invalid password');
@@ -112,6 +185,22 @@ export const sendEmail2FACode = async (req, res) => {
   }
 };
 
+export const sendSms2FACode = async (req, res) => {
+  try {
+    const status = await twoFactorService.get2FAStatus(req.user.id);
+    if (!status.enabled || status.method !== 'sms') {
+      return response.error(res, 'SMS 2FA is not enabled');
+    }
+    
+    await twoFactorService.generateSms2FACode(req.user.id);
+    
+    return response.success(res, null, '2FA code sent to your phone');
+  } catch (error) {
+    console.error('Send SMS 2FA code error:', error);
+    return response.serverError(res, 'Failed to send 2FA code');
+  }
+};
+
 export const verifyRecoveryCode = async (req, res) => {
   try {
     const { code, user_id, temp_token } = req.body;
@@ -120,10 +209,43 @@ export const verifyRecoveryCode = async (req, res) => {
       return response.error(res, 'Recovery code, user ID, and temp token are required');
     }
     
-    await twoFactorService.verify2FALoginToken(user_id, temp_token);
-    const result = await twoFactorService.verifyRecoveryCode(user_id, code);
+    const pending = await twoFactorService.verify2FALoginToken(user_id, temp_token);
+    
+    const lock = await lockoutService.checkLockout(user_id);
+    if (lock) {
+      return response.locked(res, lock.message, lock.retryAfterSeconds);
+    }
+    
+    let result;
+    try {
+      result = await twoFactorService.verifyRecoveryCode(user_id, code);
+    } catch (error) {
+      await twoFactorService.record2FALoginFailure(temp_token, pending);
+      const newLock = await lockoutService.recordLoginFailure(user_id, LOGIN_FACTORS.RECOVERY_CODE, req);
+      if (newLock) {
+        return response.locked(res, newLock.message, newLock.retryAfterSeconds);
+      }
+      throw error;
+    }
+    
+    // Session held since the first factor - only released now
+    const session = await twoFactorService.complete2FALogin(user_id, temp_token);
+    let user = await twoFactorService.getLoginUser(user_id);
+    
+    // Logging in during the grace period cancels a pending deletion
+    if (user.deleted_at) {
+      if (!(await accountService.cancelAccountDeletion(user_id))) {
+        return response.forbidden(res, 'Your account has been deleted');
+      }
+      user = { ...user, deleted_at: null, deletion_scheduled_for: null };
+    }
+    
+    await lockoutService.resetLoginFailures(user_id);
+    await loginHistoryService.recordLogin(session, user_id, req);
     
     return response.success(res, {
+      user,
+      session,
       verified: true,
       remaining_codes: result.remainingCodes
     }, 'Recovery code verified');
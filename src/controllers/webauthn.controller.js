@@ -0,0 +1,225 @@
+import * as response from '../utils/responses.js';
+import { logError } from '../utils/logger.js';
+import * as webauthnService from '../services/webauthn.service.js';
+import * as twoFactorService from '../services/twoFactor.service.js';
+import * as sessionService from '../services/session.service.js';
+import * as loginHistoryService from '../services/loginHistory.service.js';
+import * as accountService from '../services/account.service.js';
+import * as lockoutService from '../services/lockout.service.js';
+import { getSupabaseAdmin } from '../config/supabase.js';
+import { LOGIN_FACTORS } from '../constants/lockout.constants.js';
+import { WEBAUTHN_PURPOSES, WEBAUTHN_ERRORS } from '../constants/webauthn.constants.js';
+import { SESSION_ERRORS } from '../constants/session.constants.js';
+import { HTTP_STATUS } from '../constants/car.constants.js';
+
+const handleWebauthnError = (res, error, fallbackMessage) => {
+  if (error instanceof webauthnService.WebauthnError && error.statusCode < HTTP_STATUS.SERVER_ERROR) {
+    return response.error(res, error.message, error.statusCode);
+  }
+
+  logError(fallbackMessage, error);
+  return response.serverError(res, fallbackMessage);
+};
+
+const isRejectedPasskey = (error) =>
+  error instanceof webauthnService.WebauthnError && error.statusCode < HTTP_STATUS.SERVER_ERROR;
+
+// ====== MANAGING PASSKEYS ======
+
+export const registrationOptions = async (req, res) => {
+  try {
+    const options = await webauthnService.startRegistration(req.user);
+    return response.success(res, options, 'Passkey registration options');
+  } catch (error) {
+    return handleWebauthnError(res, error, WEBAUTHN_ERRORS.FAILED_TO_START);
+  }
+};
+
+export const register = async (req, res) => {
+  try {
+    const passkey = await webauthnService.finishRegistration(req.user, {
+      name: req.body.name,
+      response: req.body.response
+    });
+    return response.created(res, { passkey }, 'Passkey registered');
+  } catch (error) {
+    return handleWebauthnError(res, error, WEBAUTHN_ERRORS.FAILED_TO_REGISTER);
+  }
+};
+
+export const listCredentials = async (req, res) => {
+  try {
+    const passkeys = await webauthnService.listCredentials(req.user.id);
+    return response.success(res, { passkeys }, 'Passkeys retrieved');
+  } catch (error) {
+    return handleWebauthnError(res, error, WEBAUTHN_ERRORS.FAILED_TO_RETRIEVE);
+  }
+};
+
+export const deleteCredential = async (req, res) => {
+  try {
+    await webauthnService.deleteCredential(req.user.id, req.params.id);
+    return response.success(res, null, 'Passkey removed');
+  } catch (error) {
+    return handleWebauthnError(res, error, WEBAUTHN_ERRORS.FAILED_TO_DELETE);
+  }
+};
+
+// Options for confirming a sensitive change (password, recovery codes,
+// account deletion) with a passkey instead of a 2FA code
+export const reauthenticationOptions = async (req, res) => {
+  try {
+    const options = await webauthnService.startAuthentication({
+      purpose: WEBAUTHN_PURPOSES.REAUTHENTICATION,
+      userId: req.user.id
+    });
+    return response.success(res, options, 'Passkey options');
+  } catch (error) {
+    return handleWebauthnError(res, error, WEBAUTHN_ERRORS.FAILED_TO_START);
+  }
+};
+
+// ====== PASSKEY AS SECOND FACTOR ======
+
+export const twoFactorOptions = async (req, res) => {
+  try {
+    const { user_id, temp_token } = req.body;
+
+    try {
+      await twoFactorService.verify2FALoginToken(user_id, temp_token);
+    } catch (error) {
+      return response.error(res, error.message);
+    }
+
+    const options = await webauthnService.startAuthentication({
+      purpose: WEBAUTHN_PURPOSES.TWO_FACTOR,
+      userId: user_id
+    });
+    return response.success(res, options, 'Passkey options');
+  } catch (error) {
+    return handleWebauthnError(res, error, WEBAUTHN_ERRORS.FAILED_TO_START);
+  }
+};
+
+export const verify2FALogin = async (req, res) => {
+  try {
+    const { user_id, temp_token, response: assertion } = req.body;
+
+    let pending;
+    try {
+      pending = await twoFactorService.verify2FALoginToken(user_id, temp_token);
+    } catch (error) {
+      return response.error(res, error.message);
+    }
+
+    // A lock that started after the first factor still applies here
+    const lock = await lockoutService.checkLockout(user_id);
+    if (lock) {
+      return response.locked(res, lock.message, lock.retryAfterSeconds);
+    }
+
+    try {
+      await webauthnService.verifyAssertion({
+        response: assertion,
+        purpose: WEBAUTHN_PURPOSES.TWO_FACTOR,
+        userId: user_id
+      });
+    } catch (error) {
+      if (!isRejectedPasskey(error)) throw error;
+
+      await twoFactorService.record2FALoginFailure(temp_token, pending);
+      const newLock = await lockoutService.recordLoginFailure(user_id, LOGIN_FACTORS.TWO_FACTOR, req);
+      if (newLock) {
+        return response.locked(res, newLock.message, newLock.retryAfterSeconds);
+      }
+      return response.error(res, error.message);
+    }
+
+    // Session held since the first factor - only released now
+    const session = await twoFactorService.complete2FALogin(user_id, temp_token);
+    let user = await twoFactorService.getLoginUser(user_id);
+
+    // Logging in during the grace period cancels a pending deletion
+    if (user.deleted_at) {
+      if (!(await accountService.cancelAccountDeletion(user_id))) {
+        return response.forbidden(res, 'Your account has been deleted');
+      }
+      user = { ...user, deleted_at: null, deletion_scheduled_for: null };
+    }
+
+    await lockoutService.resetLoginFailures(user_id);
+    await loginHistoryService.recordLogin(session, user_id, req);
+
+    return response.success(res, { user, session }, '2FA verified successfully');
+  } catch (error) {
+    return handleWebauthnError(res, error, WEBAUTHN_ERRORS.FAILED_TO_LOGIN);
+  }
+};
+
+// ====== PASSWORDLESS LOGIN ======
+
+export const passwordlessOptions = async (req, res) => {
+  try {
+    const options = await webauthnService.startAuthentication({ purpose: WEBAUTHN_PURPOSES.PASSWORDLESS });
+    return response.success(res, options, 'Passkey options');
+  } catch (error) {
+    return handleWebauthnError(res, error, WEBAUTHN_ERRORS.FAILED_TO_START);
+  }
+};
+
+/**
+ * Logs in with a passkey alone
+ * The passkey is possession plus the device's biometric or PIN (user
+ * verification is required), so no separate 2FA step follows.
+ */
+export const passwordlessLogin = async (req, res) => {
+  try {
+    const { userId } = await webauthnService.verifyAssertion({
+      response: req.body.response,
+      purpose: WEBAUTHN_PURPOSES.PASSWORDLESS
+    });
+
+    const lock = await lockoutService.checkLockout(userId);
+    if (lock) {
+      return response.locked(res, lock.message, lock.retryAfterSeconds);
+    }
+
+    let { data: profile } = await getSupabaseAdmin()
+      .from('profiles')
+      .select('*')
+      .eq('id', userId)
+      .single();
+
+    if (profile?.is_suspended) {
+      return response.forbidden(res, 'Your account has been suspended');
+    }
+
+    if (profile?.deleted_at && !accountService.isDeletionCancellable(profile)) {
+      return response.forbidden(res, 'Your account has been deleted');
+    }
+
+    if (profile?.password_reset_required) {
+      return response.forbidden(res, SESSION_ERRORS.PASSWORD_RESET_REQUIRED);
+    }
+
+    const { user, session } = await sessionService.createSession(userId);
+
+    // Logging in during the grace period cancels a pending deletion
+    if (profile?.deleted_at) {
+      if (!(await accountService.cancelAccountDeletion(userId))) {
+        return response.forbidden(res, 'Your account has been deleted');
+      }
+      profile = { ...profile, deleted_at: null, deletion_scheduled_for: null };
+    }
+
+    await lockoutService.resetLoginFailures(userId);
+    await loginHistoryService.recordLogin(session, userId, req);
+
+    return response.success(res, {
+      user: { id: user.id, email: user.email, email_verified: !!user.email_confirmed_at, ...profile },
+      session
+    }, 'Login successful');
+  } catch (error) {
+    return handleWebauthnError(res, error, WEBAUTHN_ERRORS.FAILED_TO_LOGIN);
+  }
+};
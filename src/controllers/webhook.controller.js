@@ -0,0 +1,28 @@
+import * as response from '../utils/responses.js';
+import { logError } from '../utils/logger.js';
+import { PaymentError } from '../services/payment.service.js';
+import { processPaymentWebhook } from '../services/paymentWebhook.service.js';
+import { HTTP_STATUS } from '../constants/car.constants.js';
+import { PAYMENT_WEBHOOK, PAYMENT_ERRORS } from '../constants/payment.constants.js';
+
+/**
+ * Payment provider webhook
+ * req.body is the raw Buffer (see webhook.routes.js). Any 2xx tells the
+ * provider to stop retrying, so only signature/payload problems and
+ * processing failures return an error.
+ */
+export const handlePaymentWebhook = async (req, res) => {
+  try {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const result = await processPaymentWebhook(rawBody, req.get(PAYMENT_WEBHOOK.SIGNATURE_HEADER));
+
+    return response.success(res, { result }, 'Webhook received');
+  } catch (error) {
+    if (error instanceof PaymentError && error.statusCode < HTTP_STATUS.SERVER_ERROR) {
+      return response.error(res, error.message, error.statusCode);
+    }
+
+    logError('Payment webhook error', error);
+    return response.serverError(res, PAYMENT_ERRORS.FAILED_TO_PROCESS_WEBHOOK);
+  }
+};
@@ -13,7 +13,14 @@ import authRoutes from './routes/auth.routes.js';
 import carRoutes from './routes/car.routes.js';
 import profileRoutes from './routes/profile.routes.js';
 import adminRoutes from './routes/admin.routes.js';
+import notificationRoutes from './routes/notification.routes.js';
+import kycRoutes from './routes/kyc.routes.js';
+import webhookRoutes from './routes/webhook.routes.js';
+import sessionRoutes from './routes/session.routes.js';
+import settingsRoutes from './routes/settings.routes.js';
 import { apiLimiter } from './middleware/rateLimiter.js';
+import { startExpiryReminderScheduler } from './services/expiryReminder.service.js';
+import { startAccountPurgeScheduler } from './services/accountPurge.service.js';
 
 const requiredEnvVars = ['SUPABASE_URL', 'SUPABASE_ANON_KEY', 'SUPABASE_SERVICE_ROLE_KEY'];
 const missingEnvVars = requiredEnvVars.filter(key => !process.env[key]);
@@ -69,6 +76,9 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Cache-Control', 'cache-control']
 }));
 
+// Webhooks verify signatures over the raw body - mount before the JSON parser
+app.use('/api/webhooks', webhookRoutes);
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(apiLimiter);
@@ -96,12 +106,11 @@ app.get('/health', (req, res) => {
 app.use('/api', authRoutes);
 app.use('/api', carRoutes);
 app.use('/api/settings/profile', profileRoutes);
+app.use('/api/settings', settingsRoutes);
 app.use('/api/admin', adminRoutes);
-
-// Notifications stub endpoint (returns empty array until full implementation)
-app.get('/api/notifications', (req, res) => {
-  res.json({ success: true, message: 'Notifications retrieved', data: { notifications: [] } });
-});
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/kyc', kycRoutes);
+app.use('/api/sessions', sessionRoutes);
 
 // Detailed API documentation with payloads
 app.get('/api/docs', (req, res) => {
@@ -118,27 +127,76 @@ app.get('/api/docs', (req, res) => {
         'POST /login': 'Login with email/password',
         'POST /send-login-otp': 'Send OTP for passwordless login',
         'POST /verify-login-otp': 'Verify OTP and login',
+        'POST /send-phone-otp': 'Send an SMS login code to a verified phone number',
+        'POST /verify-phone-otp': 'Verify the SMS code and login',
         'POST /send-otp': 'Send OTP for password reset',
         'POST /verify-otp': 'Verify password reset OTP',
         'POST /reset-password': 'Reset password with token',
+        'POST /report-login': 'Report a sign-in from an alert email ("this wasn\'t me")',
         'POST /verify/email-resend': 'Resend email verification',
         'POST /refresh': 'Refresh access token',
-        'POST /2fa/verify-login': 'Verify 2FA during login'
+        'POST /2fa/verify-login': 'Verify 2FA during login',
+        'POST /2fa/verify-recovery': 'Verify a recovery code during login',
+        'POST /2fa/webauthn/login/options': 'Passkey options for the 2FA step of a login',
+        'POST /2fa/webauthn/verify-login': 'Verify 2FA during login with a passkey',
+        'POST /webauthn/login/options': 'Passkey options for passwordless login',
+        'POST /webauthn/login/verify': 'Log in with a passkey (no password or OTP)',
+        'POST /oauth/:provider': 'Log in with a Google or Apple ID token (google, apple)',
+        'POST /webhooks/payments': 'Payment provider webhook (signed)'
       },
       protected: {
-        'GET /me': 'Get current user profile',
-        'POST /logout': 'Logout user',
+        'GET /me': 'Get current user profile and permissions',
+        'POST /logout': 'Logout user (revokes this session)',
+        'GET /sessions': 'List your signed-in devices',
+        'GET /sessions/history': 'Your recent sign-ins',
+        'DELETE /sessions/:id': 'Revoke one session (sign a device out)',
+        'DELETE /sessions': 'Log out everywhere',
+        'POST /settings/profile/phone/send-code': 'Text a verification code to your profile phone number',
+        'POST /settings/profile/phone/verify': 'Verify your phone number with the SMS code',
+        'PUT /settings/password': 'Change password (current password, plus 2FA code or passkey if enabled)',
+        'POST /settings/email': 'Start an email change (sends a code to the new address)',
+        'POST /settings/email/verify': 'Confirm an email change with the code',
+        'DELETE /settings/account': 'Delete your account (30-day grace period, log in to cancel)',
+        'POST /settings/export': 'Request a copy of your data (zip with JSON and documents)',
+        'GET /settings/export/:id': 'Data export status and download link',
+        'GET /settings/sign-in-methods': 'List your sign-in methods (email, Google, Apple)',
+        'POST /settings/sign-in-methods/:provider': 'Link a Google or Apple account',
+        'DELETE /settings/sign-in-methods/:provider': 'Unlink a Google or Apple account',
         'GET /2fa/status': 'Check 2FA status',
         'POST /2fa/enable-google': 'Enable Google Authenticator',
         'POST /2fa/verify-google': 'Verify Google Authenticator setup',
         'POST /2fa/enable-email': 'Enable email 2FA',
         'POST /2fa/verify-email': 'Verify email 2FA code',
+        'POST /2fa/enable-sms': 'Enable SMS 2FA (needs a verified phone number)',
+        'POST /2fa/verify-sms': 'Confirm SMS 2FA with the texted code',
+        'POST /2fa/send-sms-code': 'Text a 2FA code for a sensitive change',
         'POST /2fa/disable': 'Disable 2FA',
+        'POST /2fa/recovery-codes': 'Regenerate 2FA recovery codes (password and 2FA code or passkey)',
+        'POST /2fa/enable-webauthn': 'Enable passkey 2FA (needs a registered passkey)',
+        'POST /2fa/webauthn/register/options': 'Start registering a passkey',
+        'POST /2fa/webauthn/register/verify': 'Finish registering a named passkey',
+        'GET /2fa/webauthn/credentials': 'List your passkeys',
+        'DELETE /2fa/webauthn/credentials/:id': 'Remove a passkey',
+        'POST /2fa/webauthn/reauth/options': 'Passkey options for confirming a sensitive change',
         'POST /reg-car': 'Register a new car',
         'GET /get-cars': 'Get all cars for authenticated user',
         'GET /cars/:slug': 'Get a specific car by slug',
         'PUT /cars/:slug': 'Update a specific car by slug',
-        'DELETE /cars/:slug': 'Delete a specific car by slug (soft delete)'
+        'DELETE /cars/:slug': 'Delete a specific car by slug (soft delete)',
+        'POST /cars/:slug/payments': 'Create a payment intent for an unpaid car',
+        'GET /cars/:slug/payments': 'List payments for a car',
+        'GET /cars/:slug/payments/:id/receipt': 'Download a payment receipt or invoice (PDF)',
+        'POST /cars/:slug/renewals': 'Request a license renewal for a registered car',
+        'GET /cars/:slug/renewals': 'List renewal history for a car',
+        'GET /notifications': 'List notifications (paginated, filterable)',
+        'GET /notifications/stream': 'Live notifications (Server-Sent Events)',
+        'GET /notifications/unread-count': 'Count unread notifications',
+        'PUT /notifications/:id/read': 'Mark a notification as read',
+        'PUT /notifications/read-all': 'Mark all notifications as read',
+        'DELETE /notifications/:id': 'Delete a notification',
+        'GET /kyc': 'View your KYC submission',
+        'POST /kyc': 'Submit KYC (NIN, optional BVN)',
+        'PUT /kyc': 'Resubmit a rejected KYC'
       },
       
       // REGISTER
@@ -169,11 +227,13 @@ app.get('/api/docs', (req, res) => {
         headers: { 'Content-Type': 'application/json' },
         body: {
           email: { type: 'string', required: true, example: 'john@gmail.com' },
-          password: { type: 'string', required: true, example: 'SecurePass123!' }
+          password: { type: 'string', required: true, example: 'SecurePass123!' },
+          device_name: { type: 'string', required: false, example: 'John\'s iPhone', note: 'Shown in GET /sessions; defaults to browser/OS from the user agent. Also accepted by the other login steps' }
         },
         response: {
           success: { user: '{...}', session: '{ access_token, refresh_token, expires_in }' },
-          requires_2fa: '{ requires_2fa: true, two_factor_method: "google", temp_token: "...", user_id: "..." }'
+          requires_2fa: '{ requires_2fa: true, two_factor_method: "google", temp_token: "...", user_id: "..." }',
+          error: '423 Account temporarily locked (see notes.account_lockout)'
         }
       },
       
@@ -202,6 +262,35 @@ app.get('/api/docs', (req, res) => {
         response: { success: { user: '{...}', session: '{ access_token, refresh_token }' } }
       },
       
+      // SEND PHONE LOGIN OTP
+      send_phone_otp: {
+        method: 'POST',
+        url: `${baseUrl}/send-phone-otp`,
+        description: 'Text a login code to a phone number. Only numbers verified on an account (see settings_send_phone_code) get a code, but the answer is the same either way. One code per minute per number; codes expire in 10 minutes',
+        headers: { 'Content-Type': 'application/json' },
+        body: {
+          phone_number: { type: 'string', required: true, example: '08012345678', note: 'Local numbers are taken to be Nigerian (+234)' }
+        },
+        response: { success: '{ success: true, message: "If this number is verified on an account, a code has been sent by SMS" }' }
+      },
+      
+      // VERIFY PHONE LOGIN OTP
+      verify_phone_otp: {
+        method: 'POST',
+        url: `${baseUrl}/verify-phone-otp`,
+        description: 'Log in with the SMS code. Users with 2FA get requires_2fa like POST /login. 5 wrong codes drop the code',
+        headers: { 'Content-Type': 'application/json' },
+        body: {
+          phone_number: { type: 'string', required: true, example: '+2348012345678' },
+          otp: { type: 'string', required: true, example: '123456' }
+        },
+        response: {
+          success: '{ user: {...}, session: {...} }',
+          success_with_2fa: '{ requires_2fa: true, two_factor_method, temp_token, user_id }',
+          error: '400 Invalid or expired code | 403 suspended/deleted | 423 account locked'
+        }
+      },
+      
       // SEND PASSWORD RESET OTP
       send_otp: {
         method: 'POST',
@@ -239,7 +328,21 @@ app.get('/api/docs', (req, res) => {
           password: { type: 'string', required: true, example: 'NewSecurePass123!' },
           password_confirmation: { type: 'string', required: true, example: 'NewSecurePass123!' }
         },
-        response: { success: '{ success: true, message: "Password reset successfully" }' }
+        response: { success: '{ success: true, message: "Password reset successfully" }' },
+        note: 'Also lifts the sign-in block set by POST /report-login. The first sign-in afterwards is emailed to the owner'
+      },
+      
+      // REPORT A SIGN-IN
+      report_login: {
+        method: 'POST',
+        url: `${baseUrl}/report-login`,
+        description: 'The "this wasn\'t me" link in a new sign-in email. Signs out every device; sign-in is refused (403) until the password is reset',
+        headers: { 'Content-Type': 'application/json' },
+        body: {
+          login_id: { type: 'string', required: true, example: 'uuid', note: 'login_id from the link' },
+          token: { type: 'string', required: true, example: 'token_from_the_link' }
+        },
+        response: { success: '{ revoked: 3 }', error: '400 This link is invalid or has expired' }
       },
       
       // RESEND EMAIL VERIFICATION
@@ -271,12 +374,12 @@ app.get('/api/docs', (req, res) => {
       refresh: {
         method: 'POST',
         url: `${baseUrl}/refresh`,
-        description: 'Refresh access token using refresh_token',
+        description: 'Refresh access token using refresh_token. Each refresh token works once - always store the new one. Replaying a used token signs that device out and flags the account',
         headers: { 'Content-Type': 'application/json' },
         body: {
           refresh_token: { type: 'string', required: true, example: 'your_refresh_token' }
         },
-        response: { success: '{ session: { access_token, refresh_token, expires_in } }' }
+        response: { success: '{ session: { access_token, refresh_token, expires_in } }', error: '401 Invalid refresh token | Refresh token was already used | Session has been revoked' }
       },
       
       // GET CURRENT USER (Protected)
@@ -307,14 +410,28 @@ app.get('/api/docs', (req, res) => {
       '2fa_verify_login': {
         method: 'POST',
         url: `${baseUrl}/2fa/verify-login`,
-        description: 'Complete login by verifying 2FA code',
+        description: 'Complete login by verifying 2FA code. The session is only issued here; temp_token is single-use, valid 10 minutes and dropped after 5 wrong codes',
         headers: { 'Content-Type': 'application/json' },
         body: {
           user_id: { type: 'string', required: true, example: 'uuid-from-login-response' },
           temp_token: { type: 'string', required: true, example: 'temp_token_from_login' },
           code: { type: 'string', required: true, example: '123456' }
         },
-        response: { success: '{ user: {...} }' }
+        response: { success: '{ user: {...}, session: { access_token, refresh_token, expires_in, ... } }' }
+      },
+      
+      // 2FA VERIFY RECOVERY (for completing login with a recovery code)
+      '2fa_verify_recovery': {
+        method: 'POST',
+        url: `${baseUrl}/2fa/verify-recovery`,
+        description: 'Complete login with a recovery code instead of the 2FA code. Same temp_token rules as 2fa/verify-login',
+        headers: { 'Content-Type': 'application/json' },
+        body: {
+          user_id: { type: 'string', required: true, example: 'uuid-from-login-response' },
+          temp_token: { type: 'string', required: true, example: 'temp_token_from_login' },
+          code: { type: 'string', required: true, example: 'ABC12345' }
+        },
+        response: { success: '{ user: {...}, session: {...}, verified: true, remaining_codes: 7 }' }
       },
       
       // 2FA STATUS (Protected)
@@ -324,7 +441,7 @@ app.get('/api/docs', (req, res) => {
         description: 'Check if 2FA is enabled for current user',
         headers: { 'Authorization': 'Bearer <access_token>' },
         body: null,
-        response: { success: '{ enabled: true/false, method: "google"/"email" }' }
+        response: { success: '{ enabled: true/false, method: "google"/"email"/"sms"/"webauthn", confirmed_at, recovery_codes_remaining: 6 }' }
       },
       
       // ENABLE GOOGLE 2FA (Protected)
@@ -352,6 +469,31 @@ app.get('/api/docs', (req, res) => {
         response: { success: '{ enabled: true, recovery_codes: ["ABC123", ...] }' }
       },
       
+      // ENABLE SMS 2FA (Protected)
+      '2fa_enable_sms': {
+        method: 'POST',
+        url: `${baseUrl}/2fa/enable-sms`,
+        description: 'Text a code to your verified phone number to start SMS 2FA setup',
+        headers: { 'Authorization': 'Bearer <access_token>' },
+        body: null,
+        response: { success: 'null (message: "Enter the code sent to your phone to enable SMS 2FA")' }
+      },
+      
+      // VERIFY SMS 2FA (Protected)
+      '2fa_verify_sms': {
+        method: 'POST',
+        url: `${baseUrl}/2fa/verify-sms`,
+        description: 'Confirm SMS 2FA setup with the texted code',
+        headers: {
+          'Authorization': 'Bearer <access_token>',
+          'Content-Type': 'application/json'
+        },
+        body: {
+          code: { type: 'string', required: true, example: '123456' }
+        },
+        response: { success: '{ enabled: true, method: "sms", recovery_codes: ["ABC123", ...] }' }
+      },
+      
       // DISABLE 2FA (Protected)
       '2fa_disable': {
         method: 'POST',
@@ -367,6 +509,166 @@ app.get('/api/docs', (req, res) => {
         response: { success: '{ enabled: false }' }
       },
       
+      // REGENERATE RECOVERY CODES (Protected)
+      '2fa_recovery_codes': {
+        method: 'POST',
+        url: `${baseUrl}/2fa/recovery-codes`,
+        description: 'Replace all recovery codes with a new set of 8. The old codes stop working and the new ones are only shown in this response',
+        headers: {
+          'Authorization': 'Bearer <access_token>',
+          'Content-Type': 'application/json'
+        },
+        body: {
+          password: { type: 'string', required: true, example: 'YourCurrentPassword', note: 'Not needed when reauth is sent' },
+          reauth: { type: 'object', required: false, note: '{ provider, id_token, nonce? } - instead of password, see settings_delete_account' },
+          code: { type: 'string', required: false, example: '123456', note: 'Required unless passkey is sent' },
+          passkey: { type: 'object', required: false, note: 'Assertion for POST /2fa/webauthn/reauth/options, instead of code' }
+        },
+        response: { success: '{ recovery_codes: ["ABC12345", ...], remaining: 8 }', error: '400 2FA is not enabled | Current password is incorrect | Invalid 2FA code | Passkey verification failed' }
+      },
+      
+      // ====== PASSKEYS (WebAuthn) ======
+      // Option endpoints return PublicKeyCredential options for
+      // navigator.credentials.create()/get(); send the resulting credential
+      // back as JSON in "response". Each challenge is single-use and valid 5 minutes.
+      
+      // START PASSKEY REGISTRATION (Protected)
+      '2fa_webauthn_register_options': {
+        method: 'POST',
+        url: `${baseUrl}/2fa/webauthn/register/options`,
+        description: 'Registration options for a new passkey (discoverable, so it also works for passwordless login). Up to 10 passkeys per user',
+        headers: { 'Authorization': 'Bearer <access_token>' },
+        body: null,
+        response: { success: '{ challenge, rp: { id, name }, user: {...}, pubKeyCredParams, excludeCredentials, authenticatorSelection, ... }' }
+      },
+      
+      // FINISH PASSKEY REGISTRATION (Protected)
+      '2fa_webauthn_register_verify': {
+        method: 'POST',
+        url: `${baseUrl}/2fa/webauthn/register/verify`,
+        description: 'Verify the new credential and save it under a name',
+        headers: {
+          'Authorization': 'Bearer <access_token>',
+          'Content-Type': 'application/json'
+        },
+        body: {
+          name: { type: 'string', required: true, example: 'Pixel 8' },
+          response: { type: 'object', required: true, note: 'Result of navigator.credentials.create()' }
+        },
+        response: { success: '201 { passkey: { id, name, device_type, backed_up, transports, created_at, last_used_at } }', error: '400 Passkey verification failed | 409 This passkey is already registered' }
+      },
+      
+      // LIST PASSKEYS (Protected)
+      '2fa_webauthn_credentials': {
+        method: 'GET',
+        url: `${baseUrl}/2fa/webauthn/credentials`,
+        description: 'List your passkeys',
+        headers: { 'Authorization': 'Bearer <access_token>' },
+        body: null,
+        response: { success: '{ passkeys: [{ id, name, device_type, backed_up, transports, created_at, last_used_at }] }' }
+      },
+      
+      // REMOVE PASSKEY (Protected)
+      '2fa_webauthn_delete_credential': {
+        method: 'DELETE',
+        url: `${baseUrl}/2fa/webauthn/credentials/:id`,
+        description: 'Remove a passkey. The last passkey can\'t be removed while passkey 2FA is on',
+        headers: { 'Authorization': 'Bearer <access_token>' },
+        body: null,
+        response: { success: '{ success: true, message: "Passkey removed" }', error: '404 Passkey not found | 409 last passkey' }
+      },
+      
+      // ENABLE PASSKEY 2FA (Protected)
+      '2fa_enable_webauthn': {
+        method: 'POST',
+        url: `${baseUrl}/2fa/enable-webauthn`,
+        description: 'Make passkeys your second factor. Register a passkey first',
+        headers: { 'Authorization': 'Bearer <access_token>' },
+        body: null,
+        response: { success: '{ enabled: true, method: "webauthn", recovery_codes: ["ABC12345", ...] }', error: '400 2FA is already enabled | Register a passkey first' }
+      },
+      
+      // PASSKEY RE-AUTHENTICATION OPTIONS (Protected)
+      '2fa_webauthn_reauth_options': {
+        method: 'POST',
+        url: `${baseUrl}/2fa/webauthn/reauth/options`,
+        description: 'Assertion options for confirming a password change, account deletion or recovery code regeneration with a passkey. Send the result as "passkey" instead of "code"',
+        headers: { 'Authorization': 'Bearer <access_token>' },
+        body: null,
+        response: { success: '{ challenge, allowCredentials, userVerification, ... }' }
+      },
+      
+      // PASSKEY 2FA LOGIN OPTIONS
+      '2fa_webauthn_login_options': {
+        method: 'POST',
+        url: `${baseUrl}/2fa/webauthn/login/options`,
+        description: 'Assertion options for the 2FA step of a login (any of the user\'s passkeys)',
+        headers: { 'Content-Type': 'application/json' },
+        body: {
+          user_id: { type: 'string', required: true, example: 'uuid-from-login-response' },
+          temp_token: { type: 'string', required: true, example: 'temp_token_from_login' }
+        },
+        response: { success: '{ challenge, allowCredentials, ... }' }
+      },
+      
+      // PASSKEY 2FA VERIFY LOGIN
+      '2fa_webauthn_verify_login': {
+        method: 'POST',
+        url: `${baseUrl}/2fa/webauthn/verify-login`,
+        description: 'Complete login with a passkey as the second factor. Same temp_token rules as 2fa/verify-login',
+        headers: { 'Content-Type': 'application/json' },
+        body: {
+          user_id: { type: 'string', required: true, example: 'uuid-from-login-response' },
+          temp_token: { type: 'string', required: true, example: 'temp_token_from_login' },
+          response: { type: 'object', required: true, note: 'Result of navigator.credentials.get()' }
+        },
+        response: { success: '{ user: {...}, session: {...} }', error: '400 Passkey verification failed | 423 account locked' }
+      },
+      
+      // PASSWORDLESS PASSKEY LOGIN OPTIONS
+      'webauthn_login_options': {
+        method: 'POST',
+        url: `${baseUrl}/webauthn/login/options`,
+        description: 'Assertion options for passwordless login. No email needed: the user picks their passkey on the device',
+        headers: { 'Content-Type': 'application/json' },
+        body: null,
+        response: { success: '{ challenge, rpId, userVerification: "required", ... }' }
+      },
+      
+      // PASSWORDLESS PASSKEY LOGIN
+      'webauthn_login_verify': {
+        method: 'POST',
+        url: `${baseUrl}/webauthn/login/verify`,
+        description: 'Log in with a passkey instead of a password or login OTP. The device must verify the user (biometric or PIN), so no 2FA step follows',
+        headers: { 'Content-Type': 'application/json' },
+        body: {
+          response: { type: 'object', required: true, note: 'Result of navigator.credentials.get()' }
+        },
+        response: { success: '{ user: {...}, session: {...} }', error: '400 Passkey verification failed | 403 suspended/deleted | 423 account locked' }
+      },
+      
+      // ====== SOCIAL SIGN-IN ======
+      
+      // GOOGLE / APPLE LOGIN
+      'oauth_login': {
+        method: 'POST',
+        url: `${baseUrl}/oauth/:provider`,
+        description: 'Log in with the ID token from Google Sign-In or Sign in with Apple on the device (provider: google or apple). The first login creates the account; an existing account with the same verified email is signed in. Users with 2FA get requires_2fa like POST /login',
+        headers: { 'Content-Type': 'application/json' },
+        body: {
+          id_token: { type: 'string', required: true },
+          nonce: { type: 'string', required: false, note: 'Raw nonce, if the token was requested with a hashed nonce' },
+          access_token: { type: 'string', required: false, note: 'Google access token, when the ID token carries at_hash' },
+          first_name: { type: 'string', required: false, note: 'Apple only shares the name on first authorization; send it then' },
+          last_name: { type: 'string', required: false }
+        },
+        response: {
+          success: '{ user: {...}, session: {...} }',
+          success_with_2fa: '{ requires_2fa: true, two_factor_method, temp_token, user_id }',
+          error: '401 Sign-in with this provider failed | 403 suspended/deleted | 423 account locked'
+        }
+      },
+      
       // ====== PROFILE SETTINGS ======
       
       // GET PROFILE (Protected)
@@ -377,14 +679,14 @@ app.get('/api/docs', (req, res) => {
         headers: {
           'Authorization': 'Bearer <access_token>'
         },
-        response: { success: '{ profile: { id, user_id, email, first_name, last_name, phone_number, image, ... } }' }
+        response: { success: '{ profile: { id, user_id, email, first_name, last_name, phone_number, phone_verified, image, ... } }' }
       },
       
       // UPDATE PROFILE (Protected)
       'settings_update_profile': {
         method: 'PUT',
         url: `${baseUrl}/settings/profile`,
-        description: 'Update current user profile',
+        description: 'Update current user profile. Phone numbers are stored in E.164; changing the number marks it unverified',
         headers: {
           'Authorization': 'Bearer <access_token>',
           'Content-Type': 'application/json'
@@ -401,6 +703,416 @@ app.get('/api/docs', (req, res) => {
         response: { success: '{ profile: { ... } }' }
       },
       
+      // SEND PHONE VERIFICATION CODE (Protected)
+      'settings_send_phone_code': {
+        method: 'POST',
+        url: `${baseUrl}/settings/profile/phone/send-code`,
+        description: 'Text a verification code to the phone number on your profile. One code per minute; codes expire in 10 minutes',
+        headers: {
+          'Authorization': 'Bearer <access_token>'
+        },
+        response: { success: '{ phone_number: "+2348012345678", expires_at }', error: '400 Add a phone number to your profile first | Phone number is already verified | 429 Please wait a minute' }
+      },
+      
+      // VERIFY PHONE NUMBER (Protected)
+      'settings_verify_phone': {
+        method: 'POST',
+        url: `${baseUrl}/settings/profile/phone/verify`,
+        description: 'Confirm the phone number with the SMS code. Verified numbers can be used with POST /send-phone-otp to log in',
+        headers: {
+          'Authorization': 'Bearer <access_token>',
+          'Content-Type': 'application/json'
+        },
+        body: {
+          otp: { type: 'string', required: true, example: '123456' }
+        },
+        response: { success: '{ phone_number, phone_verified: true, phone_verified_at }', error: '400 Invalid or expired code | Verification code has expired | 409 Phone number already in use' }
+      },
+      
+      // CHANGE PASSWORD (Protected)
+      'settings_change_password': {
+        method: 'PUT',
+        url: `${baseUrl}/settings/password`,
+        description: 'Change password. Other devices are signed out; this one stays signed in. Email 2FA users request a code first with POST /2fa/send-code, SMS 2FA users with POST /2fa/send-sms-code',
+        headers: {
+          'Authorization': 'Bearer <access_token>',
+          'Content-Type': 'application/json'
+        },
+        body: {
+          current_password: { type: 'string', required: true, example: 'OldPass123!' },
+          password: { type: 'string', required: true, example: 'NewSecurePass123!' },
+          password_confirmation: { type: 'string', required: true, example: 'NewSecurePass123!' },
+          code: { type: 'string', required: false, example: '123456', note: 'Required when 2FA is enabled' },
+          passkey: { type: 'object', required: false, note: 'Passkey assertion instead of code (POST /2fa/webauthn/reauth/options)' }
+        },
+        response: { success: '{ success: true, message: "Password changed successfully" }', error: '400 Current password is incorrect | 2FA code is required | Invalid 2FA code' }
+      },
+      
+      // REQUEST EMAIL CHANGE (Protected)
+      'settings_change_email': {
+        method: 'POST',
+        url: `${baseUrl}/settings/email`,
+        description: 'Step 1 of changing email: sends a 6-digit code (valid 15 minutes) to the new address',
+        headers: {
+          'Authorization': 'Bearer <access_token>',
+          'Content-Type': 'application/json'
+        },
+        body: {
+          new_email: { type: 'string', required: true, example: 'john.new@gmail.com' },
+          password: { type: 'string', required: true, example: 'SecurePass123!' }
+        },
+        response: { success: '{ new_email, expires_at }', error: '409 Email already in use' }
+      },
+      
+      // CONFIRM EMAIL CHANGE (Protected)
+      'settings_confirm_email': {
+        method: 'POST',
+        url: `${baseUrl}/settings/email/verify`,
+        description: 'Step 2 of changing email: confirms the code, updates the account email and alerts the old address. 5 wrong codes cancel the change',
+        headers: {
+          'Authorization': 'Bearer <access_token>',
+          'Content-Type': 'application/json'
+        },
+        body: {
+          otp: { type: 'string', required: true, example: '123456' }
+        },
+        response: { success: '{ email }' }
+      },
+      
+      // DELETE ACCOUNT (Protected)
+      'settings_delete_account': {
+        method: 'DELETE',
+        url: `${baseUrl}/settings/account`,
+        description: 'Close the account and sign out every device. Logging in within 30 days cancels the deletion; after that the cars, uploaded files and personal details are removed for good',
+        headers: {
+          'Authorization': 'Bearer <access_token>',
+          'Content-Type': 'application/json'
+        },
+        body: {
+          password: { type: 'string', required: true, example: 'SecurePass123!', note: 'Not needed when reauth is sent' },
+          reauth: { type: 'object', required: false, note: '{ provider, id_token, nonce? } - fresh sign-in with a linked Google or Apple account, for accounts without a password' },
+          code: { type: 'string', required: false, example: '123456', note: 'Required when 2FA is enabled' },
+          passkey: { type: 'object', required: false, note: 'Passkey assertion instead of code (POST /2fa/webauthn/reauth/options)' }
+        },
+        response: { success: '{ deletion_scheduled_for }', error: '400 Current password is incorrect | 2FA code is required | Invalid 2FA code' }
+      },
+      
+      // REQUEST DATA EXPORT (Protected)
+      'settings_request_export': {
+        method: 'POST',
+        url: `${baseUrl}/settings/export`,
+        description: 'Start a personal data export (NDPR). A zip with data.json (profile, KYC, cars, notifications, sessions, login history, passkeys) and your uploaded documents is built in the background - poll the status endpoint',
+        headers: {
+          'Authorization': 'Bearer <access_token>'
+        },
+        response: { success: '202 { export: { id, status: "pending", created_at } }', error: '409 An export is already in progress' }
+      },
+      
+      // DATA EXPORT STATUS (Protected)
+      'settings_get_export': {
+        method: 'GET',
+        url: `${baseUrl}/settings/export/:id`,
+        description: 'Export status: pending, processing, completed, failed or expired. Completed exports include a download link valid for 1 hour; a new link is issued on each call for 7 days',
+        headers: {
+          'Authorization': 'Bearer <access_token>'
+        },
+        response: { success: '{ export: { id, status, file_size, completed_at, expires_at, download_url, download_url_expires_at } }', error: '404 Export not found' }
+      },
+      
+      // LIST SIGN-IN METHODS (Protected)
+      'settings_sign_in_methods': {
+        method: 'GET',
+        url: `${baseUrl}/settings/sign-in-methods`,
+        description: 'How you can log in: "email" (password and email OTP) plus any linked Google or Apple accounts',
+        headers: {
+          'Authorization': 'Bearer <access_token>'
+        },
+        response: { success: '{ methods: [{ identity_id, provider, subject, email, created_at, last_sign_in_at }] }' }
+      },
+      
+      // LINK SIGN-IN METHOD (Protected)
+      'settings_link_sign_in_method': {
+        method: 'POST',
+        url: `${baseUrl}/settings/sign-in-methods/:provider`,
+        description: 'Link a Google or Apple account (provider: google or apple) so it can be used to log in. Re-authenticate as for account deletion',
+        headers: {
+          'Authorization': 'Bearer <access_token>',
+          'Content-Type': 'application/json'
+        },
+        body: {
+          id_token: { type: 'string', required: true, note: 'ID token for the account being linked' },
+          nonce: { type: 'string', required: false },
+          password: { type: 'string', required: true, note: 'Not needed when reauth is sent' },
+          reauth: { type: 'object', required: false, note: '{ provider, id_token, nonce? } from an already linked account' },
+          code: { type: 'string', required: false, example: '123456', note: 'Required when 2FA is enabled' },
+          passkey: { type: 'object', required: false, note: 'Passkey assertion instead of code' }
+        },
+        response: { success: '201 { method: { identity_id, provider, ... } }', error: '400 Current password is incorrect | Sign-in with this provider failed | 409 already linked' }
+      },
+      
+      // UNLINK SIGN-IN METHOD (Protected)
+      'settings_unlink_sign_in_method': {
+        method: 'DELETE',
+        url: `${baseUrl}/settings/sign-in-methods/:provider`,
+        description: 'Unlink a Google or Apple account. Your only sign-in method can\'t be unlinked',
+        headers: {
+          'Authorization': 'Bearer <access_token>',
+          'Content-Type': 'application/json'
+        },
+        body: {
+          password: { type: 'string', required: true, note: 'Not needed when reauth is sent' },
+          reauth: { type: 'object', required: false, note: '{ provider, id_token, nonce? } from a linked account' },
+          code: { type: 'string', required: false, example: '123456', note: 'Required when 2FA is enabled' },
+          passkey: { type: 'object', required: false, note: 'Passkey assertion instead of code' }
+        },
+        response: { success: '{ success: true, message: "Sign-in method unlinked" }', error: '404 not linked | 409 only sign-in method' }
+      },
+      
+      // ====== NOTIFICATIONS ======
+      
+      // LIST NOTIFICATIONS (Protected)
+      'notifications_list': {
+        method: 'GET',
+        url: `${baseUrl}/notifications`,
+        description: 'List current user notifications, newest first',
+        headers: {
+          'Authorization': 'Bearer <access_token>'
+        },
+        query: {
+          page: { type: 'number', required: false, default: 1, example: 1 },
+          limit: { type: 'number', required: false, default: 20, example: 20 },
+          type: { type: 'string', required: false, example: 'car', enum: ['account', 'car', 'kyc', 'license', 'payment', 'profile', 'security'] },
+          is_read: { type: 'boolean', required: false, example: false }
+        },
+        response: { success: '{ notifications: [{ id, type, action, title, message, data, is_read, created_at }], pagination: { total, page, limit, pages } }' }
+      },
+      
+      // NOTIFICATION STREAM (Protected, Server-Sent Events)
+      'notifications_stream': {
+        method: 'GET',
+        url: `${baseUrl}/notifications/stream`,
+        description: 'Server-Sent Events stream of new notifications. Heartbeat comments every 25s; reconnect with Last-Event-ID to replay missed events.',
+        headers: {
+          'Authorization': 'Bearer <access_token>',
+          'Accept': 'text/event-stream',
+          'Last-Event-ID': '<optional, id of the last notification received>'
+        },
+        response: { success: 'event: notification / id: <notification id> / data: { id, type, action, title, message, data, is_read, created_at }', error: '429 when the per-user connection limit is reached' }
+      },
+      
+      // UNREAD COUNT (Protected)
+      'notifications_unread_count': {
+        method: 'GET',
+        url: `${baseUrl}/notifications/unread-count`,
+        description: 'Count unread notifications',
+        headers: {
+          'Authorization': 'Bearer <access_token>'
+        },
+        response: { success: '{ unread_count: 3 }' }
+      },
+      
+      // MARK READ (Protected)
+      'notifications_mark_read': {
+        method: 'PUT',
+        url: `${baseUrl}/notifications/:id/read`,
+        description: 'Mark one notification as read',
+        headers: {
+          'Authorization': 'Bearer <access_token>'
+        },
+        response: { success: '{ notification: {...} }' }
+      },
+      
+      // MARK ALL READ (Protected)
+      'notifications_mark_all_read': {
+        method: 'PUT',
+        url: `${baseUrl}/notifications/read-all`,
+        description: 'Mark all notifications as read',
+        headers: {
+          'Authorization': 'Bearer <access_token>'
+        },
+        response: { success: '{ updated: 5 }' }
+      },
+      
+      // DELETE NOTIFICATION (Protected)
+      'notifications_delete': {
+        method: 'DELETE',
+        url: `${baseUrl}/notifications/:id`,
+        description: 'Delete one notification',
+        headers: {
+          'Authorization': 'Bearer <access_token>'
+        },
+        response: { success: '{ success: true, message: "Notification deleted" }' }
+      },
+      
+      // ====== PAYMENTS ======
+      
+      // CREATE PAYMENT INTENT (Protected)
+      'car_create_payment': {
+        method: 'POST',
+        url: `${baseUrl}/cars/:slug/payments`,
+        description: 'Create a payment intent with itemised fees from the fee schedule. Returns the open intent if one already exists. The car moves to "pending" once payment is confirmed.',
+        headers: {
+          'Authorization': 'Bearer <access_token>'
+        },
+        response: { success: '{ payment: { reference, items: [{ item_code, description, amount }], amount, currency, status: "pending" } }', error: '409 when the car is not unpaid, 422 when no fees apply' }
+      },
+      
+      // LIST CAR PAYMENTS (Protected)
+      'car_list_payments': {
+        method: 'GET',
+        url: `${baseUrl}/cars/:slug/payments`,
+        description: 'List payments for a car, newest first',
+        headers: {
+          'Authorization': 'Bearer <access_token>'
+        },
+        response: { success: '{ payments: [...] }' }
+      },
+      
+      // DOWNLOAD PAYMENT RECEIPT (Protected)
+      'car_payment_receipt': {
+        method: 'GET',
+        url: `${baseUrl}/cars/:slug/payments/:id/receipt`,
+        description: 'Download a PDF with the owner, vehicle, plate number, itemised fees and reference. Successful payments return a receipt (stored after the first download); pending payments return an invoice.',
+        headers: {
+          'Authorization': 'Bearer <access_token>'
+        },
+        response: { success: 'application/pdf attachment (receipt-<reference>.pdf or invoice-<reference>.pdf)', error: '409 for failed or cancelled payments' }
+      },
+      
+      // ====== RENEWALS ======
+      
+      // REQUEST RENEWAL (Protected)
+      'car_create_renewal': {
+        method: 'POST',
+        url: `${baseUrl}/cars/:slug/renewals`,
+        description: 'Request a 12-month license renewal for an approved, registered car. Opens 60 days before expiry_date. The new period continues from the current expiry date, or starts today if it has lapsed. expiry_date is extended when an admin approves.',
+        headers: {
+          'Authorization': 'Bearer <access_token>'
+        },
+        response: { success: '{ renewal: { id, status: "pending", previous_expiry_date, new_date_issued, new_expiry_date, items, amount, currency } }', error: '409 when not renewable yet or a renewal is pending, 422 with errors when the car fails the update rules' }
+      },
+      
+      // LIST RENEWALS (Protected)
+      'car_list_renewals': {
+        method: 'GET',
+        url: `${baseUrl}/cars/:slug/renewals`,
+        description: 'Renewal history for a car, newest first. Approved rows keep the period they replaced.',
+        headers: {
+          'Authorization': 'Bearer <access_token>'
+        },
+        response: { success: '{ renewals: [...] }' }
+      },
+      
+      // PAYMENT WEBHOOK (Provider only)
+      'payment_webhook': {
+        method: 'POST',
+        url: `${baseUrl}/webhooks/payments`,
+        description: 'Called by the payment provider. HMAC-SHA512 of the raw body with PAYMENT_WEBHOOK_SECRET in x-paystack-signature. Events are deduplicated; charge.success confirms the payment and moves the car to "pending".',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-paystack-signature': '<hex HMAC-SHA512 of the raw body>'
+        },
+        body: {
+          event: { type: 'string', required: true, example: 'charge.success' },
+          data: { type: 'object', required: true, example: { id: 302961, reference: 'MTK-LZ3K9Q1A-8F2KD93JQA', amount: 550000, currency: 'NGN' } }
+        },
+        response: { success: '{ result: "confirmed" | "duplicate" | "already_processed" | "failed" | "amount_mismatch" | "unknown_reference" | "ignored" }', error: '401 invalid signature, 400 malformed payload, 500 processing failed (provider retries)' }
+      },
+      
+      // ====== SESSIONS ======
+      
+      // LIST SESSIONS (Protected)
+      'sessions_list': {
+        method: 'GET',
+        url: `${baseUrl}/sessions`,
+        description: 'List active sessions (one per signed-in device), most recently used first',
+        headers: {
+          'Authorization': 'Bearer <access_token>'
+        },
+        query: {
+          include_revoked: { type: 'boolean', required: false, example: 'true', note: 'Also list ended sessions with revoked_reason and, for token_reuse, where the replay came from' }
+        },
+        response: { success: '{ sessions: [{ id, device_name, user_agent, ip_address, created_at, last_seen_at, revoked_at, revoked_reason, reuse_detected_at, reuse_ip_address, reuse_user_agent, current }] }' }
+      },
+      
+      // LOGIN HISTORY (Protected)
+      'sessions_history': {
+        method: 'GET',
+        url: `${baseUrl}/sessions/history`,
+        description: 'Your last 50 sign-ins, newest first. alert_reason is set when the sign-in was emailed to you (new_device, after_password_reset)',
+        headers: {
+          'Authorization': 'Bearer <access_token>'
+        },
+        response: { success: '{ logins: [{ id, session_id, device_name, user_agent, ip_address, alert_reason, reported_at, created_at }] }' }
+      },
+      
+      // REVOKE SESSION (Protected)
+      'sessions_revoke': {
+        method: 'DELETE',
+        url: `${baseUrl}/sessions/:id`,
+        description: 'Sign one device out. Its access token stops working and its refresh token is refused',
+        headers: {
+          'Authorization': 'Bearer <access_token>'
+        },
+        response: { success: '{ success: true, message: "Session revoked" }', error: '404 when the session is not yours or already revoked' }
+      },
+      
+      // REVOKE ALL SESSIONS (Protected)
+      'sessions_revoke_all': {
+        method: 'DELETE',
+        url: `${baseUrl}/sessions`,
+        description: 'Log out everywhere, including this device',
+        headers: {
+          'Authorization': 'Bearer <access_token>'
+        },
+        response: { success: '{ revoked: 3 }' }
+      },
+      
+      // ====== KYC ======
+      
+      // VIEW KYC (Protected)
+      'kyc_get': {
+        method: 'GET',
+        url: `${baseUrl}/kyc`,
+        description: 'View your KYC submission and its review status',
+        headers: {
+          'Authorization': 'Bearer <access_token>'
+        },
+        response: { success: '{ kyc: { id, nin, bvn, first_name, last_name, email, phone, status, rejection_reason, reviewed_at, verified_at, ... } }', error: '404 when no KYC has been submitted' }
+      },
+      
+      // SUBMIT KYC (Protected)
+      'kyc_submit': {
+        method: 'POST',
+        url: `${baseUrl}/kyc`,
+        description: 'Submit KYC. Checked against the identity provider immediately; a match is verified, anything else waits for manual review. Name and phone default to your profile.',
+        headers: {
+          'Authorization': 'Bearer <access_token>',
+          'Content-Type': 'application/json'
+        },
+        body: {
+          nin: { type: 'string', required: true, example: '12345678901', note: '11 digits' },
+          bvn: { type: 'string', required: false, example: '22345678901', note: '11 digits' },
+          date_of_birth: { type: 'string', required: true, example: '1990-01-15', note: 'YYYY-MM-DD' },
+          first_name: { type: 'string', required: false, example: 'John' },
+          last_name: { type: 'string', required: false, example: 'Doe' },
+          phone: { type: 'string', required: false, example: '+2348012345678' }
+        },
+        response: { success: '{ kyc: { ..., status: "verified" | "pending", verification_method, verification_notes } }', error: '409 when a KYC already exists or the NIN/BVN is registered to another account' }
+      },
+      
+      // RESUBMIT KYC (Protected)
+      'kyc_resubmit': {
+        method: 'PUT',
+        url: `${baseUrl}/kyc`,
+        description: 'Resubmit a rejected KYC (same body as submit)',
+        headers: {
+          'Authorization': 'Bearer <access_token>',
+          'Content-Type': 'application/json'
+        },
+        response: { success: '{ kyc: { ..., status: "verified" | "pending" } }', error: '409 when the KYC is not rejected' }
+      },
+      
       // ====== ADMIN USER MANAGEMENT ======
       
       // LIST USERS (Admin)
@@ -428,7 +1140,7 @@ app.get('/api/docs', (req, res) => {
         headers: {
           'Authorization': 'Bearer <admin_access_token>'
         },
-        response: { success: '{ user: { id, user_id, email, first_name, last_name, is_suspended, kyc_status, ... } }' }
+        response: { success: '{ user: { id, user_id, email, first_name, last_name, is_suspended, kyc_status, lockout: { locked, locked_until, reason, lockout_count, failed_attempts }, ... } }' }
       },
       
       // SUSPEND USER (Admin)
@@ -455,6 +1167,277 @@ app.get('/api/docs', (req, res) => {
           'Authorization': 'Bearer <admin_access_token>'
         },
         response: { success: '{ user_id, is_suspended: false }' }
+      },
+      
+      // CLEAR ACCOUNT LOCKOUT (Admin)
+      'admin_clear_user_lockout': {
+        method: 'DELETE',
+        url: `${baseUrl}/admin/users/:userId/lockout`,
+        description: 'Lift a failed-login lockout early and reset the failure counters (admin only)',
+        headers: {
+          'Authorization': 'Bearer <admin_access_token>'
+        },
+        response: { success: '{ user_id, locked: false }' }
+      },
+      
+      // ====== ADMIN ROLES ======
+      
+      // LIST ROLES (Admin)
+      'admin_list_roles': {
+        method: 'GET',
+        url: `${baseUrl}/admin/roles`,
+        description: 'List the roles and the permissions each grants (roles.manage)',
+        headers: {
+          'Authorization': 'Bearer <admin_access_token>'
+        },
+        response: { success: '{ roles: [{ id, name, permissions: [...] }] }' }
+      },
+      
+      // ASSIGN ROLE (Admin)
+      'admin_assign_role': {
+        method: 'PUT',
+        url: `${baseUrl}/admin/users/:userId/role`,
+        description: 'Give a user a role: 1 Super_admin, 2 Client, 3 Reviewer, 4 Support, 5 Finance. You cannot change your own role (roles.manage)',
+        headers: {
+          'Authorization': 'Bearer <admin_access_token>',
+          'Content-Type': 'application/json'
+        },
+        body: {
+          user_type_id: { type: 'number', required: true, example: 3, enum: [1, 2, 3, 4, 5] }
+        },
+        response: { success: '{ user_id, user_type_id, user_type, permissions: [...] }' }
+      },
+      
+      // ====== ADMIN CAR REVIEW ======
+      
+      // LIST CARS FOR REVIEW (Admin)
+      'admin_list_cars': {
+        method: 'GET',
+        url: `${baseUrl}/admin/cars`,
+        description: 'List cars for review, oldest first (admin only)',
+        headers: {
+          'Authorization': 'Bearer <admin_access_token>'
+        },
+        query: {
+          status: { type: 'string', required: false, example: 'pending', enum: ['unpaid', 'pending', 'approved', 'rejected'] },
+          page: { type: 'number', required: false, default: 1, example: 1 },
+          limit: { type: 'number', required: false, default: 10, example: 10 }
+        },
+        response: { success: '{ cars: [...], pagination: { total, page, limit, pages } }' }
+      },
+      
+      // GET CAR FOR REVIEW (Admin)
+      'admin_get_car': {
+        method: 'GET',
+        url: `${baseUrl}/admin/cars/:slug`,
+        description: 'Get a car with its owner, documents and review history (admin only)',
+        headers: {
+          'Authorization': 'Bearer <admin_access_token>'
+        },
+        response: { success: '{ car: {...}, owner: {...}, documents: { document_images, cac_document, letterhead, means_of_identification }, reviews: [...] }' }
+      },
+      
+      // APPROVE CAR (Admin)
+      'admin_approve_car': {
+        method: 'PUT',
+        url: `${baseUrl}/admin/cars/:slug/approve`,
+        description: 'Approve a pending car (admin only)',
+        headers: {
+          'Authorization': 'Bearer <admin_access_token>',
+          'Content-Type': 'application/json'
+        },
+        body: {
+          reason: { type: 'string', required: true, example: 'Documents verified' }
+        },
+        response: { success: '{ car: { ..., status: "approved" } }', error: '409 when the car is not pending' }
+      },
+      
+      // REJECT CAR (Admin)
+      'admin_reject_car': {
+        method: 'PUT',
+        url: `${baseUrl}/admin/cars/:slug/reject`,
+        description: 'Reject a pending car (admin only)',
+        headers: {
+          'Authorization': 'Bearer <admin_access_token>',
+          'Content-Type': 'application/json'
+        },
+        body: {
+          reason: { type: 'string', required: true, example: 'Chassis number does not match documents' }
+        },
+        response: { success: '{ car: { ..., status: "rejected" } }', error: '409 when the car is not pending' }
+      },
+      
+      // ====== ADMIN KYC REVIEW ======
+      
+      // LIST KYCS (Admin)
+      'admin_list_kycs': {
+        method: 'GET',
+        url: `${baseUrl}/admin/kycs`,
+        description: 'List KYC submissions, oldest first (admin only)',
+        headers: {
+          'Authorization': 'Bearer <admin_access_token>'
+        },
+        query: {
+          status: { type: 'string', required: false, default: 'pending', enum: ['pending', 'verified', 'rejected'] },
+          page: { type: 'number', required: false, default: 1, example: 1 },
+          limit: { type: 'number', required: false, default: 20, example: 20 }
+        },
+        response: { success: '{ kycs: [...], pagination: { total, page, limit, pages } }' }
+      },
+      
+      // GET KYC (Admin)
+      'admin_get_kyc': {
+        method: 'GET',
+        url: `${baseUrl}/admin/kycs/:id`,
+        description: 'Get a single KYC submission (admin only)',
+        headers: {
+          'Authorization': 'Bearer <admin_access_token>'
+        },
+        response: { success: '{ kyc: {...} }' }
+      },
+      
+      // VERIFY KYC (Admin)
+      'admin_verify_kyc': {
+        method: 'PUT',
+        url: `${baseUrl}/admin/kycs/:id/verify`,
+        description: 'Verify a pending KYC and lock the user\'s profile NIN (admin only)',
+        headers: {
+          'Authorization': 'Bearer <admin_access_token>',
+          'Content-Type': 'application/json'
+        },
+        body: {
+          reason: { type: 'string', required: false, example: 'Details match NIMC record' }
+        },
+        response: { success: '{ kyc: { ..., status: "verified" } }', error: '409 when the KYC is not pending' }
+      },
+      
+      // REJECT KYC (Admin)
+      'admin_reject_kyc': {
+        method: 'PUT',
+        url: `${baseUrl}/admin/kycs/:id/reject`,
+        description: 'Reject a pending KYC (admin only)',
+        headers: {
+          'Authorization': 'Bearer <admin_access_token>',
+          'Content-Type': 'application/json'
+        },
+        body: {
+          reason: { type: 'string', required: true, example: 'Name does not match NIN record' }
+        },
+        response: { success: '{ kyc: { ..., status: "rejected", rejection_reason } }', error: '409 when the KYC is not pending' }
+      },
+      
+      // ====== ADMIN FEES & PAYMENTS ======
+      
+      // LIST FEES (Admin)
+      'admin_list_fees': {
+        method: 'GET',
+        url: `${baseUrl}/admin/fees`,
+        description: 'List the fee schedule (admin only)',
+        headers: {
+          'Authorization': 'Bearer <admin_access_token>'
+        },
+        query: {
+          include_inactive: { type: 'boolean', required: false, default: false }
+        },
+        response: { success: '{ fees: [{ id, item_code, description, amount, currency, car_type, registration_status, plate_type, is_active }] }' }
+      },
+      
+      // CREATE FEE (Admin)
+      'admin_create_fee': {
+        method: 'POST',
+        url: `${baseUrl}/admin/fees`,
+        description: 'Add a fee item. Null car_type/registration_status/plate_type match any car; the most specific matching row wins (admin only)',
+        headers: {
+          'Authorization': 'Bearer <admin_access_token>',
+          'Content-Type': 'application/json'
+        },
+        body: {
+          item_code: { type: 'string', required: true, example: 'plate_number' },
+          description: { type: 'string', required: true, example: 'Plate number (Customized)' },
+          amount: { type: 'number', required: true, example: 200000 },
+          currency: { type: 'string', required: false, default: 'NGN' },
+          purpose: { type: 'string', required: false, default: 'registration', enum: ['registration', 'renewal'] },
+          car_type: { type: 'string', required: false, enum: ['private', 'commercial'] },
+          registration_status: { type: 'string', required: false, enum: ['registered', 'unregistered'] },
+          plate_type: { type: 'string', required: false, enum: ['Normal', 'Customized', 'Dealership'] },
+          is_active: { type: 'boolean', required: false, default: true }
+        },
+        response: { success: '{ fee: {...} }', error: '409 when the item code and scope already exist' }
+      },
+      
+      // UPDATE FEE (Admin)
+      'admin_update_fee': {
+        method: 'PUT',
+        url: `${baseUrl}/admin/fees/:id`,
+        description: 'Change a fee (same fields as create, all optional). Open payment intents keep their original amounts (admin only)',
+        headers: {
+          'Authorization': 'Bearer <admin_access_token>',
+          'Content-Type': 'application/json'
+        },
+        response: { success: '{ fee: {...} }' }
+      },
+      
+      // CONFIRM PAYMENT (Admin)
+      'admin_confirm_payment': {
+        method: 'PUT',
+        url: `${baseUrl}/admin/payments/:reference/confirm`,
+        description: 'Manually confirm a payment received outside the provider; moves the car to "pending" (admin only)',
+        headers: {
+          'Authorization': 'Bearer <admin_access_token>',
+          'Content-Type': 'application/json'
+        },
+        body: {
+          provider_reference: { type: 'string', required: false, example: 'BANK-TRF-0001' }
+        },
+        response: { success: '{ payment: { ..., status: "successful" } }', error: '409 when the payment is failed or cancelled' }
+      },
+      
+      // LIST RENEWALS (Admin)
+      'admin_list_renewals': {
+        method: 'GET',
+        url: `${baseUrl}/admin/renewals?status=pending&page=1&limit=20`,
+        description: 'Renewal review queue, oldest first (admin only)',
+        headers: {
+          'Authorization': 'Bearer <admin_access_token>'
+        },
+        response: { success: '{ renewals: [...], pagination: { total, page, limit, pages } }' }
+      },
+      
+      // REVIEW RENEWAL (Admin)
+      'admin_review_renewal': {
+        method: 'PUT',
+        url: `${baseUrl}/admin/renewals/:id/approve | /admin/renewals/:id/reject`,
+        description: "Approve (extends the car's expiry_date) or reject a pending renewal. reason is required to reject (admin only)",
+        headers: {
+          'Authorization': 'Bearer <admin_access_token>',
+          'Content-Type': 'application/json'
+        },
+        body: {
+          reason: { type: 'string', required: 'reject only', example: 'Insurance certificate missing' }
+        },
+        response: { success: '{ renewal: { ..., status: "approved" } }', error: '409 when not pending or the car expiry date changed' }
+      },
+      
+      // RUN EXPIRY REMINDERS (Admin)
+      'admin_run_expiry_reminders': {
+        method: 'POST',
+        url: `${baseUrl}/admin/reminders/expiry/run`,
+        description: 'Send the car expiry reminders due now (30, 7 and 1 days before expiry_date). Reminders already sent are skipped, so this is safe to repeat (admin only)',
+        headers: {
+          'Authorization': 'Bearer <admin_access_token>'
+        },
+        response: { success: '{ summary: { checked, sent, skipped, failed } }' }
+      },
+      
+      // RUN ACCOUNT PURGE (Admin)
+      'admin_run_account_purge': {
+        method: 'POST',
+        url: `${baseUrl}/admin/accounts/purge/run`,
+        description: 'Purge accounts whose 30-day deletion grace period has ended: soft-deletes their cars, removes their files, KYC, login history and device details and anonymises the profile (admin only)',
+        headers: {
+          'Authorization': 'Bearer <admin_access_token>'
+        },
+        response: { success: '{ summary: { checked, purged, failed } }' }
       }
     },
     
@@ -465,7 +1448,12 @@ app.get('/api/docs', (req, res) => {
         general: '100 requests per 15 minutes',
         auth: '10 requests per 15 minutes',
         otp: '5 requests per 15 minutes'
-      }
+      },
+      account_lockout: '5 failed attempts in a row at one login step (password, email or SMS login code, 2FA code, recovery code) lock the account for 15 minutes, doubling per lock up to 24 hours. Locked logins get 423 with a Retry-After header',
+      sms: 'SMS_PROVIDER selects the SMS driver. The local driver (default outside production) appends messages to SMS_LOCAL_FILE instead of sending them; without a file they are printed to the console only when NODE_ENV=development',
+      social_sign_in: 'Google and Apple must be enabled under Authentication > Providers in Supabase, with the app\'s client IDs (web, iOS and Android for Google; the bundle ID for Apple) as authorized client IDs',
+      passkeys: 'A signature counter that does not increase means a passkey may have been copied: the login is refused and the owner notified',
+      admin_roles: 'Admin endpoints need a staff role (Super_admin, Reviewer, Support or Finance) with the permission for the route: users.view, users.manage, roles.manage, cars.review, kyc.review, payments.manage, renewals.review or jobs.run. Others get 403. GET /me lists your permissions'
     }
   });
 });
@@ -507,6 +1495,14 @@ app.listen(PORT, '0.0.0.0', () => {
 ║   Status: ${missingEnvVars.length ? 'DEGRADED' : 'READY ✅'}                       ║
 ╚══════════════════════════════════════════════╝
   `);
+
+  if (startExpiryReminderScheduler()) {
+    console.log('[Expiry Reminders] Scheduler started');
+  }
+
+  if (startAccountPurgeScheduler()) {
+    console.log('[Account Purge] Scheduler started');
+  }
 });
 
 export default app;
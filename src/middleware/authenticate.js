@@ -1,5 +1,7 @@
 import { getSupabaseAdmin } from '../config/supabase.js';
 import { unauthorized, forbidden } from '../utils/responses.js';
+import { getSessionId, isSessionActive } from '../services/session.service.js';
+import { SESSION_ERRORS } from '../constants/session.constants.js';
 
 /**
  * SCALABILITY: In-memory profile cache
@@ -49,6 +51,14 @@ function setCachedProfile(userId, profile) {
   });
 }
 
+/**
+ * Drops a cached profile so the next request reads fresh data
+ * Call after changing a profile outside the user's own request
+ */
+export function invalidateProfileCache(userId) {
+  profileCache.delete(userId);
+}
+
 export const authenticate = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
@@ -66,6 +76,12 @@ export const authenticate = async (req, res, next) => {
       return unauthorized(res, 'Invalid or expired token');
     }
     
+    // Signed-out / revoked devices keep a valid JWT until it expires
+    const sessionId = getSessionId(token);
+    if (sessionId && !(await isSessionActive(sessionId, user.id, req))) {
+      return unauthorized(res, SESSION_ERRORS.REVOKED);
+    }
+    
     // SCALABILITY: Check cache first to avoid DB query
     let profile = getCachedProfile(user.id);
     
@@ -93,8 +109,13 @@ export const authenticate = async (req, res, next) => {
       return forbidden(res, 'Your account has been deleted');
     }
     
+    if (profile.password_reset_required) {
+      return forbidden(res, SESSION_ERRORS.PASSWORD_RESET_REQUIRED);
+    }
+    
     req.user = { ...user, profile };
     req.token = token;
+    req.sessionId = sessionId;
     
     next();
   } catch (error) {
@@ -117,7 +138,9 @@ export const optionalAuth = async (req, res, next) => {
     
     const { data: { user } } = await supabaseAdmin.auth.getUser(token);
     
-    if (!user) {
+    const sessionId = user ? getSessionId(token) : null;
+    
+    if (!user || (sessionId && !(await isSessionActive(sessionId, user.id, req)))) {
       req.user = null;
       return next();
     }
@@ -140,6 +163,7 @@ export const optionalAuth = async (req, res, next) => {
     
     req.user = profile ? { ...user, profile } : null;
     req.token = token;
+    req.sessionId = sessionId;
     
     next();
   } catch {
@@ -1,12 +1,15 @@
 import { forbidden } from '../utils/responses.js';
+import { isStaff } from '../services/role.service.js';
+import { ROLE_ERRORS } from '../constants/role.constants.js';
 
+// Lets in any staff role; requirePermission narrows it down per route
 export const checkAdmin = (req, res, next) => {
   if (!req.user?.profile) {
-    return forbidden(res, 'Authentication required');
+    return forbidden(res, ROLE_ERRORS.AUTH_REQUIRED);
   }
   
-  if (!req.user.profile.is_admin && req.user.profile.user_type_id !== 1) {
-    return forbidden(res, 'Admin access required');
+  if (!isStaff(req.user.profile)) {
+    return forbidden(res, ROLE_ERRORS.ADMIN_REQUIRED);
   }
   
   next();
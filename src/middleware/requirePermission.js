@@ -0,0 +1,23 @@
+import { forbidden } from '../utils/responses.js';
+import { hasPermission } from '../services/role.service.js';
+import { ROLE_ERRORS } from '../constants/role.constants.js';
+
+/**
+ * Only lets through users whose role grants the permission
+ * Use after authenticate, e.g. requirePermission(PERMISSIONS.CARS_REVIEW)
+ *
+ * @param {string} permission - One of PERMISSIONS
+ */
+export const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user?.profile) {
+    return forbidden(res, ROLE_ERRORS.AUTH_REQUIRED);
+  }
+  
+  if (!hasPermission(req.user.profile, permission)) {
+    return forbidden(res, ROLE_ERRORS.PERMISSION_DENIED);
+  }
+  
+  next();
+};
+
+export default requirePermission;
@@ -1,16 +1,73 @@
 import { Router } from 'express';
 import * as admin from '../controllers/admin.controller.js';
+import * as accountPurge from '../controllers/accountPurge.controller.js';
+import * as carReview from '../controllers/carReview.controller.js';
+import * as kyc from '../controllers/kyc.controller.js';
+import * as payment from '../controllers/payment.controller.js';
+import * as reminder from '../controllers/reminder.controller.js';
+import * as renewal from '../controllers/renewal.controller.js';
 import { authenticate } from '../middleware/authenticate.js';
 import { checkAdmin } from '../middleware/checkAdmin.js';
-import { suspendUserValidation, validate } from '../utils/validators.js';
+import { requirePermission } from '../middleware/requirePermission.js';
+import { PERMISSIONS } from '../constants/role.constants.js';
+import {
+  suspendUserValidation,
+  assignRoleValidation,
+  carReviewValidation,
+  listKycsValidation,
+  kycIdValidation,
+  kycReviewValidation,
+  kycRejectValidation,
+  createFeeValidation,
+  updateFeeValidation,
+  confirmPaymentValidation,
+  listRenewalsValidation,
+  renewalIdValidation,
+  renewalReviewValidation,
+  renewalRejectValidation,
+  validate
+} from '../utils/validators.js';
 
 const router = Router();
 
 router.use(authenticate, checkAdmin);
 
-router.get('/users', admin.listUsers);
-router.get('/users/:userId', admin.getUser);
-router.put('/users/:userId/suspend', suspendUserValidation, validate, admin.suspendUser);
-router.put('/users/:userId/activate', admin.activateUser);
+router.get('/users', requirePermission(PERMISSIONS.USERS_VIEW), admin.listUsers);
+router.get('/users/:userId', requirePermission(PERMISSIONS.USERS_VIEW), admin.getUser);
+router.put('/users/:userId/suspend', requirePermission(PERMISSIONS.USERS_MANAGE), suspendUserValidation, validate, admin.suspendUser);
+router.put('/users/:userId/activate', requirePermission(PERMISSIONS.USERS_MANAGE), admin.activateUser);
+router.delete('/users/:userId/lockout', requirePermission(PERMISSIONS.USERS_MANAGE), admin.clearUserLockout);
+
+// Roles
+router.get('/roles', requirePermission(PERMISSIONS.ROLES_MANAGE), admin.listRoles);
+router.put('/users/:userId/role', requirePermission(PERMISSIONS.ROLES_MANAGE), assignRoleValidation, validate, admin.assignUserRole);
+
+// Car review queue
+router.get('/cars', requirePermission(PERMISSIONS.CARS_REVIEW), carReview.listCars);
+router.get('/cars/:slug', requirePermission(PERMISSIONS.CARS_REVIEW), carReview.getCar);
+router.put('/cars/:slug/approve', requirePermission(PERMISSIONS.CARS_REVIEW), carReviewValidation, validate, carReview.approveCar);
+router.put('/cars/:slug/reject', requirePermission(PERMISSIONS.CARS_REVIEW), carReviewValidation, validate, carReview.rejectCar);
+
+// KYC review queue
+router.get('/kycs', requirePermission(PERMISSIONS.KYC_REVIEW), listKycsValidation, validate, kyc.listKycs);
+router.get('/kycs/:id', requirePermission(PERMISSIONS.KYC_REVIEW), kycIdValidation, validate, kyc.getKycById);
+router.put('/kycs/:id/verify', requirePermission(PERMISSIONS.KYC_REVIEW), kycReviewValidation, validate, kyc.verifyKyc);
+router.put('/kycs/:id/reject', requirePermission(PERMISSIONS.KYC_REVIEW), kycRejectValidation, validate, kyc.rejectKyc);
+
+// Fee schedule and payments
+router.get('/fees', requirePermission(PERMISSIONS.PAYMENTS_MANAGE), payment.listFees);
+router.post('/fees', requirePermission(PERMISSIONS.PAYMENTS_MANAGE), createFeeValidation, validate, payment.createFee);
+router.put('/fees/:id', requirePermission(PERMISSIONS.PAYMENTS_MANAGE), updateFeeValidation, validate, payment.updateFee);
+router.put('/payments/:reference/confirm', requirePermission(PERMISSIONS.PAYMENTS_MANAGE), confirmPaymentValidation, validate, payment.confirmPayment);
+
+// License renewal queue
+router.get('/renewals', requirePermission(PERMISSIONS.RENEWALS_REVIEW), listRenewalsValidation, validate, renewal.listRenewalQueue);
+router.get('/renewals/:id', requirePermission(PERMISSIONS.RENEWALS_REVIEW), renewalIdValidation, validate, renewal.getRenewalById);
+router.put('/renewals/:id/approve', requirePermission(PERMISSIONS.RENEWALS_REVIEW), renewalReviewValidation, validate, renewal.approveRenewal);
+router.put('/renewals/:id/reject', requirePermission(PERMISSIONS.RENEWALS_REVIEW), renewalRejectValidation, validate, renewal.rejectRenewal);
+
+// Scheduled jobs
+router.post('/reminders/expiry/run', requirePermission(PERMISSIONS.JOBS_RUN), reminder.runExpiryReminders);
+router.post('/accounts/purge/run', requirePermission(PERMISSIONS.JOBS_RUN), accountPurge.runAccountPurge);
 
 export default router;
@@ -1,10 +1,12 @@
 import { Router } from 'express';
 import * as auth from '../controllers/auth.controller.js';
 import * as twoFactor from '../controllers/twoFactor.controller.js';
+import * as account from '../controllers/account.controller.js';
+import * as webauthn from '../controllers/webauthn.controller.js';
 import { authenticate } from '../middleware/authenticate.js';
 import { checkEmailVerified } from '../middleware/checkEmailVerified.js';
 import { authLimiter, otpLimiter, passwordResetLimiter } from '../middleware/rateLimiter.js';
-import { registerValidation, loginValidation, emailValidation, otpValidation, resetPasswordValidation, twoFactorCodeValidation, validate } from '../utils/validators.js';
+import { registerValidation, loginValidation, emailValidation, otpValidation, resetPasswordValidation, twoFactorCodeValidation, regenerateRecoveryCodesValidation, passkeyRegistrationValidation, passkeyAssertionValidation, passkey2FALoginValidation, passkeyIdValidation, oauthLoginValidation, phoneValidation, phoneOtpValidation, reportLoginValidation, validate } from '../utils/validators.js';
 
 const router = Router();
 
@@ -14,8 +16,11 @@ router.post('/login', authLimiter, loginValidation, validate, auth.login);
 router.post('/send-otp', passwordResetLimiter, emailValidation, validate, auth.sendPasswordResetOTP);
 router.post('/verify-otp', otpLimiter, otpValidation, validate, auth.verifyPasswordResetOTP);
 router.post('/reset-password', resetPasswordValidation, validate, auth.resetPassword);
+router.post('/report-login', authLimiter, reportLoginValidation, validate, auth.reportLogin);
 router.post('/send-login-otp', otpLimiter, emailValidation, validate, auth.sendLoginOTP);
 router.post('/verify-login-otp', authLimiter, otpValidation, validate, auth.verifyLoginOTP);
+router.post('/send-phone-otp', otpLimiter, phoneValidation, validate, auth.sendPhoneOTP);
+router.post('/verify-phone-otp', authLimiter, phoneOtpValidation, validate, auth.verifyPhoneOTP);
 
 // OTP Signup/Login routes (as requested)
 router.post('/auth/send-otp', otpLimiter, emailValidation, validate, auth.sendLoginOTP);
@@ -27,6 +32,15 @@ router.post('/refresh', auth.refresh);
 // 2FA public routes
 router.post('/2fa/verify-login', authLimiter, auth.verify2FALogin);
 router.post('/2fa/verify-recovery', authLimiter, twoFactor.verifyRecoveryCode);
+router.post('/2fa/webauthn/login/options', authLimiter, passkey2FALoginValidation, validate, webauthn.twoFactorOptions);
+router.post('/2fa/webauthn/verify-login', authLimiter, passkey2FALoginValidation, passkeyAssertionValidation, validate, webauthn.verify2FALogin);
+
+// Passwordless passkey login
+router.post('/webauthn/login/options', authLimiter, webauthn.passwordlessOptions);
+router.post('/webauthn/login/verify', authLimiter, passkeyAssertionValidation, validate, webauthn.passwordlessLogin);
+
+// Google / Apple sign-in (ID token from the provider's SDK)
+router.post('/oauth/:provider', authLimiter, oauthLoginValidation, validate, auth.oauthLogin);
 
 // Protected routes
 router.post('/logout', authenticate, auth.logout);
@@ -39,6 +53,18 @@ router.post('/2fa/verify-google', authenticate, checkEmailVerified, twoFactorCod
 router.post('/2fa/enable-email', authenticate, checkEmailVerified, twoFactor.enableEmailAuth);
 router.post('/2fa/verify-email', authenticate, twoFactorCodeValidation, validate, twoFactor.verifyEmailAuth);
 router.post('/2fa/send-code', authenticate, otpLimiter, twoFactor.sendEmail2FACode);
+router.post('/2fa/enable-sms', authenticate, checkEmailVerified, otpLimiter, twoFactor.enableSmsAuth);
+router.post('/2fa/verify-sms', authenticate, twoFactorCodeValidation, validate, twoFactor.verifySmsAuth);
+router.post('/2fa/send-sms-code', authenticate, otpLimiter, twoFactor.sendSms2FACode);
 router.post('/2fa/disable', authenticate, twoFactor.disable2FA);
+router.post('/2fa/recovery-codes', authenticate, authLimiter, regenerateRecoveryCodesValidation, validate, account.regenerateRecoveryCodes);
+router.post('/2fa/enable-webauthn', authenticate, checkEmailVerified, twoFactor.enableWebauthnAuth);
+
+// Passkey management
+router.post('/2fa/webauthn/register/options', authenticate, checkEmailVerified, webauthn.registrationOptions);
+router.post('/2fa/webauthn/register/verify', authenticate, checkEmailVerified, passkeyRegistrationValidation, validate, webauthn.register);
+router.get('/2fa/webauthn/credentials', authenticate, webauthn.listCredentials);
+router.delete('/2fa/webauthn/credentials/:id', authenticate, passkeyIdValidation, validate, webauthn.deleteCredential);
+router.post('/2fa/webauthn/reauth/options', authenticate, webauthn.reauthenticationOptions);
 
 export default router;
@@ -1,5 +1,7 @@
 import { Router } from 'express';
 import * as car from '../controllers/car.controller.js';
+import * as payment from '../controllers/payment.controller.js';
+import * as renewal from '../controllers/renewal.controller.js';
 import { authenticate } from '../middleware/authenticate.js';
 import { checkEmailVerified } from '../middleware/checkEmailVerified.js';
 import { addCarValidation, updateCarValidation } from '../utils/carValidator.js';
@@ -14,5 +16,10 @@ router.get('/get-cars', authenticate, checkEmailVerified, apiLimiter, car.getCar
 router.get('/cars/:slug', authenticate, checkEmailVerified, apiLimiter, car.getCarBySlug);
 router.put('/cars/:slug', authenticate, checkEmailVerified, apiLimiter, handleCarUpdateUploads, updateCarValidation, validate, car.updateCar);
 router.delete('/cars/:slug', authenticate, checkEmailVerified, apiLimiter, car.deleteCar);
+router.post('/cars/:slug/payments', authenticate, checkEmailVerified, apiLimiter, payment.createPayment);
+router.get('/cars/:slug/payments', authenticate, checkEmailVerified, apiLimiter, payment.listPayments);
+router.get('/cars/:slug/payments/:id/receipt', authenticate, checkEmailVerified, apiLimiter, payment.downloadReceipt);
+router.post('/cars/:slug/renewals', authenticate, checkEmailVerified, apiLimiter, renewal.createRenewal);
+router.get('/cars/:slug/renewals', authenticate, checkEmailVerified, apiLimiter, renewal.listRenewals);
 
 export default router;
@@ -0,0 +1,15 @@
+import { Router } from 'express';
+import * as kyc from '../controllers/kyc.controller.js';
+import { authenticate } from '../middleware/authenticate.js';
+import { checkEmailVerified } from '../middleware/checkEmailVerified.js';
+import { kycSubmissionValidation, validate } from '../utils/validators.js';
+
+const router = Router();
+
+router.use(authenticate, checkEmailVerified);
+
+router.get('/', kyc.getKyc);
+router.post('/', kycSubmissionValidation, validate, kyc.submitKyc);
+router.put('/', kycSubmissionValidation, validate, kyc.resubmitKyc);
+
+export default router;
@@ -0,0 +1,17 @@
+import { Router } from 'express';
+import * as notification from '../controllers/notification.controller.js';
+import { authenticate } from '../middleware/authenticate.js';
+import { listNotificationsValidation, notificationIdValidation, validate } from '../utils/validators.js';
+
+const router = Router();
+
+router.use(authenticate);
+
+router.get('/', listNotificationsValidation, validate, notification.listNotifications);
+router.get('/stream', notification.streamNotifications);
+router.get('/unread-count', notification.getUnreadCount);
+router.put('/read-all', notification.markAllAsRead);
+router.put('/:id/read', notificationIdValidation, validate, notification.markAsRead);
+router.delete('/:id', notificationIdValidation, validate, notification.deleteNotification);
+
+export default router;
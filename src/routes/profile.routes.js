@@ -1,11 +1,14 @@
 import { Router } from 'express';
 import * as profile from '../controllers/profile.controller.js';
 import { authenticate } from '../middleware/authenticate.js';
-import { updateProfileValidation, validate } from '../utils/validators.js';
+import { otpLimiter, authLimiter } from '../middleware/rateLimiter.js';
+import { updateProfileValidation, phoneVerificationValidation, validate } from '../utils/validators.js';
 
 const router = Router();
 
 router.get('/', authenticate, profile.getProfile);
 router.put('/', authenticate, updateProfileValidation, validate, profile.updateProfile);
+router.post('/phone/send-code', authenticate, otpLimiter, profile.sendPhoneVerification);
+router.post('/phone/verify', authenticate, authLimiter, phoneVerificationValidation, validate, profile.verifyPhone);
 
 export default router;
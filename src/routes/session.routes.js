@@ -0,0 +1,15 @@
+import { Router } from 'express';
+import * as session from '../controllers/session.controller.js';
+import { authenticate } from '../middleware/authenticate.js';
+import { listSessionsValidation, sessionIdValidation, validate } from '../utils/validators.js';
+
+const router = Router();
+
+router.use(authenticate);
+
+router.get('/', listSessionsValidation, validate, session.listSessions);
+router.get('/history', session.listLoginHistory);
+router.delete('/', session.revokeAllSessions);
+router.delete('/:id', sessionIdValidation, validate, session.revokeSession);
+
+export default router;
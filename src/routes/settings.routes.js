@@ -0,0 +1,22 @@
+import { Router } from 'express';
+import * as account from '../controllers/account.controller.js';
+import * as dataExport from '../controllers/dataExport.controller.js';
+import { authenticate } from '../middleware/authenticate.js';
+import { authLimiter, otpLimiter } from '../middleware/rateLimiter.js';
+import { changePasswordValidation, changeEmailValidation, confirmEmailChangeValidation, deleteAccountValidation, dataExportIdValidation, linkSignInMethodValidation, unlinkSignInMethodValidation, validate } from '../utils/validators.js';
+
+const router = Router();
+
+router.use(authenticate);
+
+router.put('/password', authLimiter, changePasswordValidation, validate, account.changePassword);
+router.post('/email', otpLimiter, changeEmailValidation, validate, account.requestEmailChange);
+router.post('/email/verify', authLimiter, confirmEmailChangeValidation, validate, account.confirmEmailChange);
+router.delete('/account', authLimiter, deleteAccountValidation, validate, account.deleteAccount);
+router.post('/export', authLimiter, dataExport.requestDataExport);
+router.get('/export/:id', dataExportIdValidation, validate, dataExport.getDataExport);
+router.get('/sign-in-methods', account.listSignInMethods);
+router.post('/sign-in-methods/:provider', authLimiter, linkSignInMethodValidation, validate, account.linkSignInMethod);
+router.delete('/sign-in-methods/:provider', authLimiter, unlinkSignInMethodValidation, validate, account.unlinkSignInMethod);
+
+export default router;
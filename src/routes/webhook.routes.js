@@ -0,0 +1,11 @@
+import express, { Router } from 'express';
+import * as webhook from '../controllers/webhook.controller.js';
+import { PAYMENT_WEBHOOK } from '../constants/payment.constants.js';
+
+const router = Router();
+
+// Signatures are computed over the exact bytes sent, so keep the body raw.
+// This router must be mounted before the global express.json() parser.
+router.post('/payments', express.raw({ type: '*/*', limit: PAYMENT_WEBHOOK.BODY_LIMIT }), webhook.handlePaymentWebhook);
+
+export default router;
@@ -0,0 +1,559 @@
+import { getSupabaseAdmin, getSupabaseEphemeral } from '../config/supabase.js';
+import { invalidateProfileCache } from '../middleware/authenticate.js';
+import { get2FAStatus, verifyUser2FACode, regenerateRecoveryCodes as replaceRecoveryCodes } from './twoFactor.service.js';
+import { revokeOtherSessions, revokeAllSessions } from './session.service.js';
+import { checkLockout, recordLoginFailure, clearLoginFailures } from './lockout.service.js';
+import { verifyAssertion, WebauthnError } from './webauthn.service.js';
+import { listIdentities, linkIdentity, unlinkIdentity, verifyLinkedIdentityToken, OAuthError } from './oauth.service.js';
+import { notifyUser } from './notification.service.js';
+import { sendEmailChangeOTP, sendEmailChangedAlert, sendAccountDeletionScheduled } from './email/email.service.js';
+import { generateOTP } from '../utils/idGenerator.js';
+import { hashSecret, verifySecret } from '../utils/secretHash.js';
+import { toLocalDateString } from '../utils/dateHelpers.js';
+import { logError } from '../utils/logger.js';
+import { DB_ERROR_CODES, HTTP_STATUS } from '../constants/car.constants.js';
+import { NOTIFICATION_TYPES } from '../constants/notification.constants.js';
+import { SESSION_REVOKE_REASONS } from '../constants/session.constants.js';
+import { EMAIL_CHANGE, ACCOUNT_DELETION, ACCOUNT_ERRORS } from '../constants/account.constants.js';
+import { WEBAUTHN_PURPOSES } from '../constants/webauthn.constants.js';
+import { OAUTH_PROVIDER_NAMES } from '../constants/oauth.constants.js';
+import { LOGIN_FACTORS } from '../constants/lockout.constants.js';
+
+export class AccountError extends Error {
+  constructor(message, statusCode = HTTP_STATUS.SERVER_ERROR) {
+    super(message);
+    this.name = 'AccountError';
+    this.statusCode = statusCode;
+  }
+}
+
+function lockedError(lock) {
+  const error = new AccountError(lock.message, HTTP_STATUS.LOCKED);
+  error.retryAfterSeconds = lock.retryAfterSeconds;
+  return error;
+}
+
+/*
+ * Wrong passwords and 2FA codes given here count towards the same lockout
+ * as the login paths, so a stolen access token can't be used to guess them.
+ */
+async function refuseIfLocked(userId) {
+  const lock = await checkLockout(userId);
+  if (lock) throw lockedError(lock);
+}
+
+async function failFactor(userId, factor, req, message) {
+  const lock = await recordLoginFailure(userId, factor, req);
+  if (lock) throw lockedError(lock);
+  throw new AccountError(message, HTTP_STATUS.BAD_REQUEST);
+}
+
+/**
+ * Re-checks the user's current password
+ * Supabase can only check a password by signing in, so this runs on a
+ * throwaway client and the session it creates is signed out again
+ * straight away.
+ */
+async function verifyCurrentPassword(email, password) {
+  const { data, error } = await getSupabaseEphemeral().auth.signInWithPassword({ email, password });
+
+  if (error || !data?.session) {
+    throw new AccountError(ACCOUNT_ERRORS.INVALID_PASSWORD, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const { error: signOutError } = await getSupabaseAdmin().auth.admin.signOut(data.session.access_token, 'local');
+  if (signOutError) {
+    logError('Password check sign out error', signOutError);
+  }
+}
+
+/**
+ * Current password check with lockout counting
+ */
+async function checkPassword(user, password, req) {
+  try {
+    await verifyCurrentPassword(user.email, password);
+  } catch (error) {
+    if (error instanceof AccountError && error.statusCode === HTTP_STATUS.BAD_REQUEST) {
+      await failFactor(user.id, LOGIN_FACTORS.PASSWORD, req, error.message);
+    }
+    throw error;
+  }
+
+  await clearLoginFailures(user.id, LOGIN_FACTORS.PASSWORD);
+}
+
+/**
+ * Re-checks a passkey assertion answering /2fa/webauthn/reauth/options
+ */
+async function verifyPasskey(userId, passkey, req) {
+  try {
+    await verifyAssertion({ response: passkey, purpose: WEBAUTHN_PURPOSES.REAUTHENTICATION, userId });
+  } catch (error) {
+    if (error instanceof WebauthnError && error.statusCode < HTTP_STATUS.SERVER_ERROR) {
+      await failFactor(userId, LOGIN_FACTORS.TWO_FACTOR, req, error.message);
+    }
+    throw error;
+  }
+}
+
+// Client errors from the social sign-in service are shown as they are
+async function withOAuthErrors(action) {
+  try {
+    return await action();
+  } catch (error) {
+    if (error instanceof OAuthError && error.statusCode < HTTP_STATUS.SERVER_ERROR) {
+      throw new AccountError(error.message, error.statusCode);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Re-authenticates a signed-in user before a sensitive change
+ * Needs the current password (or, for accounts without one, a fresh
+ * sign-in with a linked Google or Apple account), plus a 2FA code or a
+ * passkey assertion when 2FA is on. A locked account is refused before
+ * anything is checked.
+ *
+ * @param {Object} user - req.user
+ * @param {Object} proof
+ * @param {string} [proof.password]
+ * @param {{ provider: string, idToken: string, nonce?: string }} [proof.identity] - Instead of the password
+ * @param {string} [proof.code] - 2FA code
+ * @param {Object} [proof.passkey] - Passkey assertion, instead of the code
+ * @param {Object} req - Request, for the IP address of failed attempts
+ */
+async function reauthenticate(user, { password, identity, code, passkey }, req) {
+  await refuseIfLocked(user.id);
+
+  if (identity) {
+    await withOAuthErrors(() => verifyLinkedIdentityToken(user.id, identity));
+  } else {
+    await checkPassword(user, password, req);
+  }
+
+  // Read fresh - the cached profile on req.user can predate enabling 2FA
+  const twoFactor = await get2FAStatus(user.id);
+  if (!twoFactor.enabled) return;
+
+  if (passkey) {
+    await verifyPasskey(user.id, passkey, req);
+  } else {
+    if (!code) {
+      throw new AccountError(ACCOUNT_ERRORS.TWO_FACTOR_REQUIRED, HTTP_STATUS.BAD_REQUEST);
+    }
+    if (!(await verifyUser2FACode(user.id, code))) {
+      await failFactor(user.id, LOGIN_FACTORS.TWO_FACTOR, req, ACCOUNT_ERRORS.INVALID_TWO_FACTOR_CODE);
+    }
+  }
+
+  await clearLoginFailures(user.id, LOGIN_FACTORS.TWO_FACTOR);
+}
+
+async function isEmailTaken(email, userId) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: existing } = await supabaseAdmin
+    .from('profiles')
+    .select('id')
+    .eq('email', email)
+    .neq('id', userId)
+    .single();
+
+  return !!existing;
+}
+
+/**
+ * Changes the password of a signed-in user
+ * Needs the current password, plus a 2FA code or passkey when 2FA is on.
+ * The user's other devices are signed out; the calling session stays
+ * signed in.
+ *
+ * @param {Object} options
+ * @param {Object} options.user - req.user
+ * @param {string|null} options.sessionId - Calling session (kept)
+ * @param {string} options.accessToken - Calling access token
+ * @param {string} options.currentPassword
+ * @param {string} options.newPassword
+ * @param {string} [options.code] - 2FA code
+ * @param {Object} [options.passkey] - Passkey assertion, instead of the code
+ * @param {Object} options.req - Request, for the IP address of failed attempts
+ */
+export async function changePassword({ user, sessionId, accessToken, currentPassword, newPassword, code, passkey, req }) {
+  if (currentPassword === newPassword) {
+    throw new AccountError(ACCOUNT_ERRORS.SAME_PASSWORD, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  await reauthenticate(user, { password: currentPassword, code, passkey }, req);
+
+  const supabaseAdmin = getSupabaseAdmin();
+  const { error } = await supabaseAdmin.auth.admin.updateUserById(user.id, { password: newPassword });
+
+  if (error) {
+    // Supabase rejects weak passwords with a message worth showing
+    throw new AccountError(error.message, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  try {
+    await revokeOtherSessions(user.id, sessionId, accessToken, SESSION_REVOKE_REASONS.PASSWORD_CHANGE);
+  } catch (revokeError) {
+    logError('Revoke sessions after password change error', revokeError);
+  }
+
+  await notifyUser({
+    userId: user.id,
+    type: NOTIFICATION_TYPES.SECURITY,
+    action: 'password_changed',
+    title: 'Password Changed',
+    message: 'Your password was changed and your other devices were signed out. If this wasn\'t you, reset your password now.'
+  });
+}
+
+/**
+ * Starts an email change by sending a code to the new address
+ * Requesting again replaces any pending change.
+ *
+ * @returns {Promise<{ new_email: string, expires_at: string }>}
+ */
+export async function requestEmailChange({ user, password, newEmail, req }) {
+  if (newEmail.toLowerCase() === user.email?.toLowerCase()) {
+    throw new AccountError(ACCOUNT_ERRORS.SAME_EMAIL, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  await refuseIfLocked(user.id);
+  await checkPassword(user, password, req);
+
+  if (await isEmailTaken(newEmail, user.id)) {
+    throw new AccountError(ACCOUNT_ERRORS.EMAIL_IN_USE, HTTP_STATUS.CONFLICT);
+  }
+
+  const supabaseAdmin = getSupabaseAdmin();
+  const otp = generateOTP();
+  const expiresAt = new Date(Date.now() + EMAIL_CHANGE.OTP_TTL_MS).toISOString();
+
+  const { error } = await supabaseAdmin
+    .from('email_change_requests')
+    .upsert({
+      user_id: user.id,
+      new_email: newEmail,
+      otp: await hashSecret(otp),
+      attempts: 0,
+      expires_at: expiresAt,
+      created_at: new Date().toISOString()
+    }, { onConflict: 'user_id' });
+
+  if (error) {
+    logError('Email change request error', error);
+    throw new AccountError(ACCOUNT_ERRORS.FAILED_TO_REQUEST_EMAIL_CHANGE);
+  }
+
+  // SECURITY: Send code via email (Resend), never log code value
+  try {
+    await sendEmailChangeOTP({ to: newEmail, otp });
+  } catch (emailError) {
+    logError('Email change OTP send error', emailError);
+    await supabaseAdmin.from('email_change_requests').delete().eq('user_id', user.id);
+    throw new AccountError(ACCOUNT_ERRORS.FAILED_TO_REQUEST_EMAIL_CHANGE);
+  }
+
+  return { new_email: newEmail, expires_at: expiresAt };
+}
+
+/**
+ * Completes an email change with the code sent to the new address
+ * Updates auth.users and profiles.email (kept in sync by hand, see
+ * migration 012), then alerts the old address.
+ *
+ * @returns {Promise<{ email: string }>}
+ */
+export async function confirmEmailChange({ user, otp }) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: pending } = await supabaseAdmin
+    .from('email_change_requests')
+    .select('*')
+    .eq('user_id', user.id)
+    .single();
+
+  if (!pending) {
+    throw new AccountError(ACCOUNT_ERRORS.NO_EMAIL_CHANGE, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (new Date(pending.expires_at) < new Date()) {
+    await supabaseAdmin.from('email_change_requests').delete().eq('user_id', user.id);
+    throw new AccountError(ACCOUNT_ERRORS.EMAIL_CHANGE_EXPIRED, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (!(await verifySecret(otp, pending.otp))) {
+    const attempts = pending.attempts + 1;
+
+    // Too many wrong codes - the user has to request a new one
+    if (attempts >= EMAIL_CHANGE.MAX_ATTEMPTS) {
+      await supabaseAdmin.from('email_change_requests').delete().eq('user_id', user.id);
+    } else {
+      await supabaseAdmin.from('email_change_requests').update({ attempts }).eq('user_id', user.id);
+    }
+
+    throw new AccountError(ACCOUNT_ERRORS.INVALID_OTP, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const oldEmail = user.email;
+  const newEmail = pending.new_email;
+
+  // Could have been taken while the code was in the user's inbox
+  if (await isEmailTaken(newEmail, user.id)) {
+    throw new AccountError(ACCOUNT_ERRORS.EMAIL_IN_USE, HTTP_STATUS.CONFLICT);
+  }
+
+  const { error: authError } = await supabaseAdmin.auth.admin.updateUserById(user.id, {
+    email: newEmail,
+    email_confirm: true
+  });
+
+  if (authError) {
+    if (authError.message?.toLowerCase().includes('already')) {
+      throw new AccountError(ACCOUNT_ERRORS.EMAIL_IN_USE, HTTP_STATUS.CONFLICT);
+    }
+    logError('Auth email update error', authError);
+    throw new AccountError(ACCOUNT_ERRORS.FAILED_TO_CHANGE_EMAIL);
+  }
+
+  const { error: profileError } = await supabaseAdmin
+    .from('profiles')
+    .update({ email: newEmail })
+    .eq('id', user.id);
+
+  if (profileError) {
+    // Put auth.users back so the two copies don't drift apart
+    await supabaseAdmin.auth.admin.updateUserById(user.id, { email: oldEmail, email_confirm: true });
+
+    if (profileError.code === DB_ERROR_CODES.UNIQUE_VIOLATION) {
+      throw new AccountError(ACCOUNT_ERRORS.EMAIL_IN_USE, HTTP_STATUS.CONFLICT);
+    }
+    logError('Profile email update error', profileError);
+    throw new AccountError(ACCOUNT_ERRORS.FAILED_TO_CHANGE_EMAIL);
+  }
+
+  await supabaseAdmin.from('email_change_requests').delete().eq('user_id', user.id);
+  invalidateProfileCache(user.id);
+
+  try {
+    await sendEmailChangedAlert({ to: oldEmail, newEmail });
+  } catch (emailError) {
+    logError('Email changed alert send error', emailError);
+  }
+
+  await notifyUser({
+    userId: user.id,
+    type: NOTIFICATION_TYPES.SECURITY,
+    action: 'email_changed',
+    title: 'Email Changed',
+    message: `Your account email was changed to ${newEmail}.`,
+    data: { email: newEmail }
+  });
+
+  return { email: newEmail };
+}
+
+/**
+ * Whether a deleted account can still be restored by logging in
+ * Only self-service deletions inside their grace period qualify; purged
+ * accounts and accounts deleted without a schedule stay closed.
+ *
+ * @param {Object} profile
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isDeletionCancellable(profile, now = new Date()) {
+  return !!profile?.deleted_at
+    && !profile.purged_at
+    && !!profile.deletion_scheduled_for
+    && new Date(profile.deletion_scheduled_for) > now;
+}
+
+/**
+ * Issues a new set of 2FA recovery codes, invalidating the old ones
+ * Needs the current password and a 2FA code or passkey.
+ *
+ * @param {Object} options
+ * @param {Object} options.user - req.user
+ * @param {string} [options.password] - Current password
+ * @param {Object} [options.identity] - Linked social sign-in, instead of the password
+ * @param {string} [options.code] - 2FA code
+ * @param {Object} [options.passkey] - Passkey assertion, instead of the code
+ * @param {Object} options.req - Request, for the IP address of failed attempts
+ * @returns {Promise<{ recovery_codes: Array<string>, remaining: number }>}
+ */
+export async function regenerateRecoveryCodes({ user, password, identity, code, passkey, req }) {
+  const twoFactor = await get2FAStatus(user.id);
+  if (!twoFactor.enabled) {
+    throw new AccountError(ACCOUNT_ERRORS.TWO_FACTOR_NOT_ENABLED, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  await reauthenticate(user, { password, identity, code, passkey }, req);
+
+  let recoveryCodes;
+  try {
+    recoveryCodes = await replaceRecoveryCodes(user.id);
+  } catch (error) {
+    logError('Regenerate recovery codes error', error);
+    throw new AccountError(ACCOUNT_ERRORS.FAILED_TO_REGENERATE_RECOVERY_CODES);
+  }
+
+  await notifyUser({
+    userId: user.id,
+    type: NOTIFICATION_TYPES.SECURITY,
+    action: 'recovery_codes_regenerated',
+    title: 'Recovery Codes Replaced',
+    message: 'New 2FA recovery codes were generated and your old codes no longer work. If this wasn\'t you, change your password now.'
+  });
+
+  return { recovery_codes: recoveryCodes, remaining: recoveryCodes.length };
+}
+
+/**
+ * Deletes the signed-in user's account after a grace period
+ * The account is closed straight away and every device is signed out.
+ * Logging in before deletion_scheduled_for cancels the deletion; after it
+ * the purge job (accountPurge.service) removes the user's data.
+ *
+ * @param {Object} options
+ * @param {Object} options.user - req.user
+ * @param {string} options.accessToken - Calling access token
+ * @param {string} [options.password] - Current password
+ * @param {Object} [options.identity] - Linked social sign-in, instead of the password
+ * @param {string} [options.code] - 2FA code
+ * @param {Object} [options.passkey] - Passkey assertion, instead of the code
+ * @param {Object} options.req - Request, for the IP address of failed attempts
+ * @returns {Promise<{ deletion_scheduled_for: string }>}
+ */
+export async function requestAccountDeletion({ user, accessToken, password, identity, code, passkey, req }) {
+  await reauthenticate(user, { password, identity, code, passkey }, req);
+
+  const supabaseAdmin = getSupabaseAdmin();
+  const now = new Date();
+  const scheduledFor = new Date(now.getTime() + ACCOUNT_DELETION.GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+  const { error } = await supabaseAdmin
+    .from('profiles')
+    .update({ deleted_at: now.toISOString(), deletion_scheduled_for: scheduledFor.toISOString() })
+    .eq('id', user.id)
+    .is('deleted_at', null);
+
+  if (error) {
+    logError('Account deletion error', error);
+    throw new AccountError(ACCOUNT_ERRORS.FAILED_TO_DELETE_ACCOUNT);
+  }
+
+  invalidateProfileCache(user.id);
+
+  try {
+    await revokeAllSessions(user.id, accessToken, SESSION_REVOKE_REASONS.ACCOUNT_DELETION);
+  } catch (revokeError) {
+    logError('Revoke sessions after account deletion error', revokeError);
+  }
+
+  try {
+    await sendAccountDeletionScheduled({ to: user.email, deletionDate: toLocalDateString(scheduledFor) });
+  } catch (emailError) {
+    logError('Account deletion email send error', emailError);
+  }
+
+  return { deletion_scheduled_for: scheduledFor.toISOString() };
+}
+
+/**
+ * Cancels a pending deletion, called when its owner logs back in
+ *
+ * @param {string} userId
+ * @returns {Promise<boolean>} False if the account could not be restored
+ * (grace period over or already purged)
+ */
+export async function cancelAccountDeletion(userId) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: rows, error } = await supabaseAdmin
+    .from('profiles')
+    .update({ deleted_at: null, deletion_scheduled_for: null })
+    .eq('id', userId)
+    .is('purged_at', null)
+    .gt('deletion_scheduled_for', new Date().toISOString())
+    .select('id');
+
+  if (error) {
+    logError('Cancel account deletion error', error);
+    return false;
+  }
+
+  if (!rows?.length) return false;
+
+  invalidateProfileCache(userId);
+
+  await notifyUser({
+    userId,
+    type: NOTIFICATION_TYPES.SECURITY,
+    action: 'account_deletion_cancelled',
+    title: 'Account Restored',
+    message: 'You logged back in, so your account is no longer scheduled for deletion.'
+  });
+
+  return true;
+}
+
+/**
+ * The user's sign-in methods: "email" (password and email OTP) and any
+ * linked Google or Apple accounts
+ */
+export async function listSignInMethods(userId) {
+  return listIdentities(userId);
+}
+
+/**
+ * Links a Google or Apple account so it can be used to log in
+ * Needs the same re-authentication as other sensitive changes.
+ *
+ * @param {Object} options
+ * @param {Object} options.user - req.user
+ * @param {string} options.accessToken - Calling access token
+ * @param {string} options.provider - OAUTH_PROVIDERS value
+ * @param {string} options.idToken - ID token for the account being linked
+ * @param {string} [options.nonce]
+ * @param {Object} options.proof - See reauthenticate()
+ * @param {Object} options.req - Request, for the IP address of failed attempts
+ * @returns {Promise<Object>} The linked sign-in method
+ */
+export async function linkSignInMethod({ user, accessToken, provider, idToken, nonce, proof, req }) {
+  await reauthenticate(user, proof, req);
+
+  const identity = await withOAuthErrors(() => linkIdentity({ userId: user.id, accessToken, provider, idToken, nonce }));
+
+  await notifyUser({
+    userId: user.id,
+    type: NOTIFICATION_TYPES.SECURITY,
+    action: 'sign_in_method_linked',
+    title: 'Sign-in Method Added',
+    message: `Your ${OAUTH_PROVIDER_NAMES[provider]} account can now be used to log in. If this wasn't you, unlink it and change your password now.`,
+    data: { provider }
+  });
+
+  return identity;
+}
+
+/**
+ * Unlinks a Google or Apple account; the last sign-in method stays
+ */
+export async function unlinkSignInMethod({ user, accessToken, provider, proof, req }) {
+  await reauthenticate(user, proof, req);
+
+  await withOAuthErrors(() => unlinkIdentity({ userId: user.id, accessToken, provider }));
+
+  await notifyUser({
+    userId: user.id,
+    type: NOTIFICATION_TYPES.SECURITY,
+    action: 'sign_in_method_unlinked',
+    title: 'Sign-in Method Removed',
+    message: `Your ${OAUTH_PROVIDER_NAMES[provider]} account can no longer be used to log in.`,
+    data: { provider }
+  });
+}
@@ -0,0 +1,232 @@
+import { getSupabaseAdmin } from '../config/supabase.js';
+import { logError } from '../utils/logger.js';
+import { deleteFiles } from './fileUpload.service.js';
+import { deleteDataExports } from './dataExport.service.js';
+import { getCarDocumentUrls } from '../utils/fileUploadHelper.js';
+import { HTTP_STATUS } from '../constants/car.constants.js';
+import { ACCOUNT_PURGE_SCHEDULER, ACCOUNT_ERRORS } from '../constants/account.constants.js';
+
+export class AccountPurgeError extends Error {
+  constructor(message, statusCode = HTTP_STATUS.SERVER_ERROR) {
+    super(message);
+    this.name = 'AccountPurgeError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Long enough to never lift; Supabase has no permanent ban
+const PURGED_USER_BAN_DURATION = '876000h';
+
+async function getDueAccounts(now) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: profiles, error } = await supabaseAdmin
+    .from('profiles')
+    .select('id, image')
+    .not('deleted_at', 'is', null)
+    .is('purged_at', null)
+    .lte('deletion_scheduled_for', now.toISOString())
+    .order('deletion_scheduled_for', { ascending: true })
+    .limit(ACCOUNT_PURGE_SCHEDULER.BATCH_SIZE);
+
+  if (error) {
+    logError('Get accounts due for purge error', error);
+    throw new AccountPurgeError(ACCOUNT_ERRORS.FAILED_TO_RETRIEVE_DUE_ACCOUNTS);
+  }
+
+  return profiles || [];
+}
+
+/**
+ * Soft-deletes the user's remaining cars
+ * @returns {Promise<Array<string>>} Storage URLs the cars referenced
+ */
+async function removeCars(userId, now) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: cars, error } = await supabaseAdmin
+    .from('cars')
+    .update({ deleted_at: now.toISOString() })
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .select('id, document_images, cac_document, letterhead, means_of_identification');
+
+  if (error) throw error;
+
+  return (cars || []).flatMap(getCarDocumentUrls);
+}
+
+// Passkeys would otherwise still sign in to the anonymised account
+async function removePasskeys(userId) {
+  const { error } = await getSupabaseAdmin()
+    .from('webauthn_credentials')
+    .delete()
+    .eq('user_id', userId);
+
+  if (error) throw error;
+}
+
+/**
+ * Removes the identity and device records kept outside the profile
+ * The KYC goes entirely: nin and bvn are unique, so keeping them would
+ * stop the same person from verifying a new account. Login history is
+ * deleted; sessions stay (they keep the account signed out) without their
+ * device and network details.
+ */
+async function removePersonalRecords(userId) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  for (const table of ['kycs', 'phone_otps', 'login_history']) {
+    const { error } = await supabaseAdmin
+      .from(table)
+      .delete()
+      .eq('user_id', userId);
+
+    if (error) throw error;
+  }
+
+  const { error } = await supabaseAdmin
+    .from('user_sessions')
+    .update({ device_name: null, user_agent: null, ip_address: null })
+    .eq('user_id', userId);
+
+  if (error) throw error;
+}
+
+/**
+ * Replaces the personal details on the auth user and the profile
+ * The profile row itself stays (payments, reviews and renewals point at
+ * it); purged_at is set last so a failed purge is retried on the next run.
+ */
+async function anonymiseAccount(userId, now) {
+  const supabaseAdmin = getSupabaseAdmin();
+  // email is NOT NULL UNIQUE on both copies
+  const placeholderEmail = `deleted-${userId}@deleted.motoka.invalid`;
+
+  const { error: authError } = await supabaseAdmin.auth.admin.updateUserById(userId, {
+    email: placeholderEmail,
+    email_confirm: true,
+    user_metadata: {},
+    ban_duration: PURGED_USER_BAN_DURATION
+  });
+
+  if (authError) throw authError;
+
+  const { error } = await supabaseAdmin
+    .from('profiles')
+    .update({
+      first_name: 'Deleted',
+      last_name: 'User',
+      email: placeholderEmail,
+      phone_number: null,
+      phone_verified: false,
+      phone_verified_at: null,
+      image: null,
+      nin: null,
+      address: null,
+      gender: null,
+      two_factor_secret: null,
+      two_factor_recovery_codes: null,
+      two_factor_enabled: false,
+      two_factor_type: null,
+      two_factor_email_code: null,
+      two_factor_email_expires_at: null,
+      purged_at: now.toISOString()
+    })
+    .eq('id', userId)
+    .is('purged_at', null);
+
+  if (error) throw error;
+}
+
+/**
+ * Purges one account whose grace period has ended
+ * Every step is safe to repeat, so an account that fails half way is
+ * simply picked up again by the next run.
+ */
+async function purgeAccount(profile, now) {
+  const carFiles = await removeCars(profile.id, now);
+
+  // deleteFiles skips URLs outside our bucket and never throws
+  await deleteFiles([...carFiles, profile.image].filter(Boolean));
+  await deleteDataExports(profile.id);
+  await removePasskeys(profile.id);
+  await removePersonalRecords(profile.id);
+
+  await anonymiseAccount(profile.id, now);
+}
+
+/**
+ * Purges the accounts whose deletion grace period has ended
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time (defaults to now)
+ * @returns {Promise<{ checked: number, purged: number, failed: number }>}
+ */
+export async function runAccountPurge({ now = new Date() } = {}) {
+  const summary = { checked: 0, purged: 0, failed: 0 };
+
+  const accounts = await getDueAccounts(now);
+  summary.checked = accounts.length;
+
+  for (const profile of accounts) {
+    try {
+      await purgeAccount(profile, now);
+      summary.purged++;
+    } catch (error) {
+      logError(`Purge account ${profile.id} error`, error);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
+
+// ====== SCHEDULER ======
+
+let timer = null;
+let inFlight = null;
+
+/**
+ * Runs the purge unless a run is already in progress, in which case the
+ * caller shares that run's result
+ */
+export function triggerAccountPurge(options) {
+  if (!inFlight) {
+    inFlight = runAccountPurge(options).finally(() => {
+      inFlight = null;
+    });
+  }
+  return inFlight;
+}
+
+const scheduledRun = () => triggerAccountPurge()
+  .then(summary => console.log('[Account Purge] Run complete:', summary))
+  .catch(error => logError('Scheduled account purge error', error));
+
+/**
+ * Starts the in-process scheduler when ACCOUNT_PURGE_ENABLED=true
+ * Runs once at startup and then every ACCOUNT_PURGE_INTERVAL_MS.
+ *
+ * @returns {boolean} Whether the scheduler was started
+ */
+export function startAccountPurgeScheduler({
+  enabled = ACCOUNT_PURGE_SCHEDULER.ENABLED,
+  intervalMs = ACCOUNT_PURGE_SCHEDULER.INTERVAL_MS
+} = {}) {
+  if (!enabled || timer) return false;
+
+  // Timers must not keep the process alive on shutdown
+  timer = setInterval(scheduledRun, intervalMs);
+  timer.unref();
+  setImmediate(scheduledRun);
+
+  return true;
+}
+
+export function stopAccountPurgeScheduler() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
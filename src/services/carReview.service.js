@@ -0,0 +1,151 @@
+import { getSupabaseAdmin } from '../config/supabase.js';
+import { CarError } from './car.service.js';
+import { getCarDocuments } from '../utils/fileUploadHelper.js';
+import { notifyUser } from './notification.service.js';
+import { logError } from '../utils/logger.js';
+import { DB_ERROR_CODES, HTTP_STATUS, ERROR_MESSAGES, REVIEW_DECISIONS } from '../constants/car.constants.js';
+import { NOTIFICATION_TYPES } from '../constants/notification.constants.js';
+
+const DECISION_TITLES = {
+  approve: 'Car Approved',
+  reject: 'Car Rejected'
+};
+
+const DECISION_MESSAGES = {
+  approve: 'Your car registration has been approved.',
+  reject: 'Your car registration has been rejected.'
+};
+
+export async function listCarsForReview({ status, page, limit }) {
+  const supabaseAdmin = getSupabaseAdmin();
+  const from = (page - 1) * limit;
+  const to = page * limit - 1;
+
+  // Oldest submissions first so the queue is worked in arrival order
+  let query = supabaseAdmin
+    .from('cars')
+    .select('*', { count: 'exact' })
+    .is('deleted_at', null)
+    .order('created_at', { ascending: true })
+    .range(from, to);
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+
+  const { data: cars, count, error } = await query;
+
+  if (error) {
+    logError('List cars for review error', error);
+    throw new CarError(ERROR_MESSAGES.FAILED_TO_RETRIEVE_CARS, HTTP_STATUS.SERVER_ERROR);
+  }
+
+  const total = count || 0;
+
+  return {
+    cars: cars || [],
+    pagination: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+export async function getCarForReview(slug) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: car, error } = await supabaseAdmin
+    .from('cars')
+    .select('*')
+    .eq('slug', slug)
+    .is('deleted_at', null)
+    .single();
+
+  if (error || !car) {
+    if (!error || error.code === DB_ERROR_CODES.NOT_FOUND) {
+      throw new CarError(ERROR_MESSAGES.CAR_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    logError('Get car for review error', error);
+    throw new CarError(ERROR_MESSAGES.FAILED_TO_RETRIEVE, HTTP_STATUS.SERVER_ERROR);
+  }
+
+  const [{ data: owner }, { data: reviews }] = await Promise.all([
+    supabaseAdmin
+      .from('profiles')
+      .select('id, user_id, email, first_name, last_name, phone_number')
+      .eq('id', car.user_id)
+      .single(),
+    supabaseAdmin
+      .from('car_reviews')
+      .select('id, reviewer_id, decision, from_status, to_status, reason, created_at')
+      .eq('car_id', car.id)
+      .order('created_at', { ascending: false })
+  ]);
+
+  return {
+    car,
+    owner: owner || null,
+    documents: getCarDocuments(car),
+    reviews: reviews || []
+  };
+}
+
+/**
+ * Applies an approve/reject decision to a car
+ * The status check, review record and status update run in a single
+ * database transaction (see review_car in migration 013)
+ */
+export async function reviewCar(slug, decision, reviewerId, reason) {
+  const transition = REVIEW_DECISIONS[decision];
+  if (!transition) {
+    throw new CarError(ERROR_MESSAGES.INVALID_STATUS_TRANSITION, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const { car } = await getCarForReview(slug);
+
+  if (!transition.from.includes(car.status)) {
+    throw new CarError(
+      `${ERROR_MESSAGES.INVALID_STATUS_TRANSITION} (${car.status})`,
+      HTTP_STATUS.CONFLICT
+    );
+  }
+
+  const supabaseAdmin = getSupabaseAdmin();
+  const { data: rows, error } = await supabaseAdmin.rpc('review_car', {
+    p_car_id: car.id,
+    p_reviewer_id: reviewerId,
+    p_decision: decision,
+    p_from_statuses: transition.from,
+    p_to_status: transition.to,
+    p_reason: reason
+  });
+
+  if (error) {
+    logError('Car review error', error);
+    throw new CarError(ERROR_MESSAGES.FAILED_TO_REVIEW, HTTP_STATUS.SERVER_ERROR);
+  }
+
+  // Status changed between our read and the locked update
+  if (!rows || rows.length === 0) {
+    throw new CarError(ERROR_MESSAGES.INVALID_STATUS_TRANSITION, HTTP_STATUS.CONFLICT);
+  }
+
+  const reviewedCar = rows[0];
+  await notifyOwner(reviewedCar, decision, reason);
+
+  return reviewedCar;
+}
+
+async function notifyOwner(car, decision, reason) {
+  await notifyUser({
+    userId: car.user_id,
+    type: NOTIFICATION_TYPES.CAR,
+    action: REVIEW_DECISIONS[decision].to,
+    title: DECISION_TITLES[decision],
+    message: `${DECISION_MESSAGES[decision]} Reason: ${reason}`,
+    data: { car_slug: car.slug, status: car.status, reason }
+  });
+}
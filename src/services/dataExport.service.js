@@ -0,0 +1,382 @@
+import archiver from 'archiver';
+import { getSupabaseAdmin } from '../config/supabase.js';
+import { logError } from '../utils/logger.js';
+import { getExportQueue } from './exportQueue.js';
+import { notifyUser } from './notification.service.js';
+import { downloadFileByPath, getPathFromUrl } from './fileUpload.service.js';
+import { getCarDocumentUrls } from '../utils/fileUploadHelper.js';
+import { toLocalDateString } from '../utils/dateHelpers.js';
+import { DB_ERROR_CODES, HTTP_STATUS } from '../constants/car.constants.js';
+import { NOTIFICATION_TYPES } from '../constants/notification.constants.js';
+import {
+  DATA_EXPORT_BUCKET,
+  DATA_EXPORT,
+  DATA_EXPORT_STATUS,
+  PROFILE_EXPORT_EXCLUDED_FIELDS,
+  DATA_EXPORT_ERRORS
+} from '../constants/dataExport.constants.js';
+
+export class DataExportError extends Error {
+  constructor(message, statusCode = HTTP_STATUS.SERVER_ERROR) {
+    super(message);
+    this.name = 'DataExportError';
+    this.statusCode = statusCode;
+  }
+}
+
+const ACTIVE_STATUSES = [DATA_EXPORT_STATUS.PENDING, DATA_EXPORT_STATUS.PROCESSING];
+
+const SESSION_FIELDS = 'id, device_name, user_agent, ip_address, created_at, last_seen_at, revoked_at, revoked_reason';
+
+// Sign-ins without the "this wasn't me" report token
+const LOGIN_HISTORY_FIELDS = 'id, session_id, device_fingerprint, device_name, user_agent, ip_address, alert_reason, reported_at, created_at';
+
+// Passkey labels and usage only - never the key material
+const PASSKEY_FIELDS = 'id, name, device_type, backed_up, created_at, last_used_at';
+
+const exportPath = (userId, exportId) => `${userId}/${exportId}.zip`;
+
+/**
+ * Public shape of a data_exports row
+ * Completed exports past their expiry are reported as 'expired'.
+ */
+function formatExport(job, now = new Date()) {
+  const expired = job.status === DATA_EXPORT_STATUS.COMPLETED
+    && (!job.file_path || new Date(job.expires_at) <= now);
+
+  return {
+    id: job.id,
+    status: expired ? 'expired' : job.status,
+    file_size: job.file_size ?? null,
+    error: job.error ?? null,
+    created_at: job.created_at,
+    completed_at: job.completed_at ?? null,
+    expires_at: job.expires_at ?? null
+  };
+}
+
+/**
+ * Fails a queued or running export that has outlived STALE_AFTER_MS
+ * @returns {Promise<boolean>} Whether the user still has an export in progress
+ */
+async function hasExportInProgress(userId) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: active } = await supabaseAdmin
+    .from('data_exports')
+    .select('id, created_at')
+    .eq('user_id', userId)
+    .in('status', ACTIVE_STATUSES)
+    .single();
+
+  if (!active) return false;
+
+  if (Date.now() - new Date(active.created_at).getTime() < DATA_EXPORT.STALE_AFTER_MS) {
+    return true;
+  }
+
+  await supabaseAdmin
+    .from('data_exports')
+    .update({ status: DATA_EXPORT_STATUS.FAILED, error: DATA_EXPORT_ERRORS.FAILED_TO_BUILD })
+    .eq('id', active.id)
+    .in('status', ACTIVE_STATUSES);
+
+  return false;
+}
+
+/**
+ * Queues an export of everything held on the user
+ *
+ * @param {string} userId
+ * @returns {Promise<Object>} The queued export
+ */
+export async function requestDataExport(userId) {
+  if (await hasExportInProgress(userId)) {
+    throw new DataExportError(DATA_EXPORT_ERRORS.IN_PROGRESS, HTTP_STATUS.CONFLICT);
+  }
+
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: job, error } = await supabaseAdmin
+    .from('data_exports')
+    .insert({ user_id: userId, status: DATA_EXPORT_STATUS.PENDING })
+    .select('*')
+    .single();
+
+  if (error) {
+    // Another request queued one first (idx_data_exports_active)
+    if (error.code === DB_ERROR_CODES.UNIQUE_VIOLATION) {
+      throw new DataExportError(DATA_EXPORT_ERRORS.IN_PROGRESS, HTTP_STATUS.CONFLICT);
+    }
+    logError('Data export request error', error);
+    throw new DataExportError(DATA_EXPORT_ERRORS.FAILED_TO_REQUEST);
+  }
+
+  await getExportQueue().enqueue(job.id, processDataExport);
+
+  return formatExport(job);
+}
+
+/**
+ * Status of one of the user's exports
+ * A fresh signed download link is issued on every call while the export
+ * has not expired.
+ *
+ * @returns {Promise<Object>} Export, with download_url when available
+ */
+export async function getDataExport(userId, exportId) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: job, error } = await supabaseAdmin
+    .from('data_exports')
+    .select('*')
+    .eq('id', exportId)
+    .eq('user_id', userId)
+    .single();
+
+  if (error || !job) {
+    if (error && error.code !== DB_ERROR_CODES.NOT_FOUND) {
+      logError('Get data export error', error);
+      throw new DataExportError(DATA_EXPORT_ERRORS.FAILED_TO_RETRIEVE);
+    }
+    throw new DataExportError(DATA_EXPORT_ERRORS.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  const result = formatExport(job);
+  if (result.status !== DATA_EXPORT_STATUS.COMPLETED) return result;
+
+  const { data: signed, error: signError } = await supabaseAdmin.storage
+    .from(DATA_EXPORT_BUCKET)
+    .createSignedUrl(job.file_path, DATA_EXPORT.LINK_TTL_SECONDS, { download: `motoka-data-export-${job.id}.zip` });
+
+  if (signError || !signed?.signedUrl) {
+    logError('Sign data export URL error', signError);
+    throw new DataExportError(DATA_EXPORT_ERRORS.FAILED_TO_RETRIEVE);
+  }
+
+  return {
+    ...result,
+    download_url: signed.signedUrl,
+    download_url_expires_at: new Date(Date.now() + DATA_EXPORT.LINK_TTL_SECONDS * 1000).toISOString()
+  };
+}
+
+// ====== JOB ======
+
+async function selectOrThrow(query, context) {
+  const { data, error } = await query;
+  if (error) {
+    logError(context, error);
+    throw new Error(context);
+  }
+  return data;
+}
+
+/**
+ * Everything held on the user, as written to data.json
+ */
+async function collectUserData(userId) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const profile = await selectOrThrow(
+    supabaseAdmin.from('profiles').select('*').eq('id', userId).single(),
+    'Export profile error'
+  );
+
+  const [kyc, cars, notifications, sessions, loginHistory, passkeys] = await Promise.all([
+    selectOrThrow(supabaseAdmin.from('kycs').select('*').eq('user_id', userId), 'Export KYC error'),
+    selectOrThrow(supabaseAdmin.from('cars').select('*').eq('user_id', userId).order('created_at', { ascending: true }), 'Export cars error'),
+    // notifications.user_id is the 6-char profiles.user_id
+    selectOrThrow(supabaseAdmin.from('notifications').select('*').eq('user_id', profile.user_id).order('created_at', { ascending: false }), 'Export notifications error'),
+    selectOrThrow(supabaseAdmin.from('user_sessions').select(SESSION_FIELDS).eq('user_id', userId).order('created_at', { ascending: false }), 'Export sessions error'),
+    selectOrThrow(supabaseAdmin.from('login_history').select(LOGIN_HISTORY_FIELDS).eq('user_id', userId).order('created_at', { ascending: false }), 'Export login history error'),
+    selectOrThrow(supabaseAdmin.from('webauthn_credentials').select(PASSKEY_FIELDS).eq('user_id', userId).order('created_at', { ascending: true }), 'Export passkeys error')
+  ]);
+
+  const exportedProfile = Object.fromEntries(
+    Object.entries(profile).filter(([field]) => !PROFILE_EXPORT_EXCLUDED_FIELDS.includes(field))
+  );
+
+  return {
+    exported_at: new Date().toISOString(),
+    profile: exportedProfile,
+    kyc: kyc || [],
+    cars: cars || [],
+    notifications: notifications || [],
+    sessions: sessions || [],
+    login_history: loginHistory || [],
+    passkeys: passkeys || []
+  };
+}
+
+/**
+ * Downloads the user's files from the car-documents bucket
+ * Files that can no longer be read are listed in data.json instead.
+ *
+ * @returns {Promise<{ files: Array<{ name: string, content: Buffer }>, index: Array<Object> }>}
+ */
+async function collectDocuments(data) {
+  const sources = [
+    ...data.cars.flatMap(car => getCarDocumentUrls(car).map(url => ({ folder: car.slug, url }))),
+    ...(data.profile.image ? [{ folder: 'profile', url: data.profile.image }] : [])
+  ];
+
+  const files = [];
+  const index = [];
+
+  // Sequential so a user with many documents doesn't fan out into parallel downloads
+  for (const { folder, url } of sources) {
+    const path = getPathFromUrl(url);
+    if (!path) continue;
+
+    const name = `documents/${folder}/${path.split('/').pop()}`;
+    if (files.some(file => file.name === name)) continue;
+
+    const content = await downloadFileByPath(path);
+    index.push({ file: content ? name : null, source_url: url, missing: !content });
+    if (content) files.push({ name, content });
+  }
+
+  return { files, index };
+}
+
+function buildArchive(data, files) {
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip');
+    const chunks = [];
+
+    archive.on('data', chunk => chunks.push(chunk));
+    archive.on('end', () => resolve(Buffer.concat(chunks)));
+    archive.on('error', reject);
+
+    archive.append(JSON.stringify(data, null, 2), { name: 'data.json' });
+    for (const file of files) {
+      archive.append(file.content, { name: file.name });
+    }
+
+    archive.finalize();
+  });
+}
+
+// Only the newest export is kept; older archives are removed once it is ready
+async function removeOlderExports(userId, exportId) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: older } = await supabaseAdmin
+    .from('data_exports')
+    .select('id, file_path')
+    .eq('user_id', userId)
+    .neq('id', exportId)
+    .not('file_path', 'is', null);
+
+  if (!older?.length) return;
+
+  const { error } = await supabaseAdmin.storage
+    .from(DATA_EXPORT_BUCKET)
+    .remove(older.map(job => job.file_path));
+
+  if (error) {
+    logError('Remove older data exports error', error);
+    return;
+  }
+
+  await supabaseAdmin
+    .from('data_exports')
+    .update({ file_path: null })
+    .in('id', older.map(job => job.id));
+}
+
+/**
+ * Builds and stores one export (queue handler)
+ * Claims the job first, so a job picked up twice is only built once.
+ * Failures are recorded on the job rather than thrown.
+ *
+ * @param {string} exportId
+ */
+export async function processDataExport(exportId) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: job } = await supabaseAdmin
+    .from('data_exports')
+    .update({ status: DATA_EXPORT_STATUS.PROCESSING, started_at: new Date().toISOString() })
+    .eq('id', exportId)
+    .eq('status', DATA_EXPORT_STATUS.PENDING)
+    .select('id, user_id')
+    .single();
+
+  if (!job) return;
+
+  try {
+    const data = await collectUserData(job.user_id);
+    const { files, index } = await collectDocuments(data);
+    const archive = await buildArchive({ ...data, documents: index }, files);
+
+    const path = exportPath(job.user_id, job.id);
+    const { error: uploadError } = await supabaseAdmin.storage
+      .from(DATA_EXPORT_BUCKET)
+      .upload(path, archive, { contentType: 'application/zip', upsert: true });
+
+    if (uploadError) throw uploadError;
+
+    const completedAt = new Date();
+    const expiresAt = new Date(completedAt.getTime() + DATA_EXPORT.RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+    const { error: updateError } = await supabaseAdmin
+      .from('data_exports')
+      .update({
+        status: DATA_EXPORT_STATUS.COMPLETED,
+        file_path: path,
+        file_size: archive.length,
+        completed_at: completedAt.toISOString(),
+        expires_at: expiresAt.toISOString()
+      })
+      .eq('id', job.id);
+
+    if (updateError) throw updateError;
+
+    await removeOlderExports(job.user_id, job.id);
+
+    await notifyUser({
+      userId: job.user_id,
+      type: NOTIFICATION_TYPES.ACCOUNT,
+      action: 'data_export_ready',
+      title: 'Your data export is ready',
+      message: `Your data export is ready to download until ${toLocalDateString(expiresAt)}.`,
+      data: { export_id: job.id, expires_at: expiresAt.toISOString() }
+    });
+  } catch (error) {
+    logError(`Data export ${job.id} error`, error);
+
+    await supabaseAdmin
+      .from('data_exports')
+      .update({ status: DATA_EXPORT_STATUS.FAILED, error: DATA_EXPORT_ERRORS.FAILED_TO_BUILD })
+      .eq('id', job.id);
+  }
+}
+
+/**
+ * Removes every export archive of a user (account purge)
+ */
+export async function deleteDataExports(userId) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: exports, error } = await supabaseAdmin
+    .from('data_exports')
+    .select('id, file_path')
+    .eq('user_id', userId)
+    .not('file_path', 'is', null);
+
+  if (error) throw error;
+  if (!exports?.length) return;
+
+  const { error: removeError } = await supabaseAdmin.storage
+    .from(DATA_EXPORT_BUCKET)
+    .remove(exports.map(job => job.file_path));
+
+  if (removeError) throw removeError;
+
+  await supabaseAdmin
+    .from('data_exports')
+    .update({ file_path: null })
+    .eq('user_id', userId);
+}
@@ -14,9 +14,25 @@ import { Resend } from 'resend';
  * - EMAIL_FROM: Sender email (e.g., "Motoka <no-reply@motokaapp.ng>")
  */
 
-const resend = new Resend(process.env.RESEND_API_KEY);
+// Created on first send - the Resend constructor throws without an API key,
+// which would otherwise break every module that imports this file
+let resend = null;
+const getResendClient = () => {
+  if (!resend) {
+    resend = new Resend(process.env.RESEND_API_KEY);
+  }
+  return resend;
+};
 const EMAIL_FROM = process.env.EMAIL_FROM || 'Motoka <onboarding@resend.dev>';
 
+// User-entered values (names, vehicle details) must not inject markup
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 /**
  * Generic email sender
  * 
@@ -33,7 +49,7 @@ export async function sendEmail({ to, subject, html, text }) {
       throw new Error('RESEND_API_KEY not configured');
     }
 
-    const { data, error } = await resend.emails.send({
+    const { data, error } = await getResendClient().emails.send({
       from: EMAIL_FROM,
       to,
       subject,
@@ -205,3 +221,455 @@ Never share this code with anyone.
 
   return await sendEmail({ to, subject, html, text });
 }
+
+/**
+ * Send car document expiry reminder
+ * 
+ * @param {Object} options
+ * @param {string} options.to - Recipient email
+ * @param {string} options.name - Owner's first name
+ * @param {string} options.vehicle - Vehicle description (e.g. "Toyota Corolla")
+ * @param {string} options.plateNumber - Plate or registration number
+ * @param {string} options.expiryDate - Expiry date (YYYY-MM-DD)
+ * @param {number} options.daysLeft - Days until expiry (0 = today)
+ * @returns {Promise<Object>} Send result
+ */
+export async function sendCarExpiryReminder({ to, name, vehicle, plateNumber, expiryDate, daysLeft }) {
+  const when = daysLeft <= 0 ? 'today' : `in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+  const subject = `Your ${vehicle} papers expire ${when}`;
+  
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; margin: 0; padding: 0; background-color: #f4f4f4; }
+        .container { max-width: 600px; margin: 0 auto; background-color: #ffffff; }
+        .header { background-color: #1a1a1a; color: #ffffff; padding: 30px 20px; text-align: center; }
+        .content { padding: 40px 30px; }
+        .details-box { background-color: #f8f9fa; border: 2px solid #e9ecef; border-radius: 8px; padding: 20px; margin: 30px 0; }
+        .details-box p { margin: 6px 0; }
+        .footer { background-color: #f8f9fa; padding: 20px; text-align: center; font-size: 12px; color: #6c757d; }
+        .warning { color: #dc3545; font-weight: 500; margin-top: 20px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Vehicle Papers Expiring</h1>
+        </div>
+        <div class="content">
+          <p>Hello ${escapeHtml(name || 'there')},</p>
+          <p>The registration papers for your vehicle expire <strong>${when}</strong>.</p>
+          
+          <div class="details-box">
+            <p><strong>Vehicle:</strong> ${escapeHtml(vehicle)}</p>
+            <p><strong>Plate number:</strong> ${escapeHtml(plateNumber || 'Not available')}</p>
+            <p><strong>Expiry date:</strong> ${expiryDate}</p>
+          </div>
+          
+          <p>Renew in the Motoka app before the expiry date to keep driving legally.</p>
+          
+          <p class="warning">⚠️ Driving with expired papers can attract fines from enforcement agencies.</p>
+        </div>
+        <div class="footer">
+          <p>© ${new Date().getFullYear()} Motoka. All rights reserved.</p>
+          <p>This is an automated message, please do not reply.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+  
+  const text = `
+Motoka Vehicle Papers Expiring
+
+Hello ${name || 'there'},
+
+The registration papers for your vehicle expire ${when}.
+
+Vehicle: ${vehicle}
+Plate number: ${plateNumber || 'Not available'}
+Expiry date: ${expiryDate}
+
+Renew in the Motoka app before the expiry date to keep driving legally.
+
+© ${new Date().getFullYear()} Motoka
+  `.trim();
+
+  return await sendEmail({ to, subject, html, text });
+}
+
+/**
+ * Send the code that confirms a new email address
+ * 
+ * SECURITY: Never log the OTP value
+ * 
+ * @param {Object} options
+ * @param {string} options.to - The new email address
+ * @param {string} options.otp - 6-digit code
+ * @returns {Promise<Object>} Send result
+ */
+export async function sendEmailChangeOTP({ to, otp }) {
+  const subject = 'Confirm Your New Motoka Email';
+  
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; margin: 0; padding: 0; background-color: #f4f4f4; }
+        .container { max-width: 600px; margin: 0 auto; background-color: #ffffff; }
+        .header { background-color: #1a1a1a; color: #ffffff; padding: 30px 20px; text-align: center; }
+        .content { padding: 40px 30px; }
+        .otp-box { background-color: #f8f9fa; border: 2px solid #e9ecef; border-radius: 8px; padding: 20px; text-align: center; margin: 30px 0; }
+        .otp-code { font-size: 32px; font-weight: bold; letter-spacing: 8px; color: #1a1a1a; font-family: monospace; }
+        .footer { background-color: #f8f9fa; padding: 20px; text-align: center; font-size: 12px; color: #6c757d; }
+        .warning { color: #dc3545; font-weight: 500; margin-top: 20px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Confirm Your New Email</h1>
+        </div>
+        <div class="content">
+          <p>Hello,</p>
+          <p>You asked to use this address for your Motoka account. Enter the code below to confirm it:</p>
+          
+          <div class="otp-box">
+            <div class="otp-code">${otp}</div>
+          </div>
+          
+          <p><strong>This code will expire in 15 minutes.</strong></p>
+          
+          <p>If you didn't request this change, you can safely ignore this email.</p>
+          
+          <p class="warning">⚠️ Never share this code with anyone. Motoka support will never ask for your code.</p>
+        </div>
+        <div class="footer">
+          <p>© ${new Date().getFullYear()} Motoka. All rights reserved.</p>
+          <p>This is an automated message, please do not reply.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+  
+  const text = `
+Motoka Email Change
+
+You asked to use this address for your Motoka account.
+
+Your verification code is: ${otp}
+
+This code will expire in 15 minutes.
+
+If you didn't request this, you can safely ignore this email.
+
+Never share this code with anyone.
+
+© ${new Date().getFullYear()} Motoka
+  `.trim();
+
+  return await sendEmail({ to, subject, html, text });
+}
+
+/**
+ * Tell the previous address that the account email was changed
+ * 
+ * @param {Object} options
+ * @param {string} options.to - The old email address
+ * @param {string} options.newEmail - The address now on the account
+ * @returns {Promise<Object>} Send result
+ */
+export async function sendEmailChangedAlert({ to, newEmail }) {
+  const subject = 'Your Motoka Email Was Changed';
+  
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; margin: 0; padding: 0; background-color: #f4f4f4; }
+        .container { max-width: 600px; margin: 0 auto; background-color: #ffffff; }
+        .header { background-color: #1a1a1a; color: #ffffff; padding: 30px 20px; text-align: center; }
+        .content { padding: 40px 30px; }
+        .details-box { background-color: #f8f9fa; border: 2px solid #e9ecef; border-radius: 8px; padding: 20px; margin: 30px 0; }
+        .footer { background-color: #f8f9fa; padding: 20px; text-align: center; font-size: 12px; color: #6c757d; }
+        .warning { color: #dc3545; font-weight: 500; margin-top: 20px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Email Address Changed</h1>
+        </div>
+        <div class="content">
+          <p>Hello,</p>
+          <p>The email address on your Motoka account was just changed. This address will no longer receive account emails.</p>
+          
+          <div class="details-box">
+            <p><strong>New email:</strong> ${escapeHtml(newEmail)}</p>
+          </div>
+          
+          <p class="warning">⚠️ If you didn't make this change, contact Motoka support immediately.</p>
+        </div>
+        <div class="footer">
+          <p>© ${new Date().getFullYear()} Motoka. All rights reserved.</p>
+          <p>This is an automated message, please do not reply.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+  
+  const text = `
+Motoka Email Address Changed
+
+The email address on your Motoka account was just changed to ${newEmail}.
+This address will no longer receive account emails.
+
+If you didn't make this change, contact Motoka support immediately.
+
+© ${new Date().getFullYear()} Motoka
+  `.trim();
+
+  return await sendEmail({ to, subject, html, text });
+}
+
+/**
+ * Confirm that the account is scheduled for deletion
+ * 
+ * @param {Object} options
+ * @param {string} options.to - Recipient email address
+ * @param {string} options.deletionDate - Date the account is purged (YYYY-MM-DD)
+ * @returns {Promise<Object>} Send result
+ */
+export async function sendAccountDeletionScheduled({ to, deletionDate }) {
+  const subject = 'Your Motoka Account Is Scheduled for Deletion';
+  
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; margin: 0; padding: 0; background-color: #f4f4f4; }
+        .container { max-width: 600px; margin: 0 auto; background-color: #ffffff; }
+        .header { background-color: #1a1a1a; color: #ffffff; padding: 30px 20px; text-align: center; }
+        .content { padding: 40px 30px; }
+        .details-box { background-color: #f8f9fa; border: 2px solid #e9ecef; border-radius: 8px; padding: 20px; margin: 30px 0; }
+        .footer { background-color: #f8f9fa; padding: 20px; text-align: center; font-size: 12px; color: #6c757d; }
+        .warning { color: #dc3545; font-weight: 500; margin-top: 20px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Account Deletion Scheduled</h1>
+        </div>
+        <div class="content">
+          <p>Hello,</p>
+          <p>Your Motoka account has been deactivated and all of your devices were signed out.</p>
+          
+          <div class="details-box">
+            <p><strong>Permanent deletion on:</strong> ${escapeHtml(deletionDate)}</p>
+          </div>
+          
+          <p>Changed your mind? Log in before that date and the deletion is cancelled. After it, your vehicles, documents and personal details are removed and cannot be recovered.</p>
+          <p class="warning">⚠️ If you didn't request this, log in now and change your password.</p>
+        </div>
+        <div class="footer">
+          <p>© ${new Date().getFullYear()} Motoka. All rights reserved.</p>
+          <p>This is an automated message, please do not reply.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+  
+  const text = `
+Motoka Account Deletion Scheduled
+
+Your Motoka account has been deactivated and all of your devices were signed out.
+
+Permanent deletion on: ${deletionDate}
+
+Changed your mind? Log in before that date and the deletion is cancelled. After it, your vehicles, documents and personal details are removed and cannot be recovered.
+
+If you didn't request this, log in now and change your password.
+
+© ${new Date().getFullYear()} Motoka
+  `.trim();
+
+  return await sendEmail({ to, subject, html, text });
+}
+
+/**
+ * Alert the owner that their account was locked after repeated failed sign-ins
+ * 
+ * @param {Object} options
+ * @param {string} options.to - Recipient email address
+ * @param {number} options.minutes - How long the lock lasts
+ * @param {string|null} options.ipAddress - Where the last failed attempt came from
+ * @returns {Promise<Object>} Send result
+ */
+export async function sendAccountLockedAlert({ to, minutes, ipAddress }) {
+  const subject = 'Your Motoka Account Was Temporarily Locked';
+  const source = ipAddress || 'Unknown';
+  
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; margin: 0; padding: 0; background-color: #f4f4f4; }
+        .container { max-width: 600px; margin: 0 auto; background-color: #ffffff; }
+        .header { background-color: #1a1a1a; color: #ffffff; padding: 30px 20px; text-align: center; }
+        .content { padding: 40px 30px; }
+        .details-box { background-color: #f8f9fa; border: 2px solid #e9ecef; border-radius: 8px; padding: 20px; margin: 30px 0; }
+        .footer { background-color: #f8f9fa; padding: 20px; text-align: center; font-size: 12px; color: #6c757d; }
+        .warning { color: #dc3545; font-weight: 500; margin-top: 20px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Account Temporarily Locked</h1>
+        </div>
+        <div class="content">
+          <p>Hello,</p>
+          <p>We saw several failed attempts to sign in to your Motoka account, so sign-in has been paused.</p>
+          
+          <div class="details-box">
+            <p><strong>Locked for:</strong> ${escapeHtml(String(minutes))} minutes</p>
+            <p><strong>Last attempt from IP:</strong> ${escapeHtml(source)}</p>
+          </div>
+          
+          <p>You can sign in again once the lock ends. Repeated failures lock the account for longer each time.</p>
+          <p class="warning">⚠️ If this wasn't you, someone may know your email address. Change your password and turn on two-factor authentication.</p>
+        </div>
+        <div class="footer">
+          <p>© ${new Date().getFullYear()} Motoka. All rights reserved.</p>
+          <p>This is an automated message, please do not reply.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+  
+  const text = `
+Motoka Account Temporarily Locked
+
+We saw several failed attempts to sign in to your Motoka account, so sign-in has been paused.
+
+Locked for: ${minutes} minutes
+Last attempt from IP: ${source}
+
+You can sign in again once the lock ends. Repeated failures lock the account for longer each time.
+
+If this wasn't you, someone may know your email address. Change your password and turn on two-factor authentication.
+
+© ${new Date().getFullYear()} Motoka
+  `.trim();
+
+  return await sendEmail({ to, subject, html, text });
+}
+
+/**
+ * Tell the owner about a sign-in from a new device or right after a
+ * password reset, with a link to report it
+ * 
+ * @param {Object} options
+ * @param {string} options.to - Recipient email address
+ * @param {boolean} options.afterPasswordReset - The password was reset just before this sign-in
+ * @param {string|null} options.deviceName - e.g. "Chrome on Windows"
+ * @param {string|null} options.ipAddress - Where the sign-in came from
+ * @param {string} options.signedInAt - ISO timestamp of the sign-in
+ * @param {string} options.reportUrl - "This wasn't me" link
+ * @returns {Promise<Object>} Send result
+ */
+export async function sendNewLoginAlert({ to, afterPasswordReset, deviceName, ipAddress, signedInAt, reportUrl }) {
+  const subject = afterPasswordReset
+    ? 'Your Motoka Account Was Signed In After a Password Reset'
+    : 'New Sign-In to Your Motoka Account';
+  const intro = afterPasswordReset
+    ? 'Your Motoka password was just reset, and your account was then signed in to.'
+    : 'Your Motoka account was just signed in to from a device we haven\'t seen before.';
+  const device = deviceName || 'Unknown device';
+  const source = ipAddress || 'Unknown';
+  const time = new Date(signedInAt).toUTCString();
+  
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; margin: 0; padding: 0; background-color: #f4f4f4; }
+        .container { max-width: 600px; margin: 0 auto; background-color: #ffffff; }
+        .header { background-color: #1a1a1a; color: #ffffff; padding: 30px 20px; text-align: center; }
+        .content { padding: 40px 30px; }
+        .details-box { background-color: #f8f9fa; border: 2px solid #e9ecef; border-radius: 8px; padding: 20px; margin: 30px 0; }
+        .report { display: inline-block; background-color: #dc3545; color: #ffffff; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: 500; }
+        .footer { background-color: #f8f9fa; padding: 20px; text-align: center; font-size: 12px; color: #6c757d; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>New Sign-In</h1>
+        </div>
+        <div class="content">
+          <p>Hello,</p>
+          <p>${intro}</p>
+          
+          <div class="details-box">
+            <p><strong>Device:</strong> ${escapeHtml(device)}</p>
+            <p><strong>IP address:</strong> ${escapeHtml(source)}</p>
+            <p><strong>Time:</strong> ${escapeHtml(time)}</p>
+          </div>
+          
+          <p>If this was you, there's nothing to do.</p>
+          <p>If it wasn't, use the button below. Every device will be signed out and you'll need to reset your password before you can sign in again.</p>
+          <p><a class="report" href="${escapeHtml(reportUrl)}">This wasn't me</a></p>
+        </div>
+        <div class="footer">
+          <p>© ${new Date().getFullYear()} Motoka. All rights reserved.</p>
+          <p>This is an automated message, please do not reply.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+  
+  const text = `
+Motoka New Sign-In
+
+${intro}
+
+Device: ${device}
+IP address: ${source}
+Time: ${time}
+
+If this was you, there's nothing to do.
+
+If it wasn't, open this link. Every device will be signed out and you'll need to reset your password before you can sign in again:
+${reportUrl}
+
+© ${new Date().getFullYear()} Motoka
+  `.trim();
+
+  return await sendEmail({ to, subject, html, text });
+}
@@ -0,0 +1,269 @@
+import { getSupabaseAdmin } from '../config/supabase.js';
+import { logError } from '../utils/logger.js';
+import { notifyUser } from './notification.service.js';
+import { sendCarExpiryReminder } from './email/email.service.js';
+import { toLocalDateString, addDays, daysBetween } from '../utils/dateHelpers.js';
+import { DB_ERROR_CODES, HTTP_STATUS, REGISTRATION_STATUS } from '../constants/car.constants.js';
+import { NOTIFICATION_TYPES } from '../constants/notification.constants.js';
+import {
+  EXPIRY_REMINDER_THRESHOLDS,
+  EXPIRY_REMINDER_SCHEDULER,
+  EXPIRY_REMINDER_ACTION,
+  REMINDER_ERRORS
+} from '../constants/reminder.constants.js';
+
+export class ReminderError extends Error {
+  constructor(message, statusCode = HTTP_STATUS.SERVER_ERROR) {
+    super(message);
+    this.name = 'ReminderError';
+    this.statusCode = statusCode;
+  }
+}
+
+const THRESHOLDS_ASC = [...EXPIRY_REMINDER_THRESHOLDS].sort((a, b) => a - b);
+const MAX_THRESHOLD = THRESHOLDS_ASC[THRESHOLDS_ASC.length - 1];
+
+/**
+ * The reminder due for a car with `daysLeft` days to go
+ * Only the tightest threshold crossed is due, so a car first seen 5 days
+ * out gets the 7-day reminder and not a stale 30-day one as well.
+ *
+ * @param {number} daysLeft
+ * @returns {number|null} Threshold in days, or null if none applies
+ */
+export function dueThreshold(daysLeft) {
+  if (daysLeft < 0) return null;
+  return THRESHOLDS_ASC.find(threshold => daysLeft <= threshold) ?? null;
+}
+
+async function getExpiringCars(today) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: cars, error } = await supabaseAdmin
+    .from('cars')
+    .select('id, slug, user_id, vehicle_make, vehicle_model, plate_number, registration_no, expiry_date')
+    .eq('registration_status', REGISTRATION_STATUS.REGISTERED)
+    .is('deleted_at', null)
+    .gte('expiry_date', today)
+    .lte('expiry_date', addDays(today, MAX_THRESHOLD));
+
+  if (error) {
+    logError('Get expiring cars error', error);
+    throw new ReminderError(REMINDER_ERRORS.FAILED_TO_RETRIEVE_CARS);
+  }
+
+  return cars || [];
+}
+
+async function getSentReminderKeys(carIds) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: rows, error } = await supabaseAdmin
+    .from('car_expiry_reminders')
+    .select('car_id, expiry_date, threshold_days')
+    .in('car_id', carIds);
+
+  if (error) {
+    logError('Get sent reminders error', error);
+    throw new ReminderError(REMINDER_ERRORS.FAILED_TO_RUN);
+  }
+
+  return new Set((rows || []).map(row => `${row.car_id}:${row.expiry_date}:${row.threshold_days}`));
+}
+
+async function getOwners(userIds) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: profiles, error } = await supabaseAdmin
+    .from('profiles')
+    .select('id, email, first_name')
+    .in('id', userIds)
+    .is('deleted_at', null);
+
+  if (error) {
+    logError('Get reminder recipients error', error);
+    throw new ReminderError(REMINDER_ERRORS.FAILED_TO_RUN);
+  }
+
+  return new Map((profiles || []).map(profile => [profile.id, profile]));
+}
+
+/**
+ * Claims a reminder by inserting its row
+ * @returns {Promise<number|null>} Row id, or null if it was already claimed
+ */
+async function claimReminder(car, threshold) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: reminder, error } = await supabaseAdmin
+    .from('car_expiry_reminders')
+    .insert({
+      car_id: car.id,
+      user_id: car.user_id,
+      expiry_date: car.expiry_date,
+      threshold_days: threshold
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    if (error.code === DB_ERROR_CODES.UNIQUE_VIOLATION) return null;
+    throw error;
+  }
+
+  return reminder.id;
+}
+
+// Frees the claim so the next run retries a reminder that could not be delivered
+async function releaseReminder(reminderId) {
+  const { error } = await getSupabaseAdmin()
+    .from('car_expiry_reminders')
+    .delete()
+    .eq('id', reminderId);
+
+  if (error) {
+    logError('Release reminder error', error);
+  }
+}
+
+async function sendReminder(car, owner, threshold, daysLeft) {
+  const vehicle = `${car.vehicle_make} ${car.vehicle_model}`;
+  const plateNumber = car.plate_number || car.registration_no;
+
+  await sendCarExpiryReminder({
+    to: owner.email,
+    name: owner.first_name,
+    vehicle,
+    plateNumber,
+    expiryDate: car.expiry_date,
+    daysLeft
+  });
+
+  await notifyUser({
+    userId: car.user_id,
+    type: NOTIFICATION_TYPES.LICENSE,
+    action: EXPIRY_REMINDER_ACTION,
+    title: 'Vehicle papers expiring',
+    message: daysLeft === 0
+      ? `The papers for your ${vehicle} expire today.`
+      : `The papers for your ${vehicle} expire in ${daysLeft} day${daysLeft === 1 ? '' : 's'}.`,
+    data: { car_slug: car.slug, expiry_date: car.expiry_date, days_left: daysLeft, threshold_days: threshold }
+  });
+}
+
+/**
+ * Sends the reminders due today
+ *
+ * Each reminder row is inserted before the email goes out, so a restart,
+ * an overlapping manual run or a second instance skips it (unique key in
+ * migration 020). If the email fails the row is removed again and the
+ * next run retries.
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time (defaults to now)
+ * @returns {Promise<{ checked: number, sent: number, skipped: number, failed: number }>}
+ */
+export async function runExpiryReminders({ now = new Date() } = {}) {
+  const today = toLocalDateString(now);
+  const summary = { checked: 0, sent: 0, skipped: 0, failed: 0 };
+
+  const cars = await getExpiringCars(today);
+  summary.checked = cars.length;
+
+  const due = cars
+    .map(car => ({ car, daysLeft: daysBetween(today, car.expiry_date) }))
+    .map(entry => ({ ...entry, threshold: dueThreshold(entry.daysLeft) }))
+    .filter(entry => entry.threshold !== null);
+
+  if (due.length === 0) {
+    summary.skipped = cars.length;
+    return summary;
+  }
+
+  const sent = await getSentReminderKeys(due.map(({ car }) => car.id));
+  const owners = await getOwners([...new Set(due.map(({ car }) => car.user_id))]);
+
+  for (const { car, daysLeft, threshold } of due) {
+    const owner = owners.get(car.user_id);
+
+    if (!owner?.email || sent.has(`${car.id}:${car.expiry_date}:${threshold}`)) {
+      summary.skipped++;
+      continue;
+    }
+
+    let reminderId;
+    try {
+      reminderId = await claimReminder(car, threshold);
+    } catch (error) {
+      logError('Claim reminder error', error);
+      summary.failed++;
+      continue;
+    }
+
+    if (!reminderId) {
+      summary.skipped++;
+      continue;
+    }
+
+    try {
+      await sendReminder(car, owner, threshold, daysLeft);
+      summary.sent++;
+    } catch (error) {
+      logError('Send expiry reminder error', error);
+      await releaseReminder(reminderId);
+      summary.failed++;
+    }
+  }
+
+  summary.skipped += cars.length - due.length;
+  return summary;
+}
+
+// ====== SCHEDULER ======
+
+let timer = null;
+let inFlight = null;
+
+/**
+ * Runs reminders unless a run is already in progress, in which case the
+ * caller shares that run's result
+ */
+export function triggerExpiryReminders(options) {
+  if (!inFlight) {
+    inFlight = runExpiryReminders(options).finally(() => {
+      inFlight = null;
+    });
+  }
+  return inFlight;
+}
+
+const scheduledRun = () => triggerExpiryReminders()
+  .then(summary => console.log('[Expiry Reminders] Run complete:', summary))
+  .catch(error => logError('Scheduled expiry reminders error', error));
+
+/**
+ * Starts the in-process scheduler when EXPIRY_REMINDERS_ENABLED=true
+ * Runs once at startup and then every EXPIRY_REMINDER_INTERVAL_MS.
+ *
+ * @returns {boolean} Whether the scheduler was started
+ */
+export function startExpiryReminderScheduler({
+  enabled = EXPIRY_REMINDER_SCHEDULER.ENABLED,
+  intervalMs = EXPIRY_REMINDER_SCHEDULER.INTERVAL_MS
+} = {}) {
+  if (!enabled || timer) return false;
+
+  // Timers must not keep the process alive on shutdown
+  timer = setInterval(scheduledRun, intervalMs);
+  timer.unref();
+  setImmediate(scheduledRun);
+
+  return true;
+}
+
+export function stopExpiryReminderScheduler() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
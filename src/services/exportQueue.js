@@ -0,0 +1,38 @@
+/**
+ * SCALABILITY: In-process queue for personal data export jobs
+ *
+ * Jobs run one at a time in THIS server instance, after the request that
+ * queued them has returned. A job queued when the process stops is lost;
+ * its data_exports row goes stale and the user can request a new export
+ * (see DATA_EXPORT.STALE_AFTER_MS).
+ *
+ * setExportQueue() swaps in a shared job queue exposing the same method:
+ * - enqueue(jobId, handler)  -> void | Promise<void>
+ *   handler(jobId) does the work and records its own failures
+ */
+export class InProcessExportQueue {
+  constructor() {
+    this.tail = Promise.resolve();
+  }
+
+  enqueue(jobId, handler) {
+    // Sequential on purpose: a job holds the user's documents in memory while zipping
+    this.tail = this.tail
+      .then(() => handler(jobId))
+      .catch(error => console.error(`[Data Export] Job ${jobId} failed:`, error.message));
+  }
+}
+
+let queue = new InProcessExportQueue();
+
+export function getExportQueue() {
+  return queue;
+}
+
+/**
+ * Swaps the queue implementation (e.g. for a shared job queue adapter)
+ * @param {Object} adapter - Object implementing enqueue()
+ */
+export function setExportQueue(adapter) {
+  queue = adapter;
+}
@@ -63,6 +63,30 @@ export const uploadFiles = async (files, userId, carSlug = null) => {
   return Promise.all(uploadPromises);
 };
 
+/**
+ * Path inside our bucket for a public file URL
+ * @param {string} fileUrl - Public URL of the file
+ * @returns {string|null} - Path, or null if the URL is not from our bucket
+ */
+export const getPathFromUrl = (fileUrl) => {
+  if (!fileUrl || typeof fileUrl !== 'string') {
+    return null;
+  }
+  
+  // Supabase Storage URLs format: {SUPABASE_URL}/storage/v1/object/public/{BUCKET}/{PATH}
+  const urlParts = fileUrl.split('/storage/v1/object/public/');
+  if (urlParts.length !== 2) {
+    return null;
+  }
+  
+  const pathParts = urlParts[1].split('/');
+  if (pathParts[0] !== BUCKET_NAME) {
+    return null;
+  }
+  
+  return pathParts.slice(1).join('/');
+};
+
 /**
  * Deletes a file from Supabase Storage
  * @param {string} fileUrl - Public URL of the file
@@ -76,22 +100,12 @@ export const deleteFile = async (fileUrl) => {
   try {
     const supabaseAdmin = getSupabaseAdmin();
     
-    // Extract file path from URL
-    // Supabase Storage URLs format: {SUPABASE_URL}/storage/v1/object/public/{BUCKET}/{PATH}
-    const urlParts = fileUrl.split('/storage/v1/object/public/');
-    if (urlParts.length !== 2) {
-      // Not a Supabase Storage URL, skip deletion
+    const filePath = getPathFromUrl(fileUrl);
+    if (!filePath) {
+      // Not a Supabase Storage URL from our bucket, skip deletion
       return;
     }
     
-    const pathParts = urlParts[1].split('/');
-    if (pathParts[0] !== BUCKET_NAME) {
-      // Not from our bucket, skip deletion
-      return;
-    }
-    
-    const filePath = pathParts.slice(1).join('/');
-    
     const { error } = await supabaseAdmin.storage
       .from(BUCKET_NAME)
       .remove([filePath]);
@@ -184,3 +198,48 @@ export const moveFilesToCarFolder = async (tempUrls, userId, carSlug) => {
   
   return newUrls;
 };
+
+/**
+ * Uploads a generated file to an exact path in the bucket
+ * Unlike uploadFile, the caller chooses the path and the file is overwritten
+ * if it exists - used for server-generated documents such as receipts.
+ * @param {string} filePath - Path inside the bucket
+ * @param {Buffer} fileBuffer - File contents
+ * @param {string} mimetype - File MIME type
+ * @returns {Promise<string>} - The stored path
+ */
+export const uploadFileToPath = async (filePath, fileBuffer, mimetype) => {
+  const supabaseAdmin = getSupabaseAdmin();
+  
+  const { error } = await supabaseAdmin.storage
+    .from(BUCKET_NAME)
+    .upload(filePath, fileBuffer, {
+      contentType: mimetype,
+      upsert: true
+    });
+  
+  if (error) {
+    throw new Error(`Failed to upload file: ${error.message}`);
+  }
+  
+  return filePath;
+};
+
+/**
+ * Downloads a file by its path in the bucket
+ * @param {string} filePath - Path inside the bucket
+ * @returns {Promise<Buffer|null>} - File contents, or null if it cannot be read
+ */
+export const downloadFileByPath = async (filePath) => {
+  const supabaseAdmin = getSupabaseAdmin();
+  
+  const { data, error } = await supabaseAdmin.storage
+    .from(BUCKET_NAME)
+    .download(filePath);
+  
+  if (error || !data) {
+    return null;
+  }
+  
+  return Buffer.from(await data.arrayBuffer());
+};
@@ -0,0 +1,6 @@
+export class IdentityProviderError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IdentityProviderError';
+  }
+}
@@ -0,0 +1,107 @@
+import { createFakeProvider } from './providers/fake.provider.js';
+import { createHttpProvider } from './providers/http.provider.js';
+import { IdentityProviderError } from './identity.errors.js';
+import { logError } from '../../utils/logger.js';
+import { IDENTITY_OUTCOMES } from '../../constants/kyc.constants.js';
+
+export { IdentityProviderError };
+
+/**
+ * IDENTITY VERIFICATION SERVICE
+ *
+ * Provider interface:
+ * - lookupNin(nin)                    -> Promise<record | null>
+ * - lookupBvn(bvn)                    -> Promise<record | null>
+ * - matchIdentity(submitted, record)  -> { matched, mismatches }
+ * where record is { first_name, middle_name, last_name, date_of_birth, phone }.
+ * Lookups throw IdentityProviderError when the provider is unreachable.
+ *
+ * Provider selection:
+ * - IDENTITY_PROVIDER=fake|http|none forces a driver
+ * - otherwise IDENTITY_API_KEY selects the real (http) provider
+ * - without a key the fake is used outside production; in production
+ *   no provider is used and every KYC goes to manual review
+ */
+
+let provider;
+
+function createProvider() {
+  const driver = process.env.IDENTITY_PROVIDER
+    || (process.env.IDENTITY_API_KEY ? 'http' : null)
+    || (process.env.NODE_ENV === 'production' ? 'none' : 'fake');
+
+  switch (driver) {
+    case 'http':
+      return createHttpProvider();
+    case 'fake':
+      return createFakeProvider();
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown IDENTITY_PROVIDER: ${driver}`);
+  }
+}
+
+export function getIdentityProvider() {
+  if (provider === undefined) {
+    provider = createProvider();
+  }
+  return provider;
+}
+
+/**
+ * Swaps the provider implementation (null disables automatic checks)
+ */
+export function setIdentityProvider(adapter) {
+  provider = adapter;
+}
+
+async function checkNumber(activeProvider, kind, number, submitted) {
+  const record = kind === 'nin'
+    ? await activeProvider.lookupNin(number)
+    : await activeProvider.lookupBvn(number);
+
+  const label = kind.toUpperCase();
+
+  if (!record) {
+    return { outcome: IDENTITY_OUTCOMES.NOT_FOUND, notes: `${label} not found` };
+  }
+
+  const { matched, mismatches } = activeProvider.matchIdentity(submitted, record);
+  if (!matched) {
+    return { outcome: IDENTITY_OUTCOMES.MISMATCH, notes: `${label} record mismatch: ${mismatches.join(', ')}` };
+  }
+
+  return null;
+}
+
+/**
+ * Checks submitted KYC details against the identity provider
+ * Never throws - provider failures come back as UNAVAILABLE so the
+ * KYC can fall through to manual review
+ *
+ * @param {Object} submitted - { nin, bvn, first_name, last_name, date_of_birth }
+ * @returns {Promise<{ outcome: string, notes: string }>}
+ */
+export async function verifyIdentity(submitted) {
+  try {
+    const activeProvider = getIdentityProvider();
+
+    if (!activeProvider) {
+      return { outcome: IDENTITY_OUTCOMES.UNAVAILABLE, notes: 'No identity provider configured' };
+    }
+
+    const ninResult = await checkNumber(activeProvider, 'nin', submitted.nin, submitted);
+    if (ninResult) return ninResult;
+
+    if (submitted.bvn) {
+      const bvnResult = await checkNumber(activeProvider, 'bvn', submitted.bvn, submitted);
+      if (bvnResult) return bvnResult;
+    }
+
+    return { outcome: IDENTITY_OUTCOMES.VERIFIED, notes: `Matched by ${activeProvider.name} provider` };
+  } catch (error) {
+    logError('Identity verification error', error);
+    return { outcome: IDENTITY_OUTCOMES.UNAVAILABLE, notes: `Identity provider unavailable: ${error.message}` };
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * Name / date-of-birth matching shared by identity providers
+ */
+
+const normalizeName = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/[^a-z]/g, '');
+
+const normalizeDate = (date) => (date ? String(date).slice(0, 10) : null);
+
+/**
+ * Compares submitted KYC details with a provider record
+ *
+ * Names are compared case- and punctuation-insensitively, and a swapped
+ * first/last name is accepted since registries are inconsistent about order.
+ *
+ * @param {Object} submitted - { first_name, last_name, date_of_birth }
+ * @param {Object} record - Normalized provider record
+ * @returns {{ matched: boolean, mismatches: string[] }}
+ */
+export function matchIdentity(submitted, record) {
+  const first = normalizeName(submitted.first_name);
+  const last = normalizeName(submitted.last_name);
+  const recordFirst = normalizeName(record.first_name);
+  const recordLast = normalizeName(record.last_name);
+
+  const mismatches = [];
+  const swapped = first === recordLast && last === recordFirst;
+
+  if (!swapped) {
+    if (first !== recordFirst) mismatches.push('first_name');
+    if (last !== recordLast) mismatches.push('last_name');
+  }
+
+  if (normalizeDate(submitted.date_of_birth) !== normalizeDate(record.date_of_birth)) {
+    mismatches.push('date_of_birth');
+  }
+
+  return { matched: mismatches.length === 0, mismatches };
+}
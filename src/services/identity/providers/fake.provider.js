@@ -0,0 +1,41 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { matchIdentity } from '../match.js';
+import { IdentityProviderError } from '../identity.errors.js';
+
+/**
+ * FAKE IDENTITY PROVIDER
+ *
+ * Deterministic in-process provider backed by a fixtures file, so the
+ * KYC auto-verification flow runs locally and in tests without network.
+ *
+ * Fixtures format (see fixtures/identities.json):
+ * - nin / bvn: records keyed by number
+ * - unavailable: numbers that simulate a provider outage
+ *
+ * Environment Variables (optional):
+ * - IDENTITY_FIXTURES_PATH: Alternative fixtures file
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FIXTURES_PATH = join(__dirname, '..', 'fixtures', 'identities.json');
+
+export function createFakeProvider(fixturesPath = process.env.IDENTITY_FIXTURES_PATH || DEFAULT_FIXTURES_PATH) {
+  const fixtures = JSON.parse(readFileSync(fixturesPath, 'utf8'));
+  const unavailable = new Set(fixtures.unavailable || []);
+
+  const lookup = (kind, number) => {
+    if (unavailable.has(number)) {
+      throw new IdentityProviderError(`Fake ${kind.toUpperCase()} lookup unavailable`);
+    }
+    return fixtures[kind]?.[number] || null;
+  };
+
+  return {
+    name: 'fake',
+    lookupNin: async (nin) => lookup('nin', nin),
+    lookupBvn: async (bvn) => lookup('bvn', bvn),
+    matchIdentity
+  };
+}
@@ -0,0 +1,70 @@
+import { matchIdentity } from '../match.js';
+import { IdentityProviderError } from '../identity.errors.js';
+
+/**
+ * HTTP IDENTITY PROVIDER
+ *
+ * Looks up NIN/BVN records from a verification API over HTTPS.
+ *
+ * Environment Variables Required:
+ * - IDENTITY_API_KEY: Provider secret key (sent as a Bearer token)
+ * - IDENTITY_API_URL: Base URL, e.g. https://api.provider.ng/v1/identity
+ *
+ * Optional:
+ * - IDENTITY_API_TIMEOUT_MS: Request timeout (default 10000)
+ *
+ * Expects GET {url}/nin/{number} and {url}/bvn/{number} to return the
+ * record as JSON (optionally wrapped in `data`), and 404 when not found.
+ */
+
+// Providers differ in field naming - accept the common variants
+const toRecord = (body) => {
+  const data = body?.data ?? body;
+  return {
+    first_name: data.first_name ?? data.firstname ?? data.firstName ?? null,
+    middle_name: data.middle_name ?? data.middlename ?? data.middleName ?? null,
+    last_name: data.last_name ?? data.lastname ?? data.surname ?? data.lastName ?? null,
+    date_of_birth: data.date_of_birth ?? data.dob ?? data.birthdate ?? data.dateOfBirth ?? null,
+    phone: data.phone ?? data.phone_number ?? data.telephoneno ?? data.phoneNumber ?? null
+  };
+};
+
+export function createHttpProvider({
+  apiKey = process.env.IDENTITY_API_KEY,
+  baseUrl = process.env.IDENTITY_API_URL,
+  timeoutMs = parseInt(process.env.IDENTITY_API_TIMEOUT_MS, 10) || 10000
+} = {}) {
+  if (!baseUrl) {
+    throw new Error('IDENTITY_API_URL not configured');
+  }
+
+  const lookup = async (kind, number) => {
+    let res;
+    try {
+      res = await fetch(`${baseUrl.replace(/\/$/, '')}/${kind}/${encodeURIComponent(number)}`, {
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Accept': 'application/json'
+        },
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (error) {
+      throw new IdentityProviderError(`${kind.toUpperCase()} lookup failed: ${error.message}`);
+    }
+
+    if (res.status === 404) return null;
+
+    if (!res.ok) {
+      throw new IdentityProviderError(`${kind.toUpperCase()} lookup failed with status ${res.status}`);
+    }
+
+    return toRecord(await res.json());
+  };
+
+  return {
+    name: 'http',
+    lookupNin: (nin) => lookup('nin', nin),
+    lookupBvn: (bvn) => lookup('bvn', bvn),
+    matchIdentity
+  };
+}
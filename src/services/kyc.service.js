@@ -0,0 +1,314 @@
+import { getSupabaseAdmin } from '../config/supabase.js';
+import { notifyUser } from './notification.service.js';
+import { verifyIdentity } from './identity/identity.service.js';
+import { invalidateProfileCache } from '../middleware/authenticate.js';
+import { logError } from '../utils/logger.js';
+import { DB_ERROR_CODES, HTTP_STATUS } from '../constants/car.constants.js';
+import { KYC_STATUS, KYC_DECISIONS, KYC_ERRORS, VERIFICATION_METHODS, IDENTITY_OUTCOMES } from '../constants/kyc.constants.js';
+import { NOTIFICATION_TYPES } from '../constants/notification.constants.js';
+
+export class KycError extends Error {
+  constructor(message, statusCode = HTTP_STATUS.SERVER_ERROR) {
+    super(message);
+    this.name = 'KycError';
+    this.statusCode = statusCode;
+  }
+}
+
+const KYC_FIELDS = 'id, user_id, nin, bvn, first_name, last_name, email, phone, date_of_birth, status, rejection_reason, verification_method, verification_notes, reviewed_by, reviewed_at, verified_at, created_at, updated_at';
+
+const DECISION_TITLES = {
+  verify: 'KYC Verified',
+  reject: 'KYC Rejected'
+};
+
+const DECISION_MESSAGES = {
+  verify: 'Your identity has been verified.',
+  reject: 'Your KYC submission has been rejected. Please correct your details and resubmit.'
+};
+
+/**
+ * Builds the kycs row from the request body, falling back to the
+ * user's profile for name and phone
+ */
+function buildKycData(user, { nin, bvn, first_name, last_name, phone, date_of_birth }) {
+  const profile = user.profile;
+  const kycData = {
+    nin,
+    bvn: bvn || null,
+    first_name: first_name || profile.first_name,
+    last_name: last_name || profile.last_name,
+    email: user.email,
+    phone: phone || profile.phone_number,
+    date_of_birth
+  };
+
+  if (!kycData.phone) {
+    throw new KycError(KYC_ERRORS.MISSING_PHONE, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  return kycData;
+}
+
+function handleWriteError(context, error) {
+  if (error.code === DB_ERROR_CODES.UNIQUE_VIOLATION) {
+    // kycs_user_id_key means the user already has a record; anything else is nin/bvn
+    if ((error.message || '').includes('user_id')) {
+      throw new KycError(KYC_ERRORS.ALREADY_SUBMITTED, HTTP_STATUS.CONFLICT);
+    }
+    throw new KycError(KYC_ERRORS.DUPLICATE_IDENTITY, HTTP_STATUS.CONFLICT);
+  }
+
+  logError(context, error);
+  throw new KycError(KYC_ERRORS.FAILED_TO_SUBMIT);
+}
+
+/**
+ * @param {string} userId - Auth user UUID
+ * @returns {Promise<Object|null>} The user's KYC, or null if none was submitted
+ */
+export async function getKycByUserId(userId) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: kyc, error } = await supabaseAdmin
+    .from('kycs')
+    .select(KYC_FIELDS)
+    .eq('user_id', userId)
+    .single();
+
+  if (error) {
+    if (error.code === DB_ERROR_CODES.NOT_FOUND) return null;
+
+    logError('Get KYC error', error);
+    throw new KycError(KYC_ERRORS.FAILED_TO_RETRIEVE);
+  }
+
+  return kyc;
+}
+
+/**
+ * Whether the user's NIN has been locked by a verified KYC
+ */
+export async function isKycVerified(userId) {
+  const kyc = await getKycByUserId(userId);
+  return kyc?.status === KYC_STATUS.VERIFIED;
+}
+
+export async function submitKyc(user, payload) {
+  const existing = await getKycByUserId(user.id);
+  if (existing) {
+    throw new KycError(KYC_ERRORS.ALREADY_SUBMITTED, HTTP_STATUS.CONFLICT);
+  }
+
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: kyc, error } = await supabaseAdmin
+    .from('kycs')
+    .insert({ user_id: user.id, ...buildKycData(user, payload), status: KYC_STATUS.PENDING })
+    .select(KYC_FIELDS)
+    .single();
+
+  if (error) {
+    handleWriteError('Submit KYC error', error);
+  }
+
+  return runAutoVerification(kyc);
+}
+
+/**
+ * Resubmits a rejected KYC in place, sending it back to the review queue
+ * The status filter on the update makes this safe against a concurrent review
+ */
+export async function resubmitKyc(user, payload) {
+  const existing = await getKycByUserId(user.id);
+  if (!existing) {
+    throw new KycError(KYC_ERRORS.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (existing.status !== KYC_STATUS.REJECTED) {
+    throw new KycError(KYC_ERRORS.NOT_REJECTED, HTTP_STATUS.CONFLICT);
+  }
+
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: rows, error } = await supabaseAdmin
+    .from('kycs')
+    .update({
+      ...buildKycData(user, payload),
+      status: KYC_STATUS.PENDING,
+      rejection_reason: null,
+      verification_method: null,
+      verification_notes: null,
+      reviewed_by: null,
+      reviewed_at: null
+    })
+    .eq('id', existing.id)
+    .eq('status', KYC_STATUS.REJECTED)
+    .select(KYC_FIELDS);
+
+  if (error) {
+    handleWriteError('Resubmit KYC error', error);
+  }
+
+  if (!rows || rows.length === 0) {
+    throw new KycError(KYC_ERRORS.NOT_REJECTED, HTTP_STATUS.CONFLICT);
+  }
+
+  return runAutoVerification(rows[0]);
+}
+
+/**
+ * Checks a freshly submitted KYC against the identity provider
+ *
+ * A match verifies the KYC immediately. A mismatch, unknown number or
+ * provider outage leaves it pending and records why in
+ * verification_notes so the admin reviewer can see it.
+ * Never throws - the submission itself has already succeeded.
+ */
+async function runAutoVerification(kyc) {
+  const { outcome, notes } = await verifyIdentity(kyc);
+
+  try {
+    if (outcome === IDENTITY_OUTCOMES.VERIFIED) {
+      return await applyDecision(kyc.id, 'verify', {
+        reviewerId: null,
+        method: VERIFICATION_METHODS.AUTO,
+        notes
+      });
+    }
+
+    const supabaseAdmin = getSupabaseAdmin();
+    const { data: rows, error } = await supabaseAdmin
+      .from('kycs')
+      .update({ verification_notes: notes })
+      .eq('id', kyc.id)
+      .eq('status', KYC_STATUS.PENDING)
+      .select(KYC_FIELDS);
+
+    if (error) {
+      logError('Record KYC verification notes error', error);
+    }
+
+    return rows?.[0] || { ...kyc, verification_notes: notes };
+  } catch (error) {
+    logError('KYC auto-verification error', error);
+    return kyc;
+  }
+}
+
+export async function listKycs({ status, page, limit }) {
+  const supabaseAdmin = getSupabaseAdmin();
+  const from = (page - 1) * limit;
+  const to = page * limit - 1;
+
+  // Oldest submissions first so the queue is worked in arrival order
+  const { data: kycs, count, error } = await supabaseAdmin
+    .from('kycs')
+    .select(KYC_FIELDS, { count: 'exact' })
+    .eq('status', status)
+    .order('created_at', { ascending: true })
+    .range(from, to);
+
+  if (error) {
+    logError('List KYCs error', error);
+    throw new KycError(KYC_ERRORS.FAILED_TO_RETRIEVE);
+  }
+
+  const total = count || 0;
+
+  return {
+    kycs: kycs || [],
+    pagination: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+export async function getKycById(kycId) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: kyc, error } = await supabaseAdmin
+    .from('kycs')
+    .select(KYC_FIELDS)
+    .eq('id', kycId)
+    .single();
+
+  if (error || !kyc) {
+    if (!error || error.code === DB_ERROR_CODES.NOT_FOUND) {
+      throw new KycError(KYC_ERRORS.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    logError('Get KYC by id error', error);
+    throw new KycError(KYC_ERRORS.FAILED_TO_RETRIEVE);
+  }
+
+  return kyc;
+}
+
+/**
+ * Applies a verify/reject decision to a pending KYC
+ * The status check, update and profile NIN copy run in a single
+ * database transaction (see review_kyc in migration 016)
+ */
+async function applyDecision(kycId, decision, { reviewerId, reason = null, method, notes = null }) {
+  const status = KYC_DECISIONS[decision];
+
+  const supabaseAdmin = getSupabaseAdmin();
+  const { data: rows, error } = await supabaseAdmin.rpc('review_kyc', {
+    p_kyc_id: kycId,
+    p_reviewer_id: reviewerId,
+    p_status: status,
+    p_reason: reason,
+    p_method: method,
+    p_notes: notes
+  });
+
+  if (error) {
+    logError('KYC review error', error);
+    throw new KycError(KYC_ERRORS.FAILED_TO_REVIEW);
+  }
+
+  // Reviewed by someone else between our read and the locked update
+  if (!rows || rows.length === 0) {
+    throw new KycError(KYC_ERRORS.NOT_PENDING, HTTP_STATUS.CONFLICT);
+  }
+
+  const kyc = rows[0];
+
+  // profiles.nin changed on verification - drop the cached copy
+  invalidateProfileCache(kyc.user_id);
+
+  await notifyUser({
+    userId: kyc.user_id,
+    type: NOTIFICATION_TYPES.KYC,
+    action: status,
+    title: DECISION_TITLES[decision],
+    message: reason ? `${DECISION_MESSAGES[decision]} Reason: ${reason}` : DECISION_MESSAGES[decision],
+    data: { kyc_id: kyc.id, status, reason }
+  });
+
+  return kyc;
+}
+
+/**
+ * Manual admin decision on a pending KYC
+ */
+export async function reviewKyc(kycId, decision, reviewerId, reason = null) {
+  if (!KYC_DECISIONS[decision]) {
+    throw new KycError(KYC_ERRORS.NOT_PENDING, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const existing = await getKycById(kycId);
+  if (existing.status !== KYC_STATUS.PENDING) {
+    throw new KycError(KYC_ERRORS.NOT_PENDING, HTTP_STATUS.CONFLICT);
+  }
+
+  return applyDecision(existing.id, decision, {
+    reviewerId,
+    reason,
+    method: VERIFICATION_METHODS.MANUAL
+  });
+}
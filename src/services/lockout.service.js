@@ -0,0 +1,240 @@
+import { getSupabaseAdmin } from '../config/supabase.js';
+import { getClientInfo } from './session.service.js';
+import { notifyUser } from './notification.service.js';
+import { sendAccountLockedAlert } from './email/email.service.js';
+import { logError } from '../utils/logger.js';
+import { DB_ERROR_CODES, HTTP_STATUS } from '../constants/car.constants.js';
+import { NOTIFICATION_TYPES } from '../constants/notification.constants.js';
+import { ACCOUNT_LOCKOUT, LOCKOUT_ERRORS } from '../constants/lockout.constants.js';
+
+export class LockoutError extends Error {
+  constructor(message, statusCode = HTTP_STATUS.SERVER_ERROR) {
+    super(message);
+    this.name = 'LockoutError';
+    this.statusCode = statusCode;
+  }
+}
+
+/*
+ * The login paths call these around every attempt. Apart from the admin
+ * functions they fail open: a lockout table problem is logged and the
+ * login carries on, it never locks everyone out.
+ */
+
+function toLockInfo(lockedUntil, now = new Date()) {
+  const until = new Date(lockedUntil);
+
+  return {
+    message: LOCKOUT_ERRORS.ACCOUNT_LOCKED,
+    lockedUntil: until.toISOString(),
+    retryAfterSeconds: Math.max(1, Math.ceil((until.getTime() - now.getTime()) / 1000))
+  };
+}
+
+/**
+ * Account id for a login email, so failed password and OTP attempts can be
+ * counted against the account before Supabase tells us who it is
+ * @returns {Promise<string|null>}
+ */
+export async function findUserIdByEmail(email) {
+  if (!email) return null;
+
+  try {
+    const { data, error } = await getSupabaseAdmin()
+      .from('profiles')
+      .select('id')
+      .eq('email', String(email).trim().toLowerCase())
+      .single();
+
+    if (error && error.code !== DB_ERROR_CODES.NOT_FOUND) throw error;
+
+    return data?.id || null;
+  } catch (error) {
+    logError('Lockout user lookup error', error);
+    return null;
+  }
+}
+
+/**
+ * @returns {Promise<Object|null>} { message, lockedUntil, retryAfterSeconds } while locked
+ */
+export async function checkLockout(userId, now = new Date()) {
+  if (!userId) return null;
+
+  try {
+    const { data, error } = await getSupabaseAdmin()
+      .from('account_lockouts')
+      .select('locked_until')
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== DB_ERROR_CODES.NOT_FOUND) throw error;
+
+    if (!data?.locked_until || new Date(data.locked_until) <= now) return null;
+
+    return toLockInfo(data.locked_until, now);
+  } catch (error) {
+    logError('Check lockout error', error);
+    return null;
+  }
+}
+
+async function alertOwner(userId, factor, lockedUntil, ipAddress) {
+  const supabaseAdmin = getSupabaseAdmin();
+  const minutes = Math.round((new Date(lockedUntil).getTime() - Date.now()) / 60000);
+
+  const { data: profile } = await supabaseAdmin
+    .from('profiles')
+    .select('email')
+    .eq('id', userId)
+    .single();
+
+  if (profile?.email) {
+    await sendAccountLockedAlert({ to: profile.email, minutes, ipAddress });
+  }
+
+  await notifyUser({
+    userId,
+    type: NOTIFICATION_TYPES.SECURITY,
+    action: 'account_locked',
+    title: 'Account Temporarily Locked',
+    message: `Your account was locked for ${minutes} minutes after repeated failed sign-in attempts. If this wasn't you, change your password.`,
+    data: { factor, locked_until: lockedUntil }
+  });
+}
+
+/**
+ * Counts a failed attempt at one login factor (see record_login_failure in
+ * migration 027) and alerts the owner when it locks the account
+ *
+ * @param {string} userId - Account being logged into
+ * @param {string} factor - One of LOGIN_FACTORS
+ * @returns {Promise<Object|null>} Lock info if this attempt locked the account
+ */
+export async function recordLoginFailure(userId, factor, req) {
+  if (!userId) return null;
+
+  const { ipAddress } = getClientInfo(req);
+
+  try {
+    const { data, error } = await getSupabaseAdmin().rpc('record_login_failure', {
+      p_user_id: userId,
+      p_factor: factor,
+      p_ip_address: ipAddress,
+      p_max_attempts: ACCOUNT_LOCKOUT.MAX_FAILED_ATTEMPTS,
+      p_base_minutes: ACCOUNT_LOCKOUT.BASE_LOCK_MINUTES,
+      p_max_minutes: ACCOUNT_LOCKOUT.MAX_LOCK_MINUTES
+    });
+
+    if (error) throw error;
+
+    const result = Array.isArray(data) ? data[0] : data;
+    if (!result?.locked) return null;
+
+    try {
+      await alertOwner(userId, factor, result.lock_expires_at, ipAddress);
+    } catch (alertError) {
+      logError('Account locked alert error', alertError);
+    }
+
+    return toLockInfo(result.lock_expires_at);
+  } catch (error) {
+    logError('Record login failure error', error);
+    return null;
+  }
+}
+
+/**
+ * Resets the counter for one factor once it has been passed
+ */
+export async function clearLoginFailures(userId, factor) {
+  try {
+    const { error } = await getSupabaseAdmin()
+      .from('login_failures')
+      .delete()
+      .eq('user_id', userId)
+      .eq('factor', factor);
+
+    if (error) throw error;
+  } catch (error) {
+    logError('Clear login failures error', error);
+  }
+}
+
+/**
+ * Forgets every counter and past lockout after a complete, successful login
+ */
+export async function resetLoginFailures(userId) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  try {
+    const { error } = await supabaseAdmin
+      .from('login_failures')
+      .delete()
+      .eq('user_id', userId);
+
+    if (error) throw error;
+
+    const { error: lockoutError } = await supabaseAdmin
+      .from('account_lockouts')
+      .delete()
+      .eq('user_id', userId);
+
+    if (lockoutError) throw lockoutError;
+  } catch (error) {
+    logError('Reset login failures error', error);
+  }
+}
+
+/**
+ * Lockout details for the admin user view
+ */
+export async function getLockoutStatus(userId, now = new Date()) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const [{ data: lockout, error }, { data: failures, error: failuresError }] = await Promise.all([
+    supabaseAdmin
+      .from('account_lockouts')
+      .select('lockout_count, locked_until, locked_at, reason, ip_address')
+      .eq('user_id', userId)
+      .single(),
+    supabaseAdmin
+      .from('login_failures')
+      .select('factor, attempts, last_failed_at, last_ip_address')
+      .eq('user_id', userId)
+  ]);
+
+  if ((error && error.code !== DB_ERROR_CODES.NOT_FOUND) || failuresError) {
+    logError('Get lockout status error', error || failuresError);
+    throw new LockoutError(LOCKOUT_ERRORS.FAILED_TO_RETRIEVE);
+  }
+
+  return {
+    locked: !!lockout?.locked_until && new Date(lockout.locked_until) > now,
+    locked_until: lockout?.locked_until || null,
+    locked_at: lockout?.locked_at || null,
+    reason: lockout?.reason || null,
+    ip_address: lockout?.ip_address || null,
+    lockout_count: lockout?.lockout_count || 0,
+    failed_attempts: failures || []
+  };
+}
+
+/**
+ * Lifts a lockout and resets the counters (admin)
+ */
+export async function clearLockout(userId) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  for (const table of ['account_lockouts', 'login_failures']) {
+    const { error } = await supabaseAdmin
+      .from(table)
+      .delete()
+      .eq('user_id', userId);
+
+    if (error) {
+      logError('Clear lockout error', error);
+      throw new LockoutError(LOCKOUT_ERRORS.FAILED_TO_CLEAR);
+    }
+  }
+}
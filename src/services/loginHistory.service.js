@@ -0,0 +1,249 @@
+import { createHash } from 'crypto';
+import { isIP } from 'net';
+import { getSupabaseAdmin } from '../config/supabase.js';
+import { invalidateProfileCache } from '../middleware/authenticate.js';
+import { recordSession, revokeAllSessions, getSessionId, getClientInfo, describeDevice } from './session.service.js';
+import { notifyUser } from './notification.service.js';
+import { sendNewLoginAlert } from './email/email.service.js';
+import { logError } from '../utils/logger.js';
+import { generateToken } from '../utils/idGenerator.js';
+import { hashSecret, verifySecret } from '../utils/secretHash.js';
+import { HTTP_STATUS } from '../constants/car.constants.js';
+import { NOTIFICATION_TYPES } from '../constants/notification.constants.js';
+import {
+  LOGIN_ALERT,
+  LOGIN_ALERT_REASONS,
+  SESSION_REVOKE_REASONS,
+  SESSION_ERRORS
+} from '../constants/session.constants.js';
+
+export class LoginHistoryError extends Error {
+  constructor(message, statusCode = HTTP_STATUS.SERVER_ERROR) {
+    super(message);
+    this.name = 'LoginHistoryError';
+    this.statusCode = statusCode;
+  }
+}
+
+const HISTORY_FIELDS = 'id, session_id, device_name, user_agent, ip_address, alert_reason, reported_at, created_at';
+
+// First four groups of an IPv6 address, with "::" expanded
+function getIpv6Prefix(address) {
+  const [head, tail] = address.split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const groups = tail === undefined
+    ? left
+    : [...left, ...Array(8 - left.length - right.length).fill('0'), ...right];
+
+  return groups.slice(0, 4).join(':');
+}
+
+// The network an address belongs to (/24 or /64), so a new address from
+// the same home or mobile network doesn't look like a new device
+function getNetwork(ipAddress) {
+  if (!ipAddress) return 'unknown';
+
+  const address = ipAddress.replace(/^::ffff:/, '');
+  if (isIP(address) === 4) return address.split('.').slice(0, 3).join('.');
+  if (isIP(address) === 6) return getIpv6Prefix(address);
+  return address;
+}
+
+/**
+ * Identifies a device from its user agent and network
+ * Only the browser and OS are taken from the user agent, so a browser
+ * update doesn't make a known device look new.
+ *
+ * @param {Object} client - From getClientInfo
+ * @returns {string} SHA-256 hex
+ */
+export function getDeviceFingerprint({ userAgent, ipAddress }) {
+  const device = describeDevice(userAgent) || userAgent || 'unknown';
+  return createHash('sha256').update(`${device}|${getNetwork(ipAddress)}`).digest('hex');
+}
+
+/**
+ * Why the owner should hear about this sign-in, or null
+ * A user's first recorded sign-in is never reported: there is nothing
+ * to compare it with.
+ */
+async function getAlertReason(userId, fingerprint, now) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const [{ data: profile }, { data: latest }, { data: sameDevice }] = await Promise.all([
+    supabaseAdmin.from('profiles').select('password_reset_at').eq('id', userId).single(),
+    supabaseAdmin.from('login_history').select('created_at').eq('user_id', userId).order('created_at', { ascending: false }).limit(1),
+    supabaseAdmin.from('login_history').select('id').eq('user_id', userId).eq('device_fingerprint', fingerprint).limit(1)
+  ]);
+
+  const lastLogin = latest?.[0];
+  if (!lastLogin) return null;
+
+  // Only the first sign-in after the reset
+  const resetAt = profile?.password_reset_at ? new Date(profile.password_reset_at) : null;
+  if (resetAt && now - resetAt < LOGIN_ALERT.PASSWORD_RESET_WINDOW_MS && new Date(lastLogin.created_at) < resetAt) {
+    return LOGIN_ALERT_REASONS.AFTER_PASSWORD_RESET;
+  }
+
+  return sameDevice?.length ? null : LOGIN_ALERT_REASONS.NEW_DEVICE;
+}
+
+async function alertOwner(userId, login, reportToken) {
+  const { data: profile } = await getSupabaseAdmin()
+    .from('profiles')
+    .select('email')
+    .eq('id', userId)
+    .single();
+
+  const afterPasswordReset = login.alert_reason === LOGIN_ALERT_REASONS.AFTER_PASSWORD_RESET;
+
+  if (profile?.email) {
+    const params = new URLSearchParams({ login_id: login.id, token: reportToken });
+    await sendNewLoginAlert({
+      to: profile.email,
+      afterPasswordReset,
+      deviceName: login.device_name,
+      ipAddress: login.ip_address,
+      signedInAt: login.created_at,
+      reportUrl: `${LOGIN_ALERT.REPORT_URL}?${params}`
+    });
+  }
+
+  await notifyUser({
+    userId,
+    type: NOTIFICATION_TYPES.SECURITY,
+    action: login.alert_reason,
+    title: 'New sign-in',
+    message: `Your account was signed in to${afterPasswordReset ? ' after a password reset' : ''} from ${login.device_name || 'a new device'}. If this wasn't you, use the link in the email we sent you.`,
+    data: { login_id: login.id, device_name: login.device_name, ip_address: login.ip_address }
+  });
+}
+
+/**
+ * Records a completed sign-in: the session (see recordSession) and a
+ * login_history row. The owner is emailed a "this wasn't me" link when
+ * the device is new or the password was reset just before.
+ * Never throws - the login has already succeeded.
+ */
+export async function recordLogin(session, userId, req) {
+  await recordSession(session, userId, req);
+  if (!session?.access_token) return;
+
+  try {
+    const client = getClientInfo(req);
+    const fingerprint = getDeviceFingerprint(client);
+    const now = new Date();
+
+    const alertReason = await getAlertReason(userId, fingerprint, now);
+    const reportToken = alertReason ? generateToken(48) : null;
+
+    const { data: login, error } = await getSupabaseAdmin()
+      .from('login_history')
+      .insert({
+        user_id: userId,
+        session_id: getSessionId(session.access_token),
+        device_fingerprint: fingerprint,
+        device_name: client.deviceName,
+        user_agent: client.userAgent,
+        ip_address: client.ipAddress,
+        alert_reason: alertReason,
+        report_token: reportToken ? await hashSecret(reportToken) : null,
+        report_expires_at: reportToken ? new Date(now.getTime() + LOGIN_ALERT.REPORT_TTL_MS).toISOString() : null,
+        created_at: now.toISOString()
+      })
+      .select('id, device_name, ip_address, alert_reason, created_at')
+      .single();
+
+    if (error) throw error;
+
+    if (reportToken) {
+      await alertOwner(userId, login, reportToken);
+    }
+  } catch (error) {
+    logError('Record login error', error);
+  }
+}
+
+/**
+ * The user's recent sign-ins, newest first
+ */
+export async function listLoginHistory(userId) {
+  const { data, error } = await getSupabaseAdmin()
+    .from('login_history')
+    .select(HISTORY_FIELDS)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(LOGIN_ALERT.HISTORY_LIMIT);
+
+  if (error) {
+    logError('List login history error', error);
+    throw new LoginHistoryError(SESSION_ERRORS.FAILED_TO_RETRIEVE_HISTORY);
+  }
+
+  return data || [];
+}
+
+/**
+ * Acts on the "this wasn't me" link from a sign-in alert
+ * Every session is revoked and the account can't be used again until the
+ * password is reset (profiles.password_reset_required). Repeating the
+ * steps is harmless, so the link is only marked used once they are done.
+ *
+ * @param {Object} options
+ * @param {string} options.loginId - login_history id from the link
+ * @param {string} options.token - Token from the link
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export async function reportLogin({ loginId, token }) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: login } = await supabaseAdmin
+    .from('login_history')
+    .select('id, user_id, report_token, report_expires_at, reported_at')
+    .eq('id', loginId)
+    .single();
+
+  if (
+    !login?.report_token ||
+    login.reported_at ||
+    new Date(login.report_expires_at) < new Date() ||
+    !(await verifySecret(token, login.report_token))
+  ) {
+    throw new LoginHistoryError(SESSION_ERRORS.INVALID_REPORT_LINK, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const { error: profileError } = await supabaseAdmin
+    .from('profiles')
+    .update({ password_reset_required: true })
+    .eq('id', login.user_id);
+
+  if (profileError) {
+    logError('Require password reset error', profileError);
+    throw new LoginHistoryError(SESSION_ERRORS.FAILED_TO_REPORT);
+  }
+
+  invalidateProfileCache(login.user_id);
+
+  const revoked = await revokeAllSessions(login.user_id, null, SESSION_REVOKE_REASONS.LOGIN_REPORTED);
+
+  const { error } = await supabaseAdmin
+    .from('login_history')
+    .update({ reported_at: new Date().toISOString(), report_token: null })
+    .eq('id', loginId);
+
+  if (error) {
+    logError('Mark login reported error', error);
+  }
+
+  await notifyUser({
+    userId: login.user_id,
+    type: NOTIFICATION_TYPES.SECURITY,
+    action: 'login_reported',
+    title: 'Account secured',
+    message: 'You reported a sign-in you didn\'t recognise. Every device has been signed out; reset your password to sign in again.',
+    data: { login_id: loginId }
+  });
+
+  return revoked;
+}
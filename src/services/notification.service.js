@@ -0,0 +1,214 @@
+import { getSupabaseAdmin } from '../config/supabase.js';
+import { logError } from '../utils/logger.js';
+import { getNotificationBus } from './notificationBus.js';
+import { HTTP_STATUS } from '../constants/car.constants.js';
+import { NOTIFICATION_ERRORS } from '../constants/notification.constants.js';
+
+export class NotificationError extends Error {
+  constructor(message, statusCode = HTTP_STATUS.SERVER_ERROR) {
+    super(message);
+    this.name = 'NotificationError';
+    this.statusCode = statusCode;
+  }
+}
+
+const NOTIFICATION_FIELDS = 'id, type, action, title, message, data, is_read, created_at, updated_at';
+
+/**
+ * Creates an in-app notification for a user
+ *
+ * This is the single entry point other modules should use.
+ * notifications.user_id stores the 6-char profiles.user_id (see migration 005),
+ * so callers pass the auth UUID and the mapping happens here.
+ *
+ * Never throws - a failed notification must not fail the caller's operation.
+ *
+ * @param {Object} options
+ * @param {string} options.userId - Auth user UUID (profiles.id)
+ * @param {string} options.type - Notification type (see NOTIFICATION_TYPES)
+ * @param {string} options.action - What happened ('approved', 'suspended', ...)
+ * @param {string} options.message - Human readable message
+ * @param {string} [options.title] - Short title
+ * @param {Object} [options.data] - Additional payload for clients
+ * @returns {Promise<Object|null>} Created notification, or null on failure
+ */
+export async function notifyUser({ userId, type, action, message, title = null, data = null }) {
+  try {
+    const supabaseAdmin = getSupabaseAdmin();
+
+    const { data: profile } = await supabaseAdmin
+      .from('profiles')
+      .select('user_id')
+      .eq('id', userId)
+      .single();
+
+    if (!profile?.user_id) {
+      logError('Notify user error', { message: `Profile not found for user ${userId}` });
+      return null;
+    }
+
+    const { data: notification, error } = await supabaseAdmin
+      .from('notifications')
+      .insert({ user_id: profile.user_id, type, action, title, message, data })
+      .select(NOTIFICATION_FIELDS)
+      .single();
+
+    if (error) {
+      logError('Notify user error', error);
+      return null;
+    }
+
+    // Push to live SSE connections; delivery is best-effort, the row is the source of truth
+    await Promise.resolve(getNotificationBus().publish(profile.user_id, notification))
+      .catch(publishError => logError('Notification publish error', publishError));
+
+    return notification;
+  } catch (error) {
+    logError('Notify user error', error);
+    return null;
+  }
+}
+
+/**
+ * @param {string} userCode - 6-char profiles.user_id
+ * @param {Object} filters - { page, limit, type, isRead }
+ */
+export async function listNotifications(userCode, { page, limit, type, isRead }) {
+  const supabaseAdmin = getSupabaseAdmin();
+  const from = (page - 1) * limit;
+  const to = page * limit - 1;
+
+  let query = supabaseAdmin
+    .from('notifications')
+    .select(NOTIFICATION_FIELDS, { count: 'exact' })
+    .eq('user_id', userCode)
+    .order('created_at', { ascending: false })
+    .range(from, to);
+
+  if (type) {
+    query = query.eq('type', type);
+  }
+
+  if (isRead !== undefined) {
+    query = query.eq('is_read', isRead);
+  }
+
+  const { data: notifications, count, error } = await query;
+
+  if (error) {
+    logError('List notifications error', error);
+    throw new NotificationError(NOTIFICATION_ERRORS.FAILED_TO_RETRIEVE);
+  }
+
+  const total = count || 0;
+
+  return {
+    notifications: notifications || [],
+    pagination: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Notifications created after a given id, oldest first
+ * Used to replay missed events when an SSE client reconnects with Last-Event-ID
+ */
+export async function listNotificationsSince(userCode, lastId, limit) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data, error } = await supabaseAdmin
+    .from('notifications')
+    .select(NOTIFICATION_FIELDS)
+    .eq('user_id', userCode)
+    .gt('id', lastId)
+    .order('id', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    logError('List notifications since error', error);
+    throw new NotificationError(NOTIFICATION_ERRORS.FAILED_TO_RETRIEVE);
+  }
+
+  return data || [];
+}
+
+export async function getUnreadCount(userCode) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { count, error } = await supabaseAdmin
+    .from('notifications')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userCode)
+    .eq('is_read', false);
+
+  if (error) {
+    logError('Unread notifications count error', error);
+    throw new NotificationError(NOTIFICATION_ERRORS.FAILED_TO_COUNT);
+  }
+
+  return count || 0;
+}
+
+export async function markAsRead(userCode, notificationId) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data, error } = await supabaseAdmin
+    .from('notifications')
+    .update({ is_read: true })
+    .eq('id', notificationId)
+    .eq('user_id', userCode)
+    .select(NOTIFICATION_FIELDS);
+
+  if (error) {
+    logError('Mark notification read error', error);
+    throw new NotificationError(NOTIFICATION_ERRORS.FAILED_TO_UPDATE);
+  }
+
+  if (!data || data.length === 0) {
+    throw new NotificationError(NOTIFICATION_ERRORS.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  return data[0];
+}
+
+export async function markAllAsRead(userCode) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data, error } = await supabaseAdmin
+    .from('notifications')
+    .update({ is_read: true })
+    .eq('user_id', userCode)
+    .eq('is_read', false)
+    .select('id');
+
+  if (error) {
+    logError('Mark all notifications read error', error);
+    throw new NotificationError(NOTIFICATION_ERRORS.FAILED_TO_UPDATE);
+  }
+
+  return (data || []).length;
+}
+
+export async function deleteNotification(userCode, notificationId) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data, error } = await supabaseAdmin
+    .from('notifications')
+    .delete()
+    .eq('id', notificationId)
+    .eq('user_id', userCode)
+    .select('id');
+
+  if (error) {
+    logError('Delete notification error', error);
+    throw new NotificationError(NOTIFICATION_ERRORS.FAILED_TO_DELETE);
+  }
+
+  if (!data || data.length === 0) {
+    throw new NotificationError(NOTIFICATION_ERRORS.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+}
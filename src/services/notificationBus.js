@@ -0,0 +1,45 @@
+import { EventEmitter } from 'events';
+
+/**
+ * SCALABILITY: In-process notification event bus
+ *
+ * Delivers newly created notifications to SSE connections held by THIS
+ * server instance. With several instances behind a load balancer a user
+ * connected to instance A will not see notifications created on instance B.
+ *
+ * setNotificationBus() swaps in a shared broker exposing the same two methods:
+ * - publish(userCode, notification)      -> void | Promise<void>
+ * - subscribe(userCode, handler)         -> unsubscribe function
+ *
+ * Channels are keyed by the 6-char profiles.user_id, matching notifications.user_id.
+ */
+export class InProcessNotificationBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // One listener per open SSE connection - no meaningful upper bound
+    this.emitter.setMaxListeners(0);
+  }
+
+  publish(userCode, notification) {
+    this.emitter.emit(userCode, notification);
+  }
+
+  subscribe(userCode, handler) {
+    this.emitter.on(userCode, handler);
+    return () => this.emitter.off(userCode, handler);
+  }
+}
+
+let bus = new InProcessNotificationBus();
+
+export function getNotificationBus() {
+  return bus;
+}
+
+/**
+ * Swaps the bus implementation (e.g. for a shared broker adapter)
+ * @param {Object} adapter - Object implementing publish() and subscribe()
+ */
+export function setNotificationBus(adapter) {
+  bus = adapter;
+}
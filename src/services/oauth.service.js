@@ -0,0 +1,238 @@
+import { getSupabase, getSupabaseAdmin } from '../config/supabase.js';
+import { logError } from '../utils/logger.js';
+import { HTTP_STATUS } from '../constants/car.constants.js';
+import { OAUTH_ERRORS } from '../constants/oauth.constants.js';
+
+export class OAuthError extends Error {
+  constructor(message, statusCode = HTTP_STATUS.SERVER_ERROR) {
+    super(message);
+    this.name = 'OAuthError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Calls a Supabase Auth endpoint as the signed-in user
+ * supabase-js only links and unlinks identities for the session held in
+ * its own storage, which a stateless API doesn't have, so the same
+ * endpoints are called directly with the user's access token.
+ *
+ * @returns {Promise<{ data: Object|null, error: { status: number, code: string, message: string }|null }>}
+ */
+async function authRequest(method, path, accessToken, body) {
+  const { SUPABASE_URL, SUPABASE_ANON_KEY } = process.env;
+
+  const res = await fetch(`${SUPABASE_URL}/auth/v1${path}`, {
+    method,
+    headers: {
+      apikey: SUPABASE_ANON_KEY,
+      Authorization: `Bearer ${accessToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const payload = await res.json().catch(() => ({}));
+
+  if (!res.ok) {
+    return {
+      data: null,
+      error: { status: res.status, code: payload.error_code || payload.code, message: payload.msg || payload.message }
+    };
+  }
+
+  return { data: payload, error: null };
+}
+
+// Subject of an ID token, read without verifying it - Supabase verifies
+// the token; this only picks which identity it claims to be
+function getTokenSubject(idToken) {
+  try {
+    return JSON.parse(Buffer.from(String(idToken).split('.')[1], 'base64url').toString()).sub || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Exchanges a provider ID token for a Supabase session
+ * A first sign-in creates the user (handle_new_user creates the profile);
+ * a verified email that already has an account signs in to that account.
+ *
+ * @param {Object} options
+ * @param {string} options.provider - OAUTH_PROVIDERS value
+ * @param {string} options.idToken - ID token from the provider's SDK
+ * @param {string} [options.nonce] - Raw nonce, if the token was requested with one
+ * @param {string} [options.accessToken] - Provider access token (needed when the ID token has an at_hash)
+ * @returns {Promise<{ user: Object, session: Object }>}
+ */
+export async function signInWithIdToken({ provider, idToken, nonce, accessToken }) {
+  const { data, error } = await getSupabase().auth.signInWithIdToken({
+    provider,
+    token: idToken,
+    nonce,
+    access_token: accessToken
+  });
+
+  if (error || !data?.session) {
+    logError('Social sign-in error', error);
+    throw new OAuthError(OAUTH_ERRORS.INVALID_TOKEN, HTTP_STATUS.UNAUTHORIZED);
+  }
+
+  return { user: data.user, session: data.session };
+}
+
+/**
+ * Fills in a name the app received from the provider outside the ID token
+ * Apple only shares the user's name with the app on the first
+ * authorization, so the profile is created with the email placeholder.
+ * Names the user has set are never overwritten.
+ */
+export async function applyProviderName(user, { firstName, lastName }) {
+  if (!firstName) return;
+
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: profile } = await supabaseAdmin
+    .from('profiles')
+    .select('first_name, last_name')
+    .eq('id', user.id)
+    .single();
+
+  const placeholder = String(user.email || '').split('@')[0];
+  if (!profile || profile.first_name !== placeholder || profile.last_name) return;
+
+  const { error } = await supabaseAdmin
+    .from('profiles')
+    .update({ first_name: firstName, last_name: lastName || '' })
+    .eq('id', user.id);
+
+  if (error) {
+    logError('Apply provider name error', error);
+  }
+}
+
+/**
+ * The user's sign-in methods ("email" is the password/OTP login)
+ */
+export async function listIdentities(userId) {
+  const { data, error } = await getSupabaseAdmin().auth.admin.getUserById(userId);
+
+  if (error || !data?.user) {
+    logError('List identities error', error);
+    throw new OAuthError(OAUTH_ERRORS.FAILED_TO_RETRIEVE);
+  }
+
+  return (data.user.identities || []).map(identity => ({
+    identity_id: identity.identity_id,
+    provider: identity.provider,
+    subject: identity.id,
+    email: identity.identity_data?.email || null,
+    created_at: identity.created_at,
+    last_sign_in_at: identity.last_sign_in_at
+  }));
+}
+
+/**
+ * Checks a fresh ID token from a provider already linked to the user
+ * Used to re-authenticate users who signed up with Google or Apple and
+ * have no password. The token must name one of the user's own identities
+ * before it is exchanged, so it can never sign up or reach another account.
+ */
+export async function verifyLinkedIdentityToken(userId, { provider, idToken, nonce }) {
+  const identities = await listIdentities(userId);
+  const subject = getTokenSubject(idToken);
+  const linked = identities.some(identity => identity.provider === provider && identity.subject === subject);
+
+  if (!subject || !linked) {
+    throw new OAuthError(OAUTH_ERRORS.IDENTITY_MISMATCH, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  let result;
+  try {
+    result = await signInWithIdToken({ provider, idToken, nonce });
+  } catch {
+    throw new OAuthError(OAUTH_ERRORS.INVALID_TOKEN, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  // Only the proof was needed, not the extra session
+  const { error: signOutError } = await getSupabaseAdmin().auth.admin.signOut(result.session.access_token, 'local');
+  if (signOutError) {
+    logError('Re-authentication sign out error', signOutError);
+  }
+
+  if (result.user.id !== userId) {
+    throw new OAuthError(OAUTH_ERRORS.IDENTITY_MISMATCH, HTTP_STATUS.BAD_REQUEST);
+  }
+}
+
+/**
+ * Links a Google or Apple account to the signed-in user
+ * Callers re-authenticate the user first.
+ *
+ * @param {Object} options
+ * @param {string} options.userId
+ * @param {string} options.accessToken - The user's current access token
+ * @param {string} options.provider
+ * @param {string} options.idToken - ID token for the account being linked
+ * @param {string} [options.nonce]
+ */
+export async function linkIdentity({ userId, accessToken, provider, idToken, nonce }) {
+  const identities = await listIdentities(userId);
+  if (identities.some(identity => identity.provider === provider)) {
+    throw new OAuthError(OAUTH_ERRORS.PROVIDER_ALREADY_LINKED, HTTP_STATUS.CONFLICT);
+  }
+
+  const { data, error } = await authRequest('POST', '/token?grant_type=id_token', accessToken, {
+    provider,
+    id_token: idToken,
+    nonce,
+    link_identity: true
+  });
+
+  if (error) {
+    if (error.code === 'identity_already_exists') {
+      throw new OAuthError(OAUTH_ERRORS.ALREADY_LINKED, HTTP_STATUS.CONFLICT);
+    }
+    if (error.status < HTTP_STATUS.SERVER_ERROR) {
+      throw new OAuthError(OAUTH_ERRORS.INVALID_TOKEN, HTTP_STATUS.BAD_REQUEST);
+    }
+    logError('Link identity error', error);
+    throw new OAuthError(OAUTH_ERRORS.FAILED_TO_LINK);
+  }
+
+  // Linking also issues a session; the caller keeps the one it has
+  if (data?.access_token) {
+    const { error: signOutError } = await getSupabaseAdmin().auth.admin.signOut(data.access_token, 'local');
+    if (signOutError) {
+      logError('Link identity sign out error', signOutError);
+    }
+  }
+
+  return (await listIdentities(userId)).find(identity => identity.provider === provider) || null;
+}
+
+/**
+ * Removes a Google or Apple sign-in from the signed-in user
+ * Supabase keeps at least one identity, so the only one can't be removed.
+ * Callers re-authenticate the user first.
+ */
+export async function unlinkIdentity({ userId, accessToken, provider }) {
+  const identities = await listIdentities(userId);
+  const identity = identities.find(i => i.provider === provider);
+
+  if (!identity) {
+    throw new OAuthError(OAUTH_ERRORS.NOT_LINKED, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (identities.length === 1) {
+    throw new OAuthError(OAUTH_ERRORS.LAST_SIGN_IN_METHOD, HTTP_STATUS.CONFLICT);
+  }
+
+  const { error } = await authRequest('DELETE', `/user/identities/${identity.identity_id}`, accessToken);
+
+  if (error) {
+    logError('Unlink identity error', error);
+    throw new OAuthError(OAUTH_ERRORS.FAILED_TO_UNLINK);
+  }
+}
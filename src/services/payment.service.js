@@ -0,0 +1,309 @@
+import { getSupabaseAdmin } from '../config/supabase.js';
+import { getCarBySlug } from './car.service.js';
+import { logError } from '../utils/logger.js';
+import { generatePaymentReference } from '../utils/idGenerator.js';
+import { DB_ERROR_CODES, HTTP_STATUS, CAR_STATUS } from '../constants/car.constants.js';
+import {
+  PAYMENT_STATUS,
+  PAYMENT_PURPOSES,
+  FEE_PURPOSES,
+  PAYMENT_REFERENCE_PREFIX,
+  FEE_SCOPE_FIELDS,
+  DEFAULT_CURRENCY,
+  PAYMENT_ERRORS
+} from '../constants/payment.constants.js';
+
+export class PaymentError extends Error {
+  constructor(message, statusCode = HTTP_STATUS.SERVER_ERROR) {
+    super(message);
+    this.name = 'PaymentError';
+    this.statusCode = statusCode;
+  }
+}
+
+const PAYMENT_FIELDS = 'id, reference, car_id, purpose, items, amount, currency, status, provider, provider_reference, paid_at, created_at, updated_at';
+const FEE_FIELDS = 'id, item_code, description, amount, currency, purpose, car_type, registration_status, plate_type, is_active, created_at, updated_at';
+
+// Sum in kobo so NUMERIC amounts never pick up float rounding errors
+const toMinor = (amount) => Math.round(Number(amount) * 100);
+const fromMinor = (minor) => minor / 100;
+
+const feeMatchesCar = (fee, car) => FEE_SCOPE_FIELDS.every(field => {
+  const carValue = field === 'plate_type' ? car.type : car[field];
+  return fee[field] === null || fee[field] === carValue;
+});
+
+const feeSpecificity = (fee) => FEE_SCOPE_FIELDS.filter(field => fee[field] !== null).length;
+
+/**
+ * Picks the applicable fee for each item code from the schedule
+ * Rows whose filters all match the car apply; when several rows share an
+ * item code the one with the most filters set wins. The applicable fees
+ * must all be in one currency.
+ *
+ * @param {Object} car - Car row (car_type, registration_status, type)
+ * @param {Array} schedule - Active fee_schedules rows
+ * @returns {{ items: Array, amount: number, currency: string }}
+ */
+export function calculateFees(car, schedule) {
+  const byItem = new Map();
+
+  schedule
+    .filter(fee => feeMatchesCar(fee, car))
+    .forEach(fee => {
+      const current = byItem.get(fee.item_code);
+      if (!current || feeSpecificity(fee) > feeSpecificity(current)) {
+        byItem.set(fee.item_code, fee);
+      }
+    });
+
+  const fees = Array.from(byItem.values()).sort((a, b) => a.id - b.id);
+
+  const currencies = new Set(fees.map(fee => fee.currency || DEFAULT_CURRENCY));
+  if (currencies.size > 1) {
+    throw new PaymentError(PAYMENT_ERRORS.MIXED_CURRENCIES, HTTP_STATUS.UNPROCESSABLE_ENTITY);
+  }
+
+  const items = fees.map(fee => ({
+    fee_id: fee.id,
+    item_code: fee.item_code,
+    description: fee.description,
+    amount: Number(fee.amount)
+  }));
+
+  const totalMinor = items.reduce((sum, item) => sum + toMinor(item.amount), 0);
+
+  return {
+    items,
+    amount: fromMinor(totalMinor),
+    currency: currencies.values().next().value || DEFAULT_CURRENCY
+  };
+}
+
+async function getActiveFeeSchedule(purpose) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: schedule, error } = await supabaseAdmin
+    .from('fee_schedules')
+    .select(FEE_FIELDS)
+    .eq('purpose', purpose)
+    .eq('is_active', true);
+
+  if (error) {
+    logError('Get fee schedule error', error);
+    throw new PaymentError(PAYMENT_ERRORS.FAILED_TO_RETRIEVE_FEES);
+  }
+
+  return schedule || [];
+}
+
+/**
+ * The fees a car pays for a registration or a renewal (FEE_PURPOSES)
+ */
+export async function computeCarFees(car, purpose = FEE_PURPOSES.REGISTRATION) {
+  const fees = calculateFees(car, await getActiveFeeSchedule(purpose));
+
+  if (fees.items.length === 0) {
+    throw new PaymentError(PAYMENT_ERRORS.NO_FEES_CONFIGURED, HTTP_STATUS.UNPROCESSABLE_ENTITY);
+  }
+
+  return fees;
+}
+
+async function getPendingPayment(carId) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: rows, error } = await supabaseAdmin
+    .from('payments')
+    .select(PAYMENT_FIELDS)
+    .eq('car_id', carId)
+    .eq('purpose', PAYMENT_PURPOSES.REGISTRATION)
+    .eq('status', PAYMENT_STATUS.PENDING)
+    .limit(1);
+
+  if (error) {
+    logError('Get pending payment error', error);
+    throw new PaymentError(PAYMENT_ERRORS.FAILED_TO_RETRIEVE);
+  }
+
+  return rows?.[0] || null;
+}
+
+/**
+ * Creates a payment intent for an unpaid car
+ *
+ * Idempotent per car: an open (pending) intent is returned as-is instead
+ * of creating a second one, so retries never double-charge.
+ *
+ * @returns {Promise<{ payment: Object, created: boolean }>}
+ */
+export async function createPaymentIntent(supabaseUser, slug, userId) {
+  const car = await getCarBySlug(supabaseUser, slug, userId);
+
+  if (car.status !== CAR_STATUS.UNPAID) {
+    throw new PaymentError(PAYMENT_ERRORS.ALREADY_PAID, HTTP_STATUS.CONFLICT);
+  }
+
+  const existing = await getPendingPayment(car.id);
+  if (existing) {
+    return { payment: existing, created: false };
+  }
+
+  const { items, amount, currency } = await computeCarFees(car, FEE_PURPOSES.REGISTRATION);
+
+  const supabaseAdmin = getSupabaseAdmin();
+  const { data: payment, error } = await supabaseAdmin
+    .from('payments')
+    .insert({
+      reference: generatePaymentReference(PAYMENT_REFERENCE_PREFIX),
+      car_id: car.id,
+      user_id: userId,
+      purpose: PAYMENT_PURPOSES.REGISTRATION,
+      items,
+      amount,
+      currency,
+      status: PAYMENT_STATUS.PENDING
+    })
+    .select(PAYMENT_FIELDS)
+    .single();
+
+  if (error) {
+    // A concurrent request created the intent first (idx_payments_one_pending_per_car)
+    if (error.code === DB_ERROR_CODES.UNIQUE_VIOLATION) {
+      const concurrent = await getPendingPayment(car.id);
+      if (concurrent) return { payment: concurrent, created: false };
+    }
+
+    logError('Create payment intent error', error);
+    throw new PaymentError(PAYMENT_ERRORS.FAILED_TO_CREATE);
+  }
+
+  return { payment, created: true };
+}
+
+export async function listCarPayments(supabaseUser, slug, userId) {
+  const car = await getCarBySlug(supabaseUser, slug, userId);
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: payments, error } = await supabaseAdmin
+    .from('payments')
+    .select(PAYMENT_FIELDS)
+    .eq('car_id', car.id)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    logError('List car payments error', error);
+    throw new PaymentError(PAYMENT_ERRORS.FAILED_TO_RETRIEVE);
+  }
+
+  return payments || [];
+}
+
+/**
+ * Marks a payment successful and moves its car from unpaid to pending
+ * Runs in a single database transaction (see confirm_car_payment in
+ * migration 017). Safe to call more than once for the same reference.
+ */
+export async function confirmPayment(reference, { provider = null, providerReference = null } = {}) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: rows, error } = await supabaseAdmin.rpc('confirm_car_payment', {
+    p_reference: reference,
+    p_provider: provider,
+    p_provider_reference: providerReference
+  });
+
+  if (error) {
+    logError('Confirm payment error', error);
+    throw new PaymentError(PAYMENT_ERRORS.FAILED_TO_CONFIRM);
+  }
+
+  if (!rows || rows.length === 0) {
+    const { data: payment } = await supabaseAdmin
+      .from('payments')
+      .select('id')
+      .eq('reference', reference)
+      .single();
+
+    if (!payment) {
+      throw new PaymentError(PAYMENT_ERRORS.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+    throw new PaymentError(PAYMENT_ERRORS.NOT_CONFIRMABLE, HTTP_STATUS.CONFLICT);
+  }
+
+  return rows[0];
+}
+
+// ====== FEE SCHEDULE (Admin) ======
+
+export async function listFees({ includeInactive = false } = {}) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  let query = supabaseAdmin
+    .from('fee_schedules')
+    .select(FEE_FIELDS)
+    .order('item_code', { ascending: true })
+    .order('id', { ascending: true });
+
+  if (!includeInactive) {
+    query = query.eq('is_active', true);
+  }
+
+  const { data: fees, error } = await query;
+
+  if (error) {
+    logError('List fees error', error);
+    throw new PaymentError(PAYMENT_ERRORS.FAILED_TO_RETRIEVE_FEES);
+  }
+
+  return fees || [];
+}
+
+const handleFeeWriteError = (error) => {
+  if (error.code === DB_ERROR_CODES.UNIQUE_VIOLATION) {
+    throw new PaymentError(PAYMENT_ERRORS.DUPLICATE_FEE, HTTP_STATUS.CONFLICT);
+  }
+
+  logError('Save fee error', error);
+  throw new PaymentError(PAYMENT_ERRORS.FAILED_TO_SAVE_FEE);
+};
+
+export async function createFee(feeData) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: fee, error } = await supabaseAdmin
+    .from('fee_schedules')
+    .insert(feeData)
+    .select(FEE_FIELDS)
+    .single();
+
+  if (error) {
+    handleFeeWriteError(error);
+  }
+
+  return fee;
+}
+
+/**
+ * Updates a fee row; open payment intents keep their snapshotted amounts
+ */
+export async function updateFee(feeId, updates) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: rows, error } = await supabaseAdmin
+    .from('fee_schedules')
+    .update(updates)
+    .eq('id', feeId)
+    .select(FEE_FIELDS);
+
+  if (error) {
+    handleFeeWriteError(error);
+  }
+
+  if (!rows || rows.length === 0) {
+    throw new PaymentError(PAYMENT_ERRORS.FEE_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  return rows[0];
+}
@@ -0,0 +1,147 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import { getSupabaseAdmin } from '../config/supabase.js';
+import { PaymentError } from './payment.service.js';
+import { notifyUser } from './notification.service.js';
+import { logError } from '../utils/logger.js';
+import { HTTP_STATUS } from '../constants/car.constants.js';
+import { NOTIFICATION_TYPES } from '../constants/notification.constants.js';
+import {
+  PAYMENT_WEBHOOK,
+  WEBHOOK_EVENT_STATUS,
+  WEBHOOK_RESULTS,
+  PAYMENT_STATUS,
+  PAYMENT_ERRORS
+} from '../constants/payment.constants.js';
+
+/**
+ * PAYMENT WEBHOOK SERVICE
+ *
+ * The provider signs the raw request body with HMAC-SHA512 using the
+ * shared secret and sends the hex digest in the x-paystack-signature header.
+ * The signature must be checked against the exact bytes received, which
+ * is why the webhook route is mounted before express.json().
+ *
+ * Environment Variables Required:
+ * - PAYMENT_WEBHOOK_SECRET: Provider secret key used for signing
+ */
+
+/**
+ * Signs a raw payload the way the provider does
+ * Also used by tests and scripts/sendTestWebhook.js to build valid deliveries.
+ *
+ * @param {Buffer|string} rawBody - Exact request body bytes
+ * @param {string} secret - Shared webhook secret
+ * @returns {string} Hex digest
+ */
+export function signPayload(rawBody, secret = process.env.PAYMENT_WEBHOOK_SECRET) {
+  return createHmac(PAYMENT_WEBHOOK.SIGNATURE_ALGORITHM, secret).update(rawBody).digest('hex');
+}
+
+/**
+ * Constant-time signature check
+ */
+export function verifySignature(rawBody, signature, secret = process.env.PAYMENT_WEBHOOK_SECRET) {
+  if (!signature || typeof signature !== 'string') return false;
+
+  const expected = Buffer.from(signPayload(rawBody, secret), 'hex');
+  const received = Buffer.from(signature, 'hex');
+
+  // timingSafeEqual throws on length mismatch
+  return received.length === expected.length && timingSafeEqual(received, expected);
+}
+
+/**
+ * Maps a provider payload to the fields process_payment_webhook needs
+ *
+ * The provider does not send a delivery id, so the event id is built from
+ * the event type and the transaction id - a redelivery of the same
+ * transaction event produces the same id.
+ */
+export function parseWebhookEvent(payload) {
+  const eventType = payload?.event;
+  const data = payload?.data;
+
+  if (!eventType || !data || !data.reference || data.id === undefined) {
+    throw new PaymentError(PAYMENT_ERRORS.INVALID_PAYLOAD, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  // What was paid is checked against the intent, so it has to be there
+  if (!Number.isInteger(data.amount) || typeof data.currency !== 'string' || !data.currency.trim()) {
+    throw new PaymentError(PAYMENT_ERRORS.INVALID_PAYLOAD, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  return {
+    eventId: `${eventType}:${data.id}`,
+    eventType,
+    reference: String(data.reference),
+    status: WEBHOOK_EVENT_STATUS[eventType] || null,
+    amountMinor: data.amount,
+    currency: data.currency.trim(),
+    providerReference: String(data.id)
+  };
+}
+
+/**
+ * Verifies and applies a webhook delivery
+ *
+ * @param {Buffer} rawBody - Raw request body
+ * @param {string} signature - Signature header value
+ * @returns {Promise<string>} One of WEBHOOK_RESULTS
+ */
+export async function processPaymentWebhook(rawBody, signature) {
+  if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+    logError('Payment webhook error', { message: 'PAYMENT_WEBHOOK_SECRET not configured' });
+    throw new PaymentError(PAYMENT_ERRORS.WEBHOOK_NOT_CONFIGURED);
+  }
+
+  if (!verifySignature(rawBody, signature)) {
+    throw new PaymentError(PAYMENT_ERRORS.INVALID_SIGNATURE, HTTP_STATUS.UNAUTHORIZED);
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString('utf8'));
+  } catch {
+    throw new PaymentError(PAYMENT_ERRORS.INVALID_PAYLOAD, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const event = parseWebhookEvent(payload);
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: rows, error } = await supabaseAdmin.rpc('process_payment_webhook', {
+    p_provider: PAYMENT_WEBHOOK.PROVIDER,
+    p_event_id: event.eventId,
+    p_event_type: event.eventType,
+    p_reference: event.reference,
+    p_status: event.status,
+    p_amount_minor: event.amountMinor,
+    p_currency: event.currency,
+    p_provider_reference: event.providerReference,
+    p_payload: payload
+  });
+
+  // Non-2xx makes the provider retry; the event row was rolled back with the transaction
+  if (error) {
+    logError('Process payment webhook error', error);
+    throw new PaymentError(PAYMENT_ERRORS.FAILED_TO_PROCESS_WEBHOOK);
+  }
+
+  const outcome = rows?.[0] || { result: WEBHOOK_RESULTS.IGNORED };
+
+  if (outcome.result === WEBHOOK_RESULTS.AMOUNT_MISMATCH || outcome.result === WEBHOOK_RESULTS.UNKNOWN_REFERENCE) {
+    logError('Payment webhook not applied', { message: `${outcome.result} for ${event.reference} (${event.eventId})` });
+  }
+
+  if (outcome.result === WEBHOOK_RESULTS.CONFIRMED) {
+    await notifyUser({
+      userId: outcome.user_id,
+      type: NOTIFICATION_TYPES.PAYMENT,
+      action: PAYMENT_STATUS.SUCCESSFUL,
+      title: 'Payment Received',
+      message: 'Your payment was received. Your car registration is now pending review.',
+      data: { reference: event.reference, payment_id: outcome.payment_id }
+    });
+  }
+
+  return outcome.result;
+}
@@ -0,0 +1,75 @@
+/**
+ * SCALABILITY: In-memory store for logins waiting on a second factor
+ *
+ * Holds the Supabase session issued after the password/OTP step until the
+ * 2FA code is verified, keyed by a SHA-256 of the temp token returned to
+ * the client (the token itself is never stored).
+ * Entries live in THIS server instance only; see "Single Instance" in the
+ * README. setPendingLoginStore() swaps in a shared store exposing the same
+ * methods (sync or async):
+ * - set(key, value, ttlMs)
+ * - get(key)     -> value | null
+ * - take(key)    -> value | null, removing it (must be atomic)
+ * - delete(key)
+ */
+const MAX_ENTRIES = 10000;
+
+export class InMemoryPendingLoginStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  set(key, value, ttlMs) {
+    if (!this.entries.has(key) && this.entries.size >= MAX_ENTRIES) {
+      this.purgeExpired();
+    }
+    // Still full: drop the oldest pending login (Map keeps insertion order)
+    if (!this.entries.has(key) && this.entries.size >= MAX_ENTRIES) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (Date.now() > entry.expiresAt) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  take(key) {
+    const value = this.get(key);
+    this.entries.delete(key);
+    return value;
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  purgeExpired() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (now > entry.expiresAt) this.entries.delete(key);
+    }
+  }
+}
+
+let store = new InMemoryPendingLoginStore();
+
+export function getPendingLoginStore() {
+  return store;
+}
+
+/**
+ * Swaps the store implementation (e.g. for a Redis adapter)
+ * @param {Object} adapter - Object implementing set(), get(), take() and delete()
+ */
+export function setPendingLoginStore(adapter) {
+  store = adapter;
+}
@@ -0,0 +1,213 @@
+import { getSupabaseAdmin } from '../config/supabase.js';
+import { invalidateProfileCache } from '../middleware/authenticate.js';
+import { sendPhoneOTP } from './sms/sms.service.js';
+import { logError } from '../utils/logger.js';
+import { generateOTP } from '../utils/idGenerator.js';
+import { hashSecret, verifySecret } from '../utils/secretHash.js';
+import { normalizePhoneNumber } from '../utils/phone.js';
+import { HTTP_STATUS, DB_ERROR_CODES } from '../constants/car.constants.js';
+import { PHONE_OTP, PHONE_OTP_PURPOSES, PHONE_ERRORS } from '../constants/phone.constants.js';
+
+export class PhoneError extends Error {
+  constructor(message, statusCode = HTTP_STATUS.SERVER_ERROR) {
+    super(message);
+    this.name = 'PhoneError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Texts a new code to the number, replacing any pending code for the
+ * same purpose
+ *
+ * @returns {Promise<{ expires_at: string }>}
+ */
+async function issueCode({ userId, purpose, phoneNumber }) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: pending } = await supabaseAdmin
+    .from('phone_otps')
+    .select('created_at')
+    .eq('user_id', userId)
+    .eq('purpose', purpose)
+    .single();
+
+  if (pending && Date.now() - new Date(pending.created_at).getTime() < PHONE_OTP.RESEND_COOLDOWN_MS) {
+    throw new PhoneError(PHONE_ERRORS.RESEND_TOO_SOON, HTTP_STATUS.TOO_MANY_REQUESTS);
+  }
+
+  const otp = generateOTP();
+  const expiresAt = new Date(Date.now() + PHONE_OTP.TTL_MS).toISOString();
+
+  const { error } = await supabaseAdmin
+    .from('phone_otps')
+    .upsert({
+      user_id: userId,
+      purpose,
+      phone_number: phoneNumber,
+      otp: await hashSecret(otp),
+      attempts: 0,
+      expires_at: expiresAt,
+      created_at: new Date().toISOString()
+    }, { onConflict: 'user_id,purpose' });
+
+  if (error) {
+    logError('Phone OTP store error', error);
+    throw new PhoneError(PHONE_ERRORS.FAILED_TO_SEND);
+  }
+
+  // SECURITY: Never log the code value
+  try {
+    await sendPhoneOTP({ to: phoneNumber, otp, expiresInMinutes: PHONE_OTP.TTL_MS / 60000 });
+  } catch (smsError) {
+    logError('Phone OTP send error', smsError);
+    await supabaseAdmin.from('phone_otps').delete().eq('user_id', userId).eq('purpose', purpose);
+    throw new PhoneError(PHONE_ERRORS.FAILED_TO_SEND);
+  }
+
+  return { expires_at: expiresAt };
+}
+
+/**
+ * Checks a code sent to phoneNumber and uses it up
+ * A code sent to a different number (the profile number changed in the
+ * meantime) doesn't count. Too many wrong codes drop the pending code.
+ */
+async function checkCode({ userId, purpose, phoneNumber, otp }) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: pending } = await supabaseAdmin
+    .from('phone_otps')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('purpose', purpose)
+    .single();
+
+  if (!pending || pending.phone_number !== phoneNumber) {
+    throw new PhoneError(PHONE_ERRORS.NO_PENDING_CODE, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (new Date(pending.expires_at) < new Date()) {
+    await supabaseAdmin.from('phone_otps').delete().eq('user_id', userId).eq('purpose', purpose);
+    throw new PhoneError(PHONE_ERRORS.CODE_EXPIRED, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (!(await verifySecret(otp, pending.otp))) {
+    const attempts = pending.attempts + 1;
+
+    if (attempts >= PHONE_OTP.MAX_ATTEMPTS) {
+      await supabaseAdmin.from('phone_otps').delete().eq('user_id', userId).eq('purpose', purpose);
+    } else {
+      await supabaseAdmin.from('phone_otps').update({ attempts }).eq('user_id', userId).eq('purpose', purpose);
+    }
+
+    throw new PhoneError(PHONE_ERRORS.INVALID_CODE, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  // Single-use
+  await supabaseAdmin.from('phone_otps').delete().eq('user_id', userId).eq('purpose', purpose);
+}
+
+// ====== PHONE LOGIN ======
+
+/**
+ * Account whose verified phone number this is, or null
+ * Unverified numbers are never used to log in: anyone can type any
+ * number into their profile.
+ */
+export async function findUserIdByPhone(phoneNumber) {
+  const { data } = await getSupabaseAdmin()
+    .from('profiles')
+    .select('id')
+    .eq('phone_number', phoneNumber)
+    .eq('phone_verified', true)
+    .single();
+
+  return data?.id || null;
+}
+
+/**
+ * Texts a login code to a verified phone number
+ * Unknown numbers, numbers still in their resend cooldown and codes that
+ * could not be sent (already logged by issueCode) all get the same
+ * answer, so the endpoint can't be used to find accounts.
+ */
+export async function sendLoginCode(phoneNumber) {
+  const userId = await findUserIdByPhone(phoneNumber);
+  if (!userId) return;
+
+  try {
+    await issueCode({ userId, purpose: PHONE_OTP_PURPOSES.LOGIN, phoneNumber });
+  } catch (error) {
+    if (error instanceof PhoneError) return;
+    throw error;
+  }
+}
+
+export async function verifyLoginCode({ userId, phoneNumber, otp }) {
+  await checkCode({ userId, purpose: PHONE_OTP_PURPOSES.LOGIN, phoneNumber, otp });
+}
+
+// ====== PHONE VERIFICATION ======
+
+async function getPhoneProfile(userId) {
+  const { data: profile } = await getSupabaseAdmin()
+    .from('profiles')
+    .select('phone_number, phone_verified')
+    .eq('id', userId)
+    .single();
+
+  if (!profile?.phone_number) {
+    throw new PhoneError(PHONE_ERRORS.NO_PHONE_NUMBER, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (profile.phone_verified) {
+    throw new PhoneError(PHONE_ERRORS.ALREADY_VERIFIED, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  // Numbers saved before E.164 normalization are texted in E.164
+  return { phoneNumber: normalizePhoneNumber(profile.phone_number) };
+}
+
+/**
+ * Texts a code to the phone number on the user's profile
+ *
+ * @returns {Promise<{ phone_number: string, expires_at: string }>}
+ */
+export async function sendVerificationCode(userId) {
+  const { phoneNumber } = await getPhoneProfile(userId);
+
+  const { expires_at } = await issueCode({ userId, purpose: PHONE_OTP_PURPOSES.VERIFY, phoneNumber });
+
+  return { phone_number: phoneNumber, expires_at };
+}
+
+/**
+ * Marks the profile's phone number verified with the code texted to it
+ *
+ * @returns {Promise<{ phone_number: string, phone_verified: boolean, phone_verified_at: string }>}
+ */
+export async function confirmVerificationCode(userId, otp) {
+  const { phoneNumber } = await getPhoneProfile(userId);
+
+  await checkCode({ userId, purpose: PHONE_OTP_PURPOSES.VERIFY, phoneNumber, otp });
+
+  const verifiedAt = new Date().toISOString();
+
+  const { error } = await getSupabaseAdmin()
+    .from('profiles')
+    .update({ phone_number: phoneNumber, phone_verified: true, phone_verified_at: verifiedAt })
+    .eq('id', userId);
+
+  if (error) {
+    if (error.code === DB_ERROR_CODES.UNIQUE_VIOLATION) {
+      throw new PhoneError(PHONE_ERRORS.PHONE_IN_USE, HTTP_STATUS.CONFLICT);
+    }
+    logError('Phone verification update error', error);
+    throw new PhoneError(PHONE_ERRORS.FAILED_TO_VERIFY);
+  }
+
+  invalidateProfileCache(userId);
+
+  return { phone_number: phoneNumber, phone_verified: true, phone_verified_at: verifiedAt };
+}
@@ -0,0 +1,197 @@
+import PDFDocument from 'pdfkit';
+import { getSupabaseAdmin } from '../config/supabase.js';
+import { getCarBySlug } from './car.service.js';
+import { PaymentError } from './payment.service.js';
+import { uploadFileToPath, downloadFileByPath } from './fileUpload.service.js';
+import { logError } from '../utils/logger.js';
+import { HTTP_STATUS, DB_ERROR_CODES } from '../constants/car.constants.js';
+import { PAYMENT_STATUS, PAYMENT_DOCUMENTS, PAYMENT_ERRORS } from '../constants/payment.constants.js';
+
+const PDF_MIME_TYPE = 'application/pdf';
+
+const formatAmount = (amount, currency) => `${currency} ${Number(amount).toLocaleString('en-NG', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const formatDate = (date) => (date
+  ? new Date(date).toLocaleString('en-NG', { dateStyle: 'medium', timeStyle: 'short', timeZone: 'Africa/Lagos' })
+  : '-');
+
+/**
+ * Renders a payment receipt or invoice as a PDF
+ *
+ * @param {Object} options
+ * @param {string} options.kind - PAYMENT_DOCUMENTS.RECEIPT or PAYMENT_DOCUMENTS.INVOICE
+ * @param {Object} options.car - Car row
+ * @param {Object} options.payment - Payment row (items snapshot, amount, reference)
+ * @returns {Promise<Buffer>}
+ */
+export function renderPaymentDocument({ kind, car, payment }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: {
+        Title: `Motoka ${kind.title} ${payment.reference}`,
+        Author: 'Motoka'
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+    const amountX = right - 150;
+
+    // Header
+    doc.fontSize(22).font('Helvetica-Bold').text('Motoka', left, 50);
+    doc.fontSize(16).text(kind.title.toUpperCase(), left, 50, { align: 'right' });
+    doc.moveDown(1.5);
+
+    // Reference block
+    const details = [
+      ['Reference', payment.reference],
+      ['Status', payment.status.toUpperCase()],
+      [kind === PAYMENT_DOCUMENTS.RECEIPT ? 'Paid on' : 'Issued on', formatDate(kind === PAYMENT_DOCUMENTS.RECEIPT ? payment.paid_at : payment.created_at)]
+    ];
+    if (payment.provider_reference) {
+      details.push(['Transaction ID', payment.provider_reference]);
+    }
+
+    doc.fontSize(10);
+    details.forEach(([label, value]) => {
+      doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(value);
+    });
+    doc.moveDown();
+
+    // Owner and vehicle
+    doc.font('Helvetica-Bold').fontSize(12).text('Vehicle Owner');
+    doc.font('Helvetica').fontSize(10).text(car.name_of_owner);
+    doc.moveDown(0.5);
+
+    doc.font('Helvetica-Bold').fontSize(12).text('Vehicle');
+    doc.font('Helvetica').fontSize(10)
+      .text(`${car.vehicle_make} ${car.vehicle_model} (${car.vehicle_year})`)
+      .text(`Plate number: ${car.plate_number || car.registration_no || 'Not yet assigned'}`);
+    if (car.chasis_no) {
+      doc.text(`Chassis number: ${car.chasis_no}`);
+    }
+    doc.moveDown();
+
+    // Itemised fees
+    const drawRow = (label, value, bold = false) => {
+      const y = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+      doc.text(label, left, y, { width: amountX - left - 10 });
+      const labelBottom = doc.y;
+      doc.text(value, amountX, y, { width: right - amountX, align: 'right' });
+      doc.y = Math.max(labelBottom, doc.y) + 4;
+    };
+
+    const drawRule = () => {
+      doc.moveTo(left, doc.y).lineTo(right, doc.y).strokeColor('#999999').stroke();
+      doc.y += 6;
+    };
+
+    doc.fontSize(10);
+    drawRow('Description', 'Amount', true);
+    drawRule();
+    (payment.items || []).forEach(item => drawRow(item.description, formatAmount(item.amount, payment.currency)));
+    drawRule();
+    drawRow(kind === PAYMENT_DOCUMENTS.RECEIPT ? 'Total paid' : 'Total due', formatAmount(payment.amount, payment.currency), true);
+
+    // Footer
+    doc.moveDown(2);
+    doc.font('Helvetica').fontSize(8).fillColor('#555555').text(
+      kind === PAYMENT_DOCUMENTS.RECEIPT
+        ? `This receipt confirms payment for the vehicle above. Quote reference ${payment.reference} for any enquiry.`
+        : `This invoice is not proof of payment. Quote reference ${payment.reference} when paying.`,
+      left
+    );
+
+    doc.end();
+  });
+}
+
+async function getCarPayment(carId, userId, paymentId) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: payment, error } = await supabaseAdmin
+    .from('payments')
+    .select('*')
+    .eq('id', paymentId)
+    .eq('car_id', carId)
+    .eq('user_id', userId)
+    .single();
+
+  if (error || !payment) {
+    if (!error || error.code === DB_ERROR_CODES.NOT_FOUND) {
+      throw new PaymentError(PAYMENT_ERRORS.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    logError('Get payment error', error);
+    throw new PaymentError(PAYMENT_ERRORS.FAILED_TO_RETRIEVE);
+  }
+
+  return payment;
+}
+
+const receiptPath = (userId, slug, reference) => `${userId}/${slug}/receipts/${reference}.pdf`;
+
+/**
+ * Returns the PDF for a car payment
+ *
+ * - Successful payments get a receipt. It is rendered once, stored in the
+ *   car-documents bucket and served from storage afterwards.
+ * - Pending payments get an invoice, rendered on every request because
+ *   the payment may still change.
+ * - Failed or cancelled payments have no document.
+ *
+ * @returns {Promise<{ buffer: Buffer, filename: string }>}
+ */
+export async function getPaymentDocument(supabaseUser, slug, userId, paymentId) {
+  const car = await getCarBySlug(supabaseUser, slug, userId);
+  const payment = await getCarPayment(car.id, userId, paymentId);
+
+  if (payment.status === PAYMENT_STATUS.PENDING) {
+    const buffer = await renderPaymentDocument({ kind: PAYMENT_DOCUMENTS.INVOICE, car, payment });
+    return { buffer, filename: `invoice-${payment.reference}.pdf` };
+  }
+
+  if (payment.status !== PAYMENT_STATUS.SUCCESSFUL) {
+    throw new PaymentError(PAYMENT_ERRORS.NO_RECEIPT, HTTP_STATUS.CONFLICT);
+  }
+
+  const filename = `receipt-${payment.reference}.pdf`;
+
+  if (payment.receipt_path) {
+    const stored = await downloadFileByPath(payment.receipt_path);
+    if (stored) {
+      return { buffer: stored, filename };
+    }
+  }
+
+  const buffer = await renderPaymentDocument({ kind: PAYMENT_DOCUMENTS.RECEIPT, car, payment });
+
+  // Storing the copy is best-effort - the user still gets the PDF
+  try {
+    const path = await uploadFileToPath(receiptPath(userId, car.slug, payment.reference), buffer, PDF_MIME_TYPE);
+
+    const { error } = await getSupabaseAdmin()
+      .from('payments')
+      .update({ receipt_path: path })
+      .eq('id', payment.id);
+
+    if (error) {
+      logError('Save receipt path error', error);
+    }
+  } catch (error) {
+    logError('Store receipt error', error);
+  }
+
+  return { buffer, filename };
+}
@@ -0,0 +1,297 @@
+import { getSupabaseAdmin } from '../config/supabase.js';
+import { getCarBySlug } from './car.service.js';
+import { computeCarFees } from './payment.service.js';
+import { notifyUser } from './notification.service.js';
+import { validateConditionalFields } from '../utils/carUpdateValidator.js';
+import { toLocalDateString, addDays, addMonths } from '../utils/dateHelpers.js';
+import { logError } from '../utils/logger.js';
+import { DB_ERROR_CODES, HTTP_STATUS, CAR_STATUS, REGISTRATION_STATUS } from '../constants/car.constants.js';
+import { NOTIFICATION_TYPES } from '../constants/notification.constants.js';
+import { FEE_PURPOSES } from '../constants/payment.constants.js';
+import {
+  RENEWAL_STATUS,
+  RENEWAL_DECISIONS,
+  RENEWAL_PERIOD_MONTHS,
+  RENEWAL_WINDOW_DAYS,
+  RENEWAL_ERRORS
+} from '../constants/renewal.constants.js';
+
+export class RenewalError extends Error {
+  constructor(message, statusCode = HTTP_STATUS.SERVER_ERROR, errors = null) {
+    super(message);
+    this.name = 'RenewalError';
+    this.statusCode = statusCode;
+    this.errors = errors;
+  }
+}
+
+const RENEWAL_FIELDS = 'id, car_id, user_id, status, previous_date_issued, previous_expiry_date, new_date_issued, new_expiry_date, period_months, items, amount, currency, rejection_reason, reviewed_by, reviewed_at, created_at, updated_at';
+
+const DECISION_TITLES = {
+  approve: 'Renewal Approved',
+  reject: 'Renewal Rejected'
+};
+
+const DECISION_MESSAGES = {
+  approve: 'Your vehicle license renewal has been approved.',
+  reject: 'Your vehicle license renewal has been rejected.'
+};
+
+/**
+ * The period a renewal would grant
+ * Renewing early continues from the current expiry date so no days are
+ * lost; renewing a lapsed license starts from today.
+ *
+ * @param {Object} car - Car row (date_issued, expiry_date)
+ * @param {string} today - YYYY-MM-DD
+ * @returns {{ date_issued: string, expiry_date: string, period_months: number }}
+ */
+export function computeRenewalPeriod(car, today) {
+  const start = car.expiry_date >= today ? car.expiry_date : today;
+
+  return {
+    date_issued: start,
+    expiry_date: addMonths(start, RENEWAL_PERIOD_MONTHS),
+    period_months: RENEWAL_PERIOD_MONTHS
+  };
+}
+
+function assertRegistered(car) {
+  if (car.registration_status !== REGISTRATION_STATUS.REGISTERED || !car.expiry_date) {
+    throw new RenewalError(RENEWAL_ERRORS.NOT_REGISTERED, HTTP_STATUS.CONFLICT);
+  }
+}
+
+/**
+ * Checks that a car can move to the renewal period
+ * Uses the same rules as a car update so an approved renewal never leaves
+ * the car in a state the update endpoint would reject.
+ */
+function assertRenewable(car, period) {
+  assertRegistered(car);
+
+  const errors = validateConditionalFields(
+    { date_issued: period.date_issued, expiry_date: period.expiry_date },
+    car
+  );
+
+  if (errors.length > 0) {
+    throw new RenewalError(RENEWAL_ERRORS.INVALID_CAR, HTTP_STATUS.UNPROCESSABLE_ENTITY, errors);
+  }
+}
+
+/**
+ * Creates a renewal request for a registered car whose papers are due
+ *
+ * @returns {Promise<Object>} The pending renewal
+ */
+export async function createRenewal(supabaseUser, slug, userId, { now = new Date() } = {}) {
+  const car = await getCarBySlug(supabaseUser, slug, userId);
+  const today = toLocalDateString(now);
+
+  assertRegistered(car);
+
+  if (car.status !== CAR_STATUS.APPROVED) {
+    throw new RenewalError(RENEWAL_ERRORS.NOT_APPROVED, HTTP_STATUS.CONFLICT);
+  }
+
+  if (car.expiry_date > addDays(today, RENEWAL_WINDOW_DAYS)) {
+    throw new RenewalError(RENEWAL_ERRORS.TOO_EARLY, HTTP_STATUS.CONFLICT);
+  }
+
+  const period = computeRenewalPeriod(car, today);
+  assertRenewable(car, period);
+
+  const { items, amount, currency } = await computeCarFees(car, FEE_PURPOSES.RENEWAL);
+
+  const supabaseAdmin = getSupabaseAdmin();
+  const { data: renewal, error } = await supabaseAdmin
+    .from('car_renewals')
+    .insert({
+      car_id: car.id,
+      user_id: userId,
+      status: RENEWAL_STATUS.PENDING,
+      previous_date_issued: car.date_issued,
+      previous_expiry_date: car.expiry_date,
+      new_date_issued: period.date_issued,
+      new_expiry_date: period.expiry_date,
+      period_months: period.period_months,
+      items,
+      amount,
+      currency
+    })
+    .select(RENEWAL_FIELDS)
+    .single();
+
+  if (error) {
+    // idx_car_renewals_one_pending_per_car
+    if (error.code === DB_ERROR_CODES.UNIQUE_VIOLATION) {
+      throw new RenewalError(RENEWAL_ERRORS.ALREADY_PENDING, HTTP_STATUS.CONFLICT);
+    }
+
+    logError('Create renewal error', error);
+    throw new RenewalError(RENEWAL_ERRORS.FAILED_TO_CREATE);
+  }
+
+  return renewal;
+}
+
+/**
+ * Renewal history for a car, newest first
+ */
+export async function listCarRenewals(supabaseUser, slug, userId) {
+  const car = await getCarBySlug(supabaseUser, slug, userId);
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: renewals, error } = await supabaseAdmin
+    .from('car_renewals')
+    .select(RENEWAL_FIELDS)
+    .eq('car_id', car.id)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    logError('List car renewals error', error);
+    throw new RenewalError(RENEWAL_ERRORS.FAILED_TO_RETRIEVE);
+  }
+
+  return renewals || [];
+}
+
+// ====== ADMIN ======
+
+export async function listRenewals({ status, page, limit }) {
+  const supabaseAdmin = getSupabaseAdmin();
+  const from = (page - 1) * limit;
+  const to = page * limit - 1;
+
+  // Oldest requests first so the queue is worked in arrival order
+  const { data: renewals, count, error } = await supabaseAdmin
+    .from('car_renewals')
+    .select(RENEWAL_FIELDS, { count: 'exact' })
+    .eq('status', status)
+    .order('created_at', { ascending: true })
+    .range(from, to);
+
+  if (error) {
+    logError('List renewals error', error);
+    throw new RenewalError(RENEWAL_ERRORS.FAILED_TO_RETRIEVE);
+  }
+
+  const total = count || 0;
+
+  return {
+    renewals: renewals || [],
+    pagination: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+export async function getRenewalById(renewalId) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: renewal, error } = await supabaseAdmin
+    .from('car_renewals')
+    .select(RENEWAL_FIELDS)
+    .eq('id', renewalId)
+    .single();
+
+  if (error || !renewal) {
+    if (!error || error.code === DB_ERROR_CODES.NOT_FOUND) {
+      throw new RenewalError(RENEWAL_ERRORS.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    logError('Get renewal by id error', error);
+    throw new RenewalError(RENEWAL_ERRORS.FAILED_TO_RETRIEVE);
+  }
+
+  return renewal;
+}
+
+async function getRenewalCar(carId) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: car, error } = await supabaseAdmin
+    .from('cars')
+    .select('*')
+    .eq('id', carId)
+    .is('deleted_at', null)
+    .single();
+
+  if (error || !car) {
+    if (!error || error.code === DB_ERROR_CODES.NOT_FOUND) {
+      throw new RenewalError(RENEWAL_ERRORS.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    logError('Get renewal car error', error);
+    throw new RenewalError(RENEWAL_ERRORS.FAILED_TO_RETRIEVE);
+  }
+
+  return car;
+}
+
+/**
+ * Applies an approve/reject decision to a pending renewal
+ * Approval re-checks the car against the update rules, then extends its
+ * expiry_date in the same transaction as the status change (see
+ * review_car_renewal in migration 021).
+ */
+export async function reviewRenewal(renewalId, decision, reviewerId, reason = null) {
+  const status = RENEWAL_DECISIONS[decision];
+  if (!status) {
+    throw new RenewalError(RENEWAL_ERRORS.NOT_PENDING, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const existing = await getRenewalById(renewalId);
+  if (existing.status !== RENEWAL_STATUS.PENDING) {
+    throw new RenewalError(RENEWAL_ERRORS.NOT_PENDING, HTTP_STATUS.CONFLICT);
+  }
+
+  const car = await getRenewalCar(existing.car_id);
+
+  if (status === RENEWAL_STATUS.APPROVED) {
+    if (car.expiry_date !== existing.previous_expiry_date) {
+      throw new RenewalError(RENEWAL_ERRORS.CAR_CHANGED, HTTP_STATUS.CONFLICT);
+    }
+
+    assertRenewable(car, {
+      date_issued: existing.new_date_issued,
+      expiry_date: existing.new_expiry_date
+    });
+  }
+
+  const supabaseAdmin = getSupabaseAdmin();
+  const { data: rows, error } = await supabaseAdmin.rpc('review_car_renewal', {
+    p_renewal_id: existing.id,
+    p_reviewer_id: reviewerId,
+    p_status: status,
+    p_reason: reason
+  });
+
+  if (error) {
+    logError('Renewal review error', error);
+    throw new RenewalError(RENEWAL_ERRORS.FAILED_TO_REVIEW);
+  }
+
+  // Reviewed by someone else, or the car changed, between our read and the locked update
+  if (!rows || rows.length === 0) {
+    throw new RenewalError(RENEWAL_ERRORS.NOT_PENDING, HTTP_STATUS.CONFLICT);
+  }
+
+  const renewal = rows[0];
+
+  await notifyUser({
+    userId: renewal.user_id,
+    type: NOTIFICATION_TYPES.LICENSE,
+    action: status,
+    title: DECISION_TITLES[decision],
+    message: reason ? `${DECISION_MESSAGES[decision]} Reason: ${reason}` : DECISION_MESSAGES[decision],
+    data: { renewal_id: renewal.id, car_slug: car.slug, status, expiry_date: renewal.new_expiry_date, reason }
+  });
+
+  return renewal;
+}
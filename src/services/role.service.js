@@ -0,0 +1,116 @@
+import { getSupabaseAdmin } from '../config/supabase.js';
+import { invalidateProfileCache } from '../middleware/authenticate.js';
+import { notifyUser } from './notification.service.js';
+import { logError } from '../utils/logger.js';
+import { HTTP_STATUS } from '../constants/car.constants.js';
+import { NOTIFICATION_TYPES } from '../constants/notification.constants.js';
+import { USER_TYPES, ROLE_PERMISSIONS, ROLE_ERRORS } from '../constants/role.constants.js';
+
+export class RoleError extends Error {
+  constructor(message, statusCode = HTTP_STATUS.SERVER_ERROR) {
+    super(message);
+    this.name = 'RoleError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Permissions granted by a role (user_types id)
+ * A role that isn't in ROLE_PERMISSIONS grants nothing.
+ */
+export function getPermissions(userTypeId) {
+  return ROLE_PERMISSIONS[Number(userTypeId)] || [];
+}
+
+export function hasPermission(profile, permission) {
+  return getPermissions(profile?.user_type_id).includes(permission);
+}
+
+// Staff are users whose role grants at least one permission
+export function isStaff(profile) {
+  return getPermissions(profile?.user_type_id).length > 0;
+}
+
+/**
+ * Every role with the permissions it grants
+ */
+export async function listRoles() {
+  const { data, error } = await getSupabaseAdmin()
+    .from('user_types')
+    .select('id, user_type_name')
+    .order('id', { ascending: true });
+
+  if (error) {
+    logError('List roles error', error);
+    throw new RoleError(ROLE_ERRORS.FAILED_TO_RETRIEVE);
+  }
+
+  return (data || []).map(role => ({
+    id: role.id,
+    name: role.user_type_name,
+    permissions: getPermissions(role.id)
+  }));
+}
+
+/**
+ * Gives a user a different role
+ * Nobody can change their own role, so the last super admin can't demote
+ * themselves. is_admin is kept in step for anything still reading it.
+ *
+ * @param {string} actorId - Admin making the change
+ * @param {string} userId - User whose role changes
+ * @param {number} userTypeId - New user_types id
+ * @returns {Promise<Object>} The user's id and new role
+ */
+export async function assignRole(actorId, userId, userTypeId) {
+  if (userId === actorId) {
+    throw new RoleError(ROLE_ERRORS.OWN_ROLE, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const [{ data: role }, { data: profile }] = await Promise.all([
+    supabaseAdmin.from('user_types').select('id, user_type_name').eq('id', userTypeId).single(),
+    supabaseAdmin.from('profiles').select('id, user_type_id').eq('id', userId).is('deleted_at', null).single()
+  ]);
+
+  if (!role) {
+    throw new RoleError(ROLE_ERRORS.UNKNOWN_ROLE, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (!profile) {
+    throw new RoleError(ROLE_ERRORS.USER_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  const result = {
+    user_id: userId,
+    user_type_id: role.id,
+    user_type: role.user_type_name,
+    permissions: getPermissions(role.id)
+  };
+
+  if (profile.user_type_id === role.id) return result;
+
+  const { error } = await supabaseAdmin
+    .from('profiles')
+    .update({ user_type_id: role.id, is_admin: role.id === USER_TYPES.SUPER_ADMIN })
+    .eq('id', userId);
+
+  if (error) {
+    logError('Assign role error', error);
+    throw new RoleError(ROLE_ERRORS.FAILED_TO_ASSIGN);
+  }
+
+  invalidateProfileCache(userId);
+
+  await notifyUser({
+    userId,
+    type: NOTIFICATION_TYPES.ACCOUNT,
+    action: 'role_changed',
+    title: 'Role Changed',
+    message: `Your account role is now ${role.user_type_name.replace(/_/g, ' ')}.`,
+    data: { user_type_id: role.id, user_type: role.user_type_name }
+  });
+
+  return result;
+}
@@ -0,0 +1,523 @@
+import { createHash } from 'crypto';
+import { getSupabase, getSupabaseAdmin } from '../config/supabase.js';
+import { notifyUser } from './notification.service.js';
+import { logError } from '../utils/logger.js';
+import { HTTP_STATUS } from '../constants/car.constants.js';
+import { NOTIFICATION_TYPES } from '../constants/notification.constants.js';
+import {
+  SESSION_CHECK_TTL_MS,
+  DEVICE_NAME_MAX_LENGTH,
+  SESSION_REVOKE_REASONS,
+  SESSION_ERRORS
+} from '../constants/session.constants.js';
+
+export class SessionError extends Error {
+  constructor(message, statusCode = HTTP_STATUS.SERVER_ERROR) {
+    super(message);
+    this.name = 'SessionError';
+    this.statusCode = statusCode;
+  }
+}
+
+const SESSION_FIELDS = 'id, device_name, user_agent, ip_address, created_at, last_seen_at, revoked_at, revoked_reason, reuse_detected_at, reuse_ip_address, reuse_user_agent';
+
+// Checked in order - Android and iOS user agents also mention Linux / Mac OS X
+const OS_PATTERNS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+// Checked in order - Edge and Chrome user agents also mention Safari
+const BROWSER_PATTERNS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\//],
+  ['Firefox', /Firefox\//],
+  ['Safari', /Safari\//]
+];
+
+/**
+ * SCALABILITY: In-memory session check cache
+ * Saves a DB round trip per authenticated request. A revoke on this
+ * instance clears the entry straight away; other instances notice within
+ * SESSION_CHECK_TTL_MS.
+ */
+const sessionCache = new Map();
+
+function getCachedCheck(sessionId) {
+  const cached = sessionCache.get(sessionId);
+  if (!cached) return null;
+
+  if (Date.now() > cached.expiresAt) {
+    sessionCache.delete(sessionId);
+    return null;
+  }
+
+  return cached;
+}
+
+function setCachedCheck(sessionId, userId, active) {
+  if (sessionCache.size > 10000) {
+    sessionCache.clear();
+  }
+
+  sessionCache.set(sessionId, { userId, active, expiresAt: Date.now() + SESSION_CHECK_TTL_MS });
+}
+
+function forgetCachedChecks(userId, sessionId = null) {
+  for (const [key, cached] of sessionCache) {
+    if (cached.userId === userId && (!sessionId || key === sessionId)) {
+      sessionCache.delete(key);
+    }
+  }
+}
+
+/**
+ * Reads the Supabase session id from an access token
+ * The token must already be verified (auth.getUser) - this only decodes it.
+ *
+ * @param {string} accessToken
+ * @returns {string|null}
+ */
+export function getSessionId(accessToken) {
+  try {
+    const payload = JSON.parse(Buffer.from(accessToken.split('.')[1], 'base64url').toString('utf8'));
+    return payload.session_id || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Short label for a user agent, e.g. "Chrome on Windows"
+ */
+export function describeDevice(userAgent) {
+  if (!userAgent) return null;
+
+  const os = OS_PATTERNS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const browser = BROWSER_PATTERNS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || null;
+}
+
+/**
+ * Device details for a request
+ * Clients may name the device in the request body (device_name); otherwise
+ * it is derived from the user agent.
+ */
+export function getClientInfo(req) {
+  const userAgent = req.get('user-agent') || null;
+  const deviceName = typeof req.body?.device_name === 'string' ? req.body.device_name.trim() : '';
+
+  return {
+    deviceName: deviceName ? deviceName.slice(0, DEVICE_NAME_MAX_LENGTH) : describeDevice(userAgent),
+    userAgent,
+    ipAddress: req.ip || null
+  };
+}
+
+/**
+ * Records use of a session (see touch_user_session in migration 022)
+ *
+ * @returns {Promise<boolean>} false if the session was revoked
+ */
+export async function touchSession(sessionId, userId, { deviceName = null, userAgent = null, ipAddress = null } = {}) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: active, error } = await supabaseAdmin.rpc('touch_user_session', {
+    p_session_id: sessionId,
+    p_user_id: userId,
+    p_device_name: deviceName,
+    p_user_agent: userAgent,
+    p_ip_address: ipAddress
+  });
+
+  if (error) {
+    logError('Touch session error', error);
+    throw new SessionError(SESSION_ERRORS.FAILED_TO_RETRIEVE);
+  }
+
+  setCachedCheck(sessionId, userId, active === true);
+  return active === true;
+}
+
+/**
+ * Whether the session behind an access token may still be used
+ * Sessions seen for the first time are recorded, so tokens issued before
+ * this table existed still show up in the user's list.
+ */
+export async function isSessionActive(sessionId, userId, req) {
+  const cached = getCachedCheck(sessionId);
+  if (cached && cached.userId === userId) {
+    return cached.active;
+  }
+
+  const { userAgent, ipAddress } = getClientInfo(req);
+  return touchSession(sessionId, userId, { userAgent, ipAddress });
+}
+
+function hashRefreshToken(refreshToken) {
+  return createHash('sha256').update(refreshToken).digest('hex');
+}
+
+/**
+ * Remembers a refresh token issued for a session (its token family)
+ * Never throws - an unrecorded token still refreshes, it just isn't
+ * covered by reuse detection.
+ */
+async function storeRefreshToken(sessionId, userId, refreshToken, parentId = null) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { error } = await supabaseAdmin
+    .from('session_refresh_tokens')
+    .insert({
+      session_id: sessionId,
+      user_id: userId,
+      token_hash: hashRefreshToken(refreshToken),
+      parent_id: parentId
+    });
+
+  if (error) {
+    logError('Store refresh token error', error);
+  }
+}
+
+/**
+ * Signs a user in without a password once another factor (a passkey, an
+ * SMS code) has been verified
+ * Supabase has no way to mint a session directly, so a magic link is
+ * generated server-side and redeemed straight away; nothing is emailed.
+ *
+ * @returns {Promise<{ user: Object, session: Object }>}
+ */
+export async function createSession(userId) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: { user } = {}, error: userError } = await supabaseAdmin.auth.admin.getUserById(userId);
+  if (userError || !user) {
+    logError('Create session user lookup error', userError);
+    throw new SessionError(SESSION_ERRORS.FAILED_TO_CREATE);
+  }
+
+  const { data: link, error: linkError } = await supabaseAdmin.auth.admin.generateLink({
+    type: 'magiclink',
+    email: user.email
+  });
+  if (linkError) {
+    logError('Create session link error', linkError);
+    throw new SessionError(SESSION_ERRORS.FAILED_TO_CREATE);
+  }
+
+  const { data, error } = await getSupabase().auth.verifyOtp({
+    token_hash: link.properties.hashed_token,
+    type: 'magiclink'
+  });
+  if (error || !data?.session) {
+    logError('Create session error', error);
+    throw new SessionError(SESSION_ERRORS.FAILED_TO_CREATE);
+  }
+
+  return { user: data.user, session: data.session };
+}
+
+/**
+ * Records a session right after it was issued (login, 2FA, OTP, ...)
+ * Never throws - the login has already succeeded, and authenticate will
+ * record the session on first use if this write is lost.
+ */
+export async function recordSession(session, userId, req) {
+  const sessionId = session?.access_token ? getSessionId(session.access_token) : null;
+  if (!sessionId) return;
+
+  try {
+    await touchSession(sessionId, userId, getClientInfo(req));
+    if (session.refresh_token) {
+      await storeRefreshToken(sessionId, userId, session.refresh_token);
+    }
+  } catch (error) {
+    logError('Record session error', error);
+  }
+}
+
+/**
+ * Revokes a token family after one of its rotated refresh tokens came back
+ * The replaying client's IP / user agent are kept on the session so the
+ * user can see where it came from (see flag_refresh_token_reuse in
+ * migration 023).
+ */
+async function handleRefreshTokenReuse(sessionId, req) {
+  const supabaseAdmin = getSupabaseAdmin();
+  const { userAgent, ipAddress } = getClientInfo(req);
+
+  const { data: rows, error } = await supabaseAdmin.rpc('flag_refresh_token_reuse', {
+    p_session_id: sessionId,
+    p_ip_address: ipAddress,
+    p_user_agent: userAgent
+  });
+
+  if (error) {
+    logError('Flag refresh token reuse error', error);
+    return;
+  }
+
+  const session = rows?.[0];
+  if (!session) return;
+
+  forgetCachedChecks(session.user_id, session.id);
+
+  await notifyUser({
+    userId: session.user_id,
+    type: NOTIFICATION_TYPES.SECURITY,
+    action: SESSION_REVOKE_REASONS.TOKEN_REUSE,
+    title: 'Suspicious sign-in activity',
+    message: `An old sign-in token for ${session.device_name || 'one of your devices'} was used again, so that device has been signed out. If this wasn't you, change your password.`,
+    data: { session_id: session.id, ip_address: ipAddress, user_agent: userAgent }
+  });
+}
+
+// Undoes our claim on a refresh token; only this request's claim
+async function releaseRefreshToken(id, claimedAt) {
+  const { error } = await getSupabaseAdmin()
+    .from('session_refresh_tokens')
+    .update({ rotated_at: null })
+    .eq('id', id)
+    .eq('rotated_at', claimedAt);
+
+  if (error) {
+    logError('Release refresh token error', error);
+  }
+}
+
+/**
+ * Exchanges a refresh token for a new session, rotating it
+ * Each recorded refresh token works once. Presenting one that was already
+ * rotated revokes its whole session and flags the account. Tokens the
+ * backend never recorded (issued before rotation tracking) are passed to
+ * Supabase and enter tracking from then on.
+ *
+ * @param {string} refreshToken
+ * @param {Object} req - Express request (client IP / user agent)
+ * @returns {Promise<Object>} New Supabase session
+ */
+export async function refreshSession(refreshToken, req) {
+  const supabaseAdmin = getSupabaseAdmin();
+  const tokenHash = hashRefreshToken(refreshToken);
+
+  // Claim the token - only one request can rotate it
+  const claimedAt = new Date().toISOString();
+  const { data: claimed, error: claimError } = await supabaseAdmin
+    .from('session_refresh_tokens')
+    .update({ rotated_at: claimedAt })
+    .eq('token_hash', tokenHash)
+    .is('rotated_at', null)
+    .select('id, session_id, user_id');
+
+  if (claimError) {
+    logError('Claim refresh token error', claimError);
+    throw new SessionError(SESSION_ERRORS.FAILED_TO_REFRESH);
+  }
+
+  const parent = claimed?.[0] || null;
+
+  if (!parent) {
+    const { data: rotated } = await supabaseAdmin
+      .from('session_refresh_tokens')
+      .select('id, session_id')
+      .eq('token_hash', tokenHash)
+      .single();
+
+    if (rotated) {
+      await handleRefreshTokenReuse(rotated.session_id, req);
+      throw new SessionError(SESSION_ERRORS.REFRESH_TOKEN_REUSED, HTTP_STATUS.UNAUTHORIZED);
+    }
+  }
+
+  let data;
+  let error;
+  try {
+    ({ data, error } = await getSupabase().auth.refreshSession({ refresh_token: refreshToken }));
+  } catch (refreshError) {
+    error = refreshError;
+  }
+
+  if (error || !data?.session) {
+    // Nothing was rotated, so a retry with the same token must not look
+    // like a replay
+    if (parent) {
+      await releaseRefreshToken(parent.id, claimedAt);
+    }
+    throw new SessionError(SESSION_ERRORS.INVALID_REFRESH_TOKEN, HTTP_STATUS.UNAUTHORIZED);
+  }
+
+  // A revoked device must not get new tokens - end its Supabase session too.
+  // Checked against the DB, not the cache, since this is where revoked
+  // devices try to come back.
+  const sessionId = getSessionId(data.session.access_token);
+  const { userAgent, ipAddress } = getClientInfo(req);
+
+  if (sessionId && !(await touchSession(sessionId, data.user.id, { userAgent, ipAddress }))) {
+    await supabaseAdmin.auth.admin.signOut(data.session.access_token, 'local');
+    throw new SessionError(SESSION_ERRORS.REVOKED, HTTP_STATUS.UNAUTHORIZED);
+  }
+
+  if (sessionId) {
+    await storeRefreshToken(sessionId, data.user.id, data.session.refresh_token, parent?.id);
+  }
+
+  return data.session;
+}
+
+/**
+ * A user's sessions, most recently used first
+ *
+ * @param {string} userId
+ * @param {string|null} currentSessionId - Flagged as `current` in the list
+ * @param {Object} [options]
+ * @param {boolean} [options.includeRevoked] - Also list ended sessions
+ */
+export async function listSessions(userId, currentSessionId = null, { includeRevoked = false } = {}) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  let query = supabaseAdmin
+    .from('user_sessions')
+    .select(SESSION_FIELDS)
+    .eq('user_id', userId);
+
+  if (!includeRevoked) {
+    query = query.is('revoked_at', null);
+  }
+
+  const { data: sessions, error } = await query.order('last_seen_at', { ascending: false });
+
+  if (error) {
+    logError('List sessions error', error);
+    throw new SessionError(SESSION_ERRORS.FAILED_TO_RETRIEVE);
+  }
+
+  return (sessions || []).map(session => ({ ...session, current: session.id === currentSessionId }));
+}
+
+/**
+ * Revokes one of the user's sessions
+ * Its access token is rejected by authenticate from now on, and its
+ * refresh token by the refresh endpoint.
+ */
+export async function revokeSession(userId, sessionId, reason = SESSION_REVOKE_REASONS.REVOKED) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: rows, error } = await supabaseAdmin
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('id', sessionId)
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) {
+    logError('Revoke session error', error);
+    throw new SessionError(SESSION_ERRORS.FAILED_TO_REVOKE);
+  }
+
+  if (!rows || rows.length === 0) {
+    throw new SessionError(SESSION_ERRORS.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  forgetCachedChecks(userId, sessionId);
+}
+
+/**
+ * Revokes every session of a user ("log out everywhere")
+ * The caller's token, when there is one, is also used to sign the user out
+ * of Supabase globally, which drops all of their refresh tokens. Without
+ * it the revoked rows alone stop the sessions here (authenticate and the
+ * refresh endpoint both check them).
+ *
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export async function revokeAllSessions(userId, accessToken, reason = SESSION_REVOKE_REASONS.LOGOUT_ALL) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  const { data: rows, error } = await supabaseAdmin
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) {
+    logError('Revoke all sessions error', error);
+    throw new SessionError(SESSION_ERRORS.FAILED_TO_REVOKE);
+  }
+
+  forgetCachedChecks(userId);
+
+  if (accessToken) {
+    const { error: signOutError } = await supabaseAdmin.auth.admin.signOut(accessToken, 'global');
+    if (signOutError) {
+      logError('Global sign out error', signOutError);
+    }
+  }
+
+  return rows?.length || 0;
+}
+
+/**
+ * Revokes every session except the caller's (e.g. after a password change)
+ *
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export async function revokeOtherSessions(userId, currentSessionId, accessToken, reason = SESSION_REVOKE_REASONS.REVOKED) {
+  const supabaseAdmin = getSupabaseAdmin();
+
+  let query = supabaseAdmin
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (currentSessionId) {
+    query = query.neq('id', currentSessionId);
+  }
+
+  const { data: rows, error } = await query.select('id');
+
+  if (error) {
+    logError('Revoke other sessions error', error);
+    throw new SessionError(SESSION_ERRORS.FAILED_TO_REVOKE);
+  }
+
+  forgetCachedChecks(userId);
+
+  const { error: signOutError } = await supabaseAdmin.auth.admin.signOut(accessToken, 'others');
+  if (signOutError) {
+    logError('Sign out other sessions error', signOutError);
+  }
+
+  return rows?.length || 0;
+}
+
+/**
+ * Ends the session behind an access token (logout)
+ */
+export async function endSession(userId, accessToken) {
+  const supabaseAdmin = getSupabaseAdmin();
+  const sessionId = getSessionId(accessToken);
+
+  if (sessionId) {
+    try {
+      await revokeSession(userId, sessionId, SESSION_REVOKE_REASONS.LOGOUT);
+    } catch (error) {
+      // Already revoked (or never recorded) - still sign out below
+      if (error.statusCode !== HTTP_STATUS.NOT_FOUND) throw error;
+    }
+  }
+
+  const { error } = await supabaseAdmin.auth.admin.signOut(accessToken, 'local');
+  if (error) {
+    logError('Sign out error', error);
+  }
+}
@@ -0,0 +1,39 @@
+import { appendFile } from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { SmsProviderError } from '../sms.errors.js';
+
+/**
+ * LOCAL SMS PROVIDER
+ *
+ * Development driver: nothing leaves the machine. Messages are appended to
+ * SMS_LOCAL_FILE as one JSON object per line so tests and scripts can read
+ * the codes back. Message bodies carry login codes, so the console only
+ * shows them when NODE_ENV=development and no file is set.
+ *
+ * Environment Variables (optional):
+ * - SMS_LOCAL_FILE: File to append sent messages to
+ */
+
+export function createLocalProvider(filePath = process.env.SMS_LOCAL_FILE) {
+  return {
+    name: 'local',
+    send: async ({ to, message }) => {
+      const id = randomUUID();
+
+      if (filePath) {
+        try {
+          await appendFile(filePath, `${JSON.stringify({ id, to, message, sent_at: new Date().toISOString() })}\n`);
+        } catch (error) {
+          throw new SmsProviderError(`Local SMS write failed: ${error.message}`);
+        }
+        console.log(`[SMS local] To ${to}: written to ${filePath} (${id})`);
+      } else if (process.env.NODE_ENV === 'development') {
+        console.log(`[SMS local] To ${to}: ${message}`);
+      } else {
+        console.log(`[SMS local] To ${to}: not shown, set SMS_LOCAL_FILE to read it (${id})`);
+      }
+
+      return { id };
+    }
+  };
+}
@@ -0,0 +1,6 @@
+export class SmsProviderError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SmsProviderError';
+  }
+}
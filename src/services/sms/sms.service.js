@@ -0,0 +1,99 @@
+import { createLocalProvider } from './providers/local.provider.js';
+import { SmsProviderError } from './sms.errors.js';
+
+export { SmsProviderError };
+
+/**
+ * SMS SERVICE
+ *
+ * Provider interface:
+ * - send({ to, message }) -> Promise<{ id }>
+ * where to is an E.164 number (+2348012345678). send throws
+ * SmsProviderError when the message could not be handed over.
+ *
+ * Provider selection:
+ * - SMS_PROVIDER=local|none forces a driver
+ * - otherwise the local driver is used outside production; in production
+ *   no provider is used and SMS features answer with an error
+ */
+
+let provider;
+
+function createProvider() {
+  const driver = process.env.SMS_PROVIDER
+    || (process.env.NODE_ENV === 'production' ? 'none' : 'local');
+
+  switch (driver) {
+    case 'local':
+      return createLocalProvider();
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown SMS_PROVIDER: ${driver}`);
+  }
+}
+
+export function getSmsProvider() {
+  if (provider === undefined) {
+    provider = createProvider();
+  }
+  return provider;
+}
+
+/**
+ * Swaps the provider implementation (null disables SMS)
+ */
+export function setSmsProvider(adapter) {
+  provider = adapter;
+}
+
+/**
+ * Generic SMS sender
+ *
+ * @param {Object} options
+ * @param {string} options.to - E.164 phone number
+ * @param {string} options.message - Text of the message
+ * @returns {Promise<{ id: string }>}
+ */
+export async function sendSms({ to, message }) {
+  const activeProvider = getSmsProvider();
+
+  if (!activeProvider) {
+    throw new SmsProviderError('No SMS provider configured');
+  }
+
+  return activeProvider.send({ to, message });
+}
+
+/**
+ * Send a one-time code for phone login or phone verification
+ *
+ * SECURITY: Never log the OTP value
+ *
+ * @param {Object} options
+ * @param {string} options.to - E.164 phone number
+ * @param {string} options.otp - 6-digit code
+ * @param {number} options.expiresInMinutes
+ */
+export async function sendPhoneOTP({ to, otp, expiresInMinutes }) {
+  return sendSms({
+    to,
+    message: `${otp} is your Motoka verification code. It expires in ${expiresInMinutes} minutes. Never share this code with anyone.`
+  });
+}
+
+/**
+ * Send a 2FA code for login or a sensitive change
+ *
+ * SECURITY: Never log the code value
+ *
+ * @param {Object} options
+ * @param {string} options.to - E.164 phone number
+ * @param {string} options.code - 6-digit code
+ */
+export async function send2FACode({ to, code }) {
+  return sendSms({
+    to,
+    message: `${code} is your Motoka 2FA code. It expires in 10 minutes. If you didn't request it, change your password now.`
+  });
+}
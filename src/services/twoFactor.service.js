@@ -1,10 +1,20 @@
+import { createHash } from 'crypto';
 import speakeasy from 'speakeasy';
 import QRCode from 'qrcode';
 import { getSupabaseAdmin } from '../config/supabase.js';
 import { generateOTP, generateToken } from '../utils/idGenerator.js';
+import { hashSecret, verifySecret, findMatchingSecret } from '../utils/secretHash.js';
 import { send2FACode as sendEmail2FACode } from './email/email.service.js';
+import { send2FACode as sendSms2FACode } from './sms/sms.service.js';
+import { getPendingLoginStore } from './pendingLoginStore.js';
 
 const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Motoka';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_WINDOW = 2;
+const RECOVERY_CODE_COUNT = 8;
+const LOGIN_TOKEN_TTL_MS = 10 * 60 * 1000;
+const CODE_TTL_MS = 10 * 60 * 1000;
+const MAX_LOGIN_ATTEMPTS = 5;
 
 export async function generateGoogleAuthSecret(userId, email) {
   const supabaseAdmin = getSupabaseAdmin();
@@ -19,7 +29,8 @@ export async function generateGoogleAuthSecret(userId, email) {
     two_factor_secret: secret.base32,
     two_factor_type: 'google',
     two_factor_enabled: false,
-    two_factor_confirmed_at: null
+    two_factor_confirmed_at: null,
+    two_factor_last_totp_step: null
   }).eq('id', userId);
   
   const qrCodeUrl = await QRCode.toDataURL(secret.otpauth_url);
@@ -27,8 +38,58 @@ export async function generateGoogleAuthSecret(userId, email) {
   return { secret: secret.base32, qrCode: qrCodeUrl, otpauthUrl: secret.otpauth_url };
 }
 
-export function verifyGoogleAuthCode(secret, code) {
-  return speakeasy.totp.verify({ secret, encoding: 'base32', token: code, window: 2 });
+/**
+ * Time step an authenticator code belongs to
+ * @returns {number|null} null if the code is not valid within the window
+ */
+function getGoogleAuthCodeStep(secret, code) {
+  const match = speakeasy.totp.verifyDelta({
+    secret,
+    encoding: 'base32',
+    token: code,
+    window: TOTP_WINDOW,
+    step: TOTP_STEP_SECONDS
+  });
+  
+  if (!match) return null;
+  
+  return Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + match.delta;
+}
+
+/**
+ * Accepts an authenticator code at most once
+ * A code stays valid for the whole window, so the step it belongs to is
+ * recorded and that step (or an earlier one) is refused afterwards. The
+ * conditional update makes two requests racing with the same code fail
+ * for one of them.
+ *
+ * @param {Object} profile - Needs id, two_factor_secret and two_factor_last_totp_step
+ * @returns {Promise<boolean>}
+ */
+async function useGoogleAuthCode(profile, code) {
+  const step = getGoogleAuthCodeStep(profile.two_factor_secret, code);
+  if (step === null) return false;
+  
+  const lastStep = profile.two_factor_last_totp_step;
+  if (lastStep !== null && lastStep !== undefined && step <= Number(lastStep)) return false;
+  
+  const { data, error } = await getSupabaseAdmin()
+    .from('profiles')
+    .update({ two_factor_last_totp_step: step })
+    .eq('id', profile.id)
+    .or(`two_factor_last_totp_step.is.null,two_factor_last_totp_step.lt.${step}`)
+    .select('id');
+  
+  if (error) {
+    console.error('[2FA] Failed to record TOTP step for user:', profile.id, error.message);
+    return false;
+  }
+  
+  return data?.length > 0;
+}
+
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => generateToken(8).toUpperCase());
 }
 
 export async function confirmGoogleAuth(userId, code) {
@@ -36,7 +97,7 @@ export async function confirmGoogleAuth(userId, code) {
   
   const { data: profile } = await supabaseAdmin
     .from('profiles')
-    .select('two_factor_secret')
+    .select('id, two_factor_secret, two_factor_last_totp_step')
     .eq('id', userId)
     .single();
   
@@ -44,25 +105,84 @@ export async function confirmGoogleAuth(userId, code) {
     throw new Error('2FA not initialized');
   }
   
-  if (!verifyGoogleAuthCode(profile.two_factor_secret, code)) {
+  if (!(await useGoogleAuthCode(profile, code))) {
     throw new Error('Invalid verification code');
   }
   
-  const recoveryCodes = Array.from({ length: 8 }, () => generateToken(8).toUpperCase());
+  const recoveryCodes = generateRecoveryCodes();
   
+  // The plain codes are only ever shown once, in this response
   await supabaseAdmin.from('profiles').update({
     two_factor_enabled: true,
     two_factor_confirmed_at: new Date().toISOString(),
-    two_factor_recovery_codes: recoveryCodes
+    two_factor_recovery_codes: await Promise.all(recoveryCodes.map(hashSecret))
   }).eq('id', userId);
   
   return recoveryCodes;
 }
 
+/**
+ * Replaces all of the user's recovery codes with a fresh set
+ * Callers must have re-authenticated the user first.
+ *
+ * @returns {Promise<Array<string>>} The new codes, to be shown once
+ */
+export async function regenerateRecoveryCodes(userId) {
+  const recoveryCodes = generateRecoveryCodes();
+  
+  const { error } = await getSupabaseAdmin()
+    .from('profiles')
+    .update({ two_factor_recovery_codes: await Promise.all(recoveryCodes.map(hashSecret)) })
+    .eq('id', userId);
+  
+  if (error) throw error;
+  
+  return recoveryCodes;
+}
+
+// Email and SMS codes share the pending code columns (two_factor_email_*):
+// a user has one 2FA method at a time. A new code replaces the last one.
+async function storePending2FACode(userId) {
+  const code = generateOTP();
+  const expiresAt = new Date(Date.now() + CODE_TTL_MS);
+  
+  await getSupabaseAdmin().from('profiles').update({
+    two_factor_email_code: await hashSecret(code),
+    two_factor_email_expires_at: expiresAt.toISOString()
+  }).eq('id', userId);
+  
+  return code;
+}
+
+// Single-use: a matching code is cleared straight away. The clear only
+// applies while the code read is still stored, so of two requests racing
+// with the same code one fails.
+async function usePending2FACode(userId, code) {
+  const supabaseAdmin = getSupabaseAdmin();
+  
+  const { data: profile } = await supabaseAdmin
+    .from('profiles')
+    .select('two_factor_email_code, two_factor_email_expires_at')
+    .eq('id', userId)
+    .single();
+  
+  if (!profile?.two_factor_email_code) throw new Error('No 2FA code pending');
+  if (new Date(profile.two_factor_email_expires_at) < new Date()) throw new Error('2FA code expired');
+  if (!(await verifySecret(code, profile.two_factor_email_code))) throw new Error('Invalid 2FA code');
+  
+  const { data: cleared, error } = await supabaseAdmin.from('profiles').update({
+    two_factor_email_code: null,
+    two_factor_email_expires_at: null
+  }).eq('id', userId).eq('two_factor_email_code', profile.two_factor_email_code).select('id');
+  
+  if (error) throw error;
+  if (!cleared?.length) throw new Error('Invalid 2FA code');
+  
+  return true;
+}
+
 export async function generateEmail2FACode(userId) {
   const supabaseAdmin = getSupabaseAdmin();
-  const code = generateOTP();
-  const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
   
   // Get user email for sending
   const { data: profile } = await supabaseAdmin
@@ -75,10 +195,7 @@ export async function generateEmail2FACode(userId) {
     throw new Error('User email not found');
   }
   
-  await supabaseAdmin.from('profiles').update({
-    two_factor_email_code: code,
-    two_factor_email_expires_at: expiresAt.toISOString()
-  }).eq('id', userId);
+  const code = await storePending2FACode(userId);
   
   // SECURITY: Send code via email (Resend), never log code value
   try {
@@ -92,24 +209,72 @@ export async function generateEmail2FACode(userId) {
 }
 
 export async function verifyEmail2FACode(userId, code) {
+  return usePending2FACode(userId, code);
+}
+
+/**
+ * Texts a 2FA code to the user's verified phone number
+ * Same expiry and single use as email codes.
+ */
+export async function generateSms2FACode(userId) {
+  const { data: profile } = await getSupabaseAdmin()
+    .from('profiles')
+    .select('phone_number, phone_verified')
+    .eq('id', userId)
+    .single();
+  
+  if (!profile?.phone_number || !profile.phone_verified) {
+    throw new Error('Verified phone number not found');
+  }
+  
+  const code = await storePending2FACode(userId);
+  
+  // SECURITY: Never log code value
+  try {
+    await sendSms2FACode({ to: profile.phone_number, code });
+  } catch (smsError) {
+    console.error('[2FA] SMS send failed for user:', userId, smsError.message);
+    throw new Error('Failed to send 2FA code');
+  }
+  
+  return code;
+}
+
+export async function verifySms2FACode(userId, code) {
+  return usePending2FACode(userId, code);
+}
+
+/**
+ * Checks a code against the user's active 2FA method (authenticator app,
+ * email or SMS code)
+ *
+ * @returns {Promise<boolean>}
+ */
+export async function verifyUser2FACode(userId, code) {
   const supabaseAdmin = getSupabaseAdmin();
   
   const { data: profile } = await supabaseAdmin
     .from('profiles')
-    .select('two_factor_email_code, two_factor_email_expires_at')
+    .select('id, two_factor_type, two_factor_secret, two_factor_last_totp_step')
     .eq('id', userId)
     .single();
   
-  if (!profile?.two_factor_email_code) throw new Error('No 2FA code pending');
-  if (new Date(profile.two_factor_email_expires_at) < new Date()) throw new Error('2FA code expired');
-  if (profile.two_factor_email_code !== code) throw new Error('Invalid 2FA code');
+  if (!profile) throw new Error('User not found');
   
-  await supabaseAdmin.from('profiles').update({
-    two_factor_email_code: null,
-    two_factor_email_expires_at: null
-  }).eq('id', userId);
+  if (profile.two_factor_type === 'google') {
+    return useGoogleAuthCode(profile, code);
+  }
   
-  return true;
+  if (profile.two_factor_type === 'email' || profile.two_factor_type === 'sms') {
+    try {
+      await usePending2FACode(userId, code);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+  
+  return false;
 }
 
 export async function enableEmail2FA(userId) {
@@ -125,6 +290,57 @@ export async function enableEmail2FA(userId) {
   return true;
 }
 
+/**
+ * Makes SMS codes the user's second factor, once the code texted by
+ * generateSms2FACode has come back
+ * Recovery codes are issued as for the authenticator app, for when the
+ * phone is lost.
+ *
+ * @returns {Promise<Array<string>>} Recovery codes, to be shown once
+ */
+export async function confirmSms2FA(userId, code) {
+  await usePending2FACode(userId, code);
+  
+  const recoveryCodes = generateRecoveryCodes();
+  
+  const { error } = await getSupabaseAdmin().from('profiles').update({
+    two_factor_enabled: true,
+    two_factor_type: 'sms',
+    two_factor_confirmed_at: new Date().toISOString(),
+    two_factor_secret: null,
+    two_factor_last_totp_step: null,
+    two_factor_recovery_codes: await Promise.all(recoveryCodes.map(hashSecret))
+  }).eq('id', userId);
+  
+  if (error) throw error;
+  
+  return recoveryCodes;
+}
+
+/**
+ * Makes passkeys the user's second factor
+ * Callers check that a passkey is registered. Recovery codes are issued as
+ * for the authenticator app, for when the phone holding the passkey is lost.
+ *
+ * @returns {Promise<Array<string>>} Recovery codes, to be shown once
+ */
+export async function enableWebauthn2FA(userId) {
+  const recoveryCodes = generateRecoveryCodes();
+
+  const { error } = await getSupabaseAdmin().from('profiles').update({
+    two_factor_enabled: true,
+    two_factor_type: 'webauthn',
+    two_factor_confirmed_at: new Date().toISOString(),
+    two_factor_secret: null,
+    two_factor_last_totp_step: null,
+    two_factor_recovery_codes: await Promise.all(recoveryCodes.map(hashSecret))
+  }).eq('id', userId);
+
+  if (error) throw error;
+
+  return recoveryCodes;
+}
+
 export async function disable2FA(userId) {
   const supabaseAdmin = getSupabaseAdmin();
   
@@ -135,7 +351,8 @@ export async function disable2FA(userId) {
     two_factor_recovery_codes: null,
     two_factor_confirmed_at: null,
     two_factor_email_code: null,
-    two_factor_email_expires_at: null
+    two_factor_email_expires_at: null,
+    two_factor_last_totp_step: null
   }).eq('id', userId);
   
   return true;
@@ -146,7 +363,7 @@ export async function get2FAStatus(userId) {
   
   const { data: profile } = await supabaseAdmin
     .from('profiles')
-    .select('two_factor_enabled, two_factor_type, two_factor_confirmed_at')
+    .select('two_factor_enabled, two_factor_type, two_factor_confirmed_at, two_factor_recovery_codes')
     .eq('id', userId)
     .single();
   
@@ -155,42 +372,93 @@ export async function get2FAStatus(userId) {
   return {
     enabled: profile.two_factor_enabled || false,
     method: profile.two_factor_type,
-    confirmed_at: profile.two_factor_confirmed_at
+    confirmed_at: profile.two_factor_confirmed_at,
+    recovery_codes_remaining: Array.isArray(profile.two_factor_recovery_codes) ? profile.two_factor_recovery_codes.length : 0
   };
 }
 
-export async function create2FALoginToken(userId) {
-  const supabaseAdmin = getSupabaseAdmin();
+// Temp tokens are 64 random characters, so a plain SHA-256 is enough to
+// keep them out of the store (same as refresh tokens in session.service)
+function loginTokenKey(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Starts a login that still needs a second factor
+ * The session from the first step is held server-side under the returned
+ * temp token and only handed out by complete2FALogin().
+ *
+ * @param {string} userId
+ * @param {Object} session - Supabase session from the first factor
+ * @returns {Promise<string>} Temp token for the 2FA step
+ */
+export async function create2FALoginToken(userId, session) {
   const token = generateToken(64);
-  const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
   
-  await supabaseAdmin.from('profiles').update({
-    two_factor_login_token: token,
-    two_factor_login_expires_at: expiresAt.toISOString()
-  }).eq('id', userId);
+  await getPendingLoginStore().set(loginTokenKey(token), {
+    userId,
+    session,
+    attempts: 0,
+    expiresAt: Date.now() + LOGIN_TOKEN_TTL_MS
+  }, LOGIN_TOKEN_TTL_MS);
   
   return token;
 }
 
+/**
+ * Checks that a pending login exists for this user without consuming it,
+ * so a mistyped code can be retried
+ */
 export async function verify2FALoginToken(userId, token) {
-  const supabaseAdmin = getSupabaseAdmin();
+  const pending = await getPendingLoginStore().get(loginTokenKey(token));
   
-  const { data: profile } = await supabaseAdmin
-    .from('profiles')
-    .select('two_factor_login_token, two_factor_login_expires_at')
-    .eq('id', userId)
-    .single();
+  if (!pending) throw new Error('Login session expired');
+  if (pending.userId !== userId) throw new Error('Invalid login token');
   
-  if (!profile?.two_factor_login_token) throw new Error('No login pending');
-  if (new Date(profile.two_factor_login_expires_at) < new Date()) throw new Error('Login session expired');
-  if (profile.two_factor_login_token !== token) throw new Error('Invalid login token');
+  return pending;
+}
+
+/**
+ * Counts a wrong code against a pending login
+ * The login is dropped after MAX_LOGIN_ATTEMPTS so the code can't be brute-forced
+ */
+export async function record2FALoginFailure(token, pending) {
+  const store = getPendingLoginStore();
+  const attempts = pending.attempts + 1;
+  
+  if (attempts >= MAX_LOGIN_ATTEMPTS) {
+    await store.delete(loginTokenKey(token));
+    return;
+  }
   
-  await supabaseAdmin.from('profiles').update({
-    two_factor_login_token: null,
-    two_factor_login_expires_at: null
-  }).eq('id', userId);
+  const ttlMs = pending.expiresAt - Date.now();
+  if (ttlMs > 0) {
+    await store.set(loginTokenKey(token), { ...pending, attempts }, ttlMs);
+  }
+}
+
+/**
+ * Releases the held session once the second factor has passed
+ * The token is single-use: a second call (or a concurrent request) gets an error.
+ */
+export async function complete2FALogin(userId, token) {
+  const pending = await getPendingLoginStore().take(loginTokenKey(token));
   
-  return true;
+  if (!pending || pending.userId !== userId) throw new Error('Login session expired');
+  
+  return pending.session;
+}
+
+/**
+ * User payload returned when a 2FA login completes, same shape as /login
+ */
+export async function getLoginUser(userId) {
+  const supabaseAdmin = getSupabaseAdmin();
+  
+  const { data: { user } } = await supabaseAdmin.auth.admin.getUserById(userId);
+  const { data: profile } = await supabaseAdmin.from('profiles').select('*').eq('id', userId).single();
+  
+  return { id: user.id, email: user.email, email_verified: !!user.email_confirmed_at, ...profile };
 }
 
 export async function verifyRecoveryCode(userId, code) {
@@ -204,12 +472,22 @@ export async function verifyRecoveryCode(userId, code) {
   
   if (!profile?.two_factor_recovery_codes) throw new Error('No recovery codes found');
   
-  const upperCode = code.toUpperCase();
-  if (!profile.two_factor_recovery_codes.includes(upperCode)) throw new Error('Invalid recovery code');
+  const index = await findMatchingSecret(String(code).toUpperCase(), profile.two_factor_recovery_codes);
+  if (index === -1) throw new Error('Invalid recovery code');
   
-  const remainingCodes = profile.two_factor_recovery_codes.filter(c => c !== upperCode);
+  const remainingCodes = profile.two_factor_recovery_codes.filter((_, i) => i !== index);
+  
+  // Only if the codes are still the ones read: a concurrent request that
+  // used any code first makes this one fail
+  const { data: updated, error } = await supabaseAdmin
+    .from('profiles')
+    .update({ two_factor_recovery_codes: remainingCodes })
+    .eq('id', userId)
+    .eq('two_factor_recovery_codes', JSON.stringify(profile.two_factor_recovery_codes))
+    .select('id');
   
-  await supabaseAdmin.from('profiles').update({ two_factor_recovery_codes: remainingCodes }).eq('id', userId);
+  if (error) throw error;
+  if (!updated?.length) throw new Error('Invalid recovery code');
   
   return { remainingCodes: remainingCodes.length };
 }
@@ -0,0 +1,362 @@
+import {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} from '@simplewebauthn/server';
+import { decodeClientDataJSON, isoBase64URL, isoUint8Array } from '@simplewebauthn/server/helpers';
+import { getSupabaseAdmin } from '../config/supabase.js';
+import { get2FAStatus } from './twoFactor.service.js';
+import { notifyUser } from './notification.service.js';
+import { getWebauthnChallengeStore } from './webauthnChallengeStore.js';
+import { logError } from '../utils/logger.js';
+import { DB_ERROR_CODES, HTTP_STATUS } from '../constants/car.constants.js';
+import { NOTIFICATION_TYPES } from '../constants/notification.constants.js';
+import { WEBAUTHN_RP, WEBAUTHN, WEBAUTHN_PURPOSES, WEBAUTHN_ERRORS } from '../constants/webauthn.constants.js';
+
+export class WebauthnError extends Error {
+  constructor(message, statusCode = HTTP_STATUS.SERVER_ERROR) {
+    super(message);
+    this.name = 'WebauthnError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Returned to the user; the key material and counter stay server-side
+const CREDENTIAL_FIELDS = 'id, name, device_type, backed_up, transports, created_at, last_used_at';
+
+async function getCredentialDescriptors(userId) {
+  const { data, error } = await getSupabaseAdmin()
+    .from('webauthn_credentials')
+    .select('credential_id, transports')
+    .eq('user_id', userId);
+
+  if (error) {
+    logError('Get passkeys error', error);
+    throw new WebauthnError(WEBAUTHN_ERRORS.FAILED_TO_START);
+  }
+
+  return (data || []).map(credential => ({ id: credential.credential_id, transports: credential.transports || [] }));
+}
+
+async function storeChallenge(options, purpose, userId) {
+  await getWebauthnChallengeStore().set(options.challenge, { purpose, userId }, WEBAUTHN.CHALLENGE_TTL_MS);
+  return options;
+}
+
+/**
+ * Takes the challenge a response answers, so it can only be used once
+ * The challenge comes back inside the signed clientDataJSON; it must have
+ * been issued by us, for the same purpose and the same user (null for a
+ * passwordless login, where the user is not known up front).
+ */
+async function takeChallenge(response, purpose, userId) {
+  let challenge;
+  try {
+    ({ challenge } = decodeClientDataJSON(response.response.clientDataJSON));
+  } catch {
+    throw new WebauthnError(WEBAUTHN_ERRORS.VERIFICATION_FAILED, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const issued = await getWebauthnChallengeStore().take(challenge);
+
+  if (!issued || issued.purpose !== purpose || issued.userId !== userId) {
+    throw new WebauthnError(WEBAUTHN_ERRORS.CHALLENGE_EXPIRED, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  return challenge;
+}
+
+/**
+ * Options for navigator.credentials.create()
+ * Passkeys are created as discoverable credentials so they also work for
+ * passwordless login, where the user is picked on the device.
+ *
+ * @param {Object} user - req.user
+ */
+export async function startRegistration(user) {
+  const existing = await getCredentialDescriptors(user.id);
+
+  if (existing.length >= WEBAUTHN.MAX_CREDENTIALS_PER_USER) {
+    throw new WebauthnError(WEBAUTHN_ERRORS.TOO_MANY_CREDENTIALS, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const options = await generateRegistrationOptions({
+    rpName: WEBAUTHN_RP.NAME,
+    rpID: WEBAUTHN_RP.ID,
+    userID: isoUint8Array.fromUTF8String(user.id),
+    userName: user.email,
+    userDisplayName: [user.first_name, user.last_name].filter(Boolean).join(' ') || user.email,
+    attestationType: 'none',
+    excludeCredentials: existing,
+    authenticatorSelection: { residentKey: 'required', userVerification: 'preferred' },
+    timeout: WEBAUTHN.TIMEOUT_MS
+  });
+
+  return storeChallenge(options, WEBAUTHN_PURPOSES.REGISTRATION, user.id);
+}
+
+/**
+ * Verifies the authenticator's attestation and saves the new passkey
+ *
+ * @param {Object} user - req.user
+ * @param {Object} options
+ * @param {string} options.name - Label chosen by the user ("Pixel 8")
+ * @param {Object} options.response - PublicKeyCredential as JSON
+ * @returns {Promise<Object>} The saved passkey
+ */
+export async function finishRegistration(user, { name, response }) {
+  const expectedChallenge = await takeChallenge(response, WEBAUTHN_PURPOSES.REGISTRATION, user.id);
+
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: WEBAUTHN_RP.ORIGINS,
+      expectedRPID: WEBAUTHN_RP.ID,
+      requireUserVerification: false
+    });
+  } catch (error) {
+    logError('Passkey registration verification error', error);
+    throw new WebauthnError(WEBAUTHN_ERRORS.VERIFICATION_FAILED, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (!verification.verified) {
+    throw new WebauthnError(WEBAUTHN_ERRORS.VERIFICATION_FAILED, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+
+  const { data, error } = await getSupabaseAdmin()
+    .from('webauthn_credentials')
+    .insert({
+      user_id: user.id,
+      credential_id: credential.id,
+      public_key: isoBase64URL.fromBuffer(credential.publicKey),
+      counter: credential.counter,
+      transports: credential.transports || [],
+      device_type: credentialDeviceType,
+      backed_up: credentialBackedUp,
+      name
+    })
+    .select(CREDENTIAL_FIELDS)
+    .single();
+
+  if (error) {
+    if (error.code === DB_ERROR_CODES.UNIQUE_VIOLATION) {
+      throw new WebauthnError(WEBAUTHN_ERRORS.ALREADY_REGISTERED, HTTP_STATUS.CONFLICT);
+    }
+    logError('Save passkey error', error);
+    throw new WebauthnError(WEBAUTHN_ERRORS.FAILED_TO_REGISTER);
+  }
+
+  await notifyUser({
+    userId: user.id,
+    type: NOTIFICATION_TYPES.SECURITY,
+    action: 'passkey_added',
+    title: 'Passkey Added',
+    message: `A passkey named "${name}" was added to your account. If this wasn't you, remove it and change your password now.`,
+    data: { passkey_id: data.id }
+  });
+
+  return data;
+}
+
+export async function listCredentials(userId) {
+  const { data, error } = await getSupabaseAdmin()
+    .from('webauthn_credentials')
+    .select(CREDENTIAL_FIELDS)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    logError('List passkeys error', error);
+    throw new WebauthnError(WEBAUTHN_ERRORS.FAILED_TO_RETRIEVE);
+  }
+
+  return data || [];
+}
+
+/**
+ * Removes one of the user's passkeys
+ * The last passkey can't be removed while it is the user's 2FA method, or
+ * they could no longer complete a login.
+ */
+export async function deleteCredential(userId, passkeyId) {
+  const credentials = await listCredentials(userId);
+  const credential = credentials.find(c => c.id === passkeyId);
+
+  if (!credential) {
+    throw new WebauthnError(WEBAUTHN_ERRORS.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (credentials.length === 1) {
+    const twoFactor = await get2FAStatus(userId);
+    if (twoFactor.enabled && twoFactor.method === 'webauthn') {
+      throw new WebauthnError(WEBAUTHN_ERRORS.LAST_CREDENTIAL, HTTP_STATUS.CONFLICT);
+    }
+  }
+
+  const { error } = await getSupabaseAdmin()
+    .from('webauthn_credentials')
+    .delete()
+    .eq('id', passkeyId)
+    .eq('user_id', userId);
+
+  if (error) {
+    logError('Delete passkey error', error);
+    throw new WebauthnError(WEBAUTHN_ERRORS.FAILED_TO_DELETE);
+  }
+
+  await notifyUser({
+    userId,
+    type: NOTIFICATION_TYPES.SECURITY,
+    action: 'passkey_removed',
+    title: 'Passkey Removed',
+    message: `The passkey "${credential.name}" was removed from your account.`,
+    data: { passkey_id: passkeyId }
+  });
+}
+
+/**
+ * Options for navigator.credentials.get()
+ * With a user the assertion is limited to their passkeys (2FA and
+ * re-authentication); without one any discoverable passkey can answer
+ * (passwordless login), and user verification is required since the
+ * passkey is then the only factor.
+ *
+ * @param {Object} options
+ * @param {string} options.purpose - WEBAUTHN_PURPOSES value
+ * @param {string|null} [options.userId]
+ */
+export async function startAuthentication({ purpose, userId = null }) {
+  let allowCredentials;
+
+  if (userId) {
+    allowCredentials = await getCredentialDescriptors(userId);
+    if (allowCredentials.length === 0) {
+      throw new WebauthnError(WEBAUTHN_ERRORS.NO_CREDENTIALS, HTTP_STATUS.BAD_REQUEST);
+    }
+  }
+
+  const options = await generateAuthenticationOptions({
+    rpID: WEBAUTHN_RP.ID,
+    allowCredentials,
+    userVerification: purpose === WEBAUTHN_PURPOSES.PASSWORDLESS ? 'required' : 'preferred',
+    timeout: WEBAUTHN.TIMEOUT_MS
+  });
+
+  return storeChallenge(options, purpose, userId);
+}
+
+async function alertCounterMismatch(credential) {
+  logError('Passkey counter mismatch', new Error(`Passkey ${credential.id} of user ${credential.user_id} sent a counter that did not increase`));
+
+  await notifyUser({
+    userId: credential.user_id,
+    type: NOTIFICATION_TYPES.SECURITY,
+    action: 'passkey_counter_mismatch',
+    title: 'Passkey Rejected',
+    message: `A sign-in with your passkey "${credential.name}" was refused because the passkey may have been copied. If you don't recognise this, remove the passkey and change your password.`,
+    data: { passkey_id: credential.id }
+  });
+}
+
+/**
+ * Verifies a passkey assertion and records the new signature counter
+ *
+ * Authenticators that count send a higher counter on every use; a counter
+ * that doesn't increase means two copies of the key exist, so the
+ * assertion is refused and the owner alerted. The check runs after the
+ * signature is verified so a forged response can't raise a false alarm,
+ * and the conditional update refuses one of two racing assertions.
+ *
+ * @param {Object} options
+ * @param {Object} options.response - PublicKeyCredential as JSON
+ * @param {string} options.purpose - Purpose the options were issued for
+ * @param {string|null} [options.userId] - Expected owner (null for passwordless)
+ * @returns {Promise<{ userId: string, passkeyId: string }>}
+ */
+export async function verifyAssertion({ response, purpose, userId = null }) {
+  const expectedChallenge = await takeChallenge(response, purpose, userId);
+  const supabaseAdmin = getSupabaseAdmin();
+
+  let query = supabaseAdmin
+    .from('webauthn_credentials')
+    .select('id, user_id, name, credential_id, public_key, counter, transports')
+    .eq('credential_id', response.id);
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data: credential, error } = await query.single();
+
+  if (error && error.code !== DB_ERROR_CODES.NOT_FOUND) {
+    logError('Get passkey error', error);
+    throw new WebauthnError(WEBAUTHN_ERRORS.VERIFICATION_FAILED);
+  }
+
+  if (!credential) {
+    throw new WebauthnError(WEBAUTHN_ERRORS.UNKNOWN_CREDENTIAL, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: WEBAUTHN_RP.ORIGINS,
+      expectedRPID: WEBAUTHN_RP.ID,
+      // Counter 0 turns off the library's own check, which runs before
+      // the signature is verified; ours runs below instead
+      credential: {
+        id: credential.credential_id,
+        publicKey: isoBase64URL.toBuffer(credential.public_key),
+        counter: 0,
+        transports: credential.transports || []
+      },
+      requireUserVerification: purpose === WEBAUTHN_PURPOSES.PASSWORDLESS
+    });
+  } catch (verifyError) {
+    logError('Passkey assertion verification error', verifyError);
+    throw new WebauthnError(WEBAUTHN_ERRORS.VERIFICATION_FAILED, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (!verification.verified) {
+    throw new WebauthnError(WEBAUTHN_ERRORS.VERIFICATION_FAILED, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const { newCounter } = verification.authenticationInfo;
+  const storedCounter = Number(credential.counter) || 0;
+  const counts = newCounter > 0 || storedCounter > 0;
+
+  if (counts && newCounter <= storedCounter) {
+    await alertCounterMismatch(credential);
+    throw new WebauthnError(WEBAUTHN_ERRORS.COUNTER_MISMATCH, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  let update = supabaseAdmin
+    .from('webauthn_credentials')
+    .update({ counter: newCounter, last_used_at: new Date().toISOString() })
+    .eq('id', credential.id);
+
+  if (counts) {
+    update = update.lt('counter', newCounter);
+  }
+
+  const { data: updated, error: updateError } = await update.select('id');
+
+  if (updateError) {
+    logError('Update passkey counter error', updateError);
+    throw new WebauthnError(WEBAUTHN_ERRORS.VERIFICATION_FAILED);
+  }
+
+  if (!updated?.length) {
+    await alertCounterMismatch(credential);
+    throw new WebauthnError(WEBAUTHN_ERRORS.COUNTER_MISMATCH, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  return { userId: credential.user_id, passkeyId: credential.id };
+}
@@ -0,0 +1,26 @@
+/**
+ * SCALABILITY: In-memory store for outstanding WebAuthn challenges
+ *
+ * Each registration or assertion ceremony gets a random challenge that the
+ * authenticator signs; the challenge is the key here and the value records
+ * what it was issued for (purpose, user). Entries are taken on first use so
+ * a signed response can't be replayed.
+ * Like the pending login store, entries live in THIS server instance only.
+ * setWebauthnChallengeStore() takes the same kind of adapter as
+ * setPendingLoginStore().
+ */
+import { InMemoryPendingLoginStore } from './pendingLoginStore.js';
+
+let store = new InMemoryPendingLoginStore();
+
+export function getWebauthnChallengeStore() {
+  return store;
+}
+
+/**
+ * Swaps the store implementation (e.g. for a Redis adapter)
+ * @param {Object} adapter - Object implementing set(), get(), take() and delete()
+ */
+export function setWebauthnChallengeStore(adapter) {
+  store = adapter;
+}
@@ -0,0 +1,31 @@
+/**
+ * Calendar date helpers for DATE columns (YYYY-MM-DD strings)
+ * Arithmetic is done in UTC so no time zone or DST shift leaks into the result.
+ */
+
+// Business day boundaries (expiry dates, reminders, renewals) are in Nigerian time
+export const APP_TIME_ZONE = 'Africa/Lagos';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {Date} [now]
+ * @returns {string} The calendar day in APP_TIME_ZONE as YYYY-MM-DD
+ */
+export const toLocalDateString = (now = new Date()) => now.toLocaleDateString('en-CA', { timeZone: APP_TIME_ZONE });
+
+export const addDays = (dateString, days) => new Date(Date.parse(dateString) + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Adds calendar months, clamping to the last day of a shorter month
+ * (2028-02-29 + 12 months = 2029-02-28)
+ */
+export const addMonths = (dateString, months) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().slice(0, 10);
+};
+
+export const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
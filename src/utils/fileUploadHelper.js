@@ -65,6 +65,28 @@ export const getFilesToDelete = (existingCar, uploadedFileUrls) => {
   return filesToDelete;
 };
 
+/**
+ * Collects every document URL attached to a car
+ * @param {Object} car - Car record
+ * @returns {Object} Document URLs grouped by field
+ */
+export const getCarDocuments = (car) => ({
+  document_images: Array.isArray(car.document_images) ? car.document_images : [],
+  cac_document: car.cac_document || null,
+  letterhead: car.letterhead || null,
+  means_of_identification: car.means_of_identification || null
+});
+
+/**
+ * Flattens a car's documents into a single list
+ * @param {Object} car - Car record
+ * @returns {Array<string>} Document URLs
+ */
+export const getCarDocumentUrls = (car) => {
+  const { document_images, ...singleFiles } = getCarDocuments(car);
+  return [...document_images, ...Object.values(singleFiles)].filter(Boolean);
+};
+
 /**
  * Monitors file cleanup operations and logs failures
  * @param {Array<string>} fileUrls - URLs of files to delete
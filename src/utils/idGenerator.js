@@ -1,7 +1,14 @@
+import { randomInt } from 'crypto';
+
 const CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
 
-export const generateUserId = () => Array.from({ length: 6 }, () => CHARS.charAt(Math.floor(Math.random() * CHARS.length))).join('');
+// crypto.randomInt, not Math.random: OTPs and tokens must not be predictable
+const randomChars = (length) => Array.from({ length }, () => CHARS.charAt(randomInt(CHARS.length))).join('');
+
+export const generateUserId = () => randomChars(6);
+
+export const generateOTP = () => randomInt(100000, 1000000).toString();
 
-export const generateOTP = () => Math.floor(100000 + Math.random() * 900000).toString();
+export const generateToken = (length = 32) => randomChars(length);
 
-export const generateToken = (length = 32) => Array.from({ length }, () => CHARS.charAt(Math.floor(Math.random() * CHARS.length))).join('');
+export const generatePaymentReference = (prefix) => `${prefix}-${Date.now().toString(36).toUpperCase()}-${generateToken(10).toUpperCase()}`;
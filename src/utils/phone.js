@@ -0,0 +1,18 @@
+import { DEFAULT_COUNTRY_CODE } from '../constants/phone.constants.js';
+
+/**
+ * Writes a phone number in E.164 (+2348012345678) so each number has one
+ * spelling in profiles.phone_number. Local numbers (08012345678) are
+ * taken to be Nigerian.
+ */
+export function normalizePhoneNumber(value) {
+  if (!value) return value;
+
+  const digits = String(value).replace(/[\s\-().]/g, '');
+
+  if (digits.startsWith('+')) return digits;
+  if (digits.startsWith('00')) return `+${digits.slice(2)}`;
+  if (digits.startsWith(DEFAULT_COUNTRY_CODE)) return `+${digits}`;
+  if (digits.startsWith('0')) return `+${DEFAULT_COUNTRY_CODE}${digits.slice(1)}`;
+  return `+${DEFAULT_COUNTRY_CODE}${digits}`;
+}
@@ -17,3 +17,7 @@ export const forbidden = (res, message = 'Forbidden') => error(res, message, 403
 export const notFound = (res, message = 'Not found') => error(res, message, 404);
 export const validationError = (res, errors) => error(res, 'Validation failed', 422, errors);
 export const serverError = (res, message = 'Internal server error') => error(res, message, 500);
+export const locked = (res, message = 'Account locked', retryAfterSeconds = null) => {
+  if (retryAfterSeconds) res.set('Retry-After', String(retryAfterSeconds));
+  return error(res, message, 423);
+};
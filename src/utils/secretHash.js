@@ -0,0 +1,61 @@
+import { randomBytes, scrypt, createHash, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+
+/**
+ * Salted hashes for one-time codes and tokens stored in the database
+ * (password reset, email change, email 2FA, recovery codes)
+ *
+ * Stored as "<scheme>$<salt hex>$<hash hex>". Values written before
+ * migration 028 are plain text and never verify.
+ */
+
+const scryptAsync = promisify(scrypt);
+
+const SALT_BYTES = 16;
+const KEY_LENGTH = 32;
+
+/**
+ * @param {string} secret - Code or token as sent to the user
+ * @returns {Promise<string>} Value to store
+ */
+export async function hashSecret(secret) {
+  const salt = randomBytes(SALT_BYTES);
+  const hash = await scryptAsync(String(secret), salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Constant-time check of a code or token against a stored hash
+ * @returns {Promise<boolean>}
+ */
+export async function verifySecret(secret, stored) {
+  if (secret === undefined || secret === null || typeof stored !== 'string') return false;
+
+  const [scheme, saltHex, hashHex] = stored.split('$');
+  if (!saltHex || !hashHex) return false;
+
+  const salt = Buffer.from(saltHex, 'hex');
+  const expected = Buffer.from(hashHex, 'hex');
+  let actual;
+
+  if (scheme === 'scrypt') {
+    actual = await scryptAsync(String(secret), salt, expected.length);
+  } else if (scheme === 'sha256') {
+    // Recovery codes hashed in SQL by migration 028
+    actual = createHash('sha256').update(salt).update(String(secret)).digest();
+  } else {
+    return false;
+  }
+
+  // timingSafeEqual throws on length mismatch
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Index of the stored hash a secret matches, or -1
+ * Every hash is checked so the time taken doesn't reveal which one matched.
+ */
+export async function findMatchingSecret(secret, storedHashes) {
+  const results = await Promise.all((storedHashes || []).map(stored => verifySecret(secret, stored)));
+  return results.indexOf(true);
+}
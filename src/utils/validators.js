@@ -1,4 +1,13 @@
-import { body, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
+import { NOTIFICATION_TYPES, NOTIFICATION_PAGINATION } from '../constants/notification.constants.js';
+import { KYC_STATUS, KYC_PAGINATION, KYC_PATTERNS } from '../constants/kyc.constants.js';
+import { CAR_TYPES, REGISTRATION_STATUS, PLATE_TYPES } from '../constants/car.constants.js';
+import { RENEWAL_STATUS, RENEWAL_PAGINATION } from '../constants/renewal.constants.js';
+import { FEE_PURPOSES } from '../constants/payment.constants.js';
+import { WEBAUTHN } from '../constants/webauthn.constants.js';
+import { OAUTH_PROVIDERS } from '../constants/oauth.constants.js';
+import { USER_TYPES } from '../constants/role.constants.js';
+import { normalizePhoneNumber } from './phone.js';
 
 export const validate = (req, res, next) => {
   const errors = validationResult(req);
@@ -16,7 +25,7 @@ export const registerValidation = [
   body('first_name').trim().notEmpty().withMessage('First name is required').isLength({ min: 2, max: 50 }).withMessage('First name must be 2-50 characters'),
   body('last_name').trim().notEmpty().withMessage('Last name is required').isLength({ min: 2, max: 50 }).withMessage('Last name must be 2-50 characters'),
   body('email').trim().notEmpty().withMessage('Email is required').isEmail().withMessage('Invalid email').normalizeEmail(),
-  body('phone').optional().trim().isMobilePhone('any').withMessage('Invalid phone number'),
+  body('phone').optional().trim().customSanitizer(normalizePhoneNumber).isMobilePhone('any').withMessage('Invalid phone number'),
   body('password').notEmpty().withMessage('Password is required').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
   body('password_confirmation').notEmpty().withMessage('Password confirmation is required').custom((value, { req }) => {
     if (value !== req.body.password) throw new Error('Passwords do not match');
@@ -38,6 +47,19 @@ export const otpValidation = [
   body('otp').trim().notEmpty().withMessage('OTP is required').isLength({ min: 6, max: 6 }).withMessage('OTP must be 6 digits').isNumeric().withMessage('OTP must be numeric')
 ];
 
+export const phoneValidation = [
+  body('phone_number').trim().notEmpty().withMessage('Phone number is required').customSanitizer(normalizePhoneNumber).isMobilePhone('any').withMessage('Invalid phone number')
+];
+
+export const phoneOtpValidation = [
+  ...phoneValidation,
+  body('otp').trim().notEmpty().withMessage('OTP is required').isLength({ min: 6, max: 6 }).withMessage('OTP must be 6 digits').isNumeric().withMessage('OTP must be numeric')
+];
+
+export const phoneVerificationValidation = [
+  body('otp').trim().notEmpty().withMessage('OTP is required').isLength({ min: 6, max: 6 }).withMessage('OTP must be 6 digits').isNumeric().withMessage('OTP must be numeric')
+];
+
 export const resetPasswordValidation = [
   body('email').trim().notEmpty().withMessage('Email is required').isEmail().withMessage('Invalid email').normalizeEmail(),
   body('token').trim().notEmpty().withMessage('Reset token is required'),
@@ -48,6 +70,91 @@ export const resetPasswordValidation = [
   })
 ];
 
+export const changePasswordValidation = [
+  body('current_password').notEmpty().withMessage('Current password is required'),
+  body('password').notEmpty().withMessage('Password is required').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  body('password_confirmation').notEmpty().withMessage('Password confirmation is required').custom((value, { req }) => {
+    if (value !== req.body.password) throw new Error('Passwords do not match');
+    return true;
+  }),
+  body('code').optional().trim().isLength({ min: 6, max: 6 }).withMessage('Code must be 6 digits').isNumeric().withMessage('Code must be numeric'),
+  body('passkey').optional().isObject().withMessage('Passkey must be a credential object')
+];
+
+export const changeEmailValidation = [
+  body('new_email').trim().notEmpty().withMessage('New email is required').isEmail().withMessage('Invalid email').normalizeEmail(),
+  body('password').notEmpty().withMessage('Password is required')
+];
+
+export const confirmEmailChangeValidation = [
+  body('otp').trim().notEmpty().withMessage('OTP is required').isLength({ min: 6, max: 6 }).withMessage('OTP must be 6 digits').isNumeric().withMessage('OTP must be numeric')
+];
+
+// Accounts without a password re-authenticate with a linked provider's
+// ID token ("reauth") instead
+const reauthPasswordValidation = [
+  body('password').if(body('reauth').not().exists()).notEmpty().withMessage('Password is required'),
+  body('reauth').optional().isObject().withMessage('Reauth must be an object'),
+  body('reauth.provider').if(body('reauth').exists()).isIn(Object.values(OAUTH_PROVIDERS)).withMessage(`Reauth provider must be one of: ${Object.values(OAUTH_PROVIDERS).join(', ')}`),
+  body('reauth.id_token').if(body('reauth').exists()).isString().notEmpty().withMessage('Reauth ID token is required'),
+  body('reauth.nonce').optional().isString().withMessage('Reauth nonce must be a string')
+];
+
+export const deleteAccountValidation = [
+  ...reauthPasswordValidation,
+  body('code').optional().trim().isLength({ min: 6, max: 6 }).withMessage('Code must be 6 digits').isNumeric().withMessage('Code must be numeric'),
+  body('passkey').optional().isObject().withMessage('Passkey must be a credential object')
+];
+
+// A passkey assertion can stand in for the code
+export const regenerateRecoveryCodesValidation = [
+  ...reauthPasswordValidation,
+  body('code').if(body('passkey').not().exists()).trim().notEmpty().withMessage('Code is required').isLength({ min: 6, max: 6 }).withMessage('Code must be 6 digits').isNumeric().withMessage('Code must be numeric'),
+  body('passkey').optional().isObject().withMessage('Passkey must be a credential object')
+];
+
+export const passkeyRegistrationValidation = [
+  body('name').trim().notEmpty().withMessage('Passkey name is required').isLength({ max: WEBAUTHN.NAME_MAX_LENGTH }).withMessage(`Passkey name must be at most ${WEBAUTHN.NAME_MAX_LENGTH} characters`),
+  body('response').isObject().withMessage('Passkey response is required')
+];
+
+export const passkeyAssertionValidation = [
+  body('response').isObject().withMessage('Passkey response is required')
+];
+
+export const passkey2FALoginValidation = [
+  body('user_id').notEmpty().withMessage('User ID is required'),
+  body('temp_token').notEmpty().withMessage('Temp token is required')
+];
+
+export const passkeyIdValidation = [
+  param('id').isUUID().withMessage('Invalid passkey ID')
+];
+
+const oauthProviderValidation = param('provider').isIn(Object.values(OAUTH_PROVIDERS)).withMessage(`Provider must be one of: ${Object.values(OAUTH_PROVIDERS).join(', ')}`);
+
+export const oauthLoginValidation = [
+  oauthProviderValidation,
+  body('id_token').isString().notEmpty().withMessage('ID token is required'),
+  body('nonce').optional().isString().withMessage('Nonce must be a string'),
+  body('access_token').optional().isString().withMessage('Access token must be a string'),
+  body('first_name').optional().trim().isLength({ min: 1, max: 50 }).withMessage('First name must be 1-50 characters'),
+  body('last_name').optional().trim().isLength({ max: 50 }).withMessage('Last name must be under 50 characters')
+];
+
+export const unlinkSignInMethodValidation = [
+  oauthProviderValidation,
+  ...reauthPasswordValidation,
+  body('code').optional().trim().isLength({ min: 6, max: 6 }).withMessage('Code must be 6 digits').isNumeric().withMessage('Code must be numeric'),
+  body('passkey').optional().isObject().withMessage('Passkey must be a credential object')
+];
+
+export const linkSignInMethodValidation = [
+  ...unlinkSignInMethodValidation,
+  body('id_token').isString().notEmpty().withMessage('ID token is required'),
+  body('nonce').optional().isString().withMessage('Nonce must be a string')
+];
+
 export const twoFactorCodeValidation = [
   body('code').trim().notEmpty().withMessage('Code is required').isLength({ min: 6, max: 6 }).withMessage('Code must be 6 digits').isNumeric().withMessage('Code must be numeric')
 ];
@@ -55,9 +162,9 @@ export const twoFactorCodeValidation = [
 export const updateProfileValidation = [
   body('first_name').optional().trim().isLength({ min: 2, max: 50 }).withMessage('First name must be 2-50 characters'),
   body('last_name').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be 2-50 characters'),
-  body('phone_number').optional().trim().isMobilePhone('any').withMessage('Invalid phone number'),
+  body('phone_number').optional().trim().customSanitizer(normalizePhoneNumber).isMobilePhone('any').withMessage('Invalid phone number'),
   body('image').optional().trim().isURL().withMessage('Invalid image URL'),
-  body('nin').optional().trim().isLength({ min: 5, max: 50 }).withMessage('NIN must be 5-50 characters'),
+  body('nin').optional().trim().matches(KYC_PATTERNS.NIN).withMessage('NIN must be 11 digits'),
   body('address').optional().trim().isLength({ max: 500 }).withMessage('Address must be under 500 characters'),
   body('gender').optional().trim().isIn(['male', 'female', 'other']).withMessage('Gender must be male, female, or other')
 ];
@@ -65,3 +172,120 @@ export const updateProfileValidation = [
 export const suspendUserValidation = [
   body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be under 500 characters')
 ];
+
+export const assignRoleValidation = [
+  body('user_type_id').isIn(Object.values(USER_TYPES)).withMessage(`user_type_id must be one of: ${Object.values(USER_TYPES).join(', ')}`).toInt()
+];
+
+export const carReviewValidation = [
+  body('reason').trim().notEmpty().withMessage('Reason is required').isLength({ max: 500 }).withMessage('Reason must be under 500 characters')
+];
+
+export const listNotificationsValidation = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: NOTIFICATION_PAGINATION.MAX_LIMIT }).withMessage(`Limit must be between 1 and ${NOTIFICATION_PAGINATION.MAX_LIMIT}`),
+  query('type').optional().trim().isIn(Object.values(NOTIFICATION_TYPES)).withMessage(`Type must be one of: ${Object.values(NOTIFICATION_TYPES).join(', ')}`),
+  query('is_read').optional().isIn(['true', 'false']).withMessage('is_read must be true or false')
+];
+
+export const notificationIdValidation = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid notification ID')
+];
+
+export const listSessionsValidation = [
+  query('include_revoked').optional().isBoolean().withMessage('include_revoked must be true or false')
+];
+
+export const sessionIdValidation = [
+  param('id').isUUID().withMessage('Invalid session ID')
+];
+
+export const reportLoginValidation = [
+  body('login_id').isUUID().withMessage('Invalid login ID'),
+  body('token').isString().notEmpty().withMessage('Token is required')
+];
+
+export const dataExportIdValidation = [
+  param('id').isUUID().withMessage('Invalid export ID')
+];
+
+export const kycSubmissionValidation = [
+  body('nin').trim().notEmpty().withMessage('NIN is required').matches(KYC_PATTERNS.NIN).withMessage('NIN must be 11 digits'),
+  body('bvn').optional({ values: 'falsy' }).trim().matches(KYC_PATTERNS.BVN).withMessage('BVN must be 11 digits'),
+  body('date_of_birth').trim().notEmpty().withMessage('Date of birth is required').isISO8601({ strict: true }).withMessage('Date of birth must be a valid date (YYYY-MM-DD)'),
+  body('first_name').optional().trim().isLength({ min: 2, max: 50 }).withMessage('First name must be 2-50 characters'),
+  body('last_name').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be 2-50 characters'),
+  body('phone').optional().trim().isMobilePhone('any').withMessage('Invalid phone number')
+];
+
+export const listKycsValidation = [
+  query('status').optional().isIn(Object.values(KYC_STATUS)).withMessage(`Status must be one of: ${Object.values(KYC_STATUS).join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: KYC_PAGINATION.MAX_LIMIT }).withMessage(`Limit must be between 1 and ${KYC_PAGINATION.MAX_LIMIT}`)
+];
+
+export const kycIdValidation = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid KYC ID')
+];
+
+export const kycReviewValidation = [
+  ...kycIdValidation,
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be under 500 characters')
+];
+
+export const kycRejectValidation = [
+  ...kycIdValidation,
+  body('reason').trim().notEmpty().withMessage('Reason is required').isLength({ max: 500 }).withMessage('Reason must be under 500 characters')
+];
+
+const FEE_ITEM_CODE_PATTERN = /^[a-z0-9_]{1,50}$/;
+
+// Scope filters accept null to mean "any car"
+const feeOptionalFields = [
+  body('currency').optional().trim().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code').toUpperCase(),
+  body('purpose').optional().isIn(Object.values(FEE_PURPOSES)).withMessage(`Purpose must be one of: ${Object.values(FEE_PURPOSES).join(', ')}`),
+  body('car_type').optional({ values: 'null' }).isIn(Object.values(CAR_TYPES)).withMessage(`Car type must be one of: ${Object.values(CAR_TYPES).join(', ')}`),
+  body('registration_status').optional({ values: 'null' }).isIn(Object.values(REGISTRATION_STATUS)).withMessage(`Registration status must be one of: ${Object.values(REGISTRATION_STATUS).join(', ')}`),
+  body('plate_type').optional({ values: 'null' }).isIn(Object.values(PLATE_TYPES)).withMessage(`Plate type must be one of: ${Object.values(PLATE_TYPES).join(', ')}`),
+  body('is_active').optional().isBoolean({ strict: true }).withMessage('is_active must be true or false')
+];
+
+export const createFeeValidation = [
+  body('item_code').trim().notEmpty().withMessage('Item code is required').matches(FEE_ITEM_CODE_PATTERN).withMessage('Item code must be lowercase letters, digits or underscores'),
+  body('description').trim().notEmpty().withMessage('Description is required').isLength({ max: 255 }).withMessage('Description must be under 255 characters'),
+  body('amount').notEmpty().withMessage('Amount is required').isFloat({ min: 0 }).withMessage('Amount must be a non-negative number').toFloat(),
+  ...feeOptionalFields
+];
+
+export const updateFeeValidation = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid fee ID'),
+  body('item_code').optional().trim().matches(FEE_ITEM_CODE_PATTERN).withMessage('Item code must be lowercase letters, digits or underscores'),
+  body('description').optional().trim().notEmpty().withMessage('Description cannot be empty').isLength({ max: 255 }).withMessage('Description must be under 255 characters'),
+  body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be a non-negative number').toFloat(),
+  ...feeOptionalFields
+];
+
+export const confirmPaymentValidation = [
+  param('reference').trim().notEmpty().isLength({ max: 64 }).withMessage('Invalid payment reference'),
+  body('provider_reference').optional().trim().isLength({ max: 100 }).withMessage('Provider reference must be under 100 characters')
+];
+
+export const listRenewalsValidation = [
+  query('status').optional().isIn(Object.values(RENEWAL_STATUS)).withMessage(`Status must be one of: ${Object.values(RENEWAL_STATUS).join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: RENEWAL_PAGINATION.MAX_LIMIT }).withMessage(`Limit must be between 1 and ${RENEWAL_PAGINATION.MAX_LIMIT}`)
+];
+
+export const renewalIdValidation = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid renewal ID')
+];
+
+export const renewalReviewValidation = [
+  ...renewalIdValidation,
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be under 500 characters')
+];
+
+export const renewalRejectValidation = [
+  ...renewalIdValidation,
+  body('reason').trim().notEmpty().withMessage('Reason is required').isLength({ max: 500 }).withMessage('Reason must be under 500 characters')
+];
@@ -0,0 +1,89 @@
+-- =============================================
+-- CAR REVIEWS TABLE
+-- Audit trail of admin approve/reject decisions on cars
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.car_reviews (
+  id BIGSERIAL PRIMARY KEY,
+  car_id BIGINT NOT NULL REFERENCES public.cars(id) ON DELETE CASCADE,
+  reviewer_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  decision VARCHAR(20) NOT NULL CHECK (decision IN ('approve', 'reject')),
+  from_status car_status NOT NULL,
+  to_status car_status NOT NULL,
+  reason TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_car_reviews_car_id ON public.car_reviews(car_id, created_at DESC);
+
+-- Review queue lookups filter by status and order by submission time
+CREATE INDEX IF NOT EXISTS idx_cars_status_created_at
+ON public.cars(status, created_at)
+WHERE deleted_at IS NULL;
+
+-- Enable RLS
+ALTER TABLE public.car_reviews ENABLE ROW LEVEL SECURITY;
+
+-- Owners can view the review history of their own cars
+CREATE POLICY "Users can view reviews of own cars"
+  ON public.car_reviews
+  FOR SELECT
+  TO authenticated
+  USING (
+    car_id IN (
+      SELECT c.id FROM public.cars c WHERE c.user_id = auth.uid()
+    )
+  );
+
+-- Service role has full access (reviews are only written by the backend)
+CREATE POLICY "Service role has full access"
+  ON public.car_reviews
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+-- =============================================
+-- FUNCTION: Apply a review decision atomically
+-- Locks the car row, checks the current status against the allowed
+-- source statuses, records the review and updates the car in one
+-- transaction. Returns no rows when the transition is not allowed.
+-- =============================================
+CREATE OR REPLACE FUNCTION public.review_car(
+  p_car_id BIGINT,
+  p_reviewer_id UUID,
+  p_decision VARCHAR,
+  p_from_statuses car_status[],
+  p_to_status car_status,
+  p_reason TEXT
+)
+RETURNS SETOF public.cars AS $$
+DECLARE
+  v_car public.cars;
+BEGIN
+  SELECT * INTO v_car
+  FROM public.cars
+  WHERE id = p_car_id AND deleted_at IS NULL
+  FOR UPDATE;
+
+  IF NOT FOUND OR NOT (v_car.status = ANY(p_from_statuses)) THEN
+    RETURN;
+  END IF;
+
+  INSERT INTO public.car_reviews (car_id, reviewer_id, decision, from_status, to_status, reason)
+  VALUES (p_car_id, p_reviewer_id, p_decision, v_car.status, p_to_status, p_reason);
+
+  UPDATE public.cars
+  SET status = p_to_status
+  WHERE id = p_car_id
+  RETURNING * INTO v_car;
+
+  RETURN NEXT v_car;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the backend (service role) may apply review decisions
+REVOKE EXECUTE ON FUNCTION public.review_car(BIGINT, UUID, VARCHAR, car_status[], car_status, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.review_car(BIGINT, UUID, VARCHAR, car_status[], car_status, TEXT) TO service_role;
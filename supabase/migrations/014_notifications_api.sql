@@ -0,0 +1,25 @@
+-- =============================================
+-- NOTIFICATIONS API SUPPORT
+-- Adds a title column, list/unread-count indexes
+-- and lets users delete their own notifications
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+ALTER TABLE public.notifications
+ADD COLUMN IF NOT EXISTS title VARCHAR(255);
+
+-- Listing is always scoped to one user, newest first, optionally by read state
+CREATE INDEX IF NOT EXISTS idx_notifications_user_read_created
+ON public.notifications(user_id, is_read, created_at DESC);
+
+-- Users can delete their own notifications
+DROP POLICY IF EXISTS "Users can delete own notifications" ON public.notifications;
+CREATE POLICY "Users can delete own notifications"
+  ON public.notifications
+  FOR DELETE
+  TO authenticated
+  USING (
+    user_id IN (
+      SELECT p.user_id FROM public.profiles p WHERE p.id = auth.uid()
+    )
+  );
@@ -0,0 +1,79 @@
+-- =============================================
+-- KYC VERIFICATION
+-- Review fields, one KYC per user, and an atomic review function
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+ALTER TABLE public.kycs
+  ADD COLUMN IF NOT EXISTS rejection_reason TEXT,
+  ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ;
+
+-- One KYC record per user; rejected submissions are resubmitted in place
+ALTER TABLE public.kycs
+  DROP CONSTRAINT IF EXISTS kycs_user_id_key;
+ALTER TABLE public.kycs
+  ADD CONSTRAINT kycs_user_id_key UNIQUE (user_id);
+
+-- Nigerian NIN and BVN are both 11 digits
+-- NOT VALID so legacy rows do not block the migration
+ALTER TABLE public.kycs
+  DROP CONSTRAINT IF EXISTS kycs_nin_format;
+ALTER TABLE public.kycs
+  ADD CONSTRAINT kycs_nin_format CHECK (nin IS NULL OR nin ~ '^[0-9]{11}$') NOT VALID;
+
+ALTER TABLE public.kycs
+  DROP CONSTRAINT IF EXISTS kycs_bvn_format;
+ALTER TABLE public.kycs
+  ADD CONSTRAINT kycs_bvn_format CHECK (bvn IS NULL OR bvn ~ '^[0-9]{11}$') NOT VALID;
+
+-- Admin queue lookups filter by status and order by submission time
+CREATE INDEX IF NOT EXISTS idx_kycs_status_created_at ON public.kycs(status, created_at);
+
+-- =============================================
+-- FUNCTION: Apply a KYC review decision atomically
+-- Locks the KYC row, checks it is still pending, updates it and, on
+-- verification, copies the NIN onto the owner's profile in one
+-- transaction. Returns no rows when the KYC is not pending.
+-- =============================================
+CREATE OR REPLACE FUNCTION public.review_kyc(
+  p_kyc_id BIGINT,
+  p_reviewer_id UUID,
+  p_status VARCHAR,
+  p_reason TEXT
+)
+RETURNS SETOF public.kycs AS $$
+DECLARE
+  v_kyc public.kycs;
+BEGIN
+  SELECT * INTO v_kyc
+  FROM public.kycs
+  WHERE id = p_kyc_id
+  FOR UPDATE;
+
+  IF NOT FOUND OR v_kyc.status <> 'pending' THEN
+    RETURN;
+  END IF;
+
+  UPDATE public.kycs
+  SET status = p_status,
+      rejection_reason = CASE WHEN p_status = 'rejected' THEN p_reason ELSE NULL END,
+      reviewed_by = p_reviewer_id,
+      reviewed_at = NOW(),
+      verified_at = CASE WHEN p_status = 'verified' THEN NOW() ELSE NULL END
+  WHERE id = p_kyc_id
+  RETURNING * INTO v_kyc;
+
+  IF p_status = 'verified' THEN
+    UPDATE public.profiles
+    SET nin = v_kyc.nin
+    WHERE id = v_kyc.user_id;
+  END IF;
+
+  RETURN NEXT v_kyc;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the backend (service role) may apply review decisions
+REVOKE EXECUTE ON FUNCTION public.review_kyc(BIGINT, UUID, VARCHAR, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.review_kyc(BIGINT, UUID, VARCHAR, TEXT) TO service_role;
@@ -0,0 +1,64 @@
+-- =============================================
+-- KYC IDENTITY VERIFICATION
+-- Date of birth for identity matching, and a record of how each KYC
+-- was decided (automatic provider check or manual admin review)
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+ALTER TABLE public.kycs
+  ADD COLUMN IF NOT EXISTS date_of_birth DATE,
+  ADD COLUMN IF NOT EXISTS verification_method VARCHAR(20) CHECK (verification_method IN ('auto', 'manual')),
+  ADD COLUMN IF NOT EXISTS verification_notes TEXT;
+
+-- =============================================
+-- FUNCTION: Apply a KYC review decision atomically
+-- Replaces the version from migration 015 to also record the
+-- verification method and provider notes
+-- =============================================
+DROP FUNCTION IF EXISTS public.review_kyc(BIGINT, UUID, VARCHAR, TEXT);
+
+CREATE OR REPLACE FUNCTION public.review_kyc(
+  p_kyc_id BIGINT,
+  p_reviewer_id UUID,
+  p_status VARCHAR,
+  p_reason TEXT,
+  p_method VARCHAR,
+  p_notes TEXT
+)
+RETURNS SETOF public.kycs AS $$
+DECLARE
+  v_kyc public.kycs;
+BEGIN
+  SELECT * INTO v_kyc
+  FROM public.kycs
+  WHERE id = p_kyc_id
+  FOR UPDATE;
+
+  IF NOT FOUND OR v_kyc.status <> 'pending' THEN
+    RETURN;
+  END IF;
+
+  UPDATE public.kycs
+  SET status = p_status,
+      rejection_reason = CASE WHEN p_status = 'rejected' THEN p_reason ELSE NULL END,
+      reviewed_by = p_reviewer_id,
+      reviewed_at = NOW(),
+      verified_at = CASE WHEN p_status = 'verified' THEN NOW() ELSE NULL END,
+      verification_method = p_method,
+      verification_notes = COALESCE(p_notes, v_kyc.verification_notes)
+  WHERE id = p_kyc_id
+  RETURNING * INTO v_kyc;
+
+  IF p_status = 'verified' THEN
+    UPDATE public.profiles
+    SET nin = v_kyc.nin
+    WHERE id = v_kyc.user_id;
+  END IF;
+
+  RETURN NEXT v_kyc;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the backend (service role) may apply review decisions
+REVOKE EXECUTE ON FUNCTION public.review_kyc(BIGINT, UUID, VARCHAR, TEXT, VARCHAR, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.review_kyc(BIGINT, UUID, VARCHAR, TEXT, VARCHAR, TEXT) TO service_role;
@@ -0,0 +1,166 @@
+-- =============================================
+-- FEE SCHEDULES & PAYMENTS
+-- Data-driven car registration fees and payment intents
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+-- =============================================
+-- FEE SCHEDULES
+-- One row per fee item. car_type, registration_status and plate_type
+-- are filters: NULL matches any car. When several active rows share an
+-- item_code and all match a car, the most specific row wins.
+-- Finance edits these rows (or the admin fees endpoints) to change prices.
+-- =============================================
+CREATE TABLE IF NOT EXISTS public.fee_schedules (
+  id BIGSERIAL PRIMARY KEY,
+  item_code VARCHAR(50) NOT NULL,
+  description VARCHAR(255) NOT NULL,
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount >= 0),
+  currency CHAR(3) NOT NULL DEFAULT 'NGN',
+  car_type car_type,
+  registration_status registration_status,
+  plate_type plate_type,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT fee_schedules_item_scope_key
+    UNIQUE NULLS NOT DISTINCT (item_code, car_type, registration_status, plate_type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fee_schedules_active ON public.fee_schedules(is_active);
+
+ALTER TABLE public.fee_schedules ENABLE ROW LEVEL SECURITY;
+
+-- Fees are public pricing information
+CREATE POLICY "Authenticated users can view active fees"
+  ON public.fee_schedules
+  FOR SELECT
+  TO authenticated
+  USING (is_active = true);
+
+-- Service role has full access
+CREATE POLICY "Service role has full access"
+  ON public.fee_schedules
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+DROP TRIGGER IF EXISTS on_fee_schedules_updated ON public.fee_schedules;
+CREATE TRIGGER on_fee_schedules_updated
+  BEFORE UPDATE ON public.fee_schedules
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_updated_at();
+
+-- Starting prices - adjust to the current tariff before go-live
+INSERT INTO public.fee_schedules (item_code, description, amount, car_type, registration_status, plate_type) VALUES
+  ('processing_fee', 'Processing fee', 2500.00, NULL, NULL, NULL),
+  ('vehicle_license', 'Vehicle license', 3000.00, 'private', NULL, NULL),
+  ('vehicle_license', 'Vehicle license (commercial)', 5000.00, 'commercial', NULL, NULL),
+  ('road_worthiness', 'Road worthiness certificate', 6000.00, NULL, NULL, NULL),
+  ('insurance', 'Third party insurance', 15000.00, 'private', NULL, NULL),
+  ('insurance', 'Third party insurance (commercial)', 25000.00, 'commercial', NULL, NULL),
+  ('registration', 'New vehicle registration', 20000.00, NULL, 'unregistered', NULL),
+  ('plate_number', 'Plate number (Normal)', 18750.00, NULL, 'unregistered', 'Normal'),
+  ('plate_number', 'Plate number (Customized)', 200000.00, NULL, 'unregistered', 'Customized'),
+  ('plate_number', 'Plate number (Dealership)', 150000.00, NULL, 'unregistered', 'Dealership')
+ON CONFLICT ON CONSTRAINT fee_schedules_item_scope_key DO NOTHING;
+
+-- =============================================
+-- PAYMENTS
+-- A payment intent is created as 'pending' with a snapshot of the
+-- itemised fees, so later price changes never alter an open intent.
+-- =============================================
+CREATE TABLE IF NOT EXISTS public.payments (
+  id BIGSERIAL PRIMARY KEY,
+  reference VARCHAR(64) NOT NULL UNIQUE,
+  car_id BIGINT NOT NULL REFERENCES public.cars(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  purpose VARCHAR(30) NOT NULL DEFAULT 'registration',
+  items JSONB NOT NULL DEFAULT '[]'::jsonb,
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount >= 0),
+  currency CHAR(3) NOT NULL DEFAULT 'NGN',
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'successful', 'failed', 'cancelled')),
+  provider VARCHAR(30),
+  provider_reference VARCHAR(100),
+  paid_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payments_car_id ON public.payments(car_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_payments_user_id ON public.payments(user_id);
+
+-- At most one open intent per car and purpose
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_one_pending_per_car
+ON public.payments(car_id, purpose)
+WHERE status = 'pending';
+
+ALTER TABLE public.payments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own payments"
+  ON public.payments
+  FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+-- Service role has full access (payments are only written by the backend)
+CREATE POLICY "Service role has full access"
+  ON public.payments
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+DROP TRIGGER IF EXISTS on_payments_updated ON public.payments;
+CREATE TRIGGER on_payments_updated
+  BEFORE UPDATE ON public.payments
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_updated_at();
+
+-- =============================================
+-- FUNCTION: Confirm a car payment atomically
+-- Locks the payment, marks it successful and moves the car from
+-- 'unpaid' to 'pending' (awaiting admin review) in one transaction.
+-- Idempotent: confirming an already successful payment returns it
+-- unchanged. Returns no rows when the payment is failed/cancelled.
+-- =============================================
+CREATE OR REPLACE FUNCTION public.confirm_car_payment(
+  p_reference VARCHAR,
+  p_provider VARCHAR,
+  p_provider_reference VARCHAR
+)
+RETURNS SETOF public.payments AS $$
+DECLARE
+  v_payment public.payments;
+BEGIN
+  SELECT * INTO v_payment
+  FROM public.payments
+  WHERE reference = p_reference
+  FOR UPDATE;
+
+  IF NOT FOUND OR v_payment.status IN ('failed', 'cancelled') THEN
+    RETURN;
+  END IF;
+
+  IF v_payment.status = 'pending' THEN
+    UPDATE public.payments
+    SET status = 'successful',
+        provider = COALESCE(p_provider, provider),
+        provider_reference = COALESCE(p_provider_reference, provider_reference),
+        paid_at = NOW()
+    WHERE id = v_payment.id
+    RETURNING * INTO v_payment;
+
+    UPDATE public.cars
+    SET status = 'pending'
+    WHERE id = v_payment.car_id AND status = 'unpaid';
+  END IF;
+
+  RETURN NEXT v_payment;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the backend (service role) may confirm payments
+REVOKE EXECUTE ON FUNCTION public.confirm_car_payment(VARCHAR, VARCHAR, VARCHAR) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.confirm_car_payment(VARCHAR, VARCHAR, VARCHAR) TO service_role;
@@ -0,0 +1,131 @@
+-- =============================================
+-- PAYMENT WEBHOOK EVENTS
+-- Every verified webhook delivery is recorded once per provider event id,
+-- so redelivered events are acknowledged without being applied twice
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.payment_webhook_events (
+  id BIGSERIAL PRIMARY KEY,
+  provider VARCHAR(30) NOT NULL,
+  event_id VARCHAR(150) NOT NULL,
+  event_type VARCHAR(100) NOT NULL,
+  reference VARCHAR(64),
+  payload JSONB NOT NULL,
+  result VARCHAR(30),
+  processed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT payment_webhook_events_provider_event_key UNIQUE (provider, event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_webhook_events_reference ON public.payment_webhook_events(reference);
+
+-- Enable RLS
+ALTER TABLE public.payment_webhook_events ENABLE ROW LEVEL SECURITY;
+
+-- Service role has full access (events are only written by the backend)
+CREATE POLICY "Service role has full access"
+  ON public.payment_webhook_events
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+-- =============================================
+-- FUNCTION: Apply a payment webhook event atomically
+-- Records the event (deduplicated on provider + event_id) and applies it
+-- to the payment and car in the same transaction, so a failure part-way
+-- rolls back the event row too and the provider's retry is processed.
+--
+-- Results:
+--   duplicate          event already received
+--   confirmed          payment marked successful, car moved to pending
+--   already_processed  payment was already in a final state
+--   failed             payment marked failed
+--   amount_mismatch    paid amount/currency differs from the intent
+--   unknown_reference  no payment with this reference
+--   ignored            event type not handled
+-- =============================================
+CREATE OR REPLACE FUNCTION public.process_payment_webhook(
+  p_provider VARCHAR,
+  p_event_id VARCHAR,
+  p_event_type VARCHAR,
+  p_reference VARCHAR,
+  p_status VARCHAR,
+  p_amount_minor BIGINT,
+  p_currency VARCHAR,
+  p_provider_reference VARCHAR,
+  p_payload JSONB
+)
+RETURNS TABLE (result VARCHAR, payment_id BIGINT, user_id UUID, car_id BIGINT) AS $$
+#variable_conflict use_column
+DECLARE
+  v_event_id BIGINT;
+  v_payment public.payments;
+  v_result VARCHAR;
+BEGIN
+  INSERT INTO public.payment_webhook_events (provider, event_id, event_type, reference, payload)
+  VALUES (p_provider, p_event_id, p_event_type, p_reference, p_payload)
+  ON CONFLICT ON CONSTRAINT payment_webhook_events_provider_event_key DO NOTHING
+  RETURNING id INTO v_event_id;
+
+  IF v_event_id IS NULL THEN
+    RETURN QUERY SELECT 'duplicate'::VARCHAR, NULL::BIGINT, NULL::UUID, NULL::BIGINT;
+    RETURN;
+  END IF;
+
+  SELECT * INTO v_payment
+  FROM public.payments
+  WHERE reference = p_reference
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    v_result := 'unknown_reference';
+  ELSIF p_status = 'successful' THEN
+    IF v_payment.status <> 'pending' THEN
+      v_result := 'already_processed';
+    -- IS DISTINCT FROM: a missing amount or currency is a mismatch, not a pass
+    ELSIF p_amount_minor IS DISTINCT FROM ROUND(v_payment.amount * 100)
+       OR UPPER(p_currency) IS DISTINCT FROM v_payment.currency THEN
+      v_result := 'amount_mismatch';
+    ELSE
+      UPDATE public.payments
+      SET status = 'successful',
+          provider = p_provider,
+          provider_reference = COALESCE(p_provider_reference, provider_reference),
+          paid_at = NOW()
+      WHERE id = v_payment.id;
+
+      UPDATE public.cars
+      SET status = 'pending'
+      WHERE id = v_payment.car_id AND status = 'unpaid';
+
+      v_result := 'confirmed';
+    END IF;
+  ELSIF p_status = 'failed' THEN
+    IF v_payment.status <> 'pending' THEN
+      v_result := 'already_processed';
+    ELSE
+      UPDATE public.payments
+      SET status = 'failed',
+          provider = p_provider,
+          provider_reference = COALESCE(p_provider_reference, provider_reference)
+      WHERE id = v_payment.id;
+
+      v_result := 'failed';
+    END IF;
+  ELSE
+    v_result := 'ignored';
+  END IF;
+
+  UPDATE public.payment_webhook_events
+  SET result = v_result, processed_at = NOW()
+  WHERE id = v_event_id;
+
+  RETURN QUERY SELECT v_result, v_payment.id, v_payment.user_id, v_payment.car_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the backend (service role) may apply webhook events
+REVOKE EXECUTE ON FUNCTION public.process_payment_webhook(VARCHAR, VARCHAR, VARCHAR, VARCHAR, VARCHAR, BIGINT, VARCHAR, VARCHAR, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.process_payment_webhook(VARCHAR, VARCHAR, VARCHAR, VARCHAR, VARCHAR, BIGINT, VARCHAR, VARCHAR, JSONB) TO service_role;
@@ -0,0 +1,9 @@
+-- =============================================
+-- PAYMENT RECEIPTS
+-- Storage path of the generated PDF receipt in the car-documents bucket
+-- ({user_id}/{car_slug}/receipts/{reference}.pdf)
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+ALTER TABLE public.payments
+  ADD COLUMN IF NOT EXISTS receipt_path TEXT;
@@ -0,0 +1,36 @@
+-- =============================================
+-- CAR EXPIRY REMINDERS
+-- One row per reminder sent for a car's document expiry date.
+-- The unique key is claimed before the email goes out, so a restart or a
+-- second server instance never sends the same reminder twice. Renewing a
+-- car changes its expiry_date, which starts a fresh set of reminders.
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.car_expiry_reminders (
+  id BIGSERIAL PRIMARY KEY,
+  car_id BIGINT NOT NULL REFERENCES public.cars(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  expiry_date DATE NOT NULL,
+  threshold_days INTEGER NOT NULL CHECK (threshold_days > 0),
+  sent_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT car_expiry_reminders_car_expiry_threshold_key UNIQUE (car_id, expiry_date, threshold_days)
+);
+
+CREATE INDEX IF NOT EXISTS idx_car_expiry_reminders_user_id ON public.car_expiry_reminders(user_id);
+
+-- Scheduler query: registered cars expiring soon
+CREATE INDEX IF NOT EXISTS idx_cars_expiry_date
+  ON public.cars(expiry_date)
+  WHERE registration_status = 'registered' AND deleted_at IS NULL;
+
+-- Enable RLS
+ALTER TABLE public.car_expiry_reminders ENABLE ROW LEVEL SECURITY;
+
+-- Service role has full access (reminders are only written by the backend)
+CREATE POLICY "Service role has full access"
+  ON public.car_expiry_reminders
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
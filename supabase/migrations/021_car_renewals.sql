@@ -0,0 +1,107 @@
+-- =============================================
+-- CAR LICENSE RENEWALS
+-- A renewal request extends a registered car's papers by a new period.
+-- Each row keeps the period it replaces (previous_*), so approved rows
+-- form the car's renewal history.
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.car_renewals (
+  id BIGSERIAL PRIMARY KEY,
+  car_id BIGINT NOT NULL REFERENCES public.cars(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  previous_date_issued DATE,
+  previous_expiry_date DATE NOT NULL,
+  new_date_issued DATE NOT NULL,
+  new_expiry_date DATE NOT NULL,
+  period_months INTEGER NOT NULL CHECK (period_months > 0),
+  items JSONB NOT NULL DEFAULT '[]'::jsonb,
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount >= 0),
+  currency VARCHAR(3) NOT NULL DEFAULT 'NGN',
+  rejection_reason TEXT,
+  reviewed_by UUID REFERENCES auth.users(id),
+  reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT car_renewals_valid_period CHECK (new_expiry_date > new_date_issued)
+);
+
+CREATE INDEX IF NOT EXISTS idx_car_renewals_car_id ON public.car_renewals(car_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_car_renewals_status ON public.car_renewals(status, created_at);
+
+-- At most one open renewal per car
+CREATE UNIQUE INDEX IF NOT EXISTS idx_car_renewals_one_pending_per_car
+  ON public.car_renewals(car_id)
+  WHERE status = 'pending';
+
+DROP TRIGGER IF EXISTS on_car_renewals_updated ON public.car_renewals;
+CREATE TRIGGER on_car_renewals_updated
+  BEFORE UPDATE ON public.car_renewals
+  FOR EACH ROW
+  EXECUTE FUNCTION public.handle_updated_at();
+
+-- Enable RLS
+ALTER TABLE public.car_renewals ENABLE ROW LEVEL SECURITY;
+
+-- Service role has full access (renewals are only written by the backend)
+CREATE POLICY "Service role has full access"
+  ON public.car_renewals
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+-- =============================================
+-- FUNCTION: Apply a renewal review decision atomically
+-- Approving extends the car's papers to the renewal period in the same
+-- transaction. Returns no row if the renewal is no longer pending, or if
+-- the car's expiry date changed since the request was made.
+-- =============================================
+CREATE OR REPLACE FUNCTION public.review_car_renewal(
+  p_renewal_id BIGINT,
+  p_reviewer_id UUID,
+  p_status VARCHAR,
+  p_reason TEXT
+)
+RETURNS SETOF public.car_renewals AS $$
+DECLARE
+  v_renewal public.car_renewals;
+BEGIN
+  SELECT * INTO v_renewal
+  FROM public.car_renewals
+  WHERE id = p_renewal_id
+  FOR UPDATE;
+
+  IF NOT FOUND OR v_renewal.status <> 'pending' THEN
+    RETURN;
+  END IF;
+
+  IF p_status = 'approved' THEN
+    UPDATE public.cars
+    SET date_issued = v_renewal.new_date_issued,
+        expiry_date = v_renewal.new_expiry_date
+    WHERE id = v_renewal.car_id
+      AND deleted_at IS NULL
+      AND expiry_date IS NOT DISTINCT FROM v_renewal.previous_expiry_date;
+
+    IF NOT FOUND THEN
+      RETURN;
+    END IF;
+  END IF;
+
+  UPDATE public.car_renewals
+  SET status = p_status,
+      rejection_reason = CASE WHEN p_status = 'rejected' THEN p_reason ELSE NULL END,
+      reviewed_by = p_reviewer_id,
+      reviewed_at = NOW()
+  WHERE id = p_renewal_id
+  RETURNING * INTO v_renewal;
+
+  RETURN NEXT v_renewal;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the backend (service role) may apply review decisions
+REVOKE EXECUTE ON FUNCTION public.review_car_renewal(BIGINT, UUID, VARCHAR, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.review_car_renewal(BIGINT, UUID, VARCHAR, TEXT) TO service_role;
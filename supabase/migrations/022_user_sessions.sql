@@ -0,0 +1,70 @@
+-- =============================================
+-- USER SESSIONS
+-- One row per signed-in device. The id is the Supabase auth session id
+-- (the session_id claim of the access token), which stays the same across
+-- token refreshes. A revoked row makes the backend reject that session.
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.user_sessions (
+  id UUID PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  device_name VARCHAR(100),
+  user_agent TEXT,
+  ip_address VARCHAR(45),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+  revoked_at TIMESTAMPTZ
+);
+
+-- Active sessions for the "my devices" list
+CREATE INDEX IF NOT EXISTS idx_user_sessions_active
+  ON public.user_sessions(user_id, last_seen_at DESC)
+  WHERE revoked_at IS NULL;
+
+-- Enable RLS
+ALTER TABLE public.user_sessions ENABLE ROW LEVEL SECURITY;
+
+-- Service role has full access (sessions are only written by the backend)
+CREATE POLICY "Service role has full access"
+  ON public.user_sessions
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+-- =============================================
+-- FUNCTION: Record use of a session
+-- Creates the row on first sight, otherwise bumps last_seen_at and the
+-- latest IP / user agent. Returns FALSE (and changes nothing) when the
+-- session was revoked or belongs to another user.
+-- =============================================
+CREATE OR REPLACE FUNCTION public.touch_user_session(
+  p_session_id UUID,
+  p_user_id UUID,
+  p_device_name VARCHAR,
+  p_user_agent TEXT,
+  p_ip_address VARCHAR
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+  v_active BOOLEAN;
+BEGIN
+  INSERT INTO public.user_sessions (id, user_id, device_name, user_agent, ip_address)
+  VALUES (p_session_id, p_user_id, p_device_name, p_user_agent, p_ip_address)
+  ON CONFLICT (id) DO UPDATE
+  SET last_seen_at = NOW(),
+      device_name = COALESCE(EXCLUDED.device_name, user_sessions.device_name),
+      user_agent = COALESCE(EXCLUDED.user_agent, user_sessions.user_agent),
+      ip_address = COALESCE(EXCLUDED.ip_address, user_sessions.ip_address)
+  WHERE user_sessions.revoked_at IS NULL
+    AND user_sessions.user_id = EXCLUDED.user_id
+  RETURNING TRUE INTO v_active;
+
+  RETURN COALESCE(v_active, FALSE);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the backend (service role) may record sessions
+REVOKE EXECUTE ON FUNCTION public.touch_user_session(UUID, UUID, VARCHAR, TEXT, VARCHAR) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.touch_user_session(UUID, UUID, VARCHAR, TEXT, VARCHAR) TO service_role;
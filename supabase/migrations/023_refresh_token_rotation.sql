@@ -0,0 +1,85 @@
+-- =============================================
+-- REFRESH TOKEN ROTATION
+-- Every refresh token handed out by the backend is recorded (as a SHA-256
+-- hash) against its session, which acts as the token family. A token can
+-- be rotated once; presenting it again means a copy leaked, so the whole
+-- family is revoked and the account is flagged.
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+-- Why a session ended, and who replayed an old refresh token
+ALTER TABLE public.user_sessions
+  ADD COLUMN IF NOT EXISTS revoked_reason VARCHAR(20)
+    CHECK (revoked_reason IN ('logout', 'revoked', 'logout_all', 'token_reuse')),
+  ADD COLUMN IF NOT EXISTS reuse_detected_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS reuse_ip_address VARCHAR(45),
+  ADD COLUMN IF NOT EXISTS reuse_user_agent TEXT;
+
+-- Account-level flag for support / admins
+ALTER TABLE public.profiles
+  ADD COLUMN IF NOT EXISTS security_flagged_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS security_flag_reason VARCHAR(50);
+
+CREATE TABLE IF NOT EXISTS public.session_refresh_tokens (
+  id BIGSERIAL PRIMARY KEY,
+  session_id UUID NOT NULL REFERENCES public.user_sessions(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  parent_id BIGINT REFERENCES public.session_refresh_tokens(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  rotated_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_refresh_tokens_session_id ON public.session_refresh_tokens(session_id);
+
+-- Enable RLS
+ALTER TABLE public.session_refresh_tokens ENABLE ROW LEVEL SECURITY;
+
+-- Service role has full access (tokens are only written by the backend)
+CREATE POLICY "Service role has full access"
+  ON public.session_refresh_tokens
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+-- =============================================
+-- FUNCTION: Handle a replayed refresh token
+-- Revokes the token's session (if still active), records where the replay
+-- came from and flags the owner's profile, in one transaction.
+-- Returns the session row.
+-- =============================================
+CREATE OR REPLACE FUNCTION public.flag_refresh_token_reuse(
+  p_session_id UUID,
+  p_ip_address VARCHAR,
+  p_user_agent TEXT
+)
+RETURNS SETOF public.user_sessions AS $$
+DECLARE
+  v_session public.user_sessions;
+BEGIN
+  UPDATE public.user_sessions
+  SET revoked_at = COALESCE(revoked_at, NOW()),
+      revoked_reason = CASE WHEN revoked_at IS NULL THEN 'token_reuse' ELSE revoked_reason END,
+      reuse_detected_at = NOW(),
+      reuse_ip_address = p_ip_address,
+      reuse_user_agent = p_user_agent
+  WHERE id = p_session_id
+  RETURNING * INTO v_session;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  UPDATE public.profiles
+  SET security_flagged_at = NOW(),
+      security_flag_reason = 'refresh_token_reuse'
+  WHERE id = v_session.user_id;
+
+  RETURN NEXT v_session;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the backend (service role) may flag token reuse
+REVOKE EXECUTE ON FUNCTION public.flag_refresh_token_reuse(UUID, VARCHAR, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.flag_refresh_token_reuse(UUID, VARCHAR, TEXT) TO service_role;
@@ -0,0 +1,37 @@
+-- =============================================
+-- ACCOUNT SETTINGS
+-- Pending email changes: the new address must be confirmed with an OTP
+-- before auth.users and profiles.email are updated.
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+-- One pending change per user; requesting again replaces it
+CREATE TABLE IF NOT EXISTS public.email_change_requests (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  new_email VARCHAR(255) NOT NULL,
+  otp VARCHAR(6) NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_change_requests_expires ON public.email_change_requests(expires_at);
+
+-- Enable RLS
+ALTER TABLE public.email_change_requests ENABLE ROW LEVEL SECURITY;
+
+-- Service role has full access (backend operations only)
+CREATE POLICY "Service role has full access"
+  ON public.email_change_requests
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+-- Changing the password signs out the user's other devices
+ALTER TABLE public.user_sessions
+  DROP CONSTRAINT IF EXISTS user_sessions_revoked_reason_check;
+
+ALTER TABLE public.user_sessions
+  ADD CONSTRAINT user_sessions_revoked_reason_check
+  CHECK (revoked_reason IN ('logout', 'revoked', 'logout_all', 'token_reuse', 'password_change'));
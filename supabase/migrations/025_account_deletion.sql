@@ -0,0 +1,25 @@
+-- =============================================
+-- ACCOUNT DELETION
+-- Self-service deletion sets profiles.deleted_at and schedules a purge.
+-- Logging in before deletion_scheduled_for cancels it; after that the
+-- purge job soft-deletes the user's cars, removes their files and
+-- anonymises the profile (purged_at).
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+ALTER TABLE public.profiles
+  ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS purged_at TIMESTAMPTZ;
+
+-- Purge job looks up accounts whose grace period has run out
+CREATE INDEX IF NOT EXISTS idx_profiles_deletion_due
+  ON public.profiles(deletion_scheduled_for)
+  WHERE deleted_at IS NOT NULL AND purged_at IS NULL;
+
+-- Deleting the account signs out every device
+ALTER TABLE public.user_sessions
+  DROP CONSTRAINT IF EXISTS user_sessions_revoked_reason_check;
+
+ALTER TABLE public.user_sessions
+  ADD CONSTRAINT user_sessions_revoked_reason_check
+  CHECK (revoked_reason IN ('logout', 'revoked', 'logout_all', 'token_reuse', 'password_change', 'account_deletion'));
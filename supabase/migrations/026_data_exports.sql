@@ -0,0 +1,49 @@
+-- =============================================
+-- PERSONAL DATA EXPORTS (NDPR)
+-- A user's data (JSON) and uploaded documents are zipped by a background
+-- job into the private data-exports bucket and handed out through
+-- time-limited signed URLs.
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.data_exports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'failed')),
+  file_path TEXT,         -- Path in the data-exports bucket, cleared once the file is removed
+  file_size BIGINT,
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ  -- Download links stop being issued after this
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_exports_user_id ON public.data_exports(user_id, created_at DESC);
+
+-- At most one export queued or running per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_data_exports_active
+  ON public.data_exports(user_id)
+  WHERE status IN ('pending', 'processing');
+
+-- Enable RLS
+ALTER TABLE public.data_exports ENABLE ROW LEVEL SECURITY;
+
+-- Service role has full access (backend operations only)
+CREATE POLICY "Service role has full access"
+  ON public.data_exports
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+-- Private bucket: unlike car-documents, files are only reachable through signed URLs
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES (
+  'data-exports',
+  'data-exports',
+  false,
+  524288000, -- 500MB limit
+  ARRAY['application/zip']
+)
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,117 @@
+-- =============================================
+-- ACCOUNT LOCKOUT
+-- Per-account failure counters for each login factor (password, login OTP,
+-- 2FA code, recovery code) with progressive lockout, so guessing one
+-- account's credentials from many IPs is throttled as well.
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+-- Consecutive failures per factor, reset on success or when a lockout starts
+CREATE TABLE IF NOT EXISTS public.login_failures (
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  factor VARCHAR(20) NOT NULL CHECK (factor IN ('password', 'login_otp', 'two_factor', 'recovery_code')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_failed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_ip_address VARCHAR(45),
+  PRIMARY KEY (user_id, factor)
+);
+
+-- One row per account that has ever been locked; lockout_count drives the
+-- lock length and is only reset by a successful login or an admin
+CREATE TABLE IF NOT EXISTS public.account_lockouts (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  lockout_count INTEGER NOT NULL DEFAULT 0,
+  locked_until TIMESTAMPTZ,
+  locked_at TIMESTAMPTZ,
+  reason VARCHAR(20),      -- Factor whose failures caused the latest lock
+  ip_address VARCHAR(45)   -- Where the last failed attempt came from
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_lockouts_locked_until ON public.account_lockouts(locked_until)
+  WHERE locked_until IS NOT NULL;
+
+-- Enable RLS
+ALTER TABLE public.login_failures ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.account_lockouts ENABLE ROW LEVEL SECURITY;
+
+-- Service role has full access (backend operations only)
+CREATE POLICY "Service role has full access"
+  ON public.login_failures
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Service role has full access"
+  ON public.account_lockouts
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+-- =============================================
+-- FUNCTION: Record a failed login attempt
+-- Bumps the factor's counter; on reaching p_max_attempts the counter is
+-- reset and the account is locked for p_base_minutes, doubling with each
+-- lockout up to p_max_minutes. Runs as one statement per table so
+-- concurrent failures cannot both slip under the limit.
+-- =============================================
+CREATE OR REPLACE FUNCTION public.record_login_failure(
+  p_user_id UUID,
+  p_factor VARCHAR,
+  p_ip_address VARCHAR,
+  p_max_attempts INTEGER,
+  p_base_minutes INTEGER,
+  p_max_minutes INTEGER
+)
+RETURNS TABLE (
+  failed_attempts INTEGER,
+  locked BOOLEAN,
+  lock_expires_at TIMESTAMPTZ,
+  lockout_number INTEGER
+) AS $$
+DECLARE
+  v_attempts INTEGER;
+  v_count INTEGER;
+  v_until TIMESTAMPTZ;
+BEGIN
+  INSERT INTO public.login_failures AS lf (user_id, factor, attempts, last_failed_at, last_ip_address)
+  VALUES (p_user_id, p_factor, 1, NOW(), p_ip_address)
+  ON CONFLICT (user_id, factor) DO UPDATE
+  SET attempts = lf.attempts + 1,
+      last_failed_at = NOW(),
+      last_ip_address = EXCLUDED.last_ip_address
+  RETURNING lf.attempts INTO v_attempts;
+
+  IF v_attempts < p_max_attempts THEN
+    RETURN QUERY SELECT v_attempts, false, NULL::TIMESTAMPTZ, NULL::INTEGER;
+    RETURN;
+  END IF;
+
+  UPDATE public.login_failures
+  SET attempts = 0
+  WHERE user_id = p_user_id AND factor = p_factor;
+
+  SELECT COALESCE(al.lockout_count, 0) INTO v_count
+  FROM public.account_lockouts al
+  WHERE al.user_id = p_user_id;
+
+  v_count := COALESCE(v_count, 0);
+  v_until := NOW() + make_interval(mins => LEAST(p_base_minutes * POWER(2, LEAST(v_count, 16))::INTEGER, p_max_minutes));
+
+  INSERT INTO public.account_lockouts AS al (user_id, lockout_count, locked_until, locked_at, reason, ip_address)
+  VALUES (p_user_id, v_count + 1, v_until, NOW(), p_factor, p_ip_address)
+  ON CONFLICT (user_id) DO UPDATE
+  SET lockout_count = al.lockout_count + 1,
+      locked_until = EXCLUDED.locked_until,
+      locked_at = EXCLUDED.locked_at,
+      reason = EXCLUDED.reason,
+      ip_address = EXCLUDED.ip_address;
+
+  RETURN QUERY SELECT v_attempts, true, v_until, v_count + 1;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the backend (service role) may record login failures
+REVOKE EXECUTE ON FUNCTION public.record_login_failure(UUID, VARCHAR, VARCHAR, INTEGER, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.record_login_failure(UUID, VARCHAR, VARCHAR, INTEGER, INTEGER, INTEGER) TO service_role;
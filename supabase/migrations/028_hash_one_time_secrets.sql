@@ -0,0 +1,74 @@
+-- =============================================
+-- HASHED ONE-TIME SECRETS
+-- Password reset codes and tokens, email change codes, email 2FA codes and
+-- recovery codes are now stored as salted hashes
+-- ("<scheme>$<salt hex>$<hash hex>", see src/utils/secretHash.js).
+--
+-- Short-lived values are simply discarded: anyone mid-way through a reset,
+-- email change or email 2FA login requests a new code. Recovery codes are
+-- long-lived, so they are hashed in place and keep working.
+--
+-- Deploy the code and run this together: the code never accepts a
+-- plaintext value, so recovery codes are refused until they are hashed here.
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;
+
+-- Password reset: drop outstanding plaintext codes and tokens
+DELETE FROM public.password_reset_tokens;
+
+ALTER TABLE public.password_reset_tokens
+  ALTER COLUMN otp TYPE TEXT,
+  ALTER COLUMN token TYPE TEXT;
+
+-- Email change: drop outstanding plaintext codes
+DELETE FROM public.email_change_requests;
+
+ALTER TABLE public.email_change_requests
+  ALTER COLUMN otp TYPE TEXT;
+
+-- Email 2FA codes and the old login token column (temp tokens now live in
+-- the pending login store, keyed by hash)
+UPDATE public.profiles
+SET two_factor_email_code = NULL,
+    two_factor_email_expires_at = NULL,
+    two_factor_login_token = NULL,
+    two_factor_login_expires_at = NULL
+WHERE two_factor_email_code IS NOT NULL
+   OR two_factor_login_token IS NOT NULL;
+
+ALTER TABLE public.profiles
+  ALTER COLUMN two_factor_email_code TYPE TEXT;
+
+-- Recovery codes: hash each remaining plaintext code as
+-- "sha256$<salt>$<sha256(salt || code)>"; already hashed codes are left alone
+UPDATE public.profiles p
+SET two_factor_recovery_codes = (
+  SELECT COALESCE(jsonb_agg(
+    CASE
+      WHEN s.code LIKE 'scrypt$%' OR s.code LIKE 'sha256$%' THEN to_jsonb(s.code)
+      ELSE to_jsonb(
+        'sha256$' || encode(s.salt, 'hex') || '$' ||
+        encode(extensions.digest(s.salt || convert_to(upper(s.code), 'UTF8'), 'sha256'), 'hex')
+      )
+    END
+  ), '[]'::jsonb)
+  -- A fresh salt per code
+  FROM (
+    SELECT c.code, extensions.gen_random_bytes(16) AS salt
+    FROM jsonb_array_elements_text(p.two_factor_recovery_codes) AS c(code)
+  ) s
+)
+WHERE jsonb_typeof(p.two_factor_recovery_codes) = 'array'
+  AND EXISTS (
+    SELECT 1
+    FROM jsonb_array_elements_text(p.two_factor_recovery_codes) AS c(code)
+    WHERE code NOT LIKE 'scrypt$%' AND code NOT LIKE 'sha256$%'
+  );
+
+COMMENT ON COLUMN public.password_reset_tokens.otp IS 'Salted hash of the emailed reset code';
+COMMENT ON COLUMN public.password_reset_tokens.token IS 'Salted hash of the reset token issued for a verified code';
+COMMENT ON COLUMN public.email_change_requests.otp IS 'Salted hash of the code sent to the new address';
+COMMENT ON COLUMN public.profiles.two_factor_email_code IS 'Salted hash of the pending email 2FA code';
+COMMENT ON COLUMN public.profiles.two_factor_recovery_codes IS 'Salted hashes of the unused recovery codes';
@@ -0,0 +1,12 @@
+-- =============================================
+-- TOTP REPLAY PROTECTION
+-- An authenticator code is valid for several 30-second time steps. The
+-- last step a user's code was accepted for is recorded, and codes for
+-- that step or an earlier one are refused, so a seen code can't be reused.
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+ALTER TABLE public.profiles
+  ADD COLUMN IF NOT EXISTS two_factor_last_totp_step BIGINT;
+
+COMMENT ON COLUMN public.profiles.two_factor_last_totp_step IS 'Unix time / 30 of the last accepted authenticator code';
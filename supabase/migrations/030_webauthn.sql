@@ -0,0 +1,47 @@
+-- =============================================
+-- WEBAUTHN / PASSKEYS
+-- Users can register several named passkeys. A passkey can be the second
+-- factor (two_factor_type = 'webauthn') or replace the password entirely
+-- for a passwordless login.
+-- Each assertion must carry a higher signature counter than the one stored
+-- here (for authenticators that count), which exposes cloned credentials.
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.webauthn_credentials (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  -- base64url credential ID as sent by the authenticator
+  credential_id TEXT NOT NULL UNIQUE,
+  -- base64url COSE public key
+  public_key TEXT NOT NULL,
+  counter BIGINT NOT NULL DEFAULT 0,
+  transports TEXT[] NOT NULL DEFAULT '{}',
+  device_type VARCHAR(20),
+  backed_up BOOLEAN NOT NULL DEFAULT FALSE,
+  name VARCHAR(100) NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_webauthn_credentials_user_id ON public.webauthn_credentials(user_id);
+
+-- Enable RLS
+ALTER TABLE public.webauthn_credentials ENABLE ROW LEVEL SECURITY;
+
+-- Service role has full access (backend operations only)
+CREATE POLICY "Service role has full access"
+  ON public.webauthn_credentials
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+-- Allow passkeys as a 2FA method
+ALTER TABLE public.profiles DROP CONSTRAINT IF EXISTS profiles_two_factor_type_check;
+ALTER TABLE public.profiles
+  ADD CONSTRAINT profiles_two_factor_type_check
+  CHECK (two_factor_type IN ('email', 'google', 'webauthn'));
+
+COMMENT ON TABLE public.webauthn_credentials IS 'Passkeys registered by users (WebAuthn)';
+COMMENT ON COLUMN public.webauthn_credentials.counter IS 'Last signature counter seen; 0 for authenticators that do not count';
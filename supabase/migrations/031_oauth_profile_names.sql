@@ -0,0 +1,65 @@
+-- =============================================
+-- PROFILE NAMES FROM SOCIAL SIGN-IN
+-- Users created by Google or Apple sign-in have no first_name/last_name in
+-- their metadata; the provider sends given_name/family_name or a full
+-- name instead. handle_new_user now falls back to those before the email.
+-- (Apple only puts the name in the first authorization, not the ID token;
+-- the API copies a name sent by the app onto the placeholder afterwards.)
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+CREATE OR REPLACE FUNCTION public.handle_new_user()
+RETURNS TRIGGER AS $$
+DECLARE
+  new_user_id VARCHAR(6);
+  first_name_val VARCHAR(255);
+  last_name_val VARCHAR(255);
+  full_name_val TEXT;
+BEGIN
+  -- Generate unique user_id
+  LOOP
+    new_user_id := public.generate_user_id();
+    EXIT WHEN NOT EXISTS (SELECT 1 FROM public.profiles WHERE user_id = new_user_id);
+  END LOOP;
+  
+  -- Social providers send "full_name"/"name" as one string
+  full_name_val := btrim(COALESCE(
+    NULLIF(NEW.raw_user_meta_data->>'full_name', ''),
+    NEW.raw_user_meta_data->>'name',
+    ''
+  ));
+  
+  -- Extract names from metadata, the provider's name claims or email
+  first_name_val := COALESCE(
+    NULLIF(NEW.raw_user_meta_data->>'first_name', ''),
+    NULLIF(NEW.raw_user_meta_data->>'given_name', ''),
+    NULLIF(split_part(full_name_val, ' ', 1), ''),
+    split_part(NEW.email, '@', 1)
+  );
+  last_name_val := COALESCE(
+    NULLIF(NEW.raw_user_meta_data->>'last_name', ''),
+    NULLIF(NEW.raw_user_meta_data->>'family_name', ''),
+    NULLIF(btrim(substring(full_name_val FROM position(' ' IN full_name_val) + 1)), full_name_val),
+    ''
+  );
+  
+  -- Create profile
+  INSERT INTO public.profiles (
+    id,
+    user_id,
+    first_name,
+    last_name,
+    phone_number,
+    user_type_id
+  ) VALUES (
+    NEW.id,
+    new_user_id,
+    first_name_val,
+    last_name_val,
+    NEW.raw_user_meta_data->>'phone',
+    2  -- Default to 'Client'
+  );
+  
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
@@ -0,0 +1,49 @@
+-- =============================================
+-- PHONE VERIFICATION AND SMS LOGIN
+-- profiles.phone_number is confirmed with an SMS code before it can be
+-- used to log in. Changing the number clears the verified flag (done by
+-- the API). phone_otps holds the pending codes, hashed like the other
+-- one-time codes (see migration 028).
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+ALTER TABLE public.profiles
+  ADD COLUMN IF NOT EXISTS phone_verified BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS phone_verified_at TIMESTAMPTZ;
+
+-- Phone login looks accounts up by verified number
+CREATE INDEX IF NOT EXISTS idx_profiles_phone_verified ON public.profiles(phone_number)
+  WHERE phone_verified = true;
+
+-- One pending code per user and purpose; requesting again replaces it
+CREATE TABLE IF NOT EXISTS public.phone_otps (
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  purpose VARCHAR(10) NOT NULL CHECK (purpose IN ('login', 'verify')),
+  phone_number VARCHAR(20) NOT NULL,  -- E.164 number the code was sent to
+  otp TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (user_id, purpose)
+);
+
+CREATE INDEX IF NOT EXISTS idx_phone_otps_expires ON public.phone_otps(expires_at);
+
+-- Enable RLS
+ALTER TABLE public.phone_otps ENABLE ROW LEVEL SECURITY;
+
+-- Service role has full access (backend operations only)
+CREATE POLICY "Service role has full access"
+  ON public.phone_otps
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+-- Wrong SMS login codes count towards the account lockout
+ALTER TABLE public.login_failures
+  DROP CONSTRAINT IF EXISTS login_failures_factor_check;
+
+ALTER TABLE public.login_failures
+  ADD CONSTRAINT login_failures_factor_check
+  CHECK (factor IN ('password', 'login_otp', 'phone_otp', 'two_factor', 'recovery_code'));
@@ -0,0 +1,15 @@
+-- =============================================
+-- SMS TWO-FACTOR AUTHENTICATION
+-- A 6-digit code texted to the user's verified phone number can be the
+-- second factor (two_factor_type = 'sms'). The pending code is stored in
+-- the same two_factor_email_* columns as email codes (hashed, 10 minute
+-- expiry, single use): a user has one 2FA method at a time.
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+ALTER TABLE public.profiles DROP CONSTRAINT IF EXISTS profiles_two_factor_type_check;
+ALTER TABLE public.profiles
+  ADD CONSTRAINT profiles_two_factor_type_check
+  CHECK (two_factor_type IN ('email', 'google', 'webauthn', 'sms'));
+
+COMMENT ON COLUMN public.profiles.two_factor_email_code IS 'Hashed pending 2FA code sent by email or SMS';
@@ -0,0 +1,56 @@
+-- =============================================
+-- LOGIN HISTORY AND SIGN-IN ALERTS
+-- One row per completed sign-in. device_fingerprint hashes the browser /
+-- OS and the network (/24 or /64) the sign-in came from. A sign-in from a
+-- fingerprint the user hasn't used before, or the first one after a
+-- password reset, is emailed to the owner with a "this wasn't me" link
+-- (report_token, hashed like the other one-time secrets). Using the link
+-- revokes every session and sets profiles.password_reset_required until
+-- the password is reset.
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.login_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  session_id UUID,  -- user_sessions.id
+  device_fingerprint VARCHAR(64) NOT NULL,
+  device_name VARCHAR(100),
+  user_agent TEXT,
+  ip_address VARCHAR(45),
+  alert_reason VARCHAR(30) CHECK (alert_reason IN ('new_device', 'after_password_reset')),
+  report_token TEXT,
+  report_expires_at TIMESTAMPTZ,
+  reported_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Recent sign-ins, and "has this device been seen"
+CREATE INDEX IF NOT EXISTS idx_login_history_user ON public.login_history(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_history_fingerprint ON public.login_history(user_id, device_fingerprint);
+
+-- Enable RLS
+ALTER TABLE public.login_history ENABLE ROW LEVEL SECURITY;
+
+-- Service role has full access (written by the backend only)
+CREATE POLICY "Service role has full access"
+  ON public.login_history
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+ALTER TABLE public.profiles
+  ADD COLUMN IF NOT EXISTS password_reset_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS password_reset_required BOOLEAN NOT NULL DEFAULT false;
+
+-- Reporting a sign-in signs out every device
+ALTER TABLE public.user_sessions
+  DROP CONSTRAINT IF EXISTS user_sessions_revoked_reason_check;
+
+ALTER TABLE public.user_sessions
+  ADD CONSTRAINT user_sessions_revoked_reason_check
+  CHECK (revoked_reason IN ('logout', 'revoked', 'logout_all', 'token_reuse', 'password_change', 'account_deletion', 'login_reported'));
+
+COMMENT ON TABLE public.login_history IS 'Completed sign-ins, for the login history and new-device alerts';
+COMMENT ON COLUMN public.profiles.password_reset_required IS 'Set by a reported sign-in; login is refused until the password is reset';
@@ -0,0 +1,25 @@
+-- =============================================
+-- ROLES
+-- Staff roles on top of Super_admin and Client. What each role may do is
+-- defined in the backend (ROLE_PERMISSIONS); the admin API checks the
+-- permission per route. profiles.is_admin is no longer read: existing
+-- admins become super admins, and role changes keep the flag in step.
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+INSERT INTO public.user_types (id, user_type_name) VALUES
+  (3, 'Reviewer'),
+  (4, 'Support'),
+  (5, 'Finance')
+ON CONFLICT (id) DO NOTHING;
+
+-- The seeds set ids explicitly, so move the sequence past them
+SELECT setval(pg_get_serial_sequence('public.user_types', 'id'), (SELECT MAX(id) FROM public.user_types));
+
+-- Admins flagged the old way
+UPDATE public.profiles
+  SET user_type_id = 1
+  WHERE is_admin = true AND user_type_id IS DISTINCT FROM 1;
+
+COMMENT ON COLUMN public.profiles.user_type_id IS 'Role; decides which admin permissions the user has';
+COMMENT ON COLUMN public.profiles.is_admin IS 'Deprecated: mirrors user_type_id = 1 (Super_admin)';
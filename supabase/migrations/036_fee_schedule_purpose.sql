@@ -0,0 +1,34 @@
+-- =============================================
+-- FEE SCHEDULE PURPOSE
+-- Fees are charged either for a first registration or for a license
+-- renewal, and each is priced from its own rows. Existing rows become
+-- registration fees; the recurring items are copied as renewal fees.
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+ALTER TABLE public.fee_schedules
+  ADD COLUMN IF NOT EXISTS purpose VARCHAR(20) NOT NULL DEFAULT 'registration'
+  CHECK (purpose IN ('registration', 'renewal'));
+
+-- The same item can be priced differently for each purpose
+ALTER TABLE public.fee_schedules
+  DROP CONSTRAINT IF EXISTS fee_schedules_item_scope_key;
+
+ALTER TABLE public.fee_schedules
+  ADD CONSTRAINT fee_schedules_item_scope_key
+  UNIQUE NULLS NOT DISTINCT (purpose, item_code, car_type, registration_status, plate_type);
+
+DROP INDEX IF EXISTS public.idx_fee_schedules_active;
+CREATE INDEX IF NOT EXISTS idx_fee_schedules_active ON public.fee_schedules(purpose, is_active);
+
+-- Starting renewal prices - adjust to the current tariff before go-live
+INSERT INTO public.fee_schedules (purpose, item_code, description, amount, car_type, registration_status, plate_type) VALUES
+  ('renewal', 'processing_fee', 'Processing fee', 2500.00, NULL, NULL, NULL),
+  ('renewal', 'vehicle_license', 'Vehicle license', 3000.00, 'private', NULL, NULL),
+  ('renewal', 'vehicle_license', 'Vehicle license (commercial)', 5000.00, 'commercial', NULL, NULL),
+  ('renewal', 'road_worthiness', 'Road worthiness certificate', 6000.00, NULL, NULL, NULL),
+  ('renewal', 'insurance', 'Third party insurance', 15000.00, 'private', NULL, NULL),
+  ('renewal', 'insurance', 'Third party insurance (commercial)', 25000.00, 'commercial', NULL, NULL)
+ON CONFLICT ON CONSTRAINT fee_schedules_item_scope_key DO NOTHING;
+
+COMMENT ON COLUMN public.fee_schedules.purpose IS 'What the fee is charged for: a first registration or a license renewal';